@@ -16,8 +16,10 @@ contract AfriLendLoanManager is ILoanManager {
     mapping(address => uint256[]) private _lenderLoans;
     
     // Constants
-    uint256 public constant MIN_LOAN_AMOUNT = 0.01 ether;
-    uint256 public constant MAX_LOAN_AMOUNT = 100 ether;
+    // On Hedera msg.value is in tinybars, so amounts are too (not 1e18 wei)
+    uint256 public constant TINYBARS_PER_HBAR = 1e8;
+    uint256 public constant MIN_LOAN_AMOUNT = TINYBARS_PER_HBAR / 100; // 0.01 HBAR
+    uint256 public constant MAX_LOAN_AMOUNT = 100 * TINYBARS_PER_HBAR; // 100 HBAR
     uint256 public constant MIN_INTEREST_RATE = 5; // 5%
     uint256 public constant MAX_INTEREST_RATE = 50; // 50%
     uint256 public constant MIN_DURATION = 30 days;
@@ -105,9 +107,11 @@ contract AfriLendLoanManager is ILoanManager {
             _lenderLoans[msg.sender].push(loanId);
         }
         
-        // Check if loan is fully funded
+        // Check if loan is fully funded. The term runs from activation, like
+        // the off-chain instalment plan, not from when the loan was listed
         if (loan.fundedAmount >= loan.amount) {
             loan.status = LoanStatus.Active;
+            loan.dueDate = block.timestamp + loan.duration;
         }
         
         emit LoanFunded(loanId, msg.sender, msg.value);
@@ -121,8 +125,8 @@ contract AfriLendLoanManager is ILoanManager {
         Loan storage loan = _loans[loanId];
         uint256 repaymentAmount = calculateRepaymentAmount(loanId);
         
+        // Late repayment is still accepted, penalties are charged off-chain
         require(msg.value >= repaymentAmount, "Insufficient repayment amount");
-        require(block.timestamp <= loan.dueDate, "Loan has expired");
         
         // Distribute repayment to lenders proportionally
         for (uint i = 0; i < loan.lenders.length; i++) {
@@ -56,8 +56,10 @@ contract LenderPool {
     mapping(address => uint256[]) private _userPools;
     
     // Constants
-    uint256 public constant MIN_POOL_AMOUNT = 1 ether;
-    uint256 public constant MAX_POOL_AMOUNT = 1000 ether;
+    // On Hedera msg.value is in tinybars, so amounts are too (not 1e18 wei)
+    uint256 public constant TINYBARS_PER_HBAR = 1e8;
+    uint256 public constant MIN_POOL_AMOUNT = TINYBARS_PER_HBAR; // 1 HBAR
+    uint256 public constant MAX_POOL_AMOUNT = 1000 * TINYBARS_PER_HBAR; // 1000 HBAR
     uint256 public constant MIN_INTEREST_RATE = 3; // 3%
     uint256 public constant MAX_INTEREST_RATE = 25; // 25%
     
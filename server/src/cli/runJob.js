@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/**
+ * Run one scheduler job and exit, for cron:
+ *   npm run job -- loan-delinquency
+ */
+require('dotenv').config();
+
+const logger = require('../utils/logger');
+const { initializeFirestore } = require('../config/firestore');
+const { initializeHedera } = require('../config/hedera');
+const { runScheduledJob, getJobNames } = require('../config/scheduler');
+
+const main = async () => {
+  const [name] = process.argv.slice(2);
+  if (!getJobNames().includes(name)) {
+    logger.error(`Usage: npm run job -- <${getJobNames().join('|')}>`);
+    return 1;
+  }
+
+  // Jobs reach the chain (reputation pushes, reconciliation), so set up
+  // Hedera the same way the server does at boot
+  initializeFirestore();
+  initializeHedera();
+  const result = await runScheduledJob(name);
+  logger.info(`✅ Job ${name} finished: ${JSON.stringify(result)}`);
+  return 0;
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch((error) => {
+    logger.error('❌ Job failed:', error);
+    process.exit(1);
+  });
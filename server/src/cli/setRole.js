@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Grant a role from the server shell, to bootstrap the first admin:
+ *   npm run set-role -- ops@example.com admin "Initial platform operator"
+ */
+require('dotenv').config();
+
+const logger = require('../utils/logger');
+const { initializeFirestore } = require('../config/firestore');
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const auditLogService = require('../services/auditLogService');
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const main = async () => {
+  const [email, role, reason = 'Set from the command line'] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    logger.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}> [reason]`);
+    return 1;
+  }
+
+  initializeFirestore();
+  const user = await User.findByEmail(email);
+  if (!user) {
+    logger.error(`❌ No user with email ${email}`);
+    return 1;
+  }
+
+  const previousRole = user.role;
+  await user.update({ role });
+  await sessionService.revokeAllSessions(user.id, 'role_changed');
+  await auditLogService.record({ id: 'cli', role: 'system' }, 'user.role_change', { type: 'user', id: user.id }, {
+    reason,
+    before: { role: previousRole },
+    after: { role }
+  });
+
+  logger.info(`✅ ${email} is now ${role}`);
+  return 0;
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch((error) => {
+    logger.error('❌ Setting role failed:', error);
+    process.exit(1);
+  });
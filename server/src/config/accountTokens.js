@@ -0,0 +1,16 @@
+/**
+ * Emailed account tokens: what each purpose is for and how long its link
+ * stays valid
+ */
+const getAccountTokenPolicy = () => ({
+  email_verification: {
+    ttlSeconds: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60
+  },
+  password_reset: {
+    ttlSeconds: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60
+  }
+});
+
+module.exports = {
+  getAccountTokenPolicy
+};
@@ -0,0 +1,67 @@
+/**
+ * Account requirements behind each capability, checked against the stored
+ * user. `error` and `message` are what a request missing one is told.
+ */
+const REQUIREMENTS = {
+  profile_completed: {
+    check: user => Boolean(user.profileCompleted),
+    error: 'Profile incomplete',
+    message: 'Complete your profile to access this feature'
+  },
+  account_verified: {
+    check: user => Boolean(user.isVerified),
+    error: 'Account verification required',
+    message: 'Please verify your account to access this feature'
+  },
+  kyc_verified: {
+    check: user => user.kycStatus === 'verified',
+    error: 'KYC verification required',
+    message: 'Please complete KYC verification to access this feature'
+  },
+  wallet_connected: {
+    check: user => Boolean(user.walletAddress),
+    error: 'Wallet required',
+    message: 'Connect a wallet to access this feature'
+  },
+  operator_role: {
+    check: user => ['admin', 'moderator'].includes(user.role),
+    error: 'Access denied',
+    message: 'Insufficient permissions'
+  }
+};
+
+/**
+ * What a user must have to borrow, lend (fund loans or contribute to pools),
+ * create pools and moderate, in the order they are checked
+ */
+const CAPABILITIES = {
+  borrow: ['profile_completed', 'account_verified', 'kyc_verified'],
+  lend: ['account_verified', 'wallet_connected'],
+  create_pool: ['profile_completed', 'account_verified', 'kyc_verified'],
+  moderate: ['operator_role']
+};
+
+/**
+ * The first requirement of a capability the user is missing, or null
+ */
+const getMissingRequirement = (user, capability) => {
+  const requirements = CAPABILITIES[capability];
+  if (!requirements) {
+    throw new Error(`Unknown capability: ${capability}`);
+  }
+
+  const missing = requirements.find(name => !REQUIREMENTS[name].check(user));
+  return missing ? { name: missing, ...REQUIREMENTS[missing] } : null;
+};
+
+/**
+ * Whether a user has every requirement of a capability
+ */
+const hasCapability = (user, capability) => getMissingRequirement(user, capability) === null;
+
+module.exports = {
+  REQUIREMENTS,
+  CAPABILITIES,
+  getMissingRequirement,
+  hasCapability
+};
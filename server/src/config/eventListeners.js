@@ -0,0 +1,99 @@
+const {
+  CONTRACT_LISTENERS,
+  initializeEventListener,
+  startEventListening,
+  stopEventListening,
+  getEventListeners,
+  addLoanEventHandler,
+  addPoolEventHandler,
+  addReputationEventHandler
+} = require('../utils/eventListener');
+const { isLocalNetwork, getChainAdapter } = require('./hedera');
+const loanService = require('../services/loanService');
+const poolService = require('../services/poolService');
+const userService = require('../services/userService');
+const logger = require('../utils/logger');
+
+/**
+ * Deployed contracts the server listens to
+ */
+const CONTRACTS = [
+  {
+    name: CONTRACT_LISTENERS.LOAN_MANAGER,
+    contractName: 'AfriLendLoanManager',
+    envVar: 'AFRILEND_LOAN_MANAGER_CONTRACT',
+    register: () => addLoanEventHandler(event => loanService.processLoanEvents([event]))
+  },
+  {
+    name: CONTRACT_LISTENERS.LENDER_POOL,
+    contractName: 'LenderPool',
+    envVar: 'LENDER_POOL_CONTRACT',
+    register: () => addPoolEventHandler(event => poolService.processPoolEvents([event]))
+  },
+  {
+    name: CONTRACT_LISTENERS.REPUTATION,
+    contractName: 'Reputation',
+    envVar: 'REPUTATION_CONTRACT',
+    register: () => addReputationEventHandler(event => userService.processReputationEvents([event]))
+  }
+];
+
+/**
+ * Contract ID and listener options for one contract, reading logs from the
+ * simulator instead of the mirror node when HEDERA_NETWORK=local
+ */
+const getListenerConfig = (contract) => {
+  if (!isLocalNetwork()) {
+    return {
+      contractId: process.env[contract.envVar],
+      options: { name: contract.name, contractName: contract.contractName }
+    };
+  }
+
+  const simulator = getChainAdapter();
+  const simulated = simulator.getContract(contract.contractName);
+  return {
+    contractId: simulated.contractId,
+    options: { name: contract.name, abi: simulated.abi, logSource: simulator }
+  };
+};
+
+/**
+ * Start one event listener per deployed contract and route its events
+ * into the service handlers
+ */
+const initializeContractEventListeners = async (hederaClient) => {
+  for (const contract of CONTRACTS) {
+    const { contractId, options } = getListenerConfig(contract);
+    if (!contractId) {
+      logger.warn(`⚠️ ${contract.envVar} not set, skipping ${contract.contractName} event listener`);
+      continue;
+    }
+
+    try {
+      initializeEventListener(hederaClient, contractId, options);
+      contract.register();
+      await startEventListening(contract.name);
+    } catch (error) {
+      // One broken contract should not keep the API from starting
+      logger.error(`❌ Failed to start ${contract.contractName} event listener:`, error);
+    }
+  }
+
+  return getEventListeners();
+};
+
+/**
+ * Stop every running contract event listener
+ */
+const stopContractEventListeners = () => {
+  if (getEventListeners().length === 0) {
+    return;
+  }
+  stopEventListening();
+};
+
+module.exports = {
+  initializeContractEventListeners,
+  stopContractEventListeners
+};
@@ -1,13 +1,32 @@
 const admin = require('firebase-admin');
 const logger = require('../utils/logger');
+const { MemoryFirestore } = require('../utils/memoryFirestore');
 
 let db;
 
+/**
+ * Whether FIRESTORE_BACKEND selects the in-memory datastore
+ */
+const isMemoryBackend = () => process.env.FIRESTORE_BACKEND === 'memory';
+
+/**
+ * Initialize the in-memory datastore used by tests and local runs
+ */
+const initializeMemoryFirestore = () => {
+  db = new MemoryFirestore();
+  logger.info('🧪 Using in-memory Firestore datastore');
+  return db;
+};
+
 /**
  * Initialize Firebase Admin SDK
  */
 const initializeFirestore = () => {
   try {
+    if (isMemoryBackend()) {
+      return initializeMemoryFirestore();
+    }
+
     // Check if Firebase is already initialized
     if (admin.apps.length === 0) {
       // Initialize with service account key
@@ -53,6 +72,9 @@ const initializeFirestore = () => {
  * Get Firestore database instance
  */
 const getFirestore = () => {
+  if (!db && isMemoryBackend()) {
+    return initializeMemoryFirestore();
+  }
   if (!db) {
     throw new Error('Firestore not initialized. Call initializeFirestore() first.');
   }
@@ -70,7 +92,21 @@ const getCollections = () => {
     pools: firestore.collection('pools'),
     transactions: firestore.collection('transactions'),
     notifications: firestore.collection('notifications'),
-    reputation: firestore.collection('reputation')
+    reputation: firestore.collection('reputation'),
+    reputationEvents: firestore.collection('reputationEvents'),
+    eventCursors: firestore.collection('eventCursors'),
+    deadLetterEvents: firestore.collection('deadLetterEvents'),
+    walletChallenges: firestore.collection('walletChallenges'),
+    sessions: firestore.collection('sessions'),
+    revokedTokens: firestore.collection('revokedTokens'),
+    twoFactor: firestore.collection('twoFactor'),
+    twoFactorChallenges: firestore.collection('twoFactorChallenges'),
+    rateLimits: firestore.collection('rateLimits'),
+    loginAttempts: firestore.collection('loginAttempts'),
+    kycSubmissions: firestore.collection('kycSubmissions'),
+    auditLogs: firestore.collection('auditLogs'),
+    auditLogState: firestore.collection('auditLogState'),
+    accountTokens: firestore.collection('accountTokens')
   };
 };
 
@@ -105,6 +141,7 @@ const getDocRef = (collectionName, docId) => {
 
 module.exports = {
   initializeFirestore,
+  isMemoryBackend,
   getFirestore,
   getCollections,
   createBatch,
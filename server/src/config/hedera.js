@@ -1,9 +1,50 @@
-const { Client, AccountId, PrivateKey, ContractCreateFlow, ContractCallQuery, ContractExecuteTransaction } = require('@hashgraph/sdk');
+const { Client, AccountId, PrivateKey, Hbar, AccountBalanceQuery, AccountInfoQuery, ContractCreateFlow, ContractCallQuery, ContractExecuteTransaction } = require('@hashgraph/sdk');
+const { ChainSimulator } = require('../utils/chainSimulator');
 const logger = require('../utils/logger');
 
 let client;
 let operatorAccountId;
 let operatorPrivateKey;
+let chainAdapter;
+
+/**
+ * Contract ID env vars the simulator registers its contracts under
+ */
+const SIMULATED_CONTRACT_ENV = {
+  AFRILEND_LOAN_MANAGER_CONTRACT: 'AfriLendLoanManager',
+  LENDER_POOL_CONTRACT: 'LenderPool',
+  REPUTATION_CONTRACT: 'Reputation'
+};
+
+/**
+ * Whether HEDERA_NETWORK selects the in-memory simulator
+ */
+const isLocalNetwork = () => process.env.HEDERA_NETWORK === 'local';
+
+/**
+ * Start the in-memory simulator in place of a Hedera network
+ */
+const initializeSimulator = () => {
+  operatorAccountId = AccountId.fromString(process.env.HEDERA_OPERATOR_ID || '0.0.2');
+  operatorPrivateKey = process.env.HEDERA_OPERATOR_PRIVATE_KEY
+    ? PrivateKey.fromString(process.env.HEDERA_OPERATOR_PRIVATE_KEY)
+    : PrivateKey.generateED25519();
+
+  const simulator = new ChainSimulator({ operatorId: operatorAccountId.toString() });
+  Object.entries(SIMULATED_CONTRACT_ENV).forEach(([envVar, contractName]) => {
+    if (process.env[envVar]) {
+      simulator.registerContract(process.env[envVar], contractName);
+    }
+  });
+
+  client = simulator;
+  chainAdapter = simulator;
+
+  logger.info('✅ Hedera simulator initialized (HEDERA_NETWORK=local)');
+  logger.info(`📋 Operator Account: ${operatorAccountId.toString()}`);
+
+  return simulator;
+};
 
 /**
  * Initialize Hedera SDK client
@@ -12,6 +53,10 @@ const initializeHedera = () => {
   try {
     // Get network configuration
     const network = process.env.HEDERA_NETWORK || 'testnet';
+
+    if (isLocalNetwork()) {
+      return initializeSimulator();
+    }
     
     // Initialize client based on network
     if (network === 'mainnet') {
@@ -25,6 +70,7 @@ const initializeHedera = () => {
     operatorPrivateKey = PrivateKey.fromString(process.env.HEDERA_OPERATOR_PRIVATE_KEY);
 
     client.setOperator(operatorAccountId, operatorPrivateKey);
+    chainAdapter = hederaAdapter;
 
     logger.info(`✅ Hedera SDK initialized for ${network}`);
     logger.info(`📋 Operator Account: ${operatorAccountId.toString()}`);
@@ -69,7 +115,7 @@ const getOperatorPrivateKey = () => {
 /**
  * Deploy smart contract
  */
-const deployContract = async (bytecode, constructorParameters = []) => {
+const deployContractOnHedera = async (bytecode, constructorParameters = []) => {
   try {
     const hederaClient = getHederaClient();
     
@@ -94,7 +140,7 @@ const deployContract = async (bytecode, constructorParameters = []) => {
 /**
  * Call smart contract function (read-only)
  */
-const callContractFunction = async (contractId, functionName, parameters = []) => {
+const callContractFunctionOnHedera = async (contractId, functionName, parameters = null) => {
   try {
     const hederaClient = getHederaClient();
     
@@ -115,8 +161,12 @@ const callContractFunction = async (contractId, functionName, parameters = []) =
 
 /**
  * Execute smart contract function (state-changing)
+ *
+ * `parameters` must be a ContractFunctionParameters instance (or null).
+ * Options: payableAmount (HBAR sent as msg.value) and fetchRecord, which
+ * pulls the transaction record so the function's return value is available.
  */
-const executeContractFunction = async (contractId, functionName, parameters = [], gas = 100000) => {
+const executeContractFunctionOnHedera = async (contractId, functionName, parameters = null, gas = 100000, options = {}) => {
   try {
     const hederaClient = getHederaClient();
     
@@ -125,13 +175,25 @@ const executeContractFunction = async (contractId, functionName, parameters = []
       .setGas(gas)
       .setFunction(functionName, parameters);
 
+    if (options.payableAmount) {
+      contractExecuteTransaction.setPayableAmount(Hbar.fromTinybars(hbarToTinybars(options.payableAmount)));
+    }
+
     const contractExecuteResponse = await contractExecuteTransaction.execute(hederaClient);
     const contractExecuteReceipt = await contractExecuteResponse.getReceipt(hederaClient);
+
+    let result = null;
+    if (options.fetchRecord) {
+      const record = await contractExecuteResponse.getRecord(hederaClient);
+      result = record.contractFunctionResult;
+    }
     
     logger.info(`✅ Contract function ${functionName} executed successfully`);
     return {
       response: contractExecuteResponse,
-      receipt: contractExecuteReceipt
+      receipt: contractExecuteReceipt,
+      transactionId: contractExecuteResponse.transactionId.toString(),
+      result
     };
   } catch (error) {
     logger.error(`❌ Failed to execute contract function ${functionName}:`, error);
@@ -142,14 +204,16 @@ const executeContractFunction = async (contractId, functionName, parameters = []
 /**
  * Get account balance
  */
-const getAccountBalance = async (accountId) => {
+const getAccountBalanceOnHedera = async (accountId) => {
   try {
     const hederaClient = getHederaClient();
     const accountIdObj = AccountId.fromString(accountId);
     
-    const balance = await hederaClient.getAccountBalance(accountIdObj);
+    const balance = await new AccountBalanceQuery()
+      .setAccountId(accountIdObj)
+      .execute(hederaClient);
     
-    logger.info(`💰 Account ${accountId} balance: ${balance.toString()} tinybars`);
+    logger.info(`💰 Account ${accountId} balance: ${balance.hbars.toString()}`);
     return balance;
   } catch (error) {
     logger.error(`❌ Failed to get account balance for ${accountId}:`, error);
@@ -157,6 +221,78 @@ const getAccountBalance = async (accountId) => {
   }
 };
 
+/**
+ * Get the key an account signs with (a PublicKey for single-key accounts)
+ */
+const getAccountPublicKeyOnHedera = async (accountId) => {
+  try {
+    const hederaClient = getHederaClient();
+    const info = await new AccountInfoQuery()
+      .setAccountId(AccountId.fromString(accountId))
+      .execute(hederaClient);
+
+    return info.key;
+  } catch (error) {
+    logger.error(`❌ Failed to get account key for ${accountId}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Chain adapter backed by a Hedera network through the SDK
+ *
+ * Adapters implement deployContract(bytecode, constructorParameters),
+ * callContractFunction(contractId, functionName, parameters),
+ * executeContractFunction(contractId, functionName, parameters, gas, options),
+ * getAccountBalance(accountId) and getAccountPublicKey(accountId). The other
+ * one is the in-memory ChainSimulator selected by HEDERA_NETWORK=local.
+ */
+const hederaAdapter = {
+  deployContract: deployContractOnHedera,
+  callContractFunction: callContractFunctionOnHedera,
+  executeContractFunction: executeContractFunctionOnHedera,
+  getAccountBalance: getAccountBalanceOnHedera,
+  getAccountPublicKey: getAccountPublicKeyOnHedera
+};
+
+/**
+ * Get the active chain adapter
+ */
+const getChainAdapter = () => {
+  if (!chainAdapter && isLocalNetwork()) {
+    return initializeSimulator();
+  }
+  if (!chainAdapter) {
+    throw new Error('Hedera client not initialized. Call initializeHedera() first.');
+  }
+  return chainAdapter;
+};
+
+/**
+ * Deploy smart contract through the active adapter
+ */
+const deployContract = (...args) => getChainAdapter().deployContract(...args);
+
+/**
+ * Call smart contract function (read-only) through the active adapter
+ */
+const callContractFunction = (...args) => getChainAdapter().callContractFunction(...args);
+
+/**
+ * Execute smart contract function (state-changing) through the active adapter
+ */
+const executeContractFunction = (...args) => getChainAdapter().executeContractFunction(...args);
+
+/**
+ * Get account balance through the active adapter
+ */
+const getAccountBalance = (...args) => getChainAdapter().getAccountBalance(...args);
+
+/**
+ * Get an account's key through the active adapter
+ */
+const getAccountPublicKey = (...args) => getChainAdapter().getAccountPublicKey(...args);
+
 /**
  * Convert tinybars to HBAR
  */
@@ -168,7 +304,9 @@ const tinybarsToHbar = (tinybars) => {
  * Convert HBAR to tinybars
  */
 const hbarToTinybars = (hbar) => {
-  return Math.floor(hbar * 100000000);
+  // Shift the decimal string, Math.floor(0.29 * 1e8) would give 28999999
+  const [whole, fraction] = Number(hbar).toFixed(8).split('.');
+  return Number(`${whole}${fraction}`);
 };
 
 /**
@@ -179,19 +317,22 @@ const getNetworkInfo = () => {
   return {
     network: process.env.HEDERA_NETWORK || 'testnet',
     operatorAccount: operatorAccountId?.toString(),
-    nodeIds: hederaClient.network.getNodeAccountIds().map(id => id.toString())
+    nodeIds: isLocalNetwork() ? [] : hederaClient.network.getNodeAccountIds().map(id => id.toString())
   };
 };
 
 module.exports = {
   initializeHedera,
+  isLocalNetwork,
   getHederaClient,
+  getChainAdapter,
   getOperatorAccountId,
   getOperatorPrivateKey,
   deployContract,
   callContractFunction,
   executeContractFunction,
   getAccountBalance,
+  getAccountPublicKey,
   tinybarsToHbar,
   hbarToTinybars,
   getNetworkInfo
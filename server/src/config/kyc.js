@@ -0,0 +1,58 @@
+const path = require('path');
+
+/**
+ * KYC status transitions. Submitting documents moves a user to pending; a
+ * reviewer verifies, rejects or asks for more information, and rejected or
+ * incomplete applications can be submitted again.
+ */
+const KYC_TRANSITIONS = {
+  unverified: ['pending'],
+  pending: ['verified', 'rejected', 'more_info_required'],
+  more_info_required: ['pending'],
+  rejected: ['pending'],
+  verified: []
+};
+
+/**
+ * Reviewer decisions and the status each one leads to
+ */
+const KYC_DECISIONS = {
+  approve: 'verified',
+  reject: 'rejected',
+  request_info: 'more_info_required'
+};
+
+/**
+ * Whether a user can move from one KYC status to another
+ */
+const canTransitionKyc = (from, to) => (KYC_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Accepted uploads: the multipart fields a submission may carry (the
+ * document type) and how many files each takes, plus type and size limits
+ */
+const getKycUploadPolicy = () => ({
+  documentFields: [
+    { name: 'identity_document', maxCount: 2, required: true }, // front and back
+    { name: 'proof_of_address', maxCount: 1, required: false },
+    { name: 'selfie', maxCount: 1, required: false }
+  ],
+  allowedContentTypes: ['image/jpeg', 'image/png', 'application/pdf'],
+  maxFileSizeBytes: (parseInt(process.env.KYC_MAX_FILE_SIZE_MB) || 5) * 1024 * 1024
+});
+
+/**
+ * Blob storage for uploaded documents: `local` disk (default) or `memory`
+ */
+const getBlobStorageConfig = () => ({
+  driver: process.env.BLOB_STORAGE_DRIVER || 'local',
+  localRoot: path.resolve(process.env.BLOB_STORAGE_DIR || 'uploads')
+});
+
+module.exports = {
+  KYC_TRANSITIONS,
+  KYC_DECISIONS,
+  canTransitionKyc,
+  getKycUploadPolicy,
+  getBlobStorageConfig
+};
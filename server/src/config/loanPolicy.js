@@ -0,0 +1,59 @@
+/**
+ * Days past due before a loan moves from grace period to late, and from
+ * late to defaulted
+ */
+const getDelinquencyPolicy = () => ({
+  gracePeriodDays: parseInt(process.env.LOAN_GRACE_PERIOD_DAYS) || 3,
+  defaultAfterDays: parseInt(process.env.LOAN_DEFAULT_AFTER_DAYS) || 30
+});
+
+/**
+ * Penalty terms for overdue instalments: daily penalty interest (percent of
+ * the overdue balance), a flat fee per instalment once its grace period
+ * ends, and a cap on total penalties as a percentage of principal
+ */
+const getPenaltyPolicy = () => ({
+  dailyPenaltyRate: parseFloat(process.env.LOAN_PENALTY_DAILY_RATE || '0.1'),
+  lateFee: parseFloat(process.env.LOAN_LATE_FEE || '0.5'),
+  penaltyCapPercent: parseFloat(process.env.LOAN_PENALTY_CAP_PERCENT || '25'),
+  gracePeriodDays: getDelinquencyPolicy().gracePeriodDays
+});
+
+/**
+ * How long a lender's funding reservation holds its share of a loan while
+ * the transfer is on its way to the chain
+ */
+const getFundingReservationPolicy = () => ({
+  ttlSeconds: parseInt(process.env.FUNDING_RESERVATION_TTL_SECONDS) || 10 * 60
+});
+
+/**
+ * Credit model used to score new loan applications
+ */
+const getCreditScoringPolicy = () => ({
+  modelVersion: process.env.CREDIT_MODEL_VERSION || 'v1'
+});
+
+/**
+ * Delinquency state for a number of days past due
+ */
+const getDelinquencyStatus = (daysOverdue, policy = getDelinquencyPolicy()) => {
+  if (daysOverdue <= 0) {
+    return 'current';
+  }
+  if (daysOverdue <= policy.gracePeriodDays) {
+    return 'grace_period';
+  }
+  if (daysOverdue < policy.defaultAfterDays) {
+    return 'late';
+  }
+  return 'defaulted';
+};
+
+module.exports = {
+  getDelinquencyPolicy,
+  getPenaltyPolicy,
+  getFundingReservationPolicy,
+  getCreditScoringPolicy,
+  getDelinquencyStatus
+};
@@ -0,0 +1,103 @@
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Named rate-limit policies. `key` picks what is counted: the client IP, or
+ * the signed-in user (falling back to the IP). Each limit can be overridden
+ * with RATE_LIMIT_<NAME>_LIMIT and RATE_LIMIT_<NAME>_WINDOW_MS.
+ */
+const RATE_LIMIT_POLICIES = {
+  // Writes without a stricter policy
+  default: {
+    windowMs: 15 * MINUTE_MS,
+    limit: 100,
+    key: 'ip',
+    message: 'Too many requests from this IP, please try again later.'
+  },
+  read: {
+    windowMs: 15 * MINUTE_MS,
+    limit: 1000,
+    key: 'ip',
+    message: 'Too many requests from this IP, please try again later.'
+  },
+  login: {
+    windowMs: 15 * MINUTE_MS,
+    limit: 10,
+    key: 'ip',
+    message: 'Too many login attempts, please try again later.'
+  },
+  password_reset: {
+    windowMs: 60 * MINUTE_MS,
+    limit: 5,
+    key: 'ip',
+    message: 'Too many password reset requests, please try again later.'
+  },
+  token_refresh: {
+    windowMs: 15 * MINUTE_MS,
+    limit: 30,
+    key: 'ip',
+    message: 'Too many token refreshes, please try again later.'
+  },
+  // Codes checked for a signed-in user: enrolment, step-up and disabling
+  two_factor: {
+    windowMs: 15 * MINUTE_MS,
+    limit: 10,
+    key: 'user',
+    message: 'Too many two-factor attempts, please try again later.'
+  },
+  // Funding, repayments, pool contributions and withdrawals
+  money_movement: {
+    windowMs: 60 * MINUTE_MS,
+    limit: 20,
+    key: 'user',
+    message: 'Too many payment requests, please try again later.'
+  }
+};
+
+/**
+ * Whether rate limits are enforced (RATE_LIMIT_ENABLED=false turns them off)
+ */
+const isRateLimitEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+/**
+ * Where counters live: `firestore` shares them between server instances,
+ * `memory` keeps them per process
+ */
+const getRateLimitStoreType = () => process.env.RATE_LIMIT_STORE || 'firestore';
+
+/**
+ * A policy with its environment overrides applied
+ */
+const getRateLimitPolicy = (name) => {
+  const policy = RATE_LIMIT_POLICIES[name];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+
+  const envPrefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    ...policy,
+    name,
+    limit: parseInt(process.env[`${envPrefix}_LIMIT`]) || policy.limit,
+    windowMs: parseInt(process.env[`${envPrefix}_WINDOW_MS`]) || policy.windowMs
+  };
+};
+
+/**
+ * Failed-login lockout: after `maxFailures` failures within `failureWindowMs`
+ * the account is locked for `baseLockSeconds`, doubling with every further
+ * failure up to `maxLockSeconds`
+ */
+const getLoginLockoutPolicy = () => ({
+  maxFailures: parseInt(process.env.LOGIN_LOCKOUT_MAX_FAILURES) || 5,
+  failureWindowMs: parseInt(process.env.LOGIN_LOCKOUT_WINDOW_MS) || 15 * MINUTE_MS,
+  baseLockSeconds: parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60,
+  maxLockSeconds: parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 60 * 60
+});
+
+module.exports = {
+  RATE_LIMIT_POLICIES,
+  isRateLimitEnabled,
+  getRateLimitStoreType,
+  getRateLimitPolicy,
+  getLoginLockoutPolicy
+};
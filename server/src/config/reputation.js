@@ -0,0 +1,84 @@
+/**
+ * Reputation rules, declared as data. Each event type names the score change
+ * and the counters it moves; `amount` counters add the event's amount.
+ * Point values mirror the constants in Reputation.sol.
+ */
+const REPUTATION_RULES = {
+  successful_loan: {
+    points: 50,
+    counters: { successfulLoans: 1, totalLoans: 1, totalBorrowed: 'amount' },
+    reason: 'Successful loan repayment'
+  },
+  on_time_repayment: {
+    points: 25,
+    reason: 'On-time repayment bonus'
+  },
+  early_repayment: {
+    points: 10,
+    reason: 'Early repayment bonus'
+  },
+  loan_default: {
+    points: -100,
+    counters: { defaultedLoans: 1, totalLoans: 1, totalBorrowed: 'amount' },
+    reason: 'Loan default'
+  },
+  lending: {
+    points: 30,
+    counters: { totalLent: 'amount' },
+    reason: 'Lending activity'
+  },
+  referral: {
+    points: 20,
+    reason: 'Referral bonus'
+  },
+  // Points come from the event, and also move the named category score
+  category_update: {
+    variablePoints: true,
+    category: true,
+    reason: 'Category update'
+  }
+};
+
+/**
+ * Order of the TrustLevel enum in Reputation.sol
+ */
+const TRUST_LEVELS = ['New', 'Basic', 'Good', 'Excellent', 'Premium'];
+
+/**
+ * Minimum score for each trust level, highest first, matching
+ * Reputation._updateTrustLevel
+ */
+const TRUST_LEVEL_THRESHOLDS = [
+  { level: 'Premium', minScore: 1000 },
+  { level: 'Excellent', minScore: 601 },
+  { level: 'Good', minScore: 301 },
+  { level: 'Basic', minScore: 101 },
+  { level: 'New', minScore: 0 }
+];
+
+/**
+ * Score bounds and inactivity decay. After `inactiveDays` without events the
+ * score loses `decayPoints` every `decayPeriodDays`, never below `decayFloor`.
+ */
+const getReputationPolicy = () => ({
+  initialScore: 100,
+  minScore: 0,
+  maxScore: 2000,
+  inactiveDays: parseInt(process.env.REPUTATION_INACTIVE_DAYS) || 180,
+  decayPeriodDays: parseInt(process.env.REPUTATION_DECAY_PERIOD_DAYS) || 30,
+  decayPoints: parseInt(process.env.REPUTATION_DECAY_POINTS) || 10,
+  decayFloor: 100
+});
+
+/**
+ * Trust level for a score
+ */
+const getTrustLevel = score => TRUST_LEVEL_THRESHOLDS.find(entry => score >= entry.minScore).level;
+
+module.exports = {
+  REPUTATION_RULES,
+  TRUST_LEVELS,
+  TRUST_LEVEL_THRESHOLDS,
+  getReputationPolicy,
+  getTrustLevel
+};
@@ -0,0 +1,99 @@
+const { JobScheduler } = require('../utils/scheduler');
+const delinquencyService = require('../services/delinquencyService');
+const penaltyService = require('../services/penaltyService');
+const fundingReservationService = require('../services/fundingReservationService');
+const chainSettlementService = require('../services/chainSettlementService');
+const reputationSyncService = require('../services/reputationSyncService');
+const sessionService = require('../services/sessionService');
+const loginLockoutService = require('../services/loginLockoutService');
+const { pruneRateLimitCounters } = require('../utils/rateLimitStore');
+const logger = require('../utils/logger');
+
+/**
+ * Background jobs run by the server and by `npm run job -- <name>`
+ */
+const JOBS = [
+  {
+    name: 'loan-delinquency',
+    intervalMs: parseInt(process.env.DELINQUENCY_SCAN_INTERVAL_MS) || 60 * 60 * 1000,
+    run: now => delinquencyService.scanOverdueLoans(now)
+  },
+  {
+    name: 'loan-penalty-accrual',
+    intervalMs: parseInt(process.env.PENALTY_ACCRUAL_INTERVAL_MS) || 24 * 60 * 60 * 1000,
+    run: now => penaltyService.accrueAllPenalties(now)
+  },
+  {
+    name: 'funding-reservation-cleanup',
+    intervalMs: parseInt(process.env.FUNDING_RESERVATION_SWEEP_INTERVAL_MS) || 5 * 60 * 1000,
+    run: now => fundingReservationService.releaseExpiredReservations(now)
+  },
+  {
+    name: 'loan-chain-settlement',
+    intervalMs: parseInt(process.env.CHAIN_SETTLEMENT_RETRY_INTERVAL_MS) || 10 * 60 * 1000,
+    run: now => chainSettlementService.retryPendingSettlements(now)
+  },
+  {
+    // Report-only unless REPUTATION_RECONCILE_REPAIR=true
+    name: 'reputation-reconciliation',
+    intervalMs: parseInt(process.env.REPUTATION_RECONCILE_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+    run: () => reputationSyncService.reconcileReputation()
+  },
+  {
+    name: 'session-cleanup',
+    intervalMs: parseInt(process.env.SESSION_CLEANUP_INTERVAL_MS) || 24 * 60 * 60 * 1000,
+    run: now => sessionService.pruneExpired(now)
+  },
+  {
+    name: 'rate-limit-cleanup',
+    intervalMs: parseInt(process.env.RATE_LIMIT_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000,
+    run: async now => ({
+      ...await pruneRateLimitCounters(now),
+      ...await loginLockoutService.pruneExpired(now)
+    })
+  }
+];
+
+const scheduler = new JobScheduler();
+JOBS.forEach(job => scheduler.registerJob(job.name, job.run, { intervalMs: job.intervalMs }));
+
+/**
+ * Start the job timers unless SCHEDULER_ENABLED=false (e.g. when cron runs
+ * the CLI instead)
+ */
+const initializeScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    logger.info('⏸️ Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return scheduler;
+  }
+  scheduler.start();
+  return scheduler;
+};
+
+/**
+ * Stop the job timers
+ */
+const stopScheduler = () => scheduler.stop();
+
+/**
+ * Run one job immediately
+ */
+const runScheduledJob = (name, now) => scheduler.runJob(name, now);
+
+/**
+ * Names of the registered jobs
+ */
+const getJobNames = () => JOBS.map(job => job.name);
+
+/**
+ * State of every job (used by /health)
+ */
+const getSchedulerStatus = () => scheduler.getStatus();
+
+module.exports = {
+  initializeScheduler,
+  stopScheduler,
+  runScheduledJob,
+  getJobNames,
+  getSchedulerStatus
+};
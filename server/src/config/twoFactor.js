@@ -0,0 +1,19 @@
+/**
+ * TOTP settings: the issuer shown in authenticator apps, how long a second
+ * factor counts as recent for sensitive operations, how long a password
+ * sign-in waits for its code, how many wrong codes in a row lock a user's
+ * second factor and for how long, and how many recovery codes are issued
+ */
+const getTwoFactorPolicy = () => ({
+  issuer: process.env.TWO_FACTOR_ISSUER || 'AfriLend',
+  recentWindowSeconds: parseInt(process.env.TWO_FACTOR_RECENT_SECONDS) || 10 * 60,
+  loginChallengeTtlSeconds: parseInt(process.env.TWO_FACTOR_LOGIN_TTL_SECONDS) || 5 * 60,
+  maxLoginAttempts: 5,
+  maxFailedAttempts: parseInt(process.env.TWO_FACTOR_MAX_FAILURES) || 5,
+  lockoutSeconds: parseInt(process.env.TWO_FACTOR_LOCKOUT_SECONDS) || 15 * 60,
+  recoveryCodeCount: 10
+});
+
+module.exports = {
+  getTwoFactorPolicy
+};
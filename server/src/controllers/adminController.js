@@ -0,0 +1,229 @@
+const adminService = require('../services/adminService');
+const auditLogService = require('../services/auditLogService');
+const kycService = require('../services/kycService');
+const { formatSuccessResponse, asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * The operator behind a request, as recorded in the audit log
+ */
+const getActor = req => ({
+  id: req.user.id,
+  role: req.user.role,
+  ipAddress: req.ip || null
+});
+
+/**
+ * @desc    List users
+ * @route   GET /api/admin/users
+ * @access  Private (admin, moderator)
+ */
+const listUsers = asyncHandler(async (req, res) => {
+  const users = await adminService.listUsers(req.query);
+
+  res.json(formatSuccessResponse({ users }));
+});
+
+/**
+ * @desc    Get a user with their open sessions
+ * @route   GET /api/admin/users/:id
+ * @access  Private (admin, moderator)
+ */
+const getUser = asyncHandler(async (req, res) => {
+  const user = await adminService.getUser(req.params.id);
+
+  res.json(formatSuccessResponse({ user }));
+});
+
+/**
+ * @desc    Suspend a user
+ * @route   POST /api/admin/users/:id/suspend
+ * @access  Private (admin only)
+ */
+const suspendUser = asyncHandler(async (req, res) => {
+  const user = await adminService.suspendUser(getActor(req), req.params.id, req.body.reason);
+
+  res.json(formatSuccessResponse({ user }, 'User suspended successfully'));
+});
+
+/**
+ * @desc    Reactivate a suspended user
+ * @route   POST /api/admin/users/:id/reactivate
+ * @access  Private (admin only)
+ */
+const reactivateUser = asyncHandler(async (req, res) => {
+  const user = await adminService.reactivateUser(getActor(req), req.params.id, req.body.reason);
+
+  res.json(formatSuccessResponse({ user }, 'User reactivated successfully'));
+});
+
+/**
+ * @desc    Change a user's role
+ * @route   PATCH /api/admin/users/:id/role
+ * @access  Private (admin only)
+ */
+const setUserRole = asyncHandler(async (req, res) => {
+  const { role, reason } = req.body;
+  const user = await adminService.setUserRole(getActor(req), req.params.id, role, reason);
+
+  res.json(formatSuccessResponse({ user }, 'User role updated successfully'));
+});
+
+/**
+ * @desc    List KYC submissions awaiting review
+ * @route   GET /api/admin/kyc
+ * @access  Private (admin, moderator)
+ */
+const getKycQueue = asyncHandler(async (req, res) => {
+  const submissions = await kycService.listQueue();
+
+  res.json(formatSuccessResponse({ submissions }));
+});
+
+/**
+ * @desc    Get a KYC submission
+ * @route   GET /api/admin/kyc/:submissionId
+ * @access  Private (admin, moderator)
+ */
+const getKycSubmission = asyncHandler(async (req, res) => {
+  const submission = await kycService.getSubmission(req.params.submissionId);
+
+  res.json(formatSuccessResponse({ submission }));
+});
+
+/**
+ * @desc    Download a KYC document
+ * @route   GET /api/admin/kyc/:submissionId/documents/:documentId
+ * @access  Private (admin, moderator)
+ */
+const getKycDocument = asyncHandler(async (req, res) => {
+  const { submissionId, documentId } = req.params;
+  const document = await kycService.getDocument(submissionId, documentId);
+
+  res.set({
+    'Content-Type': document.contentType,
+    'Content-Disposition': `attachment; filename="${document.id}"`,
+    'Cache-Control': 'no-store'
+  });
+  res.send(document.content);
+});
+
+/**
+ * @desc    Approve, reject or ask for more information on a KYC submission
+ * @route   POST /api/admin/kyc/:submissionId/review
+ * @access  Private (admin, moderator)
+ */
+const reviewKyc = asyncHandler(async (req, res) => {
+  const { decision, reason } = req.body;
+  const result = await kycService.review(getActor(req), req.params.submissionId, decision, reason);
+
+  res.json(formatSuccessResponse(result, 'KYC review recorded'));
+});
+
+/**
+ * @desc    Force a loan into default
+ * @route   POST /api/admin/loans/:id/default
+ * @access  Private (admin only)
+ */
+const forceDefaultLoan = asyncHandler(async (req, res) => {
+  const loan = await adminService.forceDefaultLoan(getActor(req), req.params.id, req.body.reason);
+
+  res.json(formatSuccessResponse({ loan: loan.getPublicData() }, 'Loan defaulted'));
+});
+
+/**
+ * @desc    Restructure a loan's repayment plan
+ * @route   POST /api/admin/loans/:id/restructure
+ * @access  Private (admin only)
+ */
+const restructureLoan = asyncHandler(async (req, res) => {
+  const { reason, ...terms } = req.body;
+  const loan = await adminService.restructureLoan(getActor(req), req.params.id, terms, reason);
+
+  res.json(formatSuccessResponse({
+    loan: loan.getPublicData(),
+    schedule: loan.getRepaymentSchedule(),
+    restructuring: loan.restructurings[loan.restructurings.length - 1]
+  }, 'Loan restructured successfully'));
+});
+
+/**
+ * @desc    List reported loans and pools
+ * @route   GET /api/admin/reports
+ * @access  Private (admin, moderator)
+ */
+const getReports = asyncHandler(async (req, res) => {
+  const reports = await adminService.listReports(req.query.targetType);
+
+  res.json(formatSuccessResponse({ reports }));
+});
+
+/**
+ * @desc    Dismiss the reports on a loan or pool, or hide it
+ * @route   POST /api/admin/reports/:targetType/:id/resolve
+ * @access  Private (admin, moderator)
+ */
+const resolveReport = asyncHandler(async (req, res) => {
+  const { targetType, id } = req.params;
+  const { action, reason } = req.body;
+  const target = await adminService.resolveReport(getActor(req), targetType, id, action, reason);
+
+  res.json(formatSuccessResponse({
+    targetType,
+    id,
+    moderationStatus: target.moderationStatus,
+    isActive: target.isActive
+  }, 'Reports resolved'));
+});
+
+/**
+ * @desc    Platform-wide metrics
+ * @route   GET /api/admin/metrics
+ * @access  Private (admin only)
+ */
+const getMetrics = asyncHandler(async (req, res) => {
+  const metrics = await adminService.getPlatformMetrics();
+
+  res.json(formatSuccessResponse(metrics));
+});
+
+/**
+ * @desc    Read the audit log
+ * @route   GET /api/admin/audit-logs
+ * @access  Private (admin only)
+ */
+const getAuditLogs = asyncHandler(async (req, res) => {
+  const entries = await auditLogService.list(req.query);
+
+  res.json(formatSuccessResponse({ entries }));
+});
+
+/**
+ * @desc    Check the audit log hash chain
+ * @route   GET /api/admin/audit-logs/verify
+ * @access  Private (admin only)
+ */
+const verifyAuditLogs = asyncHandler(async (req, res) => {
+  const result = await auditLogService.verifyChain();
+
+  res.json(formatSuccessResponse(result));
+});
+
+module.exports = {
+  getActor,
+  listUsers,
+  getUser,
+  suspendUser,
+  reactivateUser,
+  setUserRole,
+  getKycQueue,
+  getKycSubmission,
+  getKycDocument,
+  reviewKyc,
+  forceDefaultLoan,
+  restructureLoan,
+  getReports,
+  resolveReport,
+  getMetrics,
+  getAuditLogs,
+  verifyAuditLogs
+};
@@ -1,6 +1,10 @@
 const Loan = require('../models/Loan');
 const User = require('../models/User');
 const loanService = require('../services/loanService');
+const chainSettlementService = require('../services/chainSettlementService');
+const userService = require('../services/userService');
+const creditScoringService = require('../services/creditScoringService');
+const auditLogService = require('../services/auditLogService');
 const { formatSuccessResponse, formatErrorResponse, asyncHandler } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
@@ -11,31 +15,27 @@ const logger = require('../utils/logger');
  */
 const createLoan = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  
-  // Check if user can create loan
-  const user = await User.findById(userId);
-  if (!user.canCreateLoan()) {
-    return res.status(403).json({
-      error: 'Permission denied',
-      message: 'User must be verified and have completed KYC to create loans'
-    });
-  }
+  // Loaded by requireCapability('borrow')
+  const user = req.currentUser;
+
+  const creditScore = await creditScoringService.scoreLoanApplication(user, req.body);
 
   const loanData = {
     ...req.body,
     borrowerId: userId,
-    reputationScore: user.reputationScore || 100
+    reputationScore: user.reputationScore || 100,
+    riskLevel: creditScore.riskLevel,
+    creditScore
   };
 
   const loan = await Loan.create(loanData);
   
-  // Deploy loan on blockchain
+  // Register loan on blockchain
   try {
-    const contractAddress = await loanService.deployLoanContract(loan);
-    await loan.update({ contractAddress });
+    await loanService.createLoanOnBlockchain(loan);
   } catch (error) {
-    logger.error('Failed to deploy loan contract:', error);
-    // Continue without blockchain deployment for now
+    logger.error('Failed to create loan on blockchain:', error);
+    // The loan stays off-chain until it can be registered
   }
 
   logger.info(`Loan created: ${loan.id} by user ${userId}`);
@@ -144,34 +144,43 @@ const fundLoan = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user can fund loan
-  const user = await User.findById(userId);
-  if (!user.canFundLoan()) {
-    return res.status(403).json({
-      error: 'Permission denied',
-      message: 'User must be verified and have a connected wallet to fund loans'
-    });
-  }
+  // Hold what the loan can still take before sending it, so concurrent
+  // requests never send more than the contract accepts
+  const { reservationId, reservedAmount } = await loan.reserveFunding(userId, amount);
 
   // Fund loan on blockchain
+  let chainResult;
   try {
-    await loanService.fundLoanOnBlockchain(loan.id, userId, amount);
+    chainResult = await loanService.fundLoanOnBlockchain(loan, userId, reservedAmount);
   } catch (error) {
     logger.error('Failed to fund loan on blockchain:', error);
+    await loan.releaseFunding(reservationId);
     return res.status(500).json({
       error: 'Blockchain transaction failed',
       message: 'Unable to process funding transaction'
     });
   }
 
-  // Update loan in database
-  await loan.fundLoan(userId, amount);
+  // Record exactly the reserved amount that was sent
+  const { acceptedAmount, refundedAmount } = await loan.confirmFunding(reservationId, {
+    transactionHash: chainResult && chainResult.transactionId
+  });
+
+  if (acceptedAmount > 0) {
+    await userService.updateUserReputation(userId, 'lending', { amount: acceptedAmount, loanId: loan.id });
+  }
 
-  logger.info(`Loan funded: ${loan.id} by user ${userId} with amount ${amount}`);
+  logger.info(`Loan funded: ${loan.id} by user ${userId} with amount ${acceptedAmount}`);
   
   res.json(formatSuccessResponse(
-    loan.getPublicData(),
-    'Loan funded successfully'
+    {
+      ...loan.getPublicData(),
+      acceptedAmount,
+      refundedAmount
+    },
+    refundedAmount > 0
+      ? `Loan funded successfully, ${refundedAmount} refunded`
+      : 'Loan funded successfully'
   ));
 });
 
@@ -207,25 +216,26 @@ const repayLoan = asyncHandler(async (req, res) => {
     });
   }
 
-  // Repay loan on blockchain
-  try {
-    await loanService.repayLoanOnBlockchain(loan.id, userId, amount);
-  } catch (error) {
-    logger.error('Failed to repay loan on blockchain:', error);
-    return res.status(500).json({
-      error: 'Blockchain transaction failed',
-      message: 'Unable to process repayment transaction'
-    });
-  }
+  // Instalments are collected off-chain. The payment that settles the loan
+  // queues its on-chain settlement, which is retried by the
+  // loan-chain-settlement job when the contract call fails.
+  const { repayment, refundedAmount } = await loan.repayLoan(amount, { paymentMethod });
 
-  // Update loan in database
-  await loan.repayLoan(amount);
+  await loanService.notifyLendersOfRepayment(loan, repayment);
+  if (loan.status === 'repaid') {
+    await chainSettlementService.settleLoan(loan);
+    await loanService.recordRepaymentReputation(loan);
+  }
 
-  logger.info(`Loan repaid: ${loan.id} by user ${userId} with amount ${amount}`);
+  logger.info(`Loan repayment: ${loan.id} by user ${userId} with amount ${repayment.amount}`);
   
   res.json(formatSuccessResponse(
-    loan.getPublicData(),
-    'Loan repaid successfully'
+    {
+      ...loan.getPublicData(),
+      repayment,
+      refundedAmount
+    },
+    loan.status === 'repaid' ? 'Loan repaid successfully' : 'Repayment recorded successfully'
   ));
 });
 
@@ -521,10 +531,56 @@ const getLoanRepayments = asyncHandler(async (req, res) => {
   }
 
   res.json(formatSuccessResponse({
-    repayments: loan.repayments
+    repaymentFrequency: loan.repaymentFrequency,
+    schedule: loan.getRepaymentSchedule(),
+    repayments: loan.repayments,
+    outstandingPrincipal: loan.outstandingPrincipal,
+    outstandingInterest: loan.outstandingInterest,
+    totalRepaid: loan.totalRepaid,
+    penalties: {
+      balance: loan.penaltyBalance,
+      accrued: loan.penaltiesAccrued,
+      waived: loan.penaltiesWaived,
+      paid: loan.penaltiesPaid,
+      accruedThrough: loan.penaltyAccruedThrough,
+      ledger: loan.accrualLedger
+    }
   }));
 });
 
+/**
+ * @desc    Waive loan penalties
+ * @route   POST /api/loans/:id/penalties/waive
+ * @access  Private (admin only)
+ */
+const waivePenalty = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { amount, reason } = req.body;
+
+  const loan = await Loan.waivePenalty(id, amount, { reason, waivedBy: req.user.id });
+
+  logger.info(`Penalty waived: ${id} by ${req.user.id} for ${amount}`);
+  await auditLogService.record(
+    { id: req.user.id, role: req.user.role, ipAddress: req.ip || null },
+    'loan.penalty_waiver',
+    { type: 'loan', id },
+    {
+      reason,
+      after: { penaltyBalance: loan.penaltyBalance, penaltiesWaived: loan.penaltiesWaived },
+      metadata: { amount }
+    }
+  );
+
+  res.json(formatSuccessResponse(
+    {
+      penaltyBalance: loan.penaltyBalance,
+      penaltiesWaived: loan.penaltiesWaived,
+      ledger: loan.accrualLedger
+    },
+    'Penalty waived successfully'
+  ));
+});
+
 /**
  * @desc    Add comment to loan
  * @route   POST /api/loans/:id/comment
@@ -613,13 +669,18 @@ const reportLoan = asyncHandler(async (req, res) => {
     userId,
     reason,
     description,
+    status: 'open',
     createdAt: new Date()
   };
 
   // Add report to loan (in a real app, you'd store this separately)
   loan.reports = loan.reports || [];
   loan.reports.push(report);
-  await loan.update({ reports: loan.reports });
+  // Queue the loan for moderation unless a moderator already hid it
+  await loan.update({
+    reports: loan.reports,
+    moderationStatus: loan.moderationStatus === 'hidden' ? 'hidden' : 'reported'
+  });
 
   res.json(formatSuccessResponse(
     null,
@@ -656,6 +717,7 @@ module.exports = {
   incrementViews,
   getLoanLenders,
   getLoanRepayments,
+  waivePenalty,
   addComment,
   getComments,
   reportLoan,
@@ -11,15 +11,6 @@ const logger = require('../utils/logger');
  */
 const createPool = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  
-  // Check if user can create pool
-  const user = await User.findById(userId);
-  if (!user.isVerified) {
-    return res.status(403).json({
-      error: 'Permission denied',
-      message: 'User must be verified to create pools'
-    });
-  }
 
   const poolData = {
     ...req.body,
@@ -28,13 +19,12 @@ const createPool = asyncHandler(async (req, res) => {
 
   const pool = await Pool.create(poolData);
   
-  // Deploy pool on blockchain
+  // Register pool on blockchain
   try {
-    const contractAddress = await poolService.deployPoolContract(pool);
-    await pool.update({ contractAddress });
+    await poolService.createPoolOnBlockchain(pool);
   } catch (error) {
-    logger.error('Failed to deploy pool contract:', error);
-    // Continue without blockchain deployment for now
+    logger.error('Failed to create pool on blockchain:', error);
+    // The pool stays off-chain until it can be registered
   }
 
   logger.info(`Pool created: ${pool.id} by user ${userId}`);
@@ -143,18 +133,9 @@ const contributeToPool = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if user can contribute
-  const user = await User.findById(userId);
-  if (!user.canFundLoan()) {
-    return res.status(403).json({
-      error: 'Permission denied',
-      message: 'User must be verified and have a connected wallet to contribute'
-    });
-  }
-
   // Contribute to pool on blockchain
   try {
-    await poolService.contributeToPoolOnBlockchain(pool.id, userId, amount);
+    await poolService.contributeToPoolOnBlockchain(pool, userId, amount);
   } catch (error) {
     logger.error('Failed to contribute to pool on blockchain:', error);
     return res.status(500).json({
@@ -203,7 +184,7 @@ const withdrawFromPool = asyncHandler(async (req, res) => {
 
   // Withdraw from pool on blockchain
   try {
-    await poolService.withdrawFromPoolOnBlockchain(pool.id, userId, amount);
+    await poolService.withdrawFromPoolOnBlockchain(pool, userId, amount);
   } catch (error) {
     logger.error('Failed to withdraw from pool on blockchain:', error);
     return res.status(500).json({
@@ -325,7 +306,7 @@ const activatePool = asyncHandler(async (req, res) => {
     });
   }
 
-  await pool.update({ isActive: true });
+  await pool.activate();
 
   res.json(formatSuccessResponse(
     pool.getPublicData(),
@@ -357,7 +338,7 @@ const deactivatePool = asyncHandler(async (req, res) => {
     });
   }
 
-  await pool.update({ isActive: false });
+  await pool.deactivate();
 
   res.json(formatSuccessResponse(
     pool.getPublicData(),
@@ -594,8 +575,9 @@ const distributeYield = asyncHandler(async (req, res) => {
   }
 
   // Distribute yield on blockchain
+  let transactionId;
   try {
-    await poolService.distributeYieldOnBlockchain(pool.id, totalYield);
+    ({ transactionId } = await poolService.distributeYieldOnBlockchain(pool, totalYield));
   } catch (error) {
     logger.error('Failed to distribute yield on blockchain:', error);
     return res.status(500).json({
@@ -605,7 +587,7 @@ const distributeYield = asyncHandler(async (req, res) => {
   }
 
   // Update pool in database
-  await pool.distributeYield(totalYield);
+  await pool.distributeYield(totalYield, transactionId);
 
   logger.info(`Yield distributed: ${pool.id} total yield ${totalYield}`);
   
@@ -727,13 +709,18 @@ const reportPool = asyncHandler(async (req, res) => {
     userId,
     reason,
     description,
+    status: 'open',
     createdAt: new Date()
   };
 
   // Add report to pool (in a real app, you'd store this separately)
   pool.reports = pool.reports || [];
   pool.reports.push(report);
-  await pool.update({ reports: pool.reports });
+  // Queue the pool for moderation unless a moderator already hid it
+  await pool.update({
+    reports: pool.reports,
+    moderationStatus: pool.moderationStatus === 'hidden' ? 'hidden' : 'reported'
+  });
 
   res.json(formatSuccessResponse(
     null,
@@ -1,9 +1,26 @@
 const User = require('../models/User');
+const Loan = require('../models/Loan');
 const userService = require('../services/userService');
+const portfolioService = require('../services/portfolioService');
+const walletAuthService = require('../services/walletAuthService');
+const sessionService = require('../services/sessionService');
+const accountTokenService = require('../services/accountTokenService');
+const twoFactorService = require('../services/twoFactorService');
+const loginLockoutService = require('../services/loginLockoutService');
+const kycService = require('../services/kycService');
+const reputationService = require('../services/reputationService');
 const { formatSuccessResponse, formatErrorResponse, asyncHandler } = require('../middleware/errorHandler');
-const { generateToken, generateRefreshToken, hashPassword, comparePassword } = require('../middleware/authMiddleware');
+const { hashPassword, comparePassword } = require('../middleware/authMiddleware');
 const logger = require('../utils/logger');
 
+/**
+ * Device details recorded on a session
+ */
+const getClientInfo = req => ({
+  userAgent: req.get('user-agent') || null,
+  ipAddress: req.ip || null
+});
+
 /**
  * @desc    Register a new user
  * @route   POST /api/users/register
@@ -35,15 +52,14 @@ const register = asyncHandler(async (req, res) => {
     dateOfBirth,
     occupation,
     monthlyIncome,
-    kycStatus: 'pending',
+    kycStatus: 'unverified',
     isVerified: false
   };
 
   const user = await User.create(userData);
 
-  // Generate tokens
-  const token = generateToken({ id: user.id, email: user.email, role: user.role });
-  const refreshToken = generateRefreshToken({ id: user.id });
+  // Start a session and issue its tokens
+  const { token, refreshToken } = await sessionService.createSession(user, getClientInfo(req));
 
   // Send verification email
   try {
@@ -69,24 +85,31 @@ const register = asyncHandler(async (req, res) => {
 const login = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
-  // Find user
-  const user = await User.findByEmail(email);
-  if (!user) {
-    return res.status(401).json({
-      error: 'Invalid credentials',
-      message: 'Email or password is incorrect'
+  // Refuse early while repeated failures have the account locked
+  const lockout = await loginLockoutService.getLockout(email);
+  if (lockout.locked) {
+    res.set('Retry-After', String(lockout.retryAfterSeconds));
+    return res.status(429).json({
+      error: 'Account temporarily locked',
+      message: 'Too many failed login attempts. Please try again later.',
+      retryAfter: lockout.retryAfterSeconds
     });
   }
 
-  // Check password
-  const isPasswordValid = await comparePassword(password, user.password);
+  // Find user. Accounts created by wallet sign-in have no password.
+  const user = await User.findByEmail(email);
+  const isPasswordValid = Boolean(user && user.password) && await comparePassword(password, user.password);
   if (!isPasswordValid) {
+    // Unknown emails count too, so lockouts do not reveal which accounts exist
+    await loginLockoutService.recordFailure(email);
     return res.status(401).json({
       error: 'Invalid credentials',
       message: 'Email or password is incorrect'
     });
   }
 
+  await loginLockoutService.recordSuccess(email);
+
   // Check if account is active
   if (!user.isActive) {
     return res.status(401).json({
@@ -95,12 +118,17 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
+  // Hold the sign-in until the second factor arrives
+  if (user.twoFactorEnabled) {
+    const challenge = await twoFactorService.createLoginChallenge(user.id);
+    return res.json(formatSuccessResponse(challenge, 'Enter your authenticator code to finish signing in'));
+  }
+
   // Update last login
   await user.updateLastLogin();
 
-  // Generate tokens
-  const token = generateToken({ id: user.id, email: user.email, role: user.role });
-  const refreshToken = generateRefreshToken({ id: user.id });
+  // Start a session and issue its tokens
+  const { token, refreshToken } = await sessionService.createSession(user, getClientInfo(req));
 
   logger.info(`User logged in: ${user.id}`);
 
@@ -112,18 +140,130 @@ const login = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Logout user
+ * @desc    Finish a sign-in with a TOTP or recovery code
+ * @route   POST /api/users/login/2fa
+ * @access  Public
+ */
+const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { mfaToken, code } = req.body;
+
+  const userId = await twoFactorService.completeLoginChallenge(mfaToken, code);
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      error: 'Account disabled',
+      message: 'Your account has been disabled. Please contact support.'
+    });
+  }
+
+  // Update last login
+  await user.updateLastLogin();
+
+  // Start a session that has already passed its second factor
+  const { token, refreshToken } = await sessionService.createSession(user, {
+    ...getClientInfo(req),
+    mfaVerifiedAt: new Date()
+  });
+
+  logger.info(`User logged in with two-factor: ${user.id}`);
+
+  res.json(formatSuccessResponse({
+    user: user.toJSON(),
+    token,
+    refreshToken
+  }, 'Login successful'));
+});
+
+/**
+ * @desc    Get a nonce challenge for signing in with a wallet
+ * @route   POST /api/users/wallet/login/challenge
+ * @access  Public
+ */
+const createWalletLoginChallenge = asyncHandler(async (req, res) => {
+  const { walletAddress } = req.body;
+
+  const challenge = await walletAuthService.createChallenge(walletAddress, { purpose: 'sign_in' });
+
+  res.json(formatSuccessResponse(challenge, 'Sign the message with your wallet to sign in'));
+});
+
+/**
+ * @desc    Sign in with a signed wallet challenge, creating an account on
+ *          first sign-in
+ * @route   POST /api/users/wallet/login
+ * @access  Public
+ */
+const walletLogin = asyncHandler(async (req, res) => {
+  // Ownership was proven by verifyWalletSignatureFor('sign_in')
+  const { walletAddress, walletType, evmAddress } = req.wallet;
+
+  let user = await User.findByWalletAddress(evmAddress);
+  const isNewUser = !user;
+
+  if (isNewUser) {
+    user = await User.create({
+      walletAddress: evmAddress,
+      hederaAccountId: walletType === 'hedera' ? walletAddress : null,
+      walletVerifiedAt: new Date(),
+      authProvider: 'wallet',
+      profileCompleted: false,
+      kycStatus: 'unverified',
+      isVerified: false
+    });
+    logger.info(`User registered with wallet: ${user.id}`);
+  }
+
+  // Check if account is active
+  if (!user.isActive) {
+    return res.status(401).json({
+      error: 'Account disabled',
+      message: 'Your account has been disabled. Please contact support.'
+    });
+  }
+
+  // Hold the sign-in until the second factor arrives
+  if (user.twoFactorEnabled) {
+    const challenge = await twoFactorService.createLoginChallenge(user.id);
+    return res.json(formatSuccessResponse(challenge, 'Enter your authenticator code to finish signing in'));
+  }
+
+  // Update last login
+  await user.updateLastLogin();
+
+  // Start a session and issue its tokens
+  const { token, refreshToken } = await sessionService.createSession(user, getClientInfo(req));
+
+  logger.info(`User logged in with wallet: ${user.id}`);
+
+  res.status(isNewUser ? 201 : 200).json(formatSuccessResponse({
+    user: user.toJSON(),
+    token,
+    refreshToken,
+    isNewUser
+  }, 'Login successful'));
+});
+
+/**
+ * @desc    Logout user, revoking the current session
  * @route   POST /api/users/logout
  * @access  Private
  */
 const logout = asyncHandler(async (req, res) => {
-  // In a real implementation, you would invalidate the token
-  // For now, we'll just return success
+  if (req.user.sid) {
+    await sessionService.revokeSession(req.user.sid, 'logout');
+  } else if (req.user.jti) {
+    // Token issued outside a session: denylist just this token
+    await sessionService.denyAccessTokens(
+      [{ jti: req.user.jti, expiresAt: new Date(req.user.exp * 1000) }],
+      { userId: req.user.id, sessionId: null, reason: 'logout' }
+    );
+  }
+
   res.json(formatSuccessResponse(null, 'Logout successful'));
 });
 
 /**
- * @desc    Refresh JWT token
+ * @desc    Refresh JWT token, rotating the refresh token
  * @route   POST /api/users/refresh-token
  * @access  Public
  */
@@ -138,29 +278,128 @@ const refreshToken = asyncHandler(async (req, res) => {
   }
 
   try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    const user = await User.findById(decoded.id);
-
-    if (!user) {
-      return res.status(401).json({
-        error: 'Invalid refresh token',
-        message: 'User not found'
-      });
-    }
-
-    const newToken = generateToken({ id: user.id, email: user.email, role: user.role });
-    const newRefreshToken = generateRefreshToken({ id: user.id });
+    const tokens = await sessionService.rotateRefreshToken(refreshToken, getClientInfo(req));
 
     res.json(formatSuccessResponse({
-      token: newToken,
-      refreshToken: newRefreshToken
+      token: tokens.token,
+      refreshToken: tokens.refreshToken
     }, 'Token refreshed successfully'));
   } catch (error) {
-    res.status(401).json({
+    if (!error.statusCode) {
+      throw error;
+    }
+    res.status(error.statusCode).json({
       error: 'Invalid refresh token',
-      message: 'Refresh token is invalid or expired'
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @desc    List active sessions
+ * @route   GET /api/users/sessions
+ * @access  Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user.id, req.user.sid);
+
+  res.json(formatSuccessResponse(sessions));
+});
+
+/**
+ * @desc    Revoke a session
+ * @route   DELETE /api/users/sessions/:sessionId
+ * @access  Private
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  await sessionService.revokeUserSession(req.user.id, req.params.sessionId);
+
+  res.json(formatSuccessResponse(null, 'Session revoked successfully'));
+});
+
+/**
+ * @desc    Start two-factor enrolment
+ * @route   POST /api/users/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return res.status(404).json({
+      error: 'User not found',
+      message: 'User profile not found'
+    });
+  }
+
+  const enrolment = await twoFactorService.beginEnrolment(user);
+
+  res.json(formatSuccessResponse(enrolment, 'Scan the QR code with your authenticator app'));
+});
+
+/**
+ * @desc    Confirm two-factor enrolment with a code from the app
+ * @route   POST /api/users/2fa/enable
+ * @access  Private
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return res.status(404).json({
+      error: 'User not found',
+      message: 'User profile not found'
+    });
+  }
+
+  const { recoveryCodes } = await twoFactorService.confirmEnrolment(user, req.body.code);
+  if (req.user.sid) {
+    await sessionService.recordSecondFactor(req.user.sid);
+  }
+
+  res.json(formatSuccessResponse({ recoveryCodes }, 'Two-factor authentication enabled. Store your recovery codes safely.'));
+});
+
+/**
+ * @desc    Confirm the second factor for the current session
+ * @route   POST /api/users/2fa/verify
+ * @access  Private
+ */
+const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const { method } = await twoFactorService.verifyCode(req.user.id, req.body.code);
+  if (req.user.sid) {
+    await sessionService.recordSecondFactor(req.user.sid);
+  }
+
+  res.json(formatSuccessResponse({ method }, 'Two-factor code accepted'));
+});
+
+/**
+ * @desc    Disable two-factor authentication
+ * @route   POST /api/users/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return res.status(404).json({
+      error: 'User not found',
+      message: 'User profile not found'
     });
   }
+
+  await twoFactorService.disable(user, req.body.code);
+
+  res.json(formatSuccessResponse(null, 'Two-factor authentication disabled'));
+});
+
+/**
+ * @desc    Replace two-factor recovery codes
+ * @route   POST /api/users/2fa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+
+  res.json(formatSuccessResponse({ recoveryCodes }, 'Recovery codes regenerated'));
 });
 
 /**
@@ -212,6 +451,52 @@ const updateProfile = asyncHandler(async (req, res) => {
   ));
 });
 
+/**
+ * @desc    Complete the profile of an account created by wallet sign-in
+ * @route   POST /api/users/profile/complete
+ * @access  Private
+ */
+const completeProfile = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return res.status(404).json({
+      error: 'User not found',
+      message: 'User profile not found'
+    });
+  }
+
+  if (user.profileCompleted) {
+    return res.status(400).json({
+      error: 'Profile already complete',
+      message: 'Use the profile update endpoint to change your details'
+    });
+  }
+
+  const existingUser = await User.findByEmail(req.body.email);
+  if (existingUser && existingUser.id !== userId) {
+    return res.status(400).json({
+      error: 'User already exists',
+      message: 'An account with this email already exists. Sign in with it and connect your wallet instead.'
+    });
+  }
+
+  await user.update({ ...req.body, profileCompleted: true });
+
+  // Send verification email
+  try {
+    await userService.sendVerificationEmail(user);
+  } catch (error) {
+    logger.error('Failed to send verification email:', error);
+  }
+
+  res.json(formatSuccessResponse(
+    user.toJSON(),
+    'Profile completed successfully'
+  ));
+});
+
 /**
  * @desc    Change user password
  * @route   POST /api/users/change-password
@@ -229,6 +514,14 @@ const changePassword = asyncHandler(async (req, res) => {
     });
   }
 
+  // Wallet-only accounts have no password to check against
+  if (!user.password) {
+    return res.status(400).json({
+      error: 'No password set',
+      message: 'This account has no password, use reset-password to set one'
+    });
+  }
+
   // Verify current password
   const isCurrentPasswordValid = await comparePassword(currentPassword, user.password);
   if (!isCurrentPasswordValid) {
@@ -242,6 +535,11 @@ const changePassword = asyncHandler(async (req, res) => {
   const hashedNewPassword = await hashPassword(newPassword);
   await user.update({ password: hashedNewPassword });
 
+  // Sign out everywhere else, and reset links sent for the old password no
+  // longer apply
+  await sessionService.revokeAllSessions(userId, 'password_changed', { exceptSessionId: req.user.sid });
+  await accountTokenService.invalidate(userId, 'password_reset', 'password_changed');
+
   res.json(formatSuccessResponse(null, 'Password changed successfully'));
 });
 
@@ -259,11 +557,9 @@ const forgotPassword = asyncHandler(async (req, res) => {
     return res.json(formatSuccessResponse(null, 'If the email exists, a reset link has been sent'));
   }
 
-  // Generate reset token
-  const resetToken = generateToken({ id: user.id }, '1h');
-  
-  // Send reset email
+  // Send reset email with a fresh single-use token
   try {
+    const { token: resetToken } = await accountTokenService.issue(user.id, 'password_reset');
     await userService.sendPasswordResetEmail(user, resetToken);
   } catch (error) {
     logger.error('Failed to send password reset email:', error);
@@ -280,27 +576,36 @@ const forgotPassword = asyncHandler(async (req, res) => {
 const resetPassword = asyncHandler(async (req, res) => {
   const { token, newPassword } = req.body;
 
+  let userId;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
-
-    if (!user) {
-      return res.status(400).json({
-        error: 'Invalid token',
-        message: 'Password reset token is invalid'
-      });
+    userId = await accountTokenService.consume(token, 'password_reset');
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
     }
+    return res.status(400).json({
+      error: 'Invalid token',
+      message: error.message
+    });
+  }
 
-    const hashedPassword = await hashPassword(newPassword);
-    await user.update({ password: hashedPassword });
-
-    res.json(formatSuccessResponse(null, 'Password reset successfully'));
-  } catch (error) {
-    res.status(400).json({
+  const user = await User.findById(userId);
+  if (!user) {
+    return res.status(400).json({
       error: 'Invalid token',
-      message: 'Password reset token is invalid or expired'
+      message: 'Password reset token is invalid'
     });
   }
+
+  const hashedPassword = await hashPassword(newPassword);
+  await user.update({ password: hashedPassword });
+
+  // Whoever knew the old password is signed out, and other reset links die
+  await accountTokenService.invalidate(userId, 'password_reset', 'password_changed');
+  await sessionService.revokeAllSessions(userId, 'password_reset');
+
+  logger.info(`🔑 Password reset for user ${userId}`);
+  res.json(formatSuccessResponse(null, 'Password reset successfully'));
 });
 
 /**
@@ -328,19 +633,19 @@ const verifyEmail = asyncHandler(async (req, res) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.id !== userId) {
-      throw new Error('Invalid token');
-    }
-
-    await user.update({ isVerified: true });
-    res.json(formatSuccessResponse(null, 'Email verified successfully'));
+    await accountTokenService.consume(token, 'email_verification', { userId });
   } catch (error) {
-    res.status(400).json({
+    if (!error.statusCode) {
+      throw error;
+    }
+    return res.status(400).json({
       error: 'Invalid token',
-      message: 'Email verification token is invalid or expired'
+      message: error.message
     });
   }
+
+  await user.update({ isVerified: true });
+  res.json(formatSuccessResponse(null, 'Email verified successfully'));
 });
 
 /**
@@ -379,29 +684,17 @@ const resendVerification = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Upload KYC documents
+ * @desc    Submit KYC documents (multipart, one field per document type)
  * @route   POST /api/users/kyc/upload
  * @access  Private
  */
 const uploadKYCDocuments = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-  const { documents } = req.body;
+  const submission = await kycService.submit(req.user.id, req.files);
 
-  const user = await User.findById(userId);
-  if (!user) {
-    return res.status(404).json({
-      error: 'User not found',
-      message: 'User profile not found'
-    });
-  }
-
-  // Update KYC status to pending
-  await user.update({ 
-    kycStatus: 'pending',
-    kycDocuments: documents
-  });
-
-  res.json(formatSuccessResponse(null, 'KYC documents uploaded successfully'));
+  res.status(201).json(formatSuccessResponse(
+    { kycStatus: 'pending', submission },
+    'KYC documents submitted for review'
+  ));
 });
 
 /**
@@ -410,29 +703,35 @@ const uploadKYCDocuments = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const getKYCStatus = asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-
-  const user = await User.findById(userId);
-  if (!user) {
-    return res.status(404).json({
-      error: 'User not found',
-      message: 'User profile not found'
-    });
-  }
+  const status = await kycService.getStatus(req.user.id);
 
   res.json(formatSuccessResponse({
-    kycStatus: user.kycStatus,
-    kycDocuments: user.kycDocuments || []
+    ...status,
+    kycDocuments: status.submission ? status.submission.documents : []
   }));
 });
 
+/**
+ * @desc    Get a nonce challenge for a wallet
+ * @route   POST /api/users/wallet/challenge
+ * @access  Private
+ */
+const createWalletChallenge = asyncHandler(async (req, res) => {
+  const { walletAddress } = req.body;
+
+  const challenge = await walletAuthService.createChallenge(walletAddress, { userId: req.user.id });
+
+  res.json(formatSuccessResponse(challenge, 'Sign the message with your wallet to connect it'));
+});
+
 /**
  * @desc    Connect wallet address
  * @route   POST /api/users/wallet/connect
  * @access  Private
  */
 const connectWallet = asyncHandler(async (req, res) => {
-  const { walletAddress } = req.body;
+  // Ownership was proven by verifyWalletSignature
+  const { walletAddress, walletType, evmAddress } = req.wallet;
   const userId = req.user.id;
 
   const user = await User.findById(userId);
@@ -444,7 +743,7 @@ const connectWallet = asyncHandler(async (req, res) => {
   }
 
   // Check if wallet is already connected to another account
-  const existingUser = await User.findByWalletAddress(walletAddress);
+  const existingUser = await User.findByWalletAddress(evmAddress);
   if (existingUser && existingUser.id !== userId) {
     return res.status(400).json({
       error: 'Wallet already connected',
@@ -452,9 +751,14 @@ const connectWallet = asyncHandler(async (req, res) => {
     });
   }
 
-  await user.update({ walletAddress });
+  // Contracts and events identify wallets by EVM address
+  await user.update({
+    walletAddress: evmAddress,
+    hederaAccountId: walletType === 'hedera' ? walletAddress : null,
+    walletVerifiedAt: new Date()
+  });
 
-  res.json(formatSuccessResponse(null, 'Wallet connected successfully'));
+  res.json(formatSuccessResponse({ walletAddress: evmAddress }, 'Wallet connected successfully'));
 });
 
 /**
@@ -473,7 +777,7 @@ const disconnectWallet = asyncHandler(async (req, res) => {
     });
   }
 
-  await user.update({ walletAddress: null });
+  await user.update({ walletAddress: null, hederaAccountId: null, walletVerifiedAt: null });
 
   res.json(formatSuccessResponse(null, 'Wallet disconnected successfully'));
 });
@@ -494,7 +798,7 @@ const getReputation = asyncHandler(async (req, res) => {
     });
   }
 
-  const reputation = await user.getReputationScore();
+  const reputation = await reputationService.getReputation(userId);
 
   res.json(formatSuccessResponse(reputation));
 });
@@ -506,9 +810,9 @@ const getReputation = asyncHandler(async (req, res) => {
  */
 const getUserLoans = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { page, limit } = req.query;
+  const { limit } = req.query;
 
-  const loans = await user.getLoans();
+  const loans = await Loan.findByBorrower(userId, { limit });
 
   res.json(formatSuccessResponse({
     loans: loans.map(loan => loan.getPublicData()),
@@ -524,14 +828,30 @@ const getUserLoans = asyncHandler(async (req, res) => {
 const getUserLending = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
-  const lendingHistory = await user.getLendingHistory();
+  const lendingHistory = await Loan.findByLender(userId);
 
   res.json(formatSuccessResponse({
-    lendingHistory: lendingHistory.map(loan => loan.getPublicData()),
+    lendingHistory: lendingHistory.map(loan => ({
+      ...loan.getPublicData(),
+      returns: loan.getLenderReturns(userId)
+    })),
     total: lendingHistory.length
   }));
 });
 
+/**
+ * @desc    Get lender portfolio
+ * @route   GET /api/users/portfolio
+ * @access  Private
+ */
+const getLenderPortfolio = asyncHandler(async (req, res) => {
+  const portfolio = await portfolioService.getLenderPortfolio(req.user.id, {
+    interval: req.query.interval
+  });
+
+  res.json(formatSuccessResponse(portfolio));
+});
+
 /**
  * @desc    Get user's transactions
  * @route   GET /api/users/transactions
@@ -543,7 +863,10 @@ const getUserTransactions = asyncHandler(async (req, res) => {
 
   const transactions = await userService.getUserTransactions(userId, { page, limit });
 
-  res.json(formatSuccessResponse(transactions));
+  res.json(formatSuccessResponse({
+    transactions,
+    total: transactions.length
+  }));
 });
 
 /**
@@ -557,7 +880,10 @@ const getNotifications = asyncHandler(async (req, res) => {
 
   const notifications = await userService.getUserNotifications(userId, { page, limit });
 
-  res.json(formatSuccessResponse(notifications));
+  res.json(formatSuccessResponse({
+    notifications,
+    total: notifications.length
+  }));
 });
 
 /**
@@ -736,10 +1062,21 @@ const exportUserData = asyncHandler(async (req, res) => {
 module.exports = {
   register,
   login,
+  loginTwoFactor,
+  createWalletLoginChallenge,
+  walletLogin,
   logout,
   refreshToken,
+  getSessions,
+  revokeSession,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
   getProfile,
   updateProfile,
+  completeProfile,
   changePassword,
   forgotPassword,
   resetPassword,
@@ -747,11 +1084,13 @@ module.exports = {
   resendVerification,
   uploadKYCDocuments,
   getKYCStatus,
+  createWalletChallenge,
   connectWallet,
   disconnectWallet,
   getReputation,
   getUserLoans,
   getUserLending,
+  getLenderPortfolio,
   getUserTransactions,
   getNotifications,
   markNotificationRead,
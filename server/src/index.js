@@ -3,20 +3,24 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const logger = require('./utils/logger');
 const { errorHandler } = require('./middleware/errorHandler');
+const { globalRateLimiter } = require('./middleware/rateLimiter');
 
 // Import routes
 const loanRoutes = require('./routes/loanRoutes');
 const userRoutes = require('./routes/userRoutes');
 const poolRoutes = require('./routes/poolRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Import configurations
-require('./config/firestore');
-require('./config/hedera');
+const { initializeFirestore } = require('./config/firestore');
+const { initializeHedera } = require('./config/hedera');
+const { initializeContractEventListeners, stopContractEventListeners } = require('./config/eventListeners');
+const { getEventListenerStatus } = require('./utils/eventListener');
+const { initializeScheduler, stopScheduler, getSchedulerStatus } = require('./config/scheduler');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -28,13 +32,8 @@ app.use(cors({
   credentials: true
 }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use(limiter);
+// Rate limiting (per-route policies are applied in the routers)
+app.use(globalRateLimiter());
 
 // Compression and logging
 app.use(compression());
@@ -50,7 +49,9 @@ app.get('/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    eventListeners: getEventListenerStatus(),
+    jobs: getSchedulerStatus()
   });
 });
 
@@ -58,6 +59,7 @@ app.get('/health', (req, res) => {
 app.use('/api/loans', loanRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/pools', poolRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -80,22 +82,48 @@ app.use('*', (req, res) => {
 // Global error handler
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`🚀 AfriLend API server running on port ${PORT}`);
-  logger.info(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`🔗 Health check: http://localhost:${PORT}/health`);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
+let server;
+
+/**
+ * Initialize external services and start the HTTP server
+ */
+const startServer = async () => {
+  initializeFirestore();
+  const hederaClient = initializeHedera();
+  await initializeContractEventListeners(hederaClient);
+  initializeScheduler();
+
+  server = app.listen(PORT, () => {
+    logger.info(`🚀 AfriLend API server running on port ${PORT}`);
+    logger.info(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`🔗 Health check: http://localhost:${PORT}/health`);
+  });
+};
+
+/**
+ * Stop event listeners and the HTTP server before exiting
+ */
+const shutdown = (signal) => {
+  logger.info(`${signal} received, shutting down gracefully`);
+  stopContractEventListeners();
+  stopScheduler();
+
+  if (!server) {
+    process.exit(0);
+  }
+  server.close(() => process.exit(0));
+};
+
+// Only listen when run directly; tests import the app
+if (require.main === module) {
+  startServer().catch((error) => {
+    logger.error('❌ Failed to start server:', error);
+    process.exit(1);
+  });
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+  // Graceful shutdown
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
 
 module.exports = app;
@@ -1,5 +1,12 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const walletAuthService = require('../services/walletAuthService');
+const sessionService = require('../services/sessionService');
+const twoFactorService = require('../services/twoFactorService');
+const User = require('../models/User');
+const { getMissingRequirement, REQUIREMENTS } = require('../config/capabilities');
+const { generateNonce } = require('../utils/walletSignature');
+const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../utils/tokens');
 const logger = require('../utils/logger');
 
 /**
@@ -17,6 +24,15 @@ const authMiddleware = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Logged-out and revoked sessions denylist their access tokens
+    if (decoded.jti && await sessionService.isAccessTokenRevoked(decoded.jti)) {
+      return res.status(401).json({
+        error: 'Token revoked',
+        message: 'Please login again'
+      });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
@@ -52,7 +68,9 @@ const optionalAuthMiddleware = async (req, res, next) => {
     
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
+      if (!decoded.jti || !await sessionService.isAccessTokenRevoked(decoded.jti)) {
+        req.user = decoded;
+      }
     }
     
     next();
@@ -86,171 +104,185 @@ const authorize = (...roles) => {
 };
 
 /**
- * Wallet signature verification middleware
+ * Wallet signature verification middleware for a challenge purpose: the body
+ * must carry a challenge nonce signed by the wallet. Sets req.wallet.
  */
-const verifyWalletSignature = async (req, res, next) => {
-  try {
-    const { signature, message, address } = req.body;
-    
-    if (!signature || !message || !address) {
+const verifyWalletSignatureFor = (purpose) => {
+  return async (req, res, next) => {
+    const { walletAddress, nonce, signature, publicKey } = req.body;
+
+    if (!walletAddress || !nonce || !signature) {
       return res.status(400).json({
         error: 'Missing signature data',
-        message: 'Signature, message, and address are required'
+        message: 'Wallet address, challenge nonce and signature are required'
       });
     }
 
-    // Verify wallet signature
-    const isValidSignature = await verifySignature(signature, message, address);
-    
-    if (!isValidSignature) {
+    try {
+      req.wallet = await walletAuthService.verifyChallenge({
+        nonce,
+        walletAddress,
+        signature,
+        publicKey,
+        purpose,
+        userId: req.user ? req.user.id : null
+      });
+      next();
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: 'Invalid signature',
+          message: error.message
+        });
+      }
+
+      logger.error('Wallet signature verification error:', error);
       return res.status(401).json({
-        error: 'Invalid signature',
-        message: 'Wallet signature verification failed'
+        error: 'Signature verification failed',
+        message: 'Unable to verify wallet signature'
       });
     }
-
-    req.walletAddress = address;
-    next();
-  } catch (error) {
-    logger.error('Wallet signature verification error:', error);
-    return res.status(401).json({
-      error: 'Signature verification failed',
-      message: 'Unable to verify wallet signature'
-    });
-  }
+  };
 };
 
 /**
- * Verify wallet signature (simplified implementation)
+ * Wallet signature verification middleware for connecting a wallet
  */
-const verifySignature = async (signature, message, address) => {
-  try {
-    // This is a simplified implementation
-    // In a real scenario, you would use a library like ethers.js or web3.js
-    // to verify the signature against the message and address
-    
-    // For now, we'll just check if the signature is a valid hex string
-    const isValidHex = /^0x[a-fA-F0-9]+$/.test(signature);
-    const isValidAddress = /^0x[a-fA-F0-9]{40}$/.test(address);
-    
-    return isValidHex && isValidAddress;
-  } catch (error) {
-    logger.error('Error verifying signature:', error);
-    return false;
-  }
-};
+const verifyWalletSignature = verifyWalletSignatureFor('connect_wallet');
 
 /**
- * Generate JWT token
+ * Hash password
  */
-const generateToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-  });
+const hashPassword = async (password) => {
+  const saltRounds = 12;
+  return bcrypt.hash(password, saltRounds);
 };
 
 /**
- * Generate refresh token
+ * Compare password
  */
-const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
-  });
+const comparePassword = async (password, hashedPassword) => {
+  return bcrypt.compare(password, hashedPassword);
 };
 
 /**
- * Verify refresh token
+ * Sensitive operation middleware: users with two-factor enabled need a
+ * recent second factor on this session, or a code in the X-2FA-Code header
  */
-const verifyRefreshToken = (token) => {
-  return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+const requireRecentTwoFactor = async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Please login first'
+    });
+  }
+
+  try {
+    const { allowed, message } = await twoFactorService.authorizeSensitiveOperation(req.user, req.header('X-2FA-Code'));
+    if (!allowed) {
+      return res.status(403).json({
+        error: 'Two-factor authentication required',
+        message,
+        twoFactorRequired: true
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
 };
 
 /**
- * Hash password
+ * The signed-in user as stored now, loaded once per request and kept on
+ * req.currentUser. Gates read this rather than token claims, which only carry
+ * id, email and role and go stale as soon as the account changes.
  */
-const hashPassword = async (password) => {
-  const saltRounds = 12;
-  return bcrypt.hash(password, saltRounds);
+const loadCurrentUser = async (req) => {
+  if (req.currentUser === undefined) {
+    req.currentUser = await User.findById(req.user.id);
+  }
+  return req.currentUser;
 };
 
 /**
- * Compare password
+ * Run a check against the current user, answering 401 when nobody is
+ * signed in or the account is gone or suspended. `check` returns the
+ * requirement the user is missing, or null to let the request through.
  */
-const comparePassword = async (password, hashedPassword) => {
-  return bcrypt.compare(password, hashedPassword);
+const gateCurrentUser = (check) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Please login first'
+      });
+    }
+
+    try {
+      const user = await loadCurrentUser(req);
+      if (!user || !user.isActive) {
+        return res.status(401).json({
+          error: user ? 'Account disabled' : 'User not found',
+          message: 'Please login again'
+        });
+      }
+
+      const missing = check(user);
+      if (missing) {
+        return res.status(403).json({
+          error: missing.error,
+          message: missing.message,
+          requirement: missing.name
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
 };
 
 /**
- * Generate random nonce for wallet authentication
+ * Capability middleware (see config/capabilities): the current user must
+ * meet every requirement of, e.g., 'borrow' or 'lend'
  */
-const generateNonce = () => {
-  return Math.random().toString(36).substring(2, 15) + 
-         Math.random().toString(36).substring(2, 15);
+const requireCapability = (capability) => {
+  return gateCurrentUser(user => getMissingRequirement(user, capability));
 };
 
 /**
- * Rate limiting middleware for sensitive operations
+ * Gate on a single requirement of the current user
  */
-const sensitiveOperationRateLimit = (req, res, next) => {
-  // Implement rate limiting for sensitive operations
-  // This could be enhanced with Redis or memory-based rate limiting
-  next();
+const requirementGate = (name) => {
+  const requirement = { name, ...REQUIREMENTS[name] };
+  return gateCurrentUser(user => (requirement.check(user) ? null : requirement));
 };
 
 /**
  * KYC verification middleware
  */
-const requireKYC = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      error: 'Authentication required',
-      message: 'Please login first'
-    });
-  }
-
-  if (req.user.kycStatus !== 'verified') {
-    return res.status(403).json({
-      error: 'KYC verification required',
-      message: 'Please complete KYC verification to access this feature'
-    });
-  }
-
-  next();
-};
+const requireKYC = requirementGate('kyc_verified');
 
 /**
  * Account verification middleware
  */
-const requireAccountVerification = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      error: 'Authentication required',
-      message: 'Please login first'
-    });
-  }
-
-  if (!req.user.isVerified) {
-    return res.status(403).json({
-      error: 'Account verification required',
-      message: 'Please verify your account to access this feature'
-    });
-  }
-
-  next();
-};
+const requireAccountVerification = requirementGate('account_verified');
 
 module.exports = {
   authMiddleware,
   optionalAuthMiddleware,
   authorize,
   verifyWalletSignature,
+  verifyWalletSignatureFor,
   generateToken,
   generateRefreshToken,
   verifyRefreshToken,
   hashPassword,
   comparePassword,
   generateNonce,
-  sensitiveOperationRateLimit,
+  requireRecentTwoFactor,
+  loadCurrentUser,
+  requireCapability,
   requireKYC,
   requireAccountVerification
 };
@@ -0,0 +1,65 @@
+const rateLimit = require('express-rate-limit');
+const { isRateLimitEnabled, getRateLimitStoreType, getRateLimitPolicy } = require('../config/rateLimits');
+const { MemoryRateLimitStore, FirestoreRateLimitStore } = require('../utils/rateLimitStore');
+const logger = require('../utils/logger');
+
+/**
+ * Counter store for a policy, as selected by RATE_LIMIT_STORE
+ */
+const createStore = (policyName) => {
+  const prefix = `${policyName}:`;
+  return getRateLimitStoreType() === 'memory'
+    ? new MemoryRateLimitStore(prefix)
+    : new FirestoreRateLimitStore(prefix);
+};
+
+// One limiter per policy, so routes sharing a policy share its counters
+const limiters = new Map();
+
+/**
+ * Rate limiting middleware for a named policy (see config/rateLimits.js).
+ * User-keyed policies must run after authMiddleware.
+ */
+const rateLimiter = (policyName) => {
+  if (limiters.has(policyName)) {
+    return limiters.get(policyName);
+  }
+  const policy = getRateLimitPolicy(policyName);
+
+  const limiter = rateLimit({
+    windowMs: policy.windowMs,
+    limit: policy.limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    store: createStore(policyName),
+    skip: () => !isRateLimitEnabled(),
+    keyGenerator: req => (policy.key === 'user' && req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+    handler: (req, res) => {
+      logger.warn(`🚦 Rate limit ${policyName} exceeded by ${req.user ? `user ${req.user.id}` : req.ip}`);
+      res.status(429).json({
+        error: 'Too many requests',
+        message: policy.message
+      });
+    }
+  });
+  limiters.set(policyName, limiter);
+  return limiter;
+};
+
+/**
+ * App-wide limits: the `read` policy for GET and HEAD, `default` otherwise
+ */
+const globalRateLimiter = () => {
+  const readLimiter = rateLimiter('read');
+  const writeLimiter = rateLimiter('default');
+
+  return (req, res, next) => {
+    const limiter = ['GET', 'HEAD'].includes(req.method) ? readLimiter : writeLimiter;
+    return limiter(req, res, next);
+  };
+};
+
+module.exports = {
+  rateLimiter,
+  globalRateLimiter
+};
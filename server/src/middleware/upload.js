@@ -0,0 +1,48 @@
+const multer = require('multer');
+const { getKycUploadPolicy } = require('../config/kyc');
+
+/**
+ * Multipart parsing for KYC documents. Files stay in memory until the KYC
+ * service has checked their contents and written them to blob storage.
+ */
+const kycDocumentUpload = () => {
+  const policy = getKycUploadPolicy();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: policy.maxFileSizeBytes,
+      files: policy.documentFields.reduce((total, field) => total + field.maxCount, 0),
+      fields: 10
+    },
+    fileFilter: (req, file, callback) => {
+      if (!policy.allowedContentTypes.includes(file.mimetype)) {
+        const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+        error.message = `Unsupported file type ${file.mimetype}; upload JPEG, PNG or PDF files`;
+        return callback(error);
+      }
+      callback(null, true);
+    }
+  }).fields(policy.documentFields.map(({ name, maxCount }) => ({ name, maxCount })));
+
+  return (req, res, next) => upload(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: 'Invalid upload',
+        message: tooLarge
+          ? `Each file must be at most ${policy.maxFileSizeBytes / (1024 * 1024)} MB`
+          : error.message,
+        field: error.field
+      });
+    }
+    next(error);
+  });
+};
+
+module.exports = {
+  kycDocumentUpload
+};
@@ -1,5 +1,17 @@
-const { getFirestore } = require('../config/firestore');
+const { getFirestore, runTransaction } = require('../config/firestore');
+const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const {
+  buildRepaymentSchedule,
+  getInstalmentStatus,
+  getInstalmentBalance,
+  getOutstanding,
+  applyPayment,
+  roundHbar
+} = require('../utils/repaymentSchedule');
+const { calculateAccruals } = require('../utils/penaltyAccrual');
+const { allocateProRata } = require('../utils/distribution');
+const { getPenaltyPolicy, getFundingReservationPolicy } = require('../config/loanPolicy');
 
 /**
  * Loan model for Firestore operations
@@ -19,6 +31,7 @@ class Loan {
     this.status = data.status || 'pending';
     this.lenders = data.lenders || [];
     this.lenderContributions = data.lenderContributions || {};
+    this.fundingReservations = data.fundingReservations || {};
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
     this.dueDate = data.dueDate;
@@ -26,9 +39,11 @@ class Loan {
     this.repaidAt = data.repaidAt;
     this.defaultedAt = data.defaultedAt;
     this.contractAddress = data.contractAddress;
+    this.onChainLoanId = data.onChainLoanId;
     this.transactionHash = data.transactionHash;
     this.reputationScore = data.reputationScore || 0;
     this.riskLevel = data.riskLevel || 'medium';
+    this.creditScore = data.creditScore;
     this.tags = data.tags || [];
     this.images = data.images || [];
     this.documents = data.documents || [];
@@ -37,6 +52,26 @@ class Loan {
     this.favorites = data.favorites || [];
     this.comments = data.comments || [];
     this.repayments = data.repayments || [];
+    this.repaymentFrequency = data.repaymentFrequency || 'monthly';
+    this.repaymentSchedule = data.repaymentSchedule || [];
+    this.outstandingPrincipal = data.outstandingPrincipal;
+    this.outstandingInterest = data.outstandingInterest;
+    this.totalRepaid = data.totalRepaid || 0;
+    this.delinquencyStatus = data.delinquencyStatus || 'current';
+    this.delinquencyUpdatedAt = data.delinquencyUpdatedAt;
+    this.accrualLedger = data.accrualLedger || [];
+    this.penaltyBalance = data.penaltyBalance || 0;
+    this.penaltiesAccrued = data.penaltiesAccrued || 0;
+    this.penaltiesWaived = data.penaltiesWaived || 0;
+    this.penaltiesPaid = data.penaltiesPaid || 0;
+    this.penaltyAccruedThrough = data.penaltyAccruedThrough;
+    this.lenderReturns = data.lenderReturns || {};
+    this.restructurings = data.restructurings || [];
+    // Settlement of a repaid loan on the contract: pending until it succeeds
+    this.chainSettlement = data.chainSettlement;
+    this.reports = data.reports || [];
+    // clear, reported or hidden by a moderator
+    this.moderationStatus = data.moderationStatus || 'clear';
   }
 
   /**
@@ -128,27 +163,39 @@ class Loan {
     }
   }
 
+  /**
+   * Build the query shared by findActive and countActive
+   */
+  static buildActiveQuery(options = {}) {
+    const db = getFirestore();
+    let query = db.collection('loans')
+      .where('status', '==', 'pending')
+      .where('isActive', '==', true);
+
+    if (options.category) {
+      query = query.where('category', '==', options.category);
+    }
+
+    if (options.minAmount) {
+      query = query.where('amount', '>=', options.minAmount);
+    }
+
+    if (options.maxAmount) {
+      query = query.where('amount', '<=', options.maxAmount);
+    }
+
+    return query;
+  }
+
   /**
    * Find active loans
    */
   static async findActive(options = {}) {
     try {
-      const db = getFirestore();
-      let query = db.collection('loans')
-        .where('status', '==', 'pending')
-        .where('isActive', '==', true)
-        .orderBy('createdAt', 'desc');
-
-      if (options.category) {
-        query = query.where('category', '==', options.category);
-      }
-
-      if (options.minAmount) {
-        query = query.where('amount', '>=', options.minAmount);
-      }
+      let query = Loan.buildActiveQuery(options).orderBy('createdAt', 'desc');
 
-      if (options.maxAmount) {
-        query = query.where('amount', '<=', options.maxAmount);
+      if (options.offset) {
+        query = query.offset(options.offset);
       }
 
       if (options.limit) {
@@ -163,6 +210,19 @@ class Loan {
     }
   }
 
+  /**
+   * Count active loans
+   */
+  static async countActive(options = {}) {
+    try {
+      const loansSnapshot = await Loan.buildActiveQuery(options).get();
+      return loansSnapshot.size;
+    } catch (error) {
+      logger.error('Error counting active loans:', error);
+      throw error;
+    }
+  }
+
   /**
    * Search loans
    */
@@ -244,39 +304,267 @@ class Loan {
   }
 
   /**
-   * Fund loan
+   * Delete loan
    */
-  async fundLoan(lenderId, amount) {
+  async delete() {
     try {
       const db = getFirestore();
-      const loanRef = db.collection('loans').doc(this.id);
-      
-      // Add lender to lenders array if not already present
-      if (!this.lenders.includes(lenderId)) {
-        this.lenders.push(lenderId);
+      await db.collection('loans').doc(this.id).delete();
+
+      logger.info(`✅ Loan deleted: ${this.id}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting loan:', error);
+      throw error;
+    }
+  }
+  /**
+   * Credit a lender's accepted amount to this loan and activate it once fully
+   * funded. Returns the fields to persist.
+   */
+  creditFunding(lenderId, acceptedAmount, now = new Date()) {
+    if (!this.lenders.includes(lenderId)) {
+      this.lenders.push(lenderId);
+    }
+    this.lenderContributions[lenderId] = (this.lenderContributions[lenderId] || 0) + acceptedAmount;
+    this.fundedAmount += acceptedAmount;
+    this.updatedAt = now;
+
+    let scheduleUpdate = {};
+    if (this.isFullyFunded()) {
+      this.status = 'active';
+      this.fundedAt = now;
+      scheduleUpdate = this.activateRepaymentSchedule(now);
+    }
+
+    return {
+      lenders: this.lenders,
+      lenderContributions: this.lenderContributions,
+      fundedAmount: this.fundedAmount,
+      status: this.status,
+      fundedAt: this.fundedAt,
+      ...scheduleUpdate,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Total held by funding reservations that have not expired
+   */
+  getReservedAmount(now = new Date()) {
+    return Object.values(this.fundingReservations)
+      .filter(reservation => new Date(reservation.expiresAt) > now)
+      .reduce((sum, reservation) => sum + reservation.amount, 0);
+  }
+
+  /**
+   * Drop expired funding reservations. Returns how many were dropped.
+   */
+  dropExpiredReservations(now = new Date()) {
+    const expiredIds = Object.keys(this.fundingReservations)
+      .filter(id => new Date(this.fundingReservations[id].expiresAt) <= now);
+    expiredIds.forEach((id) => {
+      delete this.fundingReservations[id];
+    });
+    return expiredIds.length;
+  }
+
+  /**
+   * Apply a lender contribution inside a Firestore transaction. The accepted
+   * amount is capped at the balance neither funded nor held by a live
+   * reservation, and the excess is returned as refundedAmount. A chain
+   * transaction is credited once: replaying its transactionHash returns
+   * duplicate: true and changes nothing.
+   */
+  static async applyFunding(loanId, lenderId, amount, options = {}) {
+    const db = getFirestore();
+    const loanRef = db.collection('loans').doc(loanId);
+    const transactionRef = options.transactionHash
+      ? db.collection('transactions').doc(`loan_funding_${options.transactionHash}`)
+      : db.collection('transactions').doc();
+
+    return runTransaction(async (transaction) => {
+      const loanDoc = await transaction.get(loanRef);
+      if (!loanDoc.exists) {
+        throw new AppError('Loan not found', 404);
       }
 
-      // Update lender contribution
-      this.lenderContributions[lenderId] = (this.lenderContributions[lenderId] || 0) + amount;
-      this.fundedAmount += amount;
+      const loan = new Loan({ id: loanDoc.id, ...loanDoc.data() });
+      if (options.transactionHash && (await transaction.get(transactionRef)).exists) {
+        return { loan, acceptedAmount: 0, refundedAmount: 0, transactionId: transactionRef.id, duplicate: true };
+      }
 
-      // Check if loan is fully funded
-      if (this.fundedAmount >= this.amount) {
-        this.status = 'active';
-        this.fundedAt = new Date();
+      const now = new Date();
+      const remainingAmount = Math.max(0, loan.amount - loan.fundedAmount - loan.getReservedAmount(now));
+      if (loan.status !== 'pending' || remainingAmount === 0) {
+        throw new AppError('Loan is not available for funding', 400);
       }
 
-      await loanRef.update({
-        lenders: this.lenders,
-        lenderContributions: this.lenderContributions,
-        fundedAmount: this.fundedAmount,
-        status: this.status,
-        fundedAt: this.fundedAt,
-        updatedAt: new Date()
+      const acceptedAmount = Math.min(amount, remainingAmount);
+      const refundedAmount = amount - acceptedAmount;
+
+      transaction.update(loanRef, loan.creditFunding(lenderId, acceptedAmount, now));
+      transaction.set(transactionRef, {
+        id: transactionRef.id,
+        userId: lenderId,
+        loanId: loan.id,
+        type: 'loan_funding',
+        amount: acceptedAmount,
+        requestedAmount: amount,
+        refundedAmount,
+        transactionHash: options.transactionHash,
+        createdAt: now
       });
 
-      logger.info(`✅ Loan funded: ${this.id} by ${lenderId}`);
-      return this;
+      return { loan, acceptedAmount, refundedAmount, transactionId: transactionRef.id };
+    });
+  }
+
+  /**
+   * Reserve a lender's contribution, capped at what is neither funded nor
+   * reserved, before it is sent on chain. Concurrent requests then never
+   * send more than the loan can take. The reservation is later confirmed
+   * with the amount actually sent, or released if the transfer failed; one
+   * left behind by a crash stops counting once it expires.
+   */
+  static async reserveFunding(loanId, lenderId, amount, now = new Date(), policy = getFundingReservationPolicy()) {
+    const db = getFirestore();
+    const loanRef = db.collection('loans').doc(loanId);
+    // The funding transaction record reuses the reservation ID
+    const reservationId = db.collection('transactions').doc().id;
+
+    return runTransaction(async (transaction) => {
+      const loanDoc = await transaction.get(loanRef);
+      if (!loanDoc.exists) {
+        throw new AppError('Loan not found', 404);
+      }
+
+      const loan = new Loan({ id: loanDoc.id, ...loanDoc.data() });
+      loan.dropExpiredReservations(now);
+      const availableAmount = Math.max(0, loan.amount - loan.fundedAmount - loan.getReservedAmount(now));
+      if (loan.status !== 'pending' || availableAmount === 0) {
+        throw new AppError('Loan is not available for funding', 400);
+      }
+
+      const reservedAmount = Math.min(amount, availableAmount);
+      loan.fundingReservations[reservationId] = {
+        lenderId,
+        amount: reservedAmount,
+        requestedAmount: amount,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + policy.ttlSeconds * 1000)
+      };
+      transaction.update(loanRef, { fundingReservations: loan.fundingReservations, updatedAt: now });
+
+      return { loan, reservationId, reservedAmount, refundedAmount: amount - reservedAmount };
+    });
+  }
+
+  /**
+   * Turn a reservation into the lender's contribution once its amount has
+   * been sent on chain, recording exactly that amount
+   */
+  static async confirmFunding(loanId, reservationId, options = {}) {
+    const db = getFirestore();
+    const loanRef = db.collection('loans').doc(loanId);
+    const transactionRef = db.collection('transactions').doc(reservationId);
+
+    return runTransaction(async (transaction) => {
+      const loanDoc = await transaction.get(loanRef);
+      if (!loanDoc.exists) {
+        throw new AppError('Loan not found', 404);
+      }
+
+      const loan = new Loan({ id: loanDoc.id, ...loanDoc.data() });
+      const reservation = loan.fundingReservations[reservationId];
+      if (!reservation) {
+        throw new AppError('Funding reservation not found', 404);
+      }
+
+      const { lenderId, amount: acceptedAmount, requestedAmount } = reservation;
+      const refundedAmount = requestedAmount - acceptedAmount;
+      const now = new Date();
+      delete loan.fundingReservations[reservationId];
+
+      transaction.update(loanRef, {
+        ...loan.creditFunding(lenderId, acceptedAmount, now),
+        fundingReservations: loan.fundingReservations
+      });
+      transaction.set(transactionRef, {
+        id: transactionRef.id,
+        userId: lenderId,
+        loanId: loan.id,
+        type: 'loan_funding',
+        amount: acceptedAmount,
+        requestedAmount,
+        refundedAmount,
+        transactionHash: options.transactionHash,
+        createdAt: now
+      });
+
+      return { loan, acceptedAmount, refundedAmount, transactionId: transactionRef.id };
+    });
+  }
+
+  /**
+   * Drop a reservation whose transfer never happened, freeing its amount
+   */
+  static async releaseFunding(loanId, reservationId) {
+    const loanRef = getFirestore().collection('loans').doc(loanId);
+
+    return runTransaction(async (transaction) => {
+      const loanDoc = await transaction.get(loanRef);
+      if (!loanDoc.exists) {
+        throw new AppError('Loan not found', 404);
+      }
+
+      const loan = new Loan({ id: loanDoc.id, ...loanDoc.data() });
+      if (!loan.fundingReservations[reservationId]) {
+        return loan;
+      }
+
+      delete loan.fundingReservations[reservationId];
+      transaction.update(loanRef, { fundingReservations: loan.fundingReservations, updatedAt: new Date() });
+      return loan;
+    });
+  }
+
+  /**
+   * Drop a loan's expired funding reservations. Returns how many were dropped.
+   */
+  static async releaseExpiredReservations(loanId, now = new Date()) {
+    const loanRef = getFirestore().collection('loans').doc(loanId);
+
+    return runTransaction(async (transaction) => {
+      const loanDoc = await transaction.get(loanRef);
+      if (!loanDoc.exists) {
+        return 0;
+      }
+
+      const loan = new Loan({ id: loanDoc.id, ...loanDoc.data() });
+      const released = loan.dropExpiredReservations(now);
+      if (released > 0) {
+        transaction.update(loanRef, { fundingReservations: loan.fundingReservations, updatedAt: now });
+      }
+      return released;
+    });
+  }
+
+  /**
+   * Fund loan
+   */
+  async fundLoan(lenderId, amount, options = {}) {
+    try {
+      const { loan, acceptedAmount, refundedAmount, transactionId } = await Loan.applyFunding(
+        this.id,
+        lenderId,
+        amount,
+        options
+      );
+      Object.assign(this, loan);
+
+      logger.info(`✅ Loan funded: ${this.id} by ${lenderId} (${acceptedAmount} accepted, ${refundedAmount} refunded)`);
+      return { acceptedAmount, refundedAmount, transactionId };
     } catch (error) {
       logger.error('Error funding loan:', error);
       throw error;
@@ -284,29 +572,533 @@ class Loan {
   }
 
   /**
-   * Repay loan
+   * Reserve funding ahead of an on-chain transfer
    */
-  async repayLoan(amount) {
+  async reserveFunding(lenderId, amount, now = new Date()) {
     try {
-      const repaymentAmount = this.calculateRepaymentAmount();
-      
-      if (amount < repaymentAmount) {
-        throw new Error('Insufficient repayment amount');
+      const { loan, reservationId, reservedAmount, refundedAmount } = await Loan.reserveFunding(this.id, lenderId, amount, now);
+      Object.assign(this, loan);
+
+      logger.info(`🔒 Reserved ${reservedAmount} of loan ${this.id} for ${lenderId}`);
+      return { reservationId, reservedAmount, refundedAmount };
+    } catch (error) {
+      logger.error('Error reserving loan funding:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm reserved funding once it is on chain
+   */
+  async confirmFunding(reservationId, options = {}) {
+    try {
+      const { loan, acceptedAmount, refundedAmount, transactionId } = await Loan.confirmFunding(this.id, reservationId, options);
+      Object.assign(this, loan);
+
+      logger.info(`✅ Loan funded: ${this.id} (${acceptedAmount} accepted, ${refundedAmount} refunded)`);
+      return { acceptedAmount, refundedAmount, transactionId };
+    } catch (error) {
+      logger.error('Error confirming loan funding:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release reserved funding after a failed transfer
+   */
+  async releaseFunding(reservationId) {
+    try {
+      Object.assign(this, await Loan.releaseFunding(this.id, reservationId));
+      logger.info(`🔓 Released funding reservation ${reservationId} on loan ${this.id}`);
+    } catch (error) {
+      logger.error('Error releasing loan funding:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate the instalment plan once the loan is active. Returns the fields
+   * to persist.
+   */
+  activateRepaymentSchedule(startDate = new Date()) {
+    this.repaymentSchedule = buildRepaymentSchedule({
+      principal: this.fundedAmount,
+      interestRate: this.interestRate,
+      duration: this.duration,
+      frequency: this.repaymentFrequency,
+      startDate
+    });
+
+    const outstanding = getOutstanding(this.repaymentSchedule);
+    this.outstandingPrincipal = outstanding.principal;
+    this.outstandingInterest = outstanding.interest;
+    this.dueDate = this.repaymentSchedule[this.repaymentSchedule.length - 1].dueDate;
+
+    return {
+      repaymentSchedule: this.repaymentSchedule,
+      outstandingPrincipal: this.outstandingPrincipal,
+      outstandingInterest: this.outstandingInterest,
+      dueDate: this.dueDate
+    };
+  }
+
+  /**
+   * Add penalty interest and late fees owed up to now to the accrual ledger.
+   * Returns the fields to persist.
+   */
+  accruePenaltiesUpTo(now = new Date(), policy = getPenaltyPolicy()) {
+    const { entries, accruedThrough } = calculateAccruals({
+      schedule: this.repaymentSchedule,
+      principal: this.fundedAmount,
+      ledger: this.accrualLedger,
+      accruedThrough: this.penaltyAccruedThrough || this.fundedAt || this.createdAt,
+      now,
+      policy
+    });
+
+    entries.forEach((entry) => {
+      this.addLedgerEntry({ ...entry, createdAt: now });
+      this.penaltiesAccrued = roundHbar(this.penaltiesAccrued + entry.amount);
+      this.penaltyBalance = roundHbar(this.penaltyBalance + entry.amount);
+    });
+    this.penaltyAccruedThrough = accruedThrough;
+
+    return this.getPenaltyFields();
+  }
+
+  /**
+   * Append to the accrual ledger
+   */
+  addLedgerEntry(entry) {
+    this.accrualLedger.push({ id: `${this.id}-${this.accrualLedger.length + 1}`, ...entry });
+  }
+
+  /**
+   * Penalty fields as stored on the loan document
+   */
+  getPenaltyFields() {
+    return {
+      accrualLedger: this.accrualLedger,
+      penaltyBalance: this.penaltyBalance,
+      penaltiesAccrued: this.penaltiesAccrued,
+      penaltiesWaived: this.penaltiesWaived,
+      penaltiesPaid: this.penaltiesPaid,
+      penaltyAccruedThrough: this.penaltyAccruedThrough
+    };
+  }
+
+  /**
+   * Accrue penalties on an active loan inside a Firestore transaction
+   */
+  static async accruePenalties(loanId, now = new Date(), policy = getPenaltyPolicy()) {
+    const db = getFirestore();
+    const loanRef = db.collection('loans').doc(loanId);
+
+    return runTransaction(async (transaction) => {
+      const loanDoc = await transaction.get(loanRef);
+      if (!loanDoc.exists) {
+        throw new AppError('Loan not found', 404);
       }
 
-      await this.update({
-        status: 'repaid',
-        repaidAt: new Date()
+      const loan = new Loan({ id: loanDoc.id, ...loanDoc.data() });
+      if (loan.status !== 'active') {
+        return { loan, entries: [] };
+      }
+
+      const ledgerSize = loan.accrualLedger.length;
+      transaction.update(loanRef, { ...loan.accruePenaltiesUpTo(now, policy), updatedAt: now });
+      return { loan, entries: loan.accrualLedger.slice(ledgerSize) };
+    });
+  }
+
+  /**
+   * Waive part or all of the outstanding penalties
+   */
+  static async waivePenalty(loanId, amount, options = {}) {
+    const db = getFirestore();
+    const loanRef = db.collection('loans').doc(loanId);
+
+    return runTransaction(async (transaction) => {
+      const loanDoc = await transaction.get(loanRef);
+      if (!loanDoc.exists) {
+        throw new AppError('Loan not found', 404);
+      }
+
+      const loan = new Loan({ id: loanDoc.id, ...loanDoc.data() });
+      if (amount > loan.penaltyBalance) {
+        throw new AppError('Waiver exceeds the outstanding penalty balance', 400);
+      }
+
+      const now = new Date();
+      loan.addLedgerEntry({
+        type: 'waiver',
+        amount: -amount,
+        reason: options.reason,
+        waivedBy: options.waivedBy,
+        createdAt: now
       });
+      loan.penaltiesWaived = roundHbar(loan.penaltiesWaived + amount);
+      loan.penaltyBalance = roundHbar(loan.penaltyBalance - amount);
 
-      logger.info(`✅ Loan repaid: ${this.id}`);
-      return this;
+      transaction.update(loanRef, { ...loan.getPenaltyFields(), updatedAt: now });
+      return loan;
+    });
+  }
+
+  /**
+   * Record a (partial) repayment against the instalment plan inside a
+   * Firestore transaction. Anything above the outstanding balance is returned
+   * as refundedAmount.
+   */
+  static async applyRepayment(loanId, amount, options = {}) {
+    const db = getFirestore();
+    const loanRef = db.collection('loans').doc(loanId);
+    const transactionRef = db.collection('transactions').doc();
+
+    return runTransaction(async (transaction) => {
+      const loanDoc = await transaction.get(loanRef);
+      if (!loanDoc.exists) {
+        throw new AppError('Loan not found', 404);
+      }
+
+      const loan = new Loan({ id: loanDoc.id, ...loanDoc.data() });
+      if (loan.status !== 'active') {
+        throw new AppError('Loan is not active and cannot be repaid', 400);
+      }
+
+      const now = new Date();
+      // Loans activated before instalment plans existed get one on first payment
+      const scheduleUpdate = loan.repaymentSchedule.length === 0
+        ? loan.activateRepaymentSchedule(loan.fundedAt || now)
+        : {};
+
+      // Penalties owed up to today are settled before the schedule
+      loan.accruePenaltiesUpTo(now, options.penaltyPolicy);
+      const penalty = Math.min(roundHbar(amount), loan.penaltyBalance);
+      if (penalty > 0) {
+        loan.addLedgerEntry({ type: 'penalty_payment', amount: -penalty, createdAt: now });
+        loan.penaltiesPaid = roundHbar(loan.penaltiesPaid + penalty);
+        loan.penaltyBalance = roundHbar(loan.penaltyBalance - penalty);
+      }
+
+      const payment = applyPayment(loan.repaymentSchedule, roundHbar(amount - penalty), now);
+      const acceptedAmount = roundHbar(penalty + payment.principal + payment.interest);
+      const repayment = {
+        id: transactionRef.id,
+        amount: acceptedAmount,
+        principal: payment.principal,
+        interest: payment.interest,
+        penalty,
+        instalments: payment.allocations,
+        paymentMethod: options.paymentMethod,
+        transactionHash: options.transactionHash,
+        paidAt: now
+      };
+      repayment.distributions = loan.distributeRepayment(repayment);
+
+      const outstanding = getOutstanding(payment.schedule);
+      loan.repaymentSchedule = payment.schedule;
+      loan.repayments.push(repayment);
+      loan.outstandingPrincipal = outstanding.principal;
+      loan.outstandingInterest = outstanding.interest;
+      loan.totalRepaid = roundHbar(loan.totalRepaid + acceptedAmount);
+      loan.updatedAt = now;
+
+      if (outstanding.total <= 0 && loan.penaltyBalance <= 0) {
+        loan.status = 'repaid';
+        loan.repaidAt = now;
+        loan.delinquencyStatus = 'current';
+        // Queued with the payment so a failed contract call is retried,
+        // unless the payment came from the chain in the first place
+        if (options.chainTransactionHash) {
+          loan.chainSettlement = {
+            status: 'settled',
+            amount: loan.calculateRepaymentAmount(),
+            attempts: 0,
+            transactionHash: options.chainTransactionHash,
+            requestedAt: now,
+            settledAt: now
+          };
+        } else if (loan.onChainLoanId !== undefined && loan.onChainLoanId !== null) {
+          loan.chainSettlement = {
+            status: 'pending',
+            amount: loan.calculateRepaymentAmount(),
+            attempts: 0,
+            requestedAt: now
+          };
+        }
+      }
+
+      transaction.update(loanRef, {
+        ...scheduleUpdate,
+        ...loan.getPenaltyFields(),
+        repaymentSchedule: loan.repaymentSchedule,
+        repayments: loan.repayments,
+        outstandingPrincipal: loan.outstandingPrincipal,
+        outstandingInterest: loan.outstandingInterest,
+        totalRepaid: loan.totalRepaid,
+        lenderReturns: loan.lenderReturns,
+        status: loan.status,
+        repaidAt: loan.repaidAt,
+        delinquencyStatus: loan.delinquencyStatus,
+        ...(loan.chainSettlement ? { chainSettlement: loan.chainSettlement } : {}),
+        updatedAt: now
+      });
+      transaction.set(transactionRef, {
+        id: transactionRef.id,
+        userId: loan.borrowerId,
+        loanId: loan.id,
+        type: 'loan_repayment',
+        amount: acceptedAmount,
+        principal: payment.principal,
+        interest: payment.interest,
+        penalty,
+        requestedAmount: amount,
+        refundedAmount: payment.excess,
+        paymentMethod: options.paymentMethod,
+        transactionHash: options.transactionHash,
+        createdAt: now
+      });
+      repayment.distributions.forEach((distribution) => {
+        const distributionRef = db.collection('transactions').doc();
+        transaction.set(distributionRef, {
+          id: distributionRef.id,
+          userId: distribution.lenderId,
+          loanId: loan.id,
+          repaymentId: repayment.id,
+          type: 'loan_repayment_distribution',
+          amount: distribution.amount,
+          principal: distribution.principal,
+          interest: distribution.interest,
+          penalty: distribution.penalty,
+          createdAt: now
+        });
+      });
+
+      return { loan, repayment, acceptedAmount, refundedAmount: payment.excess };
+    });
+  }
+
+  /**
+   * Split a repayment between lenders pro-rata to their contributions and
+   * add it to their realized returns
+   */
+  distributeRepayment({ principal, interest, penalty }) {
+    const principalShares = allocateProRata(principal, this.lenderContributions);
+    const interestShares = allocateProRata(interest, this.lenderContributions);
+    const penaltyShares = allocateProRata(penalty, this.lenderContributions);
+
+    return Object.keys(principalShares).sort().map((lenderId) => {
+      const share = {
+        lenderId,
+        principal: principalShares[lenderId],
+        interest: interestShares[lenderId] || 0,
+        penalty: penaltyShares[lenderId] || 0
+      };
+      share.amount = roundHbar(share.principal + share.interest + share.penalty);
+
+      const returns = this.lenderReturns[lenderId] || { principal: 0, interest: 0, penalty: 0, total: 0 };
+      this.lenderReturns[lenderId] = {
+        principal: roundHbar(returns.principal + share.principal),
+        interest: roundHbar(returns.interest + share.interest),
+        penalty: roundHbar(returns.penalty + share.penalty),
+        total: roundHbar(returns.total + share.amount)
+      };
+      return share;
+    }).filter(share => share.amount > 0);
+  }
+
+  /**
+   * Realized returns for one lender: principal returned and interest and
+   * penalties earned so far
+   */
+  getLenderReturns(lenderId) {
+    const contribution = this.lenderContributions[lenderId] || 0;
+    const returns = this.lenderReturns[lenderId] || { principal: 0, interest: 0, penalty: 0, total: 0 };
+    return {
+      contribution,
+      principalRepaid: returns.principal,
+      interestEarned: returns.interest,
+      penaltiesEarned: returns.penalty,
+      totalReceived: returns.total,
+      realizedReturn: roundHbar(returns.interest + returns.penalty),
+      outstandingPrincipal: roundHbar(contribution - returns.principal)
+    };
+  }
+
+  /**
+   * Repay loan (full or instalment)
+   */
+  async repayLoan(amount, options = {}) {
+    try {
+      const { loan, repayment, acceptedAmount, refundedAmount } = await Loan.applyRepayment(
+        this.id,
+        amount,
+        options
+      );
+      Object.assign(this, loan);
+
+      logger.info(`✅ Loan repayment: ${this.id} (${acceptedAmount} accepted, status ${this.status})`);
+      return { repayment, acceptedAmount, refundedAmount };
     } catch (error) {
       logger.error('Error repaying loan:', error);
       throw error;
     }
   }
 
+  /**
+   * Record an attempt to settle a repaid loan on the contract: settled with
+   * its transaction, or still pending with the error. Returns the loan's
+   * chainSettlement.
+   */
+  static async recordChainSettlement(loanId, outcome, now = new Date()) {
+    const db = getFirestore();
+    const loanRef = db.collection('loans').doc(loanId);
+
+    return runTransaction(async (transaction) => {
+      const loanDoc = await transaction.get(loanRef);
+      if (!loanDoc.exists) {
+        throw new AppError('Loan not found', 404);
+      }
+
+      const current = loanDoc.data().chainSettlement;
+      if (!current || current.status !== 'pending') {
+        throw new AppError('Loan has no pending chain settlement', 400);
+      }
+
+      const chainSettlement = {
+        ...current,
+        attempts: current.attempts + 1,
+        lastAttemptAt: now
+      };
+      if (outcome.error) {
+        chainSettlement.lastError = outcome.error;
+      } else {
+        chainSettlement.status = 'settled';
+        chainSettlement.transactionHash = outcome.transactionHash || null;
+        chainSettlement.settledAt = now;
+      }
+
+      transaction.update(loanRef, { chainSettlement, updatedAt: now });
+      return chainSettlement;
+    });
+  }
+
+  /**
+   * Move an active loan between delinquency states. Returns null when the
+   * loan is no longer active or another run already moved it.
+   */
+  static async transitionDelinquency(loanId, fromStatus, toStatus, now = new Date()) {
+    const db = getFirestore();
+    const loanRef = db.collection('loans').doc(loanId);
+
+    return runTransaction(async (transaction) => {
+      const loanDoc = await transaction.get(loanRef);
+      if (!loanDoc.exists) {
+        return null;
+      }
+
+      const loan = new Loan({ id: loanDoc.id, ...loanDoc.data() });
+      if (loan.status !== 'active' || loan.delinquencyStatus !== fromStatus) {
+        return null;
+      }
+
+      const updates = {
+        delinquencyStatus: toStatus,
+        delinquencyUpdatedAt: now,
+        updatedAt: now
+      };
+      if (toStatus === 'defaulted') {
+        updates.status = 'defaulted';
+        updates.defaultedAt = now;
+      }
+
+      transaction.update(loanRef, updates);
+      return Object.assign(loan, updates);
+    });
+  }
+
+  /**
+   * Replace the open part of an active loan's instalment plan. Paid
+   * instalments are kept (partly paid ones are closed at what was paid) and
+   * the outstanding principal is spread over a new plan starting now, at the
+   * new rate and frequency. Penalties already accrued stay owed.
+   */
+  static async restructure(loanId, terms, options = {}) {
+    const db = getFirestore();
+    const loanRef = db.collection('loans').doc(loanId);
+
+    return runTransaction(async (transaction) => {
+      const loanDoc = await transaction.get(loanRef);
+      if (!loanDoc.exists) {
+        throw new AppError('Loan not found', 404);
+      }
+
+      const loan = new Loan({ id: loanDoc.id, ...loanDoc.data() });
+      if (loan.status !== 'active') {
+        throw new AppError('Only active loans can be restructured', 400);
+      }
+
+      const now = options.now || new Date();
+      const before = getOutstanding(loan.repaymentSchedule);
+      const interestRate = terms.interestRate !== undefined ? terms.interestRate : loan.interestRate;
+      const frequency = terms.repaymentFrequency || loan.repaymentFrequency;
+
+      const settled = loan.repaymentSchedule
+        .filter(instalment => instalment.paidAmount > 0)
+        .map(instalment => (getInstalmentBalance(instalment) <= 0 ? instalment : {
+          ...instalment,
+          principal: instalment.paidPrincipal,
+          interest: instalment.paidInterest,
+          amount: instalment.paidAmount,
+          paidAt: now
+        }));
+      const reissued = buildRepaymentSchedule({
+        principal: before.principal,
+        interestRate,
+        duration: terms.duration,
+        frequency,
+        startDate: now
+      }).map(instalment => ({ ...instalment, number: settled.length + instalment.number }));
+
+      loan.repaymentSchedule = [...settled, ...reissued];
+      const after = getOutstanding(loan.repaymentSchedule);
+      loan.restructurings.push({
+        id: `${loan.id}-r${loan.restructurings.length + 1}`,
+        previous: {
+          interestRate: loan.interestRate,
+          repaymentFrequency: loan.repaymentFrequency,
+          dueDate: loan.dueDate,
+          outstanding: before,
+          delinquencyStatus: loan.delinquencyStatus
+        },
+        terms: { interestRate, repaymentFrequency: frequency, duration: terms.duration },
+        outstanding: after,
+        reason: options.reason,
+        restructuredBy: options.restructuredBy,
+        createdAt: now
+      });
+
+      const updates = {
+        repaymentSchedule: loan.repaymentSchedule,
+        interestRate,
+        repaymentFrequency: frequency,
+        outstandingPrincipal: after.principal,
+        outstandingInterest: after.interest,
+        dueDate: reissued[reissued.length - 1].dueDate,
+        delinquencyStatus: 'current',
+        delinquencyUpdatedAt: now,
+        // Nothing is overdue on the new plan yet
+        penaltyAccruedThrough: now,
+        restructurings: loan.restructurings,
+        updatedAt: now
+      };
+
+      transaction.update(loanRef, updates);
+      return Object.assign(loan, updates);
+    });
+  }
+
   /**
    * Default loan
    */
@@ -331,7 +1123,28 @@ class Loan {
   calculateRepaymentAmount() {
     const principal = this.fundedAmount;
     const interest = (principal * this.interestRate * this.duration) / (365 * 100);
-    return principal + interest;
+    return principal + interest + this.penaltiesAccrued - this.penaltiesWaived;
+  }
+
+  /**
+   * Principal and interest still owed
+   */
+  getOutstandingBalance() {
+    if (this.repaymentSchedule.length === 0) {
+      return this.status === 'repaid' ? 0 : this.calculateRepaymentAmount();
+    }
+    return roundHbar(getOutstanding(this.repaymentSchedule).total + this.penaltyBalance);
+  }
+
+  /**
+   * Instalment plan with paid, due or overdue status per instalment
+   */
+  getRepaymentSchedule(now = new Date()) {
+    return this.repaymentSchedule.map(instalment => ({
+      ...instalment,
+      balance: getInstalmentBalance(instalment),
+      status: getInstalmentStatus(instalment, now)
+    }));
   }
 
   /**
@@ -344,8 +1157,18 @@ class Loan {
   /**
    * Check if loan is overdue
    */
-  isOverdue() {
-    return new Date() > this.dueDate && this.status === 'active';
+  isOverdue(now = new Date()) {
+    return this.status === 'active' && this.getDaysOverdue(now) > 0;
+  }
+
+  /**
+   * Days since the oldest unpaid instalment (or the due date) was missed
+   */
+  getDaysOverdue(now = new Date()) {
+    const missed = this.repaymentSchedule.find(instalment => getInstalmentBalance(instalment) > 0);
+    const dueDate = new Date(missed ? missed.dueDate : this.dueDate);
+    const overdueMs = now - dueDate;
+    return overdueMs > 0 ? Math.ceil(overdueMs / (24 * 60 * 60 * 1000)) : 0;
   }
 
   /**
@@ -428,6 +1251,7 @@ class Loan {
   getPublicData() {
     return {
       id: this.id,
+      borrowerId: this.borrowerId,
       amount: this.amount,
       fundedAmount: this.fundedAmount,
       interestRate: this.interestRate,
@@ -440,6 +1264,17 @@ class Loan {
       dueDate: this.dueDate,
       reputationScore: this.reputationScore,
       riskLevel: this.riskLevel,
+      creditScore: this.creditScore,
+      onChainLoanId: this.onChainLoanId,
+      repaymentFrequency: this.repaymentFrequency,
+      outstandingPrincipal: this.outstandingPrincipal,
+      outstandingInterest: this.outstandingInterest,
+      totalRepaid: this.totalRepaid,
+      delinquencyStatus: this.delinquencyStatus,
+      penaltyBalance: this.penaltyBalance,
+      penaltiesAccrued: this.penaltiesAccrued,
+      penaltiesWaived: this.penaltiesWaived,
+      repaymentAmount: this.calculateRepaymentAmount(),
       tags: this.tags,
       images: this.images,
       views: this.views,
@@ -0,0 +1,581 @@
+const { getFirestore, runTransaction } = require('../config/firestore');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Pool model for Firestore operations
+ */
+class Pool {
+  constructor(data) {
+    this.id = data.id;
+    this.creatorId = data.creatorId;
+    this.name = data.name;
+    this.description = data.description;
+    this.targetAmount = data.targetAmount;
+    this.currentAmount = data.currentAmount || 0;
+    this.interestRate = data.interestRate;
+    this.duration = data.duration; // in days
+    this.category = data.category;
+    this.riskLevel = data.riskLevel || 'medium';
+    this.contributors = data.contributors || [];
+    this.contributorAmounts = data.contributorAmounts || {};
+    this.contributionHistory = data.contributionHistory || [];
+    this.yieldHistory = data.yieldHistory || [];
+    this.totalYieldDistributed = data.totalYieldDistributed || 0;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+    this.maturityDate = data.maturityDate;
+    this.contractAddress = data.contractAddress;
+    this.onChainPoolId = data.onChainPoolId;
+    this.transactionHash = data.transactionHash;
+    this.tags = data.tags || [];
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.views = data.views || 0;
+    this.favorites = data.favorites || [];
+    this.comments = data.comments || [];
+    this.reports = data.reports || [];
+    // clear, reported or hidden by a moderator
+    this.moderationStatus = data.moderationStatus || 'clear';
+  }
+
+  /**
+   * Create a new pool
+   */
+  static async create(poolData) {
+    try {
+      const db = getFirestore();
+      const poolRef = db.collection('pools').doc();
+
+      const pool = new Pool({
+        id: poolRef.id,
+        ...poolData,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        maturityDate: new Date(Date.now() + poolData.duration * 24 * 60 * 60 * 1000)
+      });
+
+      await poolRef.set(pool.toFirestore());
+
+      logger.info(`✅ Pool created: ${pool.id}`);
+      return pool;
+    } catch (error) {
+      logger.error('Error creating pool:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find pool by ID
+   */
+  static async findById(poolId) {
+    try {
+      const db = getFirestore();
+      const poolDoc = await db.collection('pools').doc(poolId).get();
+
+      if (!poolDoc.exists) {
+        return null;
+      }
+
+      return new Pool({ id: poolDoc.id, ...poolDoc.data() });
+    } catch (error) {
+      logger.error('Error finding pool by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the query shared by findActive and countActive
+   */
+  static buildActiveQuery(options = {}) {
+    const db = getFirestore();
+    let query = db.collection('pools').where('isActive', '==', true);
+
+    if (options.category) {
+      query = query.where('category', '==', options.category);
+    }
+
+    if (options.riskLevel) {
+      query = query.where('riskLevel', '==', options.riskLevel);
+    }
+
+    return query;
+  }
+
+  /**
+   * Find active pools
+   */
+  static async findActive(options = {}) {
+    try {
+      const sortBy = options.sortBy === 'views' ? 'views' : 'createdAt';
+      const sortOrder = options.sortOrder === 'asc' ? 'asc' : 'desc';
+
+      let query = Pool.buildActiveQuery(options).orderBy(sortBy, sortOrder);
+
+      // Completion rate is derived, so it is filtered in memory before paging
+      if (!options.minCompletionRate) {
+        if (options.offset) {
+          query = query.offset(options.offset);
+        }
+
+        if (options.limit) {
+          query = query.limit(options.limit);
+        }
+      }
+
+      const poolsSnapshot = await query.get();
+      let pools = poolsSnapshot.docs.map(doc => new Pool({ id: doc.id, ...doc.data() }));
+
+      if (options.minCompletionRate) {
+        pools = pools.filter(pool => pool.getCompletionRate() >= options.minCompletionRate);
+        const start = options.offset || 0;
+        pools = pools.slice(start, options.limit ? start + options.limit : undefined);
+      }
+
+      return pools;
+    } catch (error) {
+      logger.error('Error finding active pools:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count active pools
+   */
+  static async countActive(options = {}) {
+    try {
+      const poolsSnapshot = await Pool.buildActiveQuery(options).get();
+      return poolsSnapshot.size;
+    } catch (error) {
+      logger.error('Error counting active pools:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search pools
+   */
+  static async search(searchOptions) {
+    try {
+      const db = getFirestore();
+      let query = db.collection('pools')
+        .where('isActive', '==', true)
+        .orderBy('createdAt', 'desc');
+
+      if (searchOptions.category) {
+        query = query.where('category', '==', searchOptions.category);
+      }
+
+      if (searchOptions.riskLevel) {
+        query = query.where('riskLevel', '==', searchOptions.riskLevel);
+      }
+
+      if (searchOptions.limit) {
+        query = query.limit(searchOptions.limit);
+      }
+
+      const poolsSnapshot = await query.get();
+      let pools = poolsSnapshot.docs.map(doc => new Pool({ id: doc.id, ...doc.data() }));
+
+      // Amount filters apply to the target amount
+      if (searchOptions.minAmount) {
+        pools = pools.filter(pool => pool.targetAmount >= searchOptions.minAmount);
+      }
+
+      if (searchOptions.maxAmount) {
+        pools = pools.filter(pool => pool.targetAmount <= searchOptions.maxAmount);
+      }
+
+      // Filter by text search if provided
+      if (searchOptions.query) {
+        const searchTerm = searchOptions.query.toLowerCase();
+        pools = pools.filter(pool =>
+          (pool.name || '').toLowerCase().includes(searchTerm) ||
+          (pool.description || '').toLowerCase().includes(searchTerm) ||
+          (pool.category || '').toLowerCase().includes(searchTerm)
+        );
+      }
+
+      return pools;
+    } catch (error) {
+      logger.error('Error searching pools:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find pools created by a user
+   */
+  static async findByCreator(creatorId, options = {}) {
+    try {
+      const db = getFirestore();
+      let query = db.collection('pools')
+        .where('creatorId', '==', creatorId)
+        .orderBy('createdAt', 'desc');
+
+      if (options.offset) {
+        query = query.offset(options.offset);
+      }
+
+      if (options.limit) {
+        query = query.limit(options.limit);
+      }
+
+      const poolsSnapshot = await query.get();
+      return poolsSnapshot.docs.map(doc => new Pool({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      logger.error('Error finding pools by creator:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find pools a user created or contributed to
+   */
+  static async findByUser(userId, options = {}) {
+    try {
+      const db = getFirestore();
+      const [createdSnapshot, contributedSnapshot] = await Promise.all([
+        db.collection('pools').where('creatorId', '==', userId).get(),
+        db.collection('pools').where('contributors', 'array-contains', userId).get()
+      ]);
+
+      const poolsById = new Map();
+      [...createdSnapshot.docs, ...contributedSnapshot.docs].forEach(doc => {
+        poolsById.set(doc.id, new Pool({ id: doc.id, ...doc.data() }));
+      });
+
+      const pools = Array.from(poolsById.values())
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      const start = options.offset || 0;
+      return pools.slice(start, options.limit ? start + options.limit : undefined);
+    } catch (error) {
+      logger.error('Error finding pools by user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update pool
+   */
+  async update(updateData) {
+    try {
+      const db = getFirestore();
+      const poolRef = db.collection('pools').doc(this.id);
+
+      const updatedData = {
+        ...updateData,
+        updatedAt: new Date()
+      };
+
+      await poolRef.update(updatedData);
+
+      // Update local instance
+      Object.assign(this, updatedData);
+
+      logger.info(`✅ Pool updated: ${this.id}`);
+      return this;
+    } catch (error) {
+      logger.error('Error updating pool:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete pool
+   */
+  async delete() {
+    try {
+      const db = getFirestore();
+      await db.collection('pools').doc(this.id).delete();
+
+      logger.info(`✅ Pool deleted: ${this.id}`);
+      return true;
+    } catch (error) {
+      logger.error('Error deleting pool:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a contribution in a transaction, so concurrent contributions each
+   * land on the latest amounts. Returns the updated pool.
+   */
+  static async applyContribution(poolId, userId, amount) {
+    const db = getFirestore();
+    const poolRef = db.collection('pools').doc(poolId);
+    const transactionRef = db.collection('transactions').doc();
+
+    return runTransaction(async (transaction) => {
+      const poolDoc = await transaction.get(poolRef);
+      if (!poolDoc.exists) {
+        throw new AppError('Pool not found', 404);
+      }
+
+      const pool = new Pool({ id: poolDoc.id, ...poolDoc.data() });
+      const now = new Date();
+
+      // Same shape handleLiquidityAddedEvent writes
+      if (!pool.contributors.includes(userId)) {
+        pool.contributors.push(userId);
+      }
+      pool.contributorAmounts[userId] = (pool.contributorAmounts[userId] || 0) + amount;
+      pool.currentAmount += amount;
+      pool.contributionHistory.push({ userId, amount, type: 'contribution', createdAt: now });
+      pool.updatedAt = now;
+
+      transaction.update(poolRef, {
+        contributors: pool.contributors,
+        contributorAmounts: pool.contributorAmounts,
+        currentAmount: pool.currentAmount,
+        contributionHistory: pool.contributionHistory,
+        updatedAt: now
+      });
+      transaction.set(transactionRef, {
+        id: transactionRef.id,
+        userId,
+        poolId,
+        type: 'pool_contribution',
+        amount,
+        createdAt: now
+      });
+
+      return pool;
+    });
+  }
+
+  /**
+   * Take a withdrawal out of a contribution in a transaction. A contributor
+   * whose balance reaches zero is no longer listed. Returns the updated pool.
+   */
+  static async applyWithdrawal(poolId, userId, amount) {
+    const db = getFirestore();
+    const poolRef = db.collection('pools').doc(poolId);
+    const transactionRef = db.collection('transactions').doc();
+
+    return runTransaction(async (transaction) => {
+      const poolDoc = await transaction.get(poolRef);
+      if (!poolDoc.exists) {
+        throw new AppError('Pool not found', 404);
+      }
+
+      const pool = new Pool({ id: poolDoc.id, ...poolDoc.data() });
+      const contribution = pool.getUserContribution(userId);
+      if (amount > contribution) {
+        throw new AppError('Withdrawal amount exceeds contribution', 400);
+      }
+      const now = new Date();
+
+      // Same shape handleLiquidityRemovedEvent writes
+      const remaining = contribution - amount;
+      if (remaining > 0) {
+        pool.contributorAmounts[userId] = remaining;
+      } else {
+        delete pool.contributorAmounts[userId];
+        pool.contributors = pool.contributors.filter(contributorId => contributorId !== userId);
+      }
+      pool.currentAmount = Math.max(0, pool.currentAmount - amount);
+      pool.contributionHistory.push({ userId, amount, type: 'withdrawal', createdAt: now });
+      pool.updatedAt = now;
+
+      transaction.update(poolRef, {
+        contributors: pool.contributors,
+        contributorAmounts: pool.contributorAmounts,
+        currentAmount: pool.currentAmount,
+        contributionHistory: pool.contributionHistory,
+        updatedAt: now
+      });
+      transaction.set(transactionRef, {
+        id: transactionRef.id,
+        userId,
+        poolId,
+        type: 'pool_withdrawal',
+        amount,
+        createdAt: now
+      });
+
+      return pool;
+    });
+  }
+
+  /**
+   * Add contribution
+   */
+  async addContribution(userId, amount) {
+    try {
+      Object.assign(this, await Pool.applyContribution(this.id, userId, amount));
+
+      logger.info(`✅ Pool contribution: ${this.id} by ${userId}`);
+      return this;
+    } catch (error) {
+      logger.error('Error adding pool contribution:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove contribution (withdrawal)
+   */
+  async removeContribution(userId, amount) {
+    try {
+      Object.assign(this, await Pool.applyWithdrawal(this.id, userId, amount));
+
+      logger.info(`✅ Pool withdrawal: ${this.id} by ${userId}`);
+      return this;
+    } catch (error) {
+      logger.error('Error removing pool contribution:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a yield distribution
+   */
+  async distributeYield(totalYield, transactionHash = null) {
+    try {
+      // Same shape handleYieldDistributedEvent writes
+      this.yieldHistory.push({
+        totalYield,
+        distributedAt: new Date(),
+        transactionHash
+      });
+
+      await this.update({
+        yieldHistory: this.yieldHistory,
+        totalYieldDistributed: this.totalYieldDistributed + totalYield
+      });
+
+      logger.info(`✅ Yield distributed: ${this.id}`);
+      return this;
+    } catch (error) {
+      logger.error('Error distributing pool yield:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Activate pool
+   */
+  async activate() {
+    return this.update({ isActive: true });
+  }
+
+  /**
+   * Deactivate pool
+   */
+  async deactivate() {
+    return this.update({ isActive: false });
+  }
+
+  /**
+   * Get a user's current contribution
+   */
+  getUserContribution(userId) {
+    return this.contributorAmounts[userId] || 0;
+  }
+
+  /**
+   * Get completion rate percentage
+   */
+  getCompletionRate() {
+    if (!this.targetAmount) {
+      return 0;
+    }
+    return Math.round((this.currentAmount / this.targetAmount) * 100);
+  }
+
+  /**
+   * Check if pool has reached its target
+   */
+  isFull() {
+    return this.currentAmount >= this.targetAmount;
+  }
+
+  /**
+   * Increment view count
+   */
+  async incrementViews() {
+    try {
+      this.views += 1;
+      await this.update({ views: this.views });
+    } catch (error) {
+      logger.error('Error incrementing views:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add to favorites
+   */
+  async addToFavorites(userId) {
+    try {
+      if (!this.favorites.includes(userId)) {
+        this.favorites.push(userId);
+        await this.update({ favorites: this.favorites });
+      }
+    } catch (error) {
+      logger.error('Error adding to favorites:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove from favorites
+   */
+  async removeFromFavorites(userId) {
+    try {
+      this.favorites = this.favorites.filter(id => id !== userId);
+      await this.update({ favorites: this.favorites });
+    } catch (error) {
+      logger.error('Error removing from favorites:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Convert to Firestore format
+   */
+  toFirestore() {
+    const data = { ...this };
+    delete data.id; // Remove id as it's the document ID
+    return data;
+  }
+
+  /**
+   * Convert to JSON
+   */
+  toJSON() {
+    return { ...this };
+  }
+
+  /**
+   * Get public pool data
+   */
+  getPublicData() {
+    return {
+      id: this.id,
+      creatorId: this.creatorId,
+      name: this.name,
+      description: this.description,
+      targetAmount: this.targetAmount,
+      currentAmount: this.currentAmount,
+      interestRate: this.interestRate,
+      duration: this.duration,
+      category: this.category,
+      riskLevel: this.riskLevel,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      maturityDate: this.maturityDate,
+      contributorsCount: this.contributors.length,
+      totalYieldDistributed: this.totalYieldDistributed,
+      contractAddress: this.contractAddress,
+      onChainPoolId: this.onChainPoolId,
+      tags: this.tags,
+      views: this.views,
+      favorites: this.favorites.length,
+      completionRate: this.getCompletionRate()
+    };
+  }
+}
+
+module.exports = Pool;
@@ -1,4 +1,6 @@
 const { getFirestore } = require('../config/firestore');
+const { hasCapability } = require('../config/capabilities');
+const reputationService = require('../services/reputationService');
 const logger = require('../utils/logger');
 
 /**
@@ -14,10 +16,17 @@ class User {
     this.phoneNumber = data.phoneNumber;
     this.country = data.country;
     this.walletAddress = data.walletAddress;
+    this.hederaAccountId = data.hederaAccountId;
+    this.walletVerifiedAt = data.walletVerifiedAt;
     this.dateOfBirth = data.dateOfBirth;
     this.occupation = data.occupation;
     this.monthlyIncome = data.monthlyIncome;
-    this.kycStatus = data.kycStatus || 'pending';
+    // unverified, pending, more_info_required, verified or rejected (config/kyc.js)
+    this.kycStatus = data.kycStatus || 'unverified';
+    // Documents live in the kycSubmissions collection
+    this.kycSubmissionId = data.kycSubmissionId;
+    // Last reviewer decision and its reason
+    this.kycReview = data.kycReview;
     this.isVerified = data.isVerified || false;
     this.profileImage = data.profileImage;
     this.bio = data.bio;
@@ -26,6 +35,14 @@ class User {
     this.lastLoginAt = data.lastLoginAt;
     this.isActive = data.isActive !== undefined ? data.isActive : true;
     this.role = data.role || 'user';
+    // Set when an operator suspends the account
+    this.suspendedAt = data.suspendedAt;
+    this.suspensionReason = data.suspensionReason;
+    this.authProvider = data.authProvider || 'email';
+    // Accounts created by a first wallet sign-in start without a profile
+    this.profileCompleted = data.profileCompleted !== undefined ? data.profileCompleted : true;
+    // TOTP secrets live in the twoFactor collection, never on the user
+    this.twoFactorEnabled = data.twoFactorEnabled || false;
     this.preferences = data.preferences || {};
     this.notificationSettings = data.notificationSettings || {
       email: true,
@@ -213,20 +230,8 @@ class User {
    */
   async getReputationScore() {
     try {
-      const db = getFirestore();
-      const reputationDoc = await db.collection('reputation').doc(this.id).get();
-      
-      if (!reputationDoc.exists) {
-        return {
-          score: 100,
-          trustLevel: 'New',
-          totalLoans: 0,
-          successfulLoans: 0,
-          defaultedLoans: 0
-        };
-      }
-
-      return reputationDoc.data();
+      const { history, ...reputation } = await reputationService.getReputation(this.id);
+      return reputation;
     } catch (error) {
       logger.error('Error getting user reputation:', error);
       throw error;
@@ -280,18 +285,25 @@ class User {
     };
   }
 
+  /**
+   * Check a capability (borrow, lend, create_pool, moderate)
+   */
+  can(capability) {
+    return hasCapability(this, capability);
+  }
+
   /**
    * Check if user can create loan
    */
   canCreateLoan() {
-    return this.isVerified && this.kycStatus === 'verified';
+    return this.can('borrow');
   }
 
   /**
    * Check if user can fund loan
    */
   canFundLoan() {
-    return this.isVerified && this.walletAddress;
+    return this.can('lend');
   }
 }
 
@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authMiddleware, authorize, requireCapability, requireRecentTwoFactor } = require('../middleware/authMiddleware');
+const { validateSchema, validateQuery, validateParams } = require('../utils/validator');
+const { schemas } = require('../utils/validator');
+
+// Operators only: moderators review content and KYC, admins do everything
+router.use(authMiddleware, requireCapability('moderate'));
+
+const adminOnly = authorize('admin');
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List users by role, KYC status or active flag
+ * @access  Private (admin, moderator)
+ */
+router.get('/users',
+  validateQuery(schemas.adminUserQuery),
+  adminController.listUsers
+);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get a user with their open sessions
+ * @access  Private (admin, moderator)
+ */
+router.get('/users/:id',
+  validateParams(schemas.idParam),
+  adminController.getUser
+);
+
+/**
+ * @route   POST /api/admin/users/:id/suspend
+ * @desc    Suspend a user and revoke their sessions
+ * @access  Private (admin only)
+ */
+router.post('/users/:id/suspend',
+  adminOnly,
+  validateParams(schemas.idParam),
+  validateSchema(schemas.adminReason),
+  adminController.suspendUser
+);
+
+/**
+ * @route   POST /api/admin/users/:id/reactivate
+ * @desc    Lift a suspension
+ * @access  Private (admin only)
+ */
+router.post('/users/:id/reactivate',
+  adminOnly,
+  validateParams(schemas.idParam),
+  validateSchema(schemas.adminReason),
+  adminController.reactivateUser
+);
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (admin only, recent 2FA)
+ */
+router.patch('/users/:id/role',
+  adminOnly,
+  validateParams(schemas.idParam),
+  validateSchema(schemas.roleChange),
+  requireRecentTwoFactor,
+  adminController.setUserRole
+);
+
+/**
+ * @route   GET /api/admin/kyc
+ * @desc    KYC submissions awaiting review
+ * @access  Private (admin, moderator)
+ */
+router.get('/kyc',
+  adminController.getKycQueue
+);
+
+/**
+ * @route   GET /api/admin/kyc/:submissionId
+ * @desc    Get a KYC submission with its document list
+ * @access  Private (admin, moderator)
+ */
+router.get('/kyc/:submissionId',
+  validateParams(schemas.kycSubmissionParams),
+  adminController.getKycSubmission
+);
+
+/**
+ * @route   GET /api/admin/kyc/:submissionId/documents/:documentId
+ * @desc    Download a KYC document
+ * @access  Private (admin, moderator)
+ */
+router.get('/kyc/:submissionId/documents/:documentId',
+  validateParams(schemas.kycDocumentParams),
+  adminController.getKycDocument
+);
+
+/**
+ * @route   POST /api/admin/kyc/:submissionId/review
+ * @desc    Approve, reject or request more information on a KYC submission
+ * @access  Private (admin, moderator)
+ */
+router.post('/kyc/:submissionId/review',
+  validateParams(schemas.kycSubmissionParams),
+  validateSchema(schemas.kycReview),
+  adminController.reviewKyc
+);
+
+/**
+ * @route   POST /api/admin/loans/:id/default
+ * @desc    Force a loan into default
+ * @access  Private (admin only)
+ */
+router.post('/loans/:id/default',
+  adminOnly,
+  validateParams(schemas.idParam),
+  validateSchema(schemas.adminReason),
+  adminController.forceDefaultLoan
+);
+
+/**
+ * @route   POST /api/admin/loans/:id/restructure
+ * @desc    Replace a loan's open instalments with a new plan
+ * @access  Private (admin only)
+ */
+router.post('/loans/:id/restructure',
+  adminOnly,
+  validateParams(schemas.idParam),
+  validateSchema(schemas.loanRestructure),
+  adminController.restructureLoan
+);
+
+/**
+ * @route   GET /api/admin/reports
+ * @desc    Loans and pools with open reports
+ * @access  Private (admin, moderator)
+ */
+router.get('/reports',
+  validateQuery(schemas.reportQuery),
+  adminController.getReports
+);
+
+/**
+ * @route   POST /api/admin/reports/:targetType/:id/resolve
+ * @desc    Dismiss reports or hide the reported loan or pool
+ * @access  Private (admin, moderator)
+ */
+router.post('/reports/:targetType/:id/resolve',
+  validateParams(schemas.reportTargetParams),
+  validateSchema(schemas.reportResolution),
+  adminController.resolveReport
+);
+
+/**
+ * @route   GET /api/admin/metrics
+ * @desc    Platform-wide metrics
+ * @access  Private (admin only)
+ */
+router.get('/metrics',
+  adminOnly,
+  adminController.getMetrics
+);
+
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Audit log entries, newest first
+ * @access  Private (admin only)
+ */
+router.get('/audit-logs',
+  adminOnly,
+  validateQuery(schemas.auditLogQuery),
+  adminController.getAuditLogs
+);
+
+/**
+ * @route   GET /api/admin/audit-logs/verify
+ * @desc    Check the audit log hash chain
+ * @access  Private (admin only)
+ */
+router.get('/audit-logs/verify',
+  adminOnly,
+  adminController.verifyAuditLogs
+);
+
+module.exports = router;
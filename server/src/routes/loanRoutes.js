@@ -1,19 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const loanController = require('../controllers/loanController');
-const { authMiddleware, optionalAuthMiddleware } = require('../middleware/authMiddleware');
+const { authMiddleware, optionalAuthMiddleware, authorize, requireCapability } = require('../middleware/authMiddleware');
 const { validateSchema, validateQuery, validateParams } = require('../utils/validator');
 const { schemas } = require('../utils/validator');
-
-// Apply authentication middleware to all routes
-router.use(authMiddleware);
+const { rateLimiter } = require('../middleware/rateLimiter');
 
 /**
  * @route   POST /api/loans
  * @desc    Create a new loan
- * @access  Private
+ * @access  Private (borrowers: completed profile, verified account and KYC)
  */
-router.post('/', 
+router.post('/',
+  authMiddleware,
+  requireCapability('borrow'),
   validateSchema(schemas.loanCreation),
   loanController.createLoan
 );
@@ -25,7 +25,7 @@ router.post('/',
  */
 router.get('/',
   optionalAuthMiddleware,
-  validateQuery(schemas.pagination),
+  validateQuery(schemas.loanQuery),
   loanController.getAllLoans
 );
 
@@ -39,22 +39,74 @@ router.get('/search',
   loanController.searchLoans
 );
 
+/**
+ * @route   GET /api/loans/trending
+ * @desc    Get trending loans
+ * @access  Public
+ */
+router.get('/trending',
+  validateQuery(schemas.pagination),
+  loanController.getTrendingLoans
+);
+
+/**
+ * @route   GET /api/loans/featured
+ * @desc    Get featured loans
+ * @access  Public
+ */
+router.get('/featured',
+  validateQuery(schemas.pagination),
+  loanController.getFeaturedLoans
+);
+
+/**
+ * @route   GET /api/loans/stats/overview
+ * @desc    Get loan statistics overview
+ * @access  Public
+ */
+router.get('/stats/overview',
+  loanController.getLoanStats
+);
+
+/**
+ * @route   GET /api/loans/user/:userId
+ * @desc    Get loans by user (borrower or lender)
+ * @access  Public
+ */
+router.get('/user/:userId',
+  validateParams(schemas.userIdParam),
+  loanController.getLoansByUser
+);
+
+/**
+ * @route   GET /api/loans/category/:category
+ * @desc    Get loans by category
+ * @access  Public
+ */
+router.get('/category/:category',
+  validateParams(schemas.categoryParam),
+  loanController.getLoansByCategory
+);
+
 /**
  * @route   GET /api/loans/:id
  * @desc    Get loan by ID
  * @access  Public
  */
 router.get('/:id',
-  validateParams(schemas.pagination.pick({ id: schemas.pagination.fields.id })),
+  validateParams(schemas.idParam),
   loanController.getLoanById
 );
 
 /**
  * @route   POST /api/loans/:id/fund
  * @desc    Fund a loan
- * @access  Private
+ * @access  Private (lenders: verified account and connected wallet)
  */
 router.post('/:id/fund',
+  authMiddleware,
+  rateLimiter('money_movement'),
+  requireCapability('lend'),
   validateSchema(schemas.loanFunding),
   loanController.fundLoan
 );
@@ -65,6 +117,8 @@ router.post('/:id/fund',
  * @access  Private (borrower only)
  */
 router.post('/:id/repay',
+  authMiddleware,
+  rateLimiter('money_movement'),
   validateSchema(schemas.loanRepayment),
   loanController.repayLoan
 );
@@ -75,6 +129,7 @@ router.post('/:id/repay',
  * @access  Private
  */
 router.put('/:id',
+  authMiddleware,
   loanController.updateLoan
 );
 
@@ -84,6 +139,7 @@ router.put('/:id',
  * @access  Private
  */
 router.delete('/:id',
+  authMiddleware,
   loanController.cancelLoan
 );
 
@@ -93,6 +149,7 @@ router.delete('/:id',
  * @access  Private
  */
 router.post('/:id/favorite',
+  authMiddleware,
   loanController.addToFavorites
 );
 
@@ -102,49 +159,10 @@ router.post('/:id/favorite',
  * @access  Private
  */
 router.delete('/:id/favorite',
+  authMiddleware,
   loanController.removeFromFavorites
 );
 
-/**
- * @route   GET /api/loans/user/:userId
- * @desc    Get loans by user (borrower or lender)
- * @access  Public
- */
-router.get('/user/:userId',
-  validateParams(schemas.pagination.pick({ userId: schemas.pagination.fields.userId })),
-  loanController.getLoansByUser
-);
-
-/**
- * @route   GET /api/loans/category/:category
- * @desc    Get loans by category
- * @access  Public
- */
-router.get('/category/:category',
-  validateParams(schemas.pagination.pick({ category: schemas.pagination.fields.category })),
-  loanController.getLoansByCategory
-);
-
-/**
- * @route   GET /api/loans/trending
- * @desc    Get trending loans
- * @access  Public
- */
-router.get('/trending',
-  validateQuery(schemas.pagination),
-  loanController.getTrendingLoans
-);
-
-/**
- * @route   GET /api/loans/featured
- * @desc    Get featured loans
- * @access  Public
- */
-router.get('/featured',
-  validateQuery(schemas.pagination),
-  loanController.getFeaturedLoans
-);
-
 /**
  * @route   POST /api/loans/:id/view
  * @desc    Increment loan view count
@@ -169,15 +187,29 @@ router.get('/:id/lenders',
  * @access  Private (borrower and lenders only)
  */
 router.get('/:id/repayments',
+  authMiddleware,
   loanController.getLoanRepayments
 );
 
+/**
+ * @route   POST /api/loans/:id/penalties/waive
+ * @desc    Waive accrued penalties
+ * @access  Private (admin only)
+ */
+router.post('/:id/penalties/waive',
+  authMiddleware,
+  authorize('admin'),
+  validateSchema(schemas.penaltyWaiver),
+  loanController.waivePenalty
+);
+
 /**
  * @route   POST /api/loans/:id/comment
  * @desc    Add comment to loan
  * @access  Private
  */
 router.post('/:id/comment',
+  authMiddleware,
   loanController.addComment
 );
 
@@ -196,16 +228,8 @@ router.get('/:id/comments',
  * @access  Private
  */
 router.post('/:id/report',
+  authMiddleware,
   loanController.reportLoan
 );
 
-/**
- * @route   GET /api/loans/stats/overview
- * @desc    Get loan statistics overview
- * @access  Public
- */
-router.get('/stats/overview',
-  loanController.getLoanStats
-);
-
 module.exports = router;
@@ -1,9 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const poolController = require('../controllers/poolController');
-const { authMiddleware, optionalAuthMiddleware } = require('../middleware/authMiddleware');
+const { authMiddleware, optionalAuthMiddleware, requireCapability, requireRecentTwoFactor } = require('../middleware/authMiddleware');
 const { validateSchema, validateQuery, validateParams } = require('../utils/validator');
 const { schemas } = require('../utils/validator');
+const { rateLimiter } = require('../middleware/rateLimiter');
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
@@ -11,9 +12,10 @@ router.use(authMiddleware);
 /**
  * @route   POST /api/pools
  * @desc    Create a new lending pool
- * @access  Private
+ * @access  Private (completed profile, verified account and KYC)
  */
 router.post('/',
+  requireCapability('create_pool'),
   validateSchema(schemas.poolCreation),
   poolController.createPool
 );
@@ -39,22 +41,75 @@ router.get('/search',
   poolController.searchPools
 );
 
+// Fixed paths are registered before /:id so they are not captured as pool IDs
+
+/**
+ * @route   GET /api/pools/trending
+ * @desc    Get trending pools
+ * @access  Public
+ */
+router.get('/trending',
+  validateQuery(schemas.pagination),
+  poolController.getTrendingPools
+);
+
+/**
+ * @route   GET /api/pools/featured
+ * @desc    Get featured pools
+ * @access  Public
+ */
+router.get('/featured',
+  validateQuery(schemas.pagination),
+  poolController.getFeaturedPools
+);
+
+/**
+ * @route   GET /api/pools/stats/overview
+ * @desc    Get pool statistics overview
+ * @access  Public
+ */
+router.get('/stats/overview',
+  poolController.getPoolStats
+);
+
+/**
+ * @route   GET /api/pools/my-contributions
+ * @desc    Get user's pool contributions
+ * @access  Private
+ */
+router.get('/my-contributions',
+  validateQuery(schemas.pagination),
+  poolController.getMyContributions
+);
+
+/**
+ * @route   GET /api/pools/my-pools
+ * @desc    Get pools created by user
+ * @access  Private
+ */
+router.get('/my-pools',
+  validateQuery(schemas.pagination),
+  poolController.getMyPools
+);
+
 /**
  * @route   GET /api/pools/:id
  * @desc    Get pool by ID
  * @access  Public
  */
 router.get('/:id',
-  validateParams(schemas.pagination.pick({ id: schemas.pagination.fields.id })),
+  validateParams(schemas.idParam),
   poolController.getPoolById
 );
 
 /**
  * @route   POST /api/pools/:id/contribute
  * @desc    Contribute to a pool
- * @access  Private
+ * @access  Private (lenders: verified account and connected wallet)
  */
 router.post('/:id/contribute',
+  rateLimiter('money_movement'),
+  requireCapability('lend'),
   validateSchema(schemas.poolContribution),
   poolController.contributeToPool
 );
@@ -65,6 +120,8 @@ router.post('/:id/contribute',
  * @access  Private
  */
 router.post('/:id/withdraw',
+  rateLimiter('money_movement'),
+  requireRecentTwoFactor,
   poolController.withdrawFromPool
 );
 
@@ -110,7 +167,7 @@ router.post('/:id/deactivate',
  * @access  Public
  */
 router.get('/user/:userId',
-  validateParams(schemas.pagination.pick({ userId: schemas.pagination.fields.userId })),
+  validateParams(schemas.userIdParam),
   poolController.getPoolsByUser
 );
 
@@ -120,30 +177,10 @@ router.get('/user/:userId',
  * @access  Public
  */
 router.get('/category/:category',
-  validateParams(schemas.pagination.pick({ category: schemas.pagination.fields.category })),
+  validateParams(schemas.categoryParam),
   poolController.getPoolsByCategory
 );
 
-/**
- * @route   GET /api/pools/trending
- * @desc    Get trending pools
- * @access  Public
- */
-router.get('/trending',
-  validateQuery(schemas.pagination),
-  poolController.getTrendingPools
-);
-
-/**
- * @route   GET /api/pools/featured
- * @desc    Get featured pools
- * @access  Public
- */
-router.get('/featured',
-  validateQuery(schemas.pagination),
-  poolController.getFeaturedPools
-);
-
 /**
  * @route   POST /api/pools/:id/favorite
  * @desc    Add pool to favorites
@@ -243,33 +280,4 @@ router.get('/:id/analytics',
   poolController.getPoolAnalytics
 );
 
-/**
- * @route   GET /api/pools/stats/overview
- * @desc    Get pool statistics overview
- * @access  Public
- */
-router.get('/stats/overview',
-  poolController.getPoolStats
-);
-
-/**
- * @route   GET /api/pools/my-contributions
- * @desc    Get user's pool contributions
- * @access  Private
- */
-router.get('/my-contributions',
-  validateQuery(schemas.pagination),
-  poolController.getMyContributions
-);
-
-/**
- * @route   GET /api/pools/my-pools
- * @desc    Get pools created by user
- * @access  Private
- */
-router.get('/my-pools',
-  validateQuery(schemas.pagination),
-  poolController.getMyPools
-);
-
 module.exports = router;
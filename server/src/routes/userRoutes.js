@@ -1,7 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { authMiddleware, optionalAuthMiddleware, requireKYC, requireAccountVerification } = require('../middleware/authMiddleware');
+const {
+  authMiddleware,
+  optionalAuthMiddleware,
+  requireRecentTwoFactor,
+  verifyWalletSignature,
+  verifyWalletSignatureFor
+} = require('../middleware/authMiddleware');
+const { kycDocumentUpload } = require('../middleware/upload');
+const { rateLimiter } = require('../middleware/rateLimiter');
 const { validateSchema, validateQuery, validateParams } = require('../utils/validator');
 const { schemas } = require('../utils/validator');
 
@@ -21,10 +29,44 @@ router.post('/register',
  * @access  Public
  */
 router.post('/login',
+  rateLimiter('login'),
   validateSchema(schemas.userLogin),
   userController.login
 );
 
+/**
+ * @route   POST /api/users/login/2fa
+ * @desc    Finish a login with a two-factor code
+ * @access  Public
+ */
+router.post('/login/2fa',
+  rateLimiter('login'),
+  validateSchema(schemas.twoFactorLogin),
+  userController.loginTwoFactor
+);
+
+/**
+ * @route   POST /api/users/wallet/login/challenge
+ * @desc    Get a nonce challenge for signing in with a wallet
+ * @access  Public
+ */
+router.post('/wallet/login/challenge',
+  validateSchema(schemas.walletChallenge),
+  userController.createWalletLoginChallenge
+);
+
+/**
+ * @route   POST /api/users/wallet/login
+ * @desc    Sign in with a signed wallet challenge
+ * @access  Public
+ */
+router.post('/wallet/login',
+  rateLimiter('login'),
+  validateSchema(schemas.walletConnection),
+  verifyWalletSignatureFor('sign_in'),
+  userController.walletLogin
+);
+
 /**
  * @route   POST /api/users/logout
  * @desc    Logout user
@@ -41,9 +83,87 @@ router.post('/logout',
  * @access  Public
  */
 router.post('/refresh-token',
+  rateLimiter('token_refresh'),
   userController.refreshToken
 );
 
+/**
+ * @route   GET /api/users/sessions
+ * @desc    List active sessions
+ * @access  Private
+ */
+router.get('/sessions',
+  authMiddleware,
+  userController.getSessions
+);
+
+/**
+ * @route   DELETE /api/users/sessions/:sessionId
+ * @desc    Revoke a session
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId',
+  authMiddleware,
+  userController.revokeSession
+);
+
+/**
+ * @route   POST /api/users/2fa/setup
+ * @desc    Start two-factor enrolment
+ * @access  Private
+ */
+router.post('/2fa/setup',
+  authMiddleware,
+  userController.setupTwoFactor
+);
+
+/**
+ * @route   POST /api/users/2fa/enable
+ * @desc    Confirm two-factor enrolment
+ * @access  Private
+ */
+router.post('/2fa/enable',
+  authMiddleware,
+  rateLimiter('two_factor'),
+  validateSchema(schemas.twoFactorCode),
+  userController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/users/2fa/verify
+ * @desc    Confirm the second factor for this session
+ * @access  Private
+ */
+router.post('/2fa/verify',
+  authMiddleware,
+  rateLimiter('two_factor'),
+  validateSchema(schemas.twoFactorCode),
+  userController.verifyTwoFactor
+);
+
+/**
+ * @route   POST /api/users/2fa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable',
+  authMiddleware,
+  rateLimiter('two_factor'),
+  validateSchema(schemas.twoFactorCode),
+  userController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/users/2fa/recovery-codes
+ * @desc    Replace two-factor recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes',
+  authMiddleware,
+  requireRecentTwoFactor,
+  userController.regenerateRecoveryCodes
+);
+
 /**
  * @route   GET /api/users/profile
  * @desc    Get user profile
@@ -65,6 +185,17 @@ router.put('/profile',
   userController.updateProfile
 );
 
+/**
+ * @route   POST /api/users/profile/complete
+ * @desc    Complete the profile of a wallet-created account
+ * @access  Private
+ */
+router.post('/profile/complete',
+  authMiddleware,
+  validateSchema(schemas.profileCompletion),
+  userController.completeProfile
+);
+
 /**
  * @route   POST /api/users/change-password
  * @desc    Change user password
@@ -72,6 +203,7 @@ router.put('/profile',
  */
 router.post('/change-password',
   authMiddleware,
+  requireRecentTwoFactor,
   userController.changePassword
 );
 
@@ -81,6 +213,8 @@ router.post('/change-password',
  * @access  Public
  */
 router.post('/forgot-password',
+  rateLimiter('password_reset'),
+  validateSchema(schemas.passwordResetRequest),
   userController.forgotPassword
 );
 
@@ -90,6 +224,8 @@ router.post('/forgot-password',
  * @access  Public
  */
 router.post('/reset-password',
+  rateLimiter('password_reset'),
+  validateSchema(schemas.passwordReset),
   userController.resetPassword
 );
 
@@ -100,6 +236,7 @@ router.post('/reset-password',
  */
 router.post('/verify-email',
   authMiddleware,
+  validateSchema(schemas.emailVerification),
   userController.verifyEmail
 );
 
@@ -115,11 +252,12 @@ router.post('/resend-verification',
 
 /**
  * @route   POST /api/users/kyc/upload
- * @desc    Upload KYC documents
+ * @desc    Submit KYC documents (multipart: identity_document, proof_of_address, selfie)
  * @access  Private
  */
 router.post('/kyc/upload',
   authMiddleware,
+  kycDocumentUpload(),
   userController.uploadKYCDocuments
 );
 
@@ -133,13 +271,27 @@ router.get('/kyc/status',
   userController.getKYCStatus
 );
 
+/**
+ * @route   POST /api/users/wallet/challenge
+ * @desc    Get a nonce challenge for the wallet to sign
+ * @access  Private
+ */
+router.post('/wallet/challenge',
+  authMiddleware,
+  validateSchema(schemas.walletChallenge),
+  userController.createWalletChallenge
+);
+
 /**
  * @route   POST /api/users/wallet/connect
- * @desc    Connect wallet address
+ * @desc    Connect wallet address with a signed challenge
  * @access  Private
  */
 router.post('/wallet/connect',
   authMiddleware,
+  validateSchema(schemas.walletConnection),
+  requireRecentTwoFactor,
+  verifyWalletSignature,
   userController.connectWallet
 );
 
@@ -150,12 +302,13 @@ router.post('/wallet/connect',
  */
 router.delete('/wallet/disconnect',
   authMiddleware,
+  requireRecentTwoFactor,
   userController.disconnectWallet
 );
 
 /**
  * @route   GET /api/users/reputation
- * @desc    Get user reputation score
+ * @desc    Get user reputation score with its event history
  * @access  Private
  */
 router.get('/reputation',
@@ -185,6 +338,17 @@ router.get('/lending',
   userController.getUserLending
 );
 
+/**
+ * @route   GET /api/users/portfolio
+ * @desc    Get lender portfolio: returns, exposure and IRR
+ * @access  Private
+ */
+router.get('/portfolio',
+  authMiddleware,
+  validateQuery(schemas.portfolioQuery),
+  userController.getLenderPortfolio
+);
+
 /**
  * @route   GET /api/users/transactions
  * @desc    Get user's transaction history
@@ -233,7 +397,7 @@ router.put('/notifications/settings',
  * @access  Public
  */
 router.get('/:id/public',
-  validateParams(schemas.pagination.pick({ id: schemas.pagination.fields.id })),
+  validateParams(schemas.idParam),
   userController.getPublicProfile
 );
 
@@ -243,7 +407,7 @@ router.get('/:id/public',
  * @access  Public
  */
 router.get('/:id/reputation',
-  validateParams(schemas.pagination.pick({ id: schemas.pagination.fields.id })),
+  validateParams(schemas.idParam),
   userController.getPublicReputation
 );
 
@@ -273,7 +437,7 @@ router.delete('/:id/follow',
  * @access  Public
  */
 router.get('/:id/followers',
-  validateParams(schemas.pagination.pick({ id: schemas.pagination.fields.id })),
+  validateParams(schemas.idParam),
   validateQuery(schemas.pagination),
   userController.getFollowers
 );
@@ -284,7 +448,7 @@ router.get('/:id/followers',
  * @access  Public
  */
 router.get('/:id/following',
-  validateParams(schemas.pagination.pick({ id: schemas.pagination.fields.id })),
+  validateParams(schemas.idParam),
   validateQuery(schemas.pagination),
   userController.getFollowing
 );
@@ -296,6 +460,7 @@ router.get('/:id/following',
  */
 router.delete('/account',
   authMiddleware,
+  requireRecentTwoFactor,
   userController.deleteAccount
 );
 
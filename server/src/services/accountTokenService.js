@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { getCollections, runTransaction } = require('../config/firestore');
+const { getAccountTokenPolicy } = require('../config/accountTokens');
+const { AppError } = require('../middleware/errorHandler');
+const { hashToken } = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+/**
+ * Account token service: expiring, single-use tokens sent by email to verify
+ * an address or reset a password. Only the SHA-256 of a token is stored, as
+ * the document ID, next to its purpose, expiry and usedAt.
+ */
+class AccountTokenService {
+  /**
+   * Issue a token for a purpose. Earlier tokens for the same purpose stop
+   * working, so only the most recent link is live.
+   */
+  async issue(userId, purpose, now = new Date()) {
+    const policy = getAccountTokenPolicy()[purpose];
+    if (!policy) {
+      throw new Error(`Unknown account token purpose: ${purpose}`);
+    }
+
+    try {
+      await this.invalidate(userId, purpose, 'superseded', now);
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(now.getTime() + policy.ttlSeconds * 1000);
+
+      const { accountTokens } = getCollections();
+      await accountTokens.doc(hashToken(token)).set({
+        userId,
+        purpose,
+        createdAt: now,
+        expiresAt,
+        usedAt: null,
+        invalidatedAt: null,
+        invalidatedReason: null
+      });
+
+      logger.info(`✉️ Issued ${purpose} token for user ${userId}`);
+      return { token, expiresAt };
+    } catch (error) {
+      logger.error(`Failed to issue ${purpose} token:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Spend a token and return its user ID. Unknown, expired, used or
+   * invalidated tokens, and tokens for another purpose or (when `userId` is
+   * given) another user, are rejected without being spent.
+   */
+  async consume(token, purpose, { userId = null, now = new Date() } = {}) {
+    const { accountTokens } = getCollections();
+    const tokenRef = accountTokens.doc(hashToken(String(token)));
+
+    return runTransaction(async (transaction) => {
+      const tokenDoc = await transaction.get(tokenRef);
+      const data = tokenDoc.exists ? tokenDoc.data() : null;
+      if (!data || data.purpose !== purpose || (userId && data.userId !== userId)) {
+        throw new AppError('Token is invalid or expired', 400);
+      }
+      if (data.usedAt) {
+        throw new AppError('Token has already been used', 400);
+      }
+      if (data.invalidatedAt || new Date(data.expiresAt) <= now) {
+        throw new AppError('Token is invalid or expired', 400);
+      }
+
+      transaction.update(tokenRef, { usedAt: now });
+      return data.userId;
+    });
+  }
+
+  /**
+   * Invalidate a user's outstanding tokens for a purpose. Returns how many
+   * were still live.
+   */
+  async invalidate(userId, purpose, reason, now = new Date()) {
+    const { accountTokens } = getCollections();
+    const snapshot = await accountTokens
+      .where('userId', '==', userId)
+      .where('purpose', '==', purpose)
+      .get();
+
+    const outstanding = snapshot.docs.filter((doc) => {
+      const data = doc.data();
+      return !data.usedAt && !data.invalidatedAt && new Date(data.expiresAt) > now;
+    });
+    await Promise.all(outstanding.map(doc => doc.ref.update({ invalidatedAt: now, invalidatedReason: reason })));
+
+    if (outstanding.length > 0) {
+      logger.info(`🚫 Invalidated ${outstanding.length} ${purpose} token(s) for user ${userId}: ${reason}`);
+    }
+    return outstanding.length;
+  }
+}
+
+module.exports = new AccountTokenService();
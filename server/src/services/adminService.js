@@ -0,0 +1,323 @@
+const { getCollections } = require('../config/firestore');
+const { getDelinquencyPolicy } = require('../config/loanPolicy');
+const { AppError } = require('../middleware/errorHandler');
+const User = require('../models/User');
+const Loan = require('../models/Loan');
+const Pool = require('../models/Pool');
+const auditLogService = require('./auditLogService');
+const sessionService = require('./sessionService');
+const delinquencyService = require('./delinquencyService');
+const userService = require('./userService');
+const { roundHbar } = require('../utils/repaymentSchedule');
+const logger = require('../utils/logger');
+
+const REPORT_TARGETS = {
+  loan: { Model: Loan, collection: 'loans', title: loan => loan.purpose, ownerId: loan => loan.borrowerId },
+  pool: { Model: Pool, collection: 'pools', title: pool => pool.name, ownerId: pool => pool.creatorId }
+};
+
+/**
+ * Reports nobody has resolved yet (older reports carry no status)
+ */
+const getOpenReports = target => target.reports.filter(report => (report.status || 'open') === 'open');
+
+/**
+ * Admin service: operator actions on users, loans and reported content.
+ * Every change is written to the audit log; `actor` is { id, role, ipAddress }.
+ */
+class AdminService {
+  /**
+   * Users filtered by role, KYC status or active flag, newest first
+   */
+  async listUsers(filters = {}) {
+    const { users } = getCollections();
+    let query = users;
+    ['role', 'kycStatus', 'isActive'].forEach((field) => {
+      if (filters[field] !== undefined) {
+        query = query.where(field, '==', filters[field]);
+      }
+    });
+
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(filters.limit || 50).get();
+    return snapshot.docs.map(doc => new User({ id: doc.id, ...doc.data() }).toJSON());
+  }
+
+  /**
+   * One user with their open sessions
+   */
+  async getUser(userId) {
+    const user = await this.findUser(userId);
+    const sessions = await sessionService.listSessions(userId);
+    return { ...user.toJSON(), sessions };
+  }
+
+  /**
+   * Suspend an account and sign it out everywhere
+   */
+  async suspendUser(actor, userId, reason) {
+    if (actor.id === userId) {
+      throw new AppError('You cannot suspend your own account', 400);
+    }
+    const user = await this.findUser(userId);
+    if (!user.isActive) {
+      throw new AppError('User is already suspended', 400);
+    }
+
+    await user.update({ isActive: false, suspendedAt: new Date(), suspensionReason: reason });
+    const sessionsRevoked = await sessionService.revokeAllSessions(userId, 'account_suspended');
+
+    logger.warn(`⛔ User ${userId} suspended by ${actor.id}`);
+    await auditLogService.record(actor, 'user.suspend', { type: 'user', id: userId }, {
+      reason,
+      before: { isActive: true },
+      after: { isActive: false },
+      metadata: { sessionsRevoked }
+    });
+    return user;
+  }
+
+  /**
+   * Lift a suspension
+   */
+  async reactivateUser(actor, userId, reason) {
+    const user = await this.findUser(userId);
+    if (user.isActive) {
+      throw new AppError('User is not suspended', 400);
+    }
+
+    const before = { isActive: false, suspendedAt: user.suspendedAt, suspensionReason: user.suspensionReason };
+    await user.update({ isActive: true, suspendedAt: null, suspensionReason: null });
+
+    logger.info(`✅ User ${userId} reactivated by ${actor.id}`);
+    await auditLogService.record(actor, 'user.reactivate', { type: 'user', id: userId }, {
+      reason,
+      before,
+      after: { isActive: true }
+    });
+    return user;
+  }
+
+  /**
+   * Change a user's role. Their sessions are revoked so the next sign-in
+   * carries the new role claim.
+   */
+  async setUserRole(actor, userId, role, reason) {
+    if (actor.id === userId) {
+      throw new AppError('You cannot change your own role', 400);
+    }
+    const user = await this.findUser(userId);
+    if (user.role === role) {
+      throw new AppError(`User already has the ${role} role`, 400);
+    }
+
+    const previousRole = user.role;
+    await user.update({ role });
+    const sessionsRevoked = await sessionService.revokeAllSessions(userId, 'role_changed');
+
+    logger.info(`🛡️ User ${userId} role changed from ${previousRole} to ${role} by ${actor.id}`);
+    await auditLogService.record(actor, 'user.role_change', { type: 'user', id: userId }, {
+      reason,
+      before: { role: previousRole },
+      after: { role },
+      metadata: { sessionsRevoked }
+    });
+    return user;
+  }
+
+  /**
+   * Default an active loan now, with the usual notifications and reputation
+   * penalty
+   */
+  async forceDefaultLoan(actor, loanId, reason, now = new Date()) {
+    const loan = await Loan.findById(loanId);
+    if (!loan) {
+      throw new AppError('Loan not found', 404);
+    }
+    if (loan.status !== 'active') {
+      throw new AppError('Only active loans can be defaulted', 400);
+    }
+
+    const defaulted = await Loan.transitionDelinquency(loanId, loan.delinquencyStatus, 'defaulted', now);
+    if (!defaulted) {
+      throw new AppError('Loan changed while being defaulted, please retry', 409);
+    }
+    await delinquencyService.handleTransition(defaulted, loan.getDaysOverdue(now), getDelinquencyPolicy());
+
+    logger.warn(`❌ Loan ${loanId} force-defaulted by ${actor.id}`);
+    await auditLogService.record(actor, 'loan.force_default', { type: 'loan', id: loanId }, {
+      reason,
+      before: { status: loan.status, delinquencyStatus: loan.delinquencyStatus },
+      after: { status: 'defaulted', delinquencyStatus: 'defaulted' }
+    });
+    return defaulted;
+  }
+
+  /**
+   * New instalment plan for an active loan (see Loan.restructure)
+   */
+  async restructureLoan(actor, loanId, terms, reason) {
+    const loan = await Loan.restructure(loanId, terms, { reason, restructuredBy: actor.id });
+    const restructuring = loan.restructurings[loan.restructurings.length - 1];
+
+    await userService.createNotification(
+      loan.borrowerId,
+      'loan_restructured',
+      'Loan restructured',
+      `Your loan "${loan.purpose}" has a new repayment plan ending ${new Date(loan.dueDate).toDateString()}.`,
+      { loanId }
+    );
+
+    logger.info(`🔁 Loan ${loanId} restructured by ${actor.id}`);
+    await auditLogService.record(actor, 'loan.restructure', { type: 'loan', id: loanId }, {
+      reason,
+      before: restructuring.previous,
+      after: { ...restructuring.terms, dueDate: loan.dueDate, outstanding: restructuring.outstanding }
+    });
+    return loan;
+  }
+
+  /**
+   * Loans and pools with open reports
+   */
+  async listReports(targetType) {
+    const types = targetType ? [targetType] : Object.keys(REPORT_TARGETS);
+
+    const queues = await Promise.all(types.map(async (type) => {
+      const { Model, collection, title, ownerId } = REPORT_TARGETS[type];
+      const snapshot = await getCollections()[collection].where('moderationStatus', '==', 'reported').get();
+
+      return snapshot.docs.map((doc) => {
+        const target = new Model({ id: doc.id, ...doc.data() });
+        return {
+          targetType: type,
+          id: target.id,
+          title: title(target),
+          ownerId: ownerId(target),
+          isActive: target.isActive,
+          reports: getOpenReports(target)
+        };
+      });
+    }));
+    return queues.flat();
+  }
+
+  /**
+   * Close the open reports on a loan or pool, either dismissing them or
+   * hiding the target from listings
+   */
+  async resolveReport(actor, targetType, targetId, action, reason) {
+    const { Model } = REPORT_TARGETS[targetType];
+    const target = await Model.findById(targetId);
+    if (!target) {
+      throw new AppError(`${targetType === 'loan' ? 'Loan' : 'Pool'} not found`, 404);
+    }
+
+    const openReports = getOpenReports(target);
+    if (openReports.length === 0) {
+      throw new AppError('No open reports to resolve', 400);
+    }
+
+    const resolvedAt = new Date();
+    const reports = target.reports.map(report => ((report.status || 'open') === 'open'
+      ? { ...report, status: action === 'hide' ? 'actioned' : 'dismissed', resolvedBy: actor.id, resolvedAt }
+      : report));
+    const before = { moderationStatus: target.moderationStatus, isActive: target.isActive };
+    const updates = action === 'hide'
+      ? { reports, moderationStatus: 'hidden', isActive: false }
+      : { reports, moderationStatus: 'clear' };
+    await target.update(updates);
+
+    await auditLogService.record(actor, `report.${action}`, { type: targetType, id: targetId }, {
+      reason,
+      before,
+      after: { moderationStatus: updates.moderationStatus, isActive: target.isActive },
+      metadata: { reportIds: openReports.map(report => report.id) }
+    });
+    return target;
+  }
+
+  /**
+   * Platform-wide totals for users, loans, pools and moderation
+   */
+  async getPlatformMetrics() {
+    const { users, loans, pools } = getCollections();
+    const [userSnapshot, loanSnapshot, poolSnapshot] = await Promise.all([users.get(), loans.get(), pools.get()]);
+
+    const count = (values, key) => ({ ...values, [key]: (values[key] || 0) + 1 });
+
+    const userMetrics = userSnapshot.docs.reduce((metrics, doc) => {
+      const user = new User({ id: doc.id, ...doc.data() });
+      return {
+        total: metrics.total + 1,
+        active: metrics.active + (user.isActive ? 1 : 0),
+        suspended: metrics.suspended + (user.isActive ? 0 : 1),
+        byRole: count(metrics.byRole, user.role),
+        byKycStatus: count(metrics.byKycStatus, user.kycStatus)
+      };
+    }, { total: 0, active: 0, suspended: 0, byRole: {}, byKycStatus: {} });
+
+    let openReports = 0;
+    const loanMetrics = loanSnapshot.docs.reduce((metrics, doc) => {
+      const loan = new Loan({ id: doc.id, ...doc.data() });
+      openReports += getOpenReports(loan).length;
+      const isActive = loan.status === 'active';
+      return {
+        total: metrics.total + 1,
+        byStatus: count(metrics.byStatus, loan.status),
+        byDelinquencyStatus: isActive ? count(metrics.byDelinquencyStatus, loan.delinquencyStatus) : metrics.byDelinquencyStatus,
+        requestedVolume: roundHbar(metrics.requestedVolume + (loan.amount || 0)),
+        fundedVolume: roundHbar(metrics.fundedVolume + loan.fundedAmount),
+        repaidVolume: roundHbar(metrics.repaidVolume + loan.totalRepaid),
+        outstandingPrincipal: roundHbar(metrics.outstandingPrincipal + (isActive ? loan.outstandingPrincipal || 0 : 0)),
+        defaultedPrincipal: roundHbar(metrics.defaultedPrincipal
+          + (loan.status === 'defaulted' ? loan.outstandingPrincipal || 0 : 0)),
+        penaltyBalance: roundHbar(metrics.penaltyBalance + loan.penaltyBalance),
+        restructured: metrics.restructured + (loan.restructurings.length > 0 ? 1 : 0)
+      };
+    }, {
+      total: 0,
+      byStatus: {},
+      byDelinquencyStatus: {},
+      requestedVolume: 0,
+      fundedVolume: 0,
+      repaidVolume: 0,
+      outstandingPrincipal: 0,
+      defaultedPrincipal: 0,
+      penaltyBalance: 0,
+      restructured: 0
+    });
+
+    const poolMetrics = poolSnapshot.docs.reduce((metrics, doc) => {
+      const pool = new Pool({ id: doc.id, ...doc.data() });
+      openReports += getOpenReports(pool).length;
+      return {
+        total: metrics.total + 1,
+        active: metrics.active + (pool.isActive ? 1 : 0),
+        hidden: metrics.hidden + (pool.moderationStatus === 'hidden' ? 1 : 0),
+        targetVolume: roundHbar(metrics.targetVolume + (pool.targetAmount || 0)),
+        contributedVolume: roundHbar(metrics.contributedVolume + (pool.currentAmount || 0))
+      };
+    }, { total: 0, active: 0, hidden: 0, targetVolume: 0, contributedVolume: 0 });
+
+    return {
+      users: userMetrics,
+      loans: loanMetrics,
+      pools: poolMetrics,
+      moderation: { openReports },
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * User by ID or a 404
+   */
+  async findUser(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    return user;
+  }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { getCollections, runTransaction } = require('../config/firestore');
+const logger = require('../utils/logger');
+
+/**
+ * JSON with sorted keys and ISO dates, so a stored entry hashes the same
+ * after a round trip through Firestore
+ */
+const canonicalize = (value) => {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (value && typeof value.toDate === 'function') {
+    return JSON.stringify(value.toDate().toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash of an entry (without its own hash field)
+ */
+const hashEntry = ({ hash, ...entry }) => crypto.createHash('sha256').update(canonicalize(entry)).digest('hex');
+
+/**
+ * Drop undefined fields, which Firestore rejects
+ */
+const compact = value => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+/**
+ * Audit log service: append-only record of operator actions. Entries are
+ * numbered and hash-chained, so edits or deletions show up in verifyChain.
+ * There is deliberately no update or delete.
+ */
+class AuditLogService {
+  /**
+   * Append an entry. `actor` is { id, role, ipAddress }.
+   */
+  async record(actor, action, target, details = {}) {
+    try {
+      const { auditLogs, auditLogState } = getCollections();
+      const headRef = auditLogState.doc('head');
+
+      const entry = await runTransaction(async (transaction) => {
+        const headDoc = await transaction.get(headRef);
+        const head = headDoc.exists ? headDoc.data() : { sequence: 0, hash: null };
+
+        const sequence = head.sequence + 1;
+        const entryData = {
+          sequence,
+          action,
+          actorId: actor.id,
+          actorRole: actor.role,
+          ipAddress: actor.ipAddress || null,
+          targetType: target.type,
+          targetId: target.id,
+          reason: details.reason || null,
+          before: compact(details.before),
+          after: compact(details.after),
+          metadata: compact(details.metadata || {}),
+          createdAt: new Date(),
+          previousHash: head.hash
+        };
+        entryData.hash = hashEntry(entryData);
+
+        transaction.set(auditLogs.doc(String(sequence).padStart(12, '0')), entryData);
+        transaction.set(headRef, { sequence, hash: entryData.hash });
+        return entryData;
+      });
+
+      logger.info(`📝 Audit #${entry.sequence}: ${action} on ${target.type} ${target.id} by ${actor.id}`);
+      return entry;
+    } catch (error) {
+      logger.error('Failed to write audit log entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Entries, newest first, filtered by actorId, action, targetType or targetId
+   */
+  async list(filters = {}) {
+    const { auditLogs } = getCollections();
+    let query = auditLogs;
+    ['actorId', 'action', 'targetType', 'targetId'].forEach((field) => {
+      if (filters[field]) {
+        query = query.where(field, '==', filters[field]);
+      }
+    });
+
+    query = query.orderBy('sequence', 'desc');
+    if (filters.offset) {
+      query = query.offset(filters.offset);
+    }
+    query = query.limit(filters.limit || 50);
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Recompute the hash chain. Reports the first entry that does not match.
+   */
+  async verifyChain() {
+    const { auditLogs, auditLogState } = getCollections();
+    const [snapshot, headDoc] = await Promise.all([
+      auditLogs.orderBy('sequence').get(),
+      auditLogState.doc('head').get()
+    ]);
+
+    let previousHash = null;
+    for (const [index, doc] of snapshot.docs.entries()) {
+      const entry = doc.data();
+      if (entry.sequence !== index + 1 || entry.previousHash !== previousHash || hashEntry(entry) !== entry.hash) {
+        return { valid: false, checked: index, brokenAt: index + 1 };
+      }
+      previousHash = entry.hash;
+    }
+
+    const head = headDoc.exists ? headDoc.data() : { sequence: 0, hash: null };
+    if (head.sequence !== snapshot.size || head.hash !== previousHash) {
+      // Entries were removed from the end of the chain
+      return { valid: false, checked: snapshot.size, brokenAt: snapshot.size + 1 };
+    }
+    return { valid: true, checked: snapshot.size, brokenAt: null };
+  }
+}
+
+module.exports = new AuditLogService();
@@ -0,0 +1,162 @@
+const { getCollections } = require('../config/firestore');
+const logger = require('../utils/logger');
+
+/**
+ * Chain mapping service
+ *
+ * Firestore documents are keyed by generated string IDs while the contracts
+ * number loans and pools with a uint256 counter. The on-chain ID returned by
+ * createLoan/createPool is stored on the document (onChainLoanId /
+ * onChainPoolId) and looked up in both directions here. User IDs resolve to
+ * the walletAddress connected to the account.
+ */
+class ChainMappingService {
+  /**
+   * Record the on-chain loan ID against a Firestore loan
+   */
+  async recordLoanMapping(loan, onChainLoanId, transactionId, contractId) {
+    try {
+      await loan.update({
+        onChainLoanId: Number(onChainLoanId),
+        transactionHash: transactionId,
+        contractAddress: contractId
+      });
+
+      logger.info(`Loan ${loan.id} mapped to on-chain loan ${onChainLoanId}`);
+      return loan;
+    } catch (error) {
+      logger.error('Failed to record loan mapping:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the on-chain pool ID against a Firestore pool
+   */
+  async recordPoolMapping(pool, onChainPoolId, transactionId, contractId) {
+    try {
+      await pool.update({
+        onChainPoolId: Number(onChainPoolId),
+        transactionHash: transactionId,
+        contractAddress: contractId
+      });
+
+      logger.info(`Pool ${pool.id} mapped to on-chain pool ${onChainPoolId}`);
+      return pool;
+    } catch (error) {
+      logger.error('Failed to record pool mapping:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the on-chain loan ID for a loan model or Firestore loan ID
+   */
+  async getOnChainLoanId(loanOrId) {
+    return this.getOnChainId('loans', 'onChainLoanId', loanOrId, 'Loan');
+  }
+
+  /**
+   * Get the on-chain pool ID for a pool model or Firestore pool ID
+   */
+  async getOnChainPoolId(poolOrId) {
+    return this.getOnChainId('pools', 'onChainPoolId', poolOrId, 'Pool');
+  }
+
+  /**
+   * Shared lookup for getOnChainLoanId/getOnChainPoolId
+   */
+  async getOnChainId(collectionName, field, docOrId, label) {
+    let data = docOrId;
+    let docId = docOrId && docOrId.id;
+
+    if (typeof docOrId === 'string') {
+      docId = docOrId;
+      const collection = getCollections()[collectionName];
+      const doc = await collection.doc(docOrId).get();
+      if (!doc.exists) {
+        throw new Error(`${label} not found: ${docOrId}`);
+      }
+      data = doc.data();
+    }
+
+    if (data[field] === undefined || data[field] === null) {
+      throw new Error(`${label} ${docId} is not registered on-chain`);
+    }
+
+    return data[field];
+  }
+
+  /**
+   * Find the Firestore loan ID for an on-chain loan ID
+   */
+  async resolveLoanId(onChainLoanId) {
+    return this.resolveDocId('loans', 'onChainLoanId', onChainLoanId);
+  }
+
+  /**
+   * Find the Firestore pool ID for an on-chain pool ID
+   */
+  async resolvePoolId(onChainPoolId) {
+    return this.resolveDocId('pools', 'onChainPoolId', onChainPoolId);
+  }
+
+  /**
+   * Shared reverse lookup for resolveLoanId/resolvePoolId
+   */
+  async resolveDocId(collectionName, field, onChainId) {
+    const collection = getCollections()[collectionName];
+    const snapshot = await collection
+      .where(field, '==', Number(onChainId))
+      .limit(1)
+      .get();
+
+    return snapshot.empty ? null : snapshot.docs[0].id;
+  }
+
+  /**
+   * Get the wallet address connected to a user
+   */
+  async getWalletAddress(userId) {
+    const { users } = getCollections();
+    const userDoc = await users.doc(userId).get();
+
+    if (!userDoc.exists) {
+      throw new Error(`User not found: ${userId}`);
+    }
+
+    const { walletAddress } = userDoc.data();
+    if (!walletAddress) {
+      throw new Error(`User ${userId} has no connected wallet`);
+    }
+
+    return walletAddress;
+  }
+
+  /**
+   * Find the user that owns a wallet address (event addresses are lowercase)
+   */
+  async resolveUserIdByWallet(walletAddress) {
+    if (!walletAddress) {
+      return null;
+    }
+
+    const { users } = getCollections();
+    const candidates = Array.from(new Set([walletAddress, walletAddress.toLowerCase()]));
+
+    for (const candidate of candidates) {
+      const snapshot = await users
+        .where('walletAddress', '==', candidate)
+        .limit(1)
+        .get();
+
+      if (!snapshot.empty) {
+        return snapshot.docs[0].id;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new ChainMappingService();
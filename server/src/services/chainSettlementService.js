@@ -0,0 +1,75 @@
+const { getCollections } = require('../config/firestore');
+const Loan = require('../models/Loan');
+const loanService = require('./loanService');
+const logger = require('../utils/logger');
+
+/**
+ * Chain settlement service: settles repaid loans on the contract. The
+ * repayment is recorded off-chain first, so a failed contract call leaves
+ * the settlement pending for the next retry instead of losing the payment.
+ */
+class ChainSettlementService {
+  /**
+   * Try to settle one repaid loan on chain. Never throws: the outcome is
+   * recorded on the loan and returned.
+   */
+  async settleLoan(loan, now = new Date()) {
+    const { chainSettlement } = loan;
+    if (!chainSettlement || chainSettlement.status !== 'pending') {
+      return chainSettlement;
+    }
+
+    let outcome;
+    try {
+      // An earlier attempt may have gone through before its outcome was saved
+      const onChainLoan = chainSettlement.attempts > 0
+        ? await loanService.getLoanFromBlockchain(loan)
+        : null;
+      if (onChainLoan && onChainLoan.status === 'repaid') {
+        outcome = {};
+      } else {
+        const result = await loanService.repayLoanOnBlockchain(loan, loan.borrowerId, chainSettlement.amount);
+        outcome = { transactionHash: result && result.transactionId };
+      }
+    } catch (error) {
+      logger.error(`Failed to settle loan ${loan.id} on blockchain:`, error);
+      outcome = { error: error.message };
+    }
+
+    try {
+      loan.chainSettlement = await Loan.recordChainSettlement(loan.id, outcome, now);
+    } catch (error) {
+      logger.error(`Failed to record chain settlement for loan ${loan.id}:`, error);
+    }
+    return loan.chainSettlement;
+  }
+
+  /**
+   * Retry every settlement still pending
+   */
+  async retryPendingSettlements(now = new Date()) {
+    try {
+      const { loans } = getCollections();
+      const snapshot = await loans.where('chainSettlement.status', '==', 'pending').get();
+      const summary = { scanned: snapshot.size, settled: 0, failed: 0 };
+
+      for (const doc of snapshot.docs) {
+        const loan = new Loan({ id: doc.id, ...doc.data() });
+        const chainSettlement = await this.settleLoan(loan, now);
+        if (chainSettlement && chainSettlement.status === 'settled') {
+          summary.settled += 1;
+        } else {
+          summary.failed += 1;
+        }
+      }
+
+      logger.info(`⛓️ Chain settlement retry: ${JSON.stringify(summary)}`);
+      return summary;
+    } catch (error) {
+      logger.error('Failed to retry pending chain settlements:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ChainSettlementService();
@@ -0,0 +1,54 @@
+const { getCreditScoringPolicy } = require('../config/loanPolicy');
+const Loan = require('../models/Loan');
+const { scoreBorrower } = require('../utils/creditScoring');
+const logger = require('../utils/logger');
+
+/**
+ * Credit scoring service: gathers a borrower's record and scores loan
+ * applications with the configured model
+ */
+class CreditScoringService {
+  /**
+   * Score a loan application for a user
+   */
+  async scoreLoanApplication(user, application, options = {}) {
+    try {
+      const modelVersion = options.modelVersion || getCreditScoringPolicy().modelVersion;
+      const [reputation, history] = await Promise.all([
+        user.getReputationScore(),
+        this.getRepaymentHistory(user.id)
+      ]);
+
+      const result = scoreBorrower({
+        reputation,
+        history,
+        monthlyIncome: user.monthlyIncome,
+        amount: application.amount,
+        interestRate: application.interestRate,
+        duration: application.duration,
+        category: application.category,
+        collateral: application.collateral
+      }, modelVersion);
+
+      logger.info(`📊 Credit score for user ${user.id}: ${result.score} (${result.grade}, model ${modelVersion})`);
+      return { ...result, scoredAt: new Date() };
+    } catch (error) {
+      logger.error('Failed to score loan application:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Repaid, defaulted and currently overdue loans for a borrower
+   */
+  async getRepaymentHistory(userId) {
+    const loans = await Loan.findByBorrower(userId);
+    return {
+      repaid: loans.filter(loan => loan.status === 'repaid').length,
+      defaulted: loans.filter(loan => loan.status === 'defaulted').length,
+      delinquent: loans.filter(loan => loan.status === 'active' && ['late', 'grace_period'].includes(loan.delinquencyStatus)).length
+    };
+  }
+}
+
+module.exports = new CreditScoringService();
@@ -0,0 +1,116 @@
+const { getCollections } = require('../config/firestore');
+const { getDelinquencyPolicy, getDelinquencyStatus } = require('../config/loanPolicy');
+const Loan = require('../models/Loan');
+const userService = require('./userService');
+const logger = require('../utils/logger');
+
+/**
+ * Delinquency service: moves overdue loans through grace period, late and
+ * defaulted states
+ */
+class DelinquencyService {
+  /**
+   * Scan every active loan and apply the delinquency policy
+   */
+  async scanOverdueLoans(now = new Date(), policy = getDelinquencyPolicy()) {
+    try {
+      const { loans } = getCollections();
+      const snapshot = await loans.where('status', '==', 'active').get();
+      const summary = { scanned: snapshot.size, current: 0, grace_period: 0, late: 0, defaulted: 0, failed: 0 };
+
+      for (const doc of snapshot.docs) {
+        const loan = new Loan({ id: doc.id, ...doc.data() });
+        try {
+          const transitioned = await this.processLoan(loan, now, policy);
+          if (transitioned) {
+            summary[transitioned.delinquencyStatus] += 1;
+          }
+        } catch (error) {
+          // One bad loan should not stop the rest of the scan
+          summary.failed += 1;
+          logger.error(`Failed to process delinquency for loan ${loan.id}:`, error);
+        }
+      }
+
+      logger.info(`🔎 Delinquency scan: ${JSON.stringify(summary)}`);
+      return summary;
+    } catch (error) {
+      logger.error('Failed to scan overdue loans:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply the policy to one loan. Returns the loan when its state changed.
+   */
+  async processLoan(loan, now = new Date(), policy = getDelinquencyPolicy()) {
+    const daysOverdue = loan.getDaysOverdue(now);
+    const nextStatus = getDelinquencyStatus(daysOverdue, policy);
+    if (nextStatus === loan.delinquencyStatus) {
+      return null;
+    }
+
+    const transitioned = await Loan.transitionDelinquency(loan.id, loan.delinquencyStatus, nextStatus, now);
+    if (!transitioned) {
+      return null;
+    }
+
+    logger.info(`Loan ${loan.id} moved from ${loan.delinquencyStatus} to ${nextStatus} (${daysOverdue} days overdue)`);
+    await this.handleTransition(transitioned, daysOverdue, policy);
+    return transitioned;
+  }
+
+  /**
+   * Notifications and reputation changes for a state change
+   */
+  async handleTransition(loan, daysOverdue, policy) {
+    const metadata = { loanId: loan.id, daysOverdue };
+
+    switch (loan.delinquencyStatus) {
+      case 'grace_period':
+        await userService.createNotification(
+          loan.borrowerId,
+          'loan_payment_overdue',
+          'Repayment overdue',
+          `Your repayment for "${loan.purpose}" is ${daysOverdue} day(s) overdue. Pay within ${policy.gracePeriodDays} days of the due date to avoid late status.`,
+          metadata
+        );
+        break;
+      case 'late':
+        await userService.createNotification(
+          loan.borrowerId,
+          'loan_late',
+          'Loan is late',
+          `Your loan "${loan.purpose}" is ${daysOverdue} days overdue and will default after ${policy.defaultAfterDays} days.`,
+          metadata
+        );
+        await this.notifyLenders(loan, 'loan_late', 'Loan is late', `A loan you funded ("${loan.purpose}") is ${daysOverdue} days overdue.`, metadata);
+        break;
+      case 'defaulted':
+        await userService.updateUserReputation(loan.borrowerId, 'loan_default', { amount: loan.amount, loanId: loan.id });
+        await userService.createNotification(
+          loan.borrowerId,
+          'loan_defaulted',
+          'Loan defaulted',
+          `Your loan "${loan.purpose}" has defaulted after ${daysOverdue} days without repayment.`,
+          metadata
+        );
+        await this.notifyLenders(loan, 'loan_defaulted', 'Loan defaulted', `A loan you funded ("${loan.purpose}") has defaulted.`, metadata);
+        break;
+      default:
+        // Back to current after catching up, nothing to announce
+        break;
+    }
+  }
+
+  /**
+   * Notify everyone who funded a loan
+   */
+  async notifyLenders(loan, type, title, message, metadata) {
+    for (const lenderId of loan.lenders) {
+      await userService.createNotification(lenderId, type, title, message, metadata);
+    }
+  }
+}
+
+module.exports = new DelinquencyService();
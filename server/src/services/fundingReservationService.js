@@ -0,0 +1,42 @@
+const { getCollections } = require('../config/firestore');
+const Loan = require('../models/Loan');
+const logger = require('../utils/logger');
+
+/**
+ * Funding reservation service: frees loan capacity held by reservations
+ * that were never confirmed or released, e.g. after a crash mid-transfer
+ */
+class FundingReservationService {
+  /**
+   * Drop expired reservations on every loan still open for funding
+   */
+  async releaseExpiredReservations(now = new Date()) {
+    try {
+      const { loans } = getCollections();
+      const snapshot = await loans.where('status', '==', 'pending').get();
+      const summary = { scanned: snapshot.size, released: 0, failed: 0 };
+
+      for (const doc of snapshot.docs) {
+        const reservations = Object.values(doc.data().fundingReservations || {});
+        if (!reservations.some(reservation => new Date(reservation.expiresAt) <= now)) {
+          continue;
+        }
+
+        try {
+          summary.released += await Loan.releaseExpiredReservations(doc.id, now);
+        } catch (error) {
+          summary.failed += 1;
+          logger.error(`Failed to release funding reservations for loan ${doc.id}:`, error);
+        }
+      }
+
+      logger.info(`🔓 Funding reservation sweep: ${JSON.stringify(summary)}`);
+      return summary;
+    } catch (error) {
+      logger.error('Failed to release expired funding reservations:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new FundingReservationService();
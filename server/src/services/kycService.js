@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const { getCollections, runTransaction } = require('../config/firestore');
+const { KYC_DECISIONS, canTransitionKyc, getKycUploadPolicy } = require('../config/kyc');
+const { AppError } = require('../middleware/errorHandler');
+const { getBlobStore } = require('../utils/blobStore');
+const { detectContentType } = require('../utils/fileType');
+const auditLogService = require('./auditLogService');
+const userService = require('./userService');
+const logger = require('../utils/logger');
+
+const DECISION_NOTIFICATIONS = {
+  verified: {
+    type: 'kyc_verified',
+    title: 'Identity verified',
+    message: () => 'Your identity documents have been verified.'
+  },
+  rejected: {
+    type: 'kyc_rejected',
+    title: 'Identity verification rejected',
+    message: reason => `Your identity documents were rejected: ${reason}`
+  },
+  more_info_required: {
+    type: 'kyc_more_info_required',
+    title: 'More information needed',
+    message: reason => `We need more information to verify your identity: ${reason}`
+  }
+};
+
+/**
+ * Document metadata as shown to users and reviewers (no storage keys)
+ */
+const describeDocument = ({ blobKey, ...document }) => document;
+
+/**
+ * Submission as shown to users and reviewers
+ */
+const describeSubmission = submission => ({
+  ...submission,
+  documents: submission.documents.map(describeDocument)
+});
+
+/**
+ * Status a user's KYC is really in. Accounts registered before submissions
+ * were stored start out pending without ever having submitted anything.
+ */
+const getKycStatus = user => (user.kycStatus === 'pending' && !user.kycSubmissionId
+  ? 'unverified'
+  : user.kycStatus || 'unverified');
+
+/**
+ * KYC service: stores document submissions, moves users through the KYC
+ * state machine (config/kyc.js) and records reviewer decisions
+ */
+class KycService {
+  /**
+   * Check uploaded files (as parsed by multer, keyed by document type)
+   * against the upload policy and their actual contents
+   */
+  validateFiles(filesByType = {}) {
+    const policy = getKycUploadPolicy();
+
+    const missing = policy.documentFields.filter(field => field.required && !(filesByType[field.name] || []).length);
+    if (missing.length) {
+      throw new AppError(`Missing required document: ${missing.map(field => field.name).join(', ')}`, 400);
+    }
+
+    return policy.documentFields.flatMap(({ name }) => (filesByType[name] || []).map((file) => {
+      const contentType = detectContentType(file.buffer);
+      if (!contentType || !policy.allowedContentTypes.includes(contentType)) {
+        throw new AppError(`${file.originalname} is not a JPEG, PNG or PDF file`, 400);
+      }
+      if (contentType !== file.mimetype) {
+        throw new AppError(`${file.originalname} does not match its declared type ${file.mimetype}`, 400);
+      }
+      return { type: name, file, contentType };
+    }));
+  }
+
+  /**
+   * Store a user's documents and put their application in the review queue
+   */
+  async submit(userId, filesByType, now = new Date()) {
+    const files = this.validateFiles(filesByType);
+    const { users, kycSubmissions } = getCollections();
+    const userRef = users.doc(userId);
+    const submissionRef = kycSubmissions.doc();
+
+    const userDoc = await userRef.get();
+    if (!userDoc.exists) {
+      throw new AppError('User not found', 404);
+    }
+    this.assertTransition(getKycStatus(userDoc.data()), 'pending');
+
+    const blobStore = getBlobStore();
+    const documents = [];
+    try {
+      for (const [index, { type, file, contentType }] of files.entries()) {
+        const documentId = `doc-${index + 1}`;
+        const blobKey = `kyc/${userId}/${submissionRef.id}/${documentId}`;
+        await blobStore.put(blobKey, file.buffer);
+        documents.push({
+          id: documentId,
+          type,
+          blobKey,
+          contentType,
+          originalName: file.originalname,
+          size: file.size,
+          sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+          uploadedAt: now
+        });
+      }
+
+      const submission = await runTransaction(async (transaction) => {
+        const currentDoc = await transaction.get(userRef);
+        const user = currentDoc.data();
+        const from = getKycStatus(user);
+        this.assertTransition(from, 'pending');
+
+        const submissionData = {
+          userId,
+          status: 'pending',
+          documents,
+          previousSubmissionId: user.kycSubmissionId || null,
+          submittedAt: now,
+          reviewedAt: null,
+          reviewedBy: null,
+          reason: null,
+          history: [{ from, to: 'pending', at: now, by: userId }]
+        };
+        transaction.set(submissionRef, submissionData);
+        transaction.update(userRef, { kycStatus: 'pending', kycSubmissionId: submissionRef.id, updatedAt: now });
+        return submissionData;
+      });
+
+      logger.info(`🪪 KYC submission ${submissionRef.id} from user ${userId} (${documents.length} documents)`);
+      return describeSubmission({ id: submissionRef.id, ...submission });
+    } catch (error) {
+      // Nothing points at the blobs unless the submission was saved
+      await Promise.all(documents.map(document => blobStore.delete(document.blobKey)));
+      logger.error('Failed to submit KYC documents:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's KYC status and latest submission
+   */
+  async getStatus(userId) {
+    const { users } = getCollections();
+    const userDoc = await users.doc(userId).get();
+    if (!userDoc.exists) {
+      throw new AppError('User not found', 404);
+    }
+
+    const user = userDoc.data();
+    const kycStatus = getKycStatus(user);
+    const submission = user.kycSubmissionId ? await this.getSubmission(user.kycSubmissionId) : null;
+    return {
+      kycStatus,
+      reason: submission ? submission.reason : null,
+      submission,
+      canSubmit: canTransitionKyc(kycStatus, 'pending')
+    };
+  }
+
+  /**
+   * One submission, without storage keys
+   */
+  async getSubmission(submissionId) {
+    const { kycSubmissions } = getCollections();
+    const submissionDoc = await kycSubmissions.doc(submissionId).get();
+    if (!submissionDoc.exists) {
+      throw new AppError('KYC submission not found', 404);
+    }
+    return describeSubmission({ id: submissionDoc.id, ...submissionDoc.data() });
+  }
+
+  /**
+   * Contents of one uploaded document, for reviewers
+   */
+  async getDocument(submissionId, documentId) {
+    const { kycSubmissions } = getCollections();
+    const submissionDoc = await kycSubmissions.doc(submissionId).get();
+    const document = submissionDoc.exists
+      ? submissionDoc.data().documents.find(entry => entry.id === documentId)
+      : null;
+    if (!document) {
+      throw new AppError('KYC document not found', 404);
+    }
+
+    const content = await getBlobStore().get(document.blobKey);
+    if (!content) {
+      throw new AppError('KYC document is missing from storage', 404);
+    }
+    return { ...describeDocument(document), content };
+  }
+
+  /**
+   * Submissions waiting for a reviewer, oldest first
+   */
+  async listQueue(limit = 50) {
+    const { kycSubmissions } = getCollections();
+    const snapshot = await kycSubmissions
+      .where('status', '==', 'pending')
+      .orderBy('submittedAt')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(doc => describeSubmission({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Record a reviewer decision (approve, reject or request_info) on a pending
+   * submission and notify the user. `actor` is { id, role, ipAddress }.
+   */
+  async review(actor, submissionId, decision, reason, now = new Date()) {
+    const status = KYC_DECISIONS[decision];
+    if (!status) {
+      throw new AppError(`Unknown KYC decision: ${decision}`, 400);
+    }
+
+    const { users, kycSubmissions } = getCollections();
+    const submissionRef = kycSubmissions.doc(submissionId);
+
+    const { userId, from } = await runTransaction(async (transaction) => {
+      const submissionDoc = await transaction.get(submissionRef);
+      if (!submissionDoc.exists) {
+        throw new AppError('KYC submission not found', 404);
+      }
+      const submission = submissionDoc.data();
+      if (submission.status !== 'pending') {
+        throw new AppError(`KYC submission is already ${submission.status}`, 400);
+      }
+      if (submission.userId === actor.id) {
+        throw new AppError('You cannot review your own KYC submission', 403);
+      }
+
+      const userRef = users.doc(submission.userId);
+      const userDoc = await transaction.get(userRef);
+      if (!userDoc.exists) {
+        throw new AppError('User not found', 404);
+      }
+      const currentStatus = getKycStatus(userDoc.data());
+      this.assertTransition(currentStatus, status);
+
+      transaction.update(submissionRef, {
+        status,
+        reason,
+        reviewedAt: now,
+        reviewedBy: actor.id,
+        history: [...submission.history, { from: currentStatus, to: status, at: now, by: actor.id, reason }]
+      });
+      transaction.update(userRef, {
+        kycStatus: status,
+        kycReview: { status, reason, reviewedAt: now },
+        updatedAt: now
+      });
+      return { userId: submission.userId, from: currentStatus };
+    });
+
+    const notification = DECISION_NOTIFICATIONS[status];
+    await userService.createNotification(userId, notification.type, notification.title, notification.message(reason), {
+      submissionId,
+      kycStatus: status
+    });
+
+    logger.info(`🪪 KYC submission ${submissionId} ${status} by ${actor.id}`);
+    await auditLogService.record(actor, 'kyc.review', { type: 'user', id: userId }, {
+      reason,
+      before: { kycStatus: from },
+      after: { kycStatus: status },
+      metadata: { submissionId, decision }
+    });
+    return { userId, submissionId, kycStatus: status };
+  }
+
+  /**
+   * Throw unless the state machine allows the move
+   */
+  assertTransition(from, to) {
+    if (!canTransitionKyc(from, to)) {
+      throw new AppError(`KYC status cannot change from ${from} to ${to}`, 409);
+    }
+  }
+}
+
+module.exports = new KycService();
@@ -1,28 +1,65 @@
-const { deployContract, executeContractFunction, callContractFunction } = require('../config/hedera');
+const { ContractFunctionParameters } = require('@hashgraph/sdk');
+const hedera = require('../config/hedera');
+const { tinybarsToHbar, hbarToTinybars } = hedera;
 const { getCollections } = require('../config/firestore');
+const Loan = require('../models/Loan');
+const chainMappingService = require('./chainMappingService');
+const userService = require('./userService');
 const logger = require('../utils/logger');
 
 /**
- * Loan service for blockchain interactions
+ * LoanStatus enum order in AfriLendLoanManager.sol
+ */
+const ON_CHAIN_LOAN_STATUS = ['pending', 'funded', 'active', 'repaid', 'defaulted'];
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * Loan service for blockchain interactions. Transactions are signed and paid
+ * by the operator account, which holds funds on chain as custodian for the
+ * platform's users: msg.sender is the operator, and who lent or repaid what
+ * is recorded in Firestore.
  */
 class LoanService {
   constructor() {
     this.loanManagerContract = process.env.AFRILEND_LOAN_MANAGER_CONTRACT;
+    this.hedera = hedera;
+  }
+
+  /**
+   * Swap the Hedera client (anything exposing executeContractFunction and
+   * callContractFunction, e.g. a fake in tests)
+   */
+  setHederaClient(client) {
+    this.hedera = client;
   }
 
   /**
-   * Deploy loan contract on Hedera
+   * Create loan on blockchain and record its on-chain ID
    */
-  async deployLoanContract(loan) {
+  async createLoanOnBlockchain(loan) {
     try {
-      // In a real implementation, you would deploy the actual contract
-      // For now, we'll simulate the deployment
-      const contractAddress = `0x${Math.random().toString(16).substr(2, 40)}`;
-      
-      logger.info(`Loan contract deployed: ${contractAddress} for loan ${loan.id}`);
-      return contractAddress;
+      const params = new ContractFunctionParameters()
+        .addUint256(hbarToTinybars(loan.amount))
+        .addUint256(Math.round(loan.interestRate))
+        .addUint256(loan.duration * SECONDS_PER_DAY)
+        .addString(loan.purpose);
+
+      const { transactionId, result } = await this.hedera.executeContractFunction(
+        this.loanManagerContract,
+        'createLoan',
+        params,
+        300000,
+        { fetchRecord: true }
+      );
+
+      const onChainLoanId = result.getUint256(0).toNumber();
+      await chainMappingService.recordLoanMapping(loan, onChainLoanId, transactionId, this.loanManagerContract);
+
+      logger.info(`Loan created on blockchain: ${loan.id} as ${onChainLoanId} in ${transactionId}`);
+      return { onChainLoanId, transactionId };
     } catch (error) {
-      logger.error('Failed to deploy loan contract:', error);
+      logger.error('Failed to create loan on blockchain:', error);
       throw error;
     }
   }
@@ -30,16 +67,21 @@ class LoanService {
   /**
    * Fund loan on blockchain
    */
-  async fundLoanOnBlockchain(loanId, lenderId, amount) {
+  async fundLoanOnBlockchain(loanOrId, lenderId, amount) {
     try {
-      // Call the fundLoan function on the smart contract
-      const result = await executeContractFunction(
+      const onChainLoanId = await chainMappingService.getOnChainLoanId(loanOrId);
+
+      // fundLoan(uint256 loanId) is payable, the amount travels as msg.value
+      const params = new ContractFunctionParameters().addUint256(onChainLoanId);
+      const result = await this.hedera.executeContractFunction(
         this.loanManagerContract,
         'fundLoan',
-        [loanId, lenderId, amount]
+        params,
+        150000,
+        { payableAmount: amount }
       );
 
-      logger.info(`Loan funded on blockchain: ${loanId} by ${lenderId} with ${amount}`);
+      logger.info(`Loan funded on blockchain: ${onChainLoanId} for lender ${lenderId} with ${amount}`);
       return result;
     } catch (error) {
       logger.error('Failed to fund loan on blockchain:', error);
@@ -50,16 +92,20 @@ class LoanService {
   /**
    * Repay loan on blockchain
    */
-  async repayLoanOnBlockchain(loanId, borrowerId, amount) {
+  async repayLoanOnBlockchain(loanOrId, borrowerId, amount) {
     try {
-      // Call the repayLoan function on the smart contract
-      const result = await executeContractFunction(
+      const onChainLoanId = await chainMappingService.getOnChainLoanId(loanOrId);
+
+      const params = new ContractFunctionParameters().addUint256(onChainLoanId);
+      const result = await this.hedera.executeContractFunction(
         this.loanManagerContract,
         'repayLoan',
-        [loanId, borrowerId, amount]
+        params,
+        300000,
+        { payableAmount: amount }
       );
 
-      logger.info(`Loan repaid on blockchain: ${loanId} by ${borrowerId} with ${amount}`);
+      logger.info(`Loan repaid on blockchain: ${onChainLoanId} for borrower ${borrowerId} with ${amount}`);
       return result;
     } catch (error) {
       logger.error('Failed to repay loan on blockchain:', error);
@@ -67,18 +113,83 @@ class LoanService {
     }
   }
 
+  /**
+   * Tell each lender what they received from a repayment
+   */
+  async notifyLendersOfRepayment(loan, repayment) {
+    try {
+      for (const distribution of repayment.distributions) {
+        await userService.createNotification(
+          distribution.lenderId,
+          'loan_repayment_received',
+          'Repayment received',
+          `You received ${distribution.amount} HBAR (${distribution.principal} principal, ${distribution.interest} interest) from "${loan.purpose}".`,
+          { loanId: loan.id, repaymentId: repayment.id, ...distribution }
+        );
+      }
+    } catch (error) {
+      logger.error('Failed to notify lenders of repayment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reputation events for a fully repaid loan: the repayment itself, plus
+   * bonuses when no instalment was paid late and when the loan was settled
+   * before its final instalment fell due
+   */
+  async recordRepaymentReputation(loan) {
+    try {
+      const repaidAt = new Date(loan.repaidAt);
+      const finalDueDate = new Date(loan.repaymentSchedule[loan.repaymentSchedule.length - 1].dueDate);
+      const wasOnTime = loan.penaltiesAccrued === 0
+        && loan.repaymentSchedule.every(instalment => new Date(instalment.paidAt) <= new Date(instalment.dueDate));
+      const wasEarly = repaidAt < finalDueDate;
+
+      // The contract applies both bonuses from these flags in one call
+      await userService.updateUserReputation(loan.borrowerId, 'successful_loan', {
+        amount: loan.amount,
+        loanId: loan.id,
+        wasOnTime,
+        wasEarly,
+        occurredAt: loan.repaidAt
+      });
+      if (wasOnTime) {
+        await userService.updateUserReputation(loan.borrowerId, 'on_time_repayment', { loanId: loan.id, occurredAt: loan.repaidAt });
+      }
+      if (wasEarly) {
+        await userService.updateUserReputation(loan.borrowerId, 'early_repayment', { loanId: loan.id, occurredAt: loan.repaidAt });
+      }
+    } catch (error) {
+      logger.error('Failed to record repayment reputation:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get loan details from blockchain
    */
-  async getLoanFromBlockchain(loanId) {
+  async getLoanFromBlockchain(loanOrId) {
     try {
-      const result = await callContractFunction(
+      const onChainLoanId = await chainMappingService.getOnChainLoanId(loanOrId);
+      const result = await this.hedera.callContractFunction(
         this.loanManagerContract,
         'getLoan',
-        [loanId]
+        new ContractFunctionParameters().addUint256(onChainLoanId)
       );
 
-      return result;
+      return {
+        id: result.getUint256(0).toNumber(),
+        borrower: `0x${result.getAddress(1)}`,
+        amount: tinybarsToHbar(result.getUint256(2).toNumber()),
+        fundedAmount: tinybarsToHbar(result.getUint256(3).toNumber()),
+        interestRate: result.getUint256(4).toNumber(),
+        duration: result.getUint256(5).toNumber(),
+        createdAt: new Date(result.getUint256(6).toNumber() * 1000),
+        dueDate: new Date(result.getUint256(7).toNumber() * 1000),
+        purpose: result.getString(8),
+        status: ON_CHAIN_LOAN_STATUS[result.getUint8(9)]
+      };
     } catch (error) {
       logger.error('Failed to get loan from blockchain:', error);
       throw error;
@@ -88,15 +199,16 @@ class LoanService {
   /**
    * Check if loan is fully funded on blockchain
    */
-  async isLoanFullyFundedOnBlockchain(loanId) {
+  async isLoanFullyFundedOnBlockchain(loanOrId) {
     try {
-      const result = await callContractFunction(
+      const onChainLoanId = await chainMappingService.getOnChainLoanId(loanOrId);
+      const result = await this.hedera.callContractFunction(
         this.loanManagerContract,
         'isLoanFullyFunded',
-        [loanId]
+        new ContractFunctionParameters().addUint256(onChainLoanId)
       );
 
-      return result;
+      return result.getBool(0);
     } catch (error) {
       logger.error('Failed to check loan funding status:', error);
       throw error;
@@ -106,21 +218,44 @@ class LoanService {
   /**
    * Calculate repayment amount from blockchain
    */
-  async calculateRepaymentAmountFromBlockchain(loanId) {
+  async calculateRepaymentAmountFromBlockchain(loanOrId) {
     try {
-      const result = await callContractFunction(
+      const onChainLoanId = await chainMappingService.getOnChainLoanId(loanOrId);
+      const result = await this.hedera.callContractFunction(
         this.loanManagerContract,
         'calculateRepaymentAmount',
-        [loanId]
+        new ContractFunctionParameters().addUint256(onChainLoanId)
       );
 
-      return result;
+      return tinybarsToHbar(result.getUint256(0).toNumber());
     } catch (error) {
       logger.error('Failed to calculate repayment amount:', error);
       throw error;
     }
   }
 
+  /**
+   * Get a lender's contribution to a loan from blockchain
+   */
+  async getLenderContributionFromBlockchain(loanOrId, lenderId) {
+    try {
+      const onChainLoanId = await chainMappingService.getOnChainLoanId(loanOrId);
+      const lenderAddress = await chainMappingService.getWalletAddress(lenderId);
+      const result = await this.hedera.callContractFunction(
+        this.loanManagerContract,
+        'getLenderContribution',
+        new ContractFunctionParameters()
+          .addUint256(onChainLoanId)
+          .addAddress(lenderAddress)
+      );
+
+      return tinybarsToHbar(result.getUint256(0).toNumber());
+    } catch (error) {
+      logger.error('Failed to get lender contribution:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get loan statistics
    */
@@ -208,21 +343,36 @@ class LoanService {
     }
   }
 
+  /**
+   * Find the Firestore loan referenced by an on-chain event
+   */
+  async resolveEventLoanRef(event) {
+    const loanId = await chainMappingService.resolveLoanId(event.loanId);
+    if (!loanId) {
+      logger.warn(`No loan mapped to on-chain loan ${event.loanId}, skipping ${event.type} event`);
+      return null;
+    }
+
+    const { loans } = getCollections();
+    return loans.doc(loanId);
+  }
+
   /**
    * Handle loan created event
    */
   async handleLoanCreatedEvent(event) {
     try {
-      const { loans } = getCollections();
-      const loanRef = loans.doc(event.loanId);
+      const loanRef = await this.resolveEventLoanRef(event);
+      if (!loanRef) {
+        return;
+      }
       
       await loanRef.update({
-        contractAddress: event.contractAddress,
         transactionHash: event.transactionHash,
         updatedAt: new Date()
       });
 
-      logger.info(`Processed LoanCreated event for loan ${event.loanId}`);
+      logger.info(`Processed LoanCreated event for loan ${loanRef.id}`);
     } catch (error) {
       logger.error('Failed to handle loan created event:', error);
       throw error;
@@ -234,30 +384,29 @@ class LoanService {
    */
   async handleLoanFundedEvent(event) {
     try {
-      const { loans } = getCollections();
-      const loanRef = loans.doc(event.loanId);
-      
-      const loanDoc = await loanRef.get();
-      if (loanDoc.exists) {
-        const loan = loanDoc.data();
-        const lenders = loan.lenders || [];
-        const lenderContributions = loan.lenderContributions || {};
-
-        if (!lenders.includes(event.lender)) {
-          lenders.push(event.lender);
-        }
-
-        lenderContributions[event.lender] = (lenderContributions[event.lender] || 0) + event.amount;
+      const loanRef = await this.resolveEventLoanRef(event);
+      if (!loanRef) {
+        return;
+      }
 
-        await loanRef.update({
-          lenders,
-          lenderContributions,
-          fundedAmount: loan.fundedAmount + event.amount,
-          updatedAt: new Date()
-        });
+      // Funding sent through the API is recorded by the controller, only
+      // wallets owned by platform users can be attributed here
+      const lenderId = await chainMappingService.resolveUserIdByWallet(event.lender);
+      if (!lenderId) {
+        logger.warn(`No user found for wallet ${event.lender}, skipping LoanFunded event`);
+        return;
+      }
+      
+      // Replays of an event already credited are no-ops
+      const { duplicate } = await Loan.applyFunding(loanRef.id, lenderId, tinybarsToHbar(event.amount), {
+        transactionHash: event.transactionHash
+      });
+      if (duplicate) {
+        logger.info(`LoanFunded event ${event.transactionHash} already recorded for loan ${loanRef.id}`);
+        return;
       }
 
-      logger.info(`Processed LoanFunded event for loan ${event.loanId}`);
+      logger.info(`Processed LoanFunded event for loan ${loanRef.id}`);
     } catch (error) {
       logger.error('Failed to handle loan funded event:', error);
       throw error;
@@ -269,17 +418,30 @@ class LoanService {
    */
   async handleLoanRepaidEvent(event) {
     try {
-      const { loans } = getCollections();
-      const loanRef = loans.doc(event.loanId);
+      const loanRef = await this.resolveEventLoanRef(event);
+      if (!loanRef) {
+        return;
+      }
       
-      await loanRef.update({
-        status: 'repaid',
-        repaidAt: new Date(),
+      // The API records the repayment before it settles the loan on chain
+      const loan = await Loan.findById(loanRef.id);
+      const settlement = loan.chainSettlement || {};
+      if (loan.status === 'repaid' || settlement.transactionHash === event.transactionHash) {
+        logger.info(`LoanRepaid event ${event.transactionHash} already recorded for loan ${loan.id}`);
+        return;
+      }
+
+      const { repayment } = await loan.repayLoan(tinybarsToHbar(event.amount), {
+        paymentMethod: 'wallet',
         transactionHash: event.transactionHash,
-        updatedAt: new Date()
+        chainTransactionHash: event.transactionHash
       });
+      await this.notifyLendersOfRepayment(loan, repayment);
+      if (loan.status === 'repaid') {
+        await this.recordRepaymentReputation(loan);
+      }
 
-      logger.info(`Processed LoanRepaid event for loan ${event.loanId}`);
+      logger.info(`Processed LoanRepaid event for loan ${loanRef.id}`);
     } catch (error) {
       logger.error('Failed to handle loan repaid event:', error);
       throw error;
@@ -291,8 +453,10 @@ class LoanService {
    */
   async handleLoanDefaultedEvent(event) {
     try {
-      const { loans } = getCollections();
-      const loanRef = loans.doc(event.loanId);
+      const loanRef = await this.resolveEventLoanRef(event);
+      if (!loanRef) {
+        return;
+      }
       
       await loanRef.update({
         status: 'defaulted',
@@ -301,7 +465,7 @@ class LoanService {
         updatedAt: new Date()
       });
 
-      logger.info(`Processed LoanDefaulted event for loan ${event.loanId}`);
+      logger.info(`Processed LoanDefaulted event for loan ${loanRef.id}`);
     } catch (error) {
       logger.error('Failed to handle loan defaulted event:', error);
       throw error;
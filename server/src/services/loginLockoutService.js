@@ -0,0 +1,98 @@
+const { getCollections, runTransaction } = require('../config/firestore');
+const { getLoginLockoutPolicy } = require('../config/rateLimits');
+const { hashToken } = require('../utils/tokens');
+const logger = require('../utils/logger');
+
+/**
+ * Login lockout service: counts failed password logins per account in the
+ * shared datastore and locks the account with exponential backoff
+ */
+class LoginLockoutService {
+  /**
+   * Attempt record for a login identifier (stored under its hash, not the email)
+   */
+  attemptRef(identifier) {
+    const { loginAttempts } = getCollections();
+    return loginAttempts.doc(hashToken(String(identifier).trim().toLowerCase()));
+  }
+
+  /**
+   * Whether logins for an identifier are locked, and for how long
+   */
+  async getLockout(identifier, now = new Date()) {
+    const attemptDoc = await this.attemptRef(identifier).get();
+    const lockedUntil = attemptDoc.exists ? attemptDoc.data().lockedUntil : null;
+
+    if (!lockedUntil || new Date(lockedUntil) <= now) {
+      return { locked: false };
+    }
+    return {
+      locked: true,
+      lockedUntil: new Date(lockedUntil),
+      retryAfterSeconds: Math.ceil((new Date(lockedUntil) - now) / 1000)
+    };
+  }
+
+  /**
+   * Count a failed login. Failures older than the window are forgiven unless
+   * a lock is still running.
+   */
+  async recordFailure(identifier, now = new Date()) {
+    const policy = getLoginLockoutPolicy();
+    const attemptRef = this.attemptRef(identifier);
+
+    const attempt = await runTransaction(async (transaction) => {
+      const attemptDoc = await transaction.get(attemptRef);
+      const current = attemptDoc.exists ? attemptDoc.data() : null;
+
+      const isStale = !current
+        || (now - new Date(current.lastFailureAt) > policy.failureWindowMs
+          && (!current.lockedUntil || new Date(current.lockedUntil) <= now));
+      const failures = isStale ? 1 : current.failures + 1;
+
+      let lockedUntil = null;
+      if (failures >= policy.maxFailures) {
+        const lockSeconds = Math.min(
+          policy.baseLockSeconds * (2 ** (failures - policy.maxFailures)),
+          policy.maxLockSeconds
+        );
+        lockedUntil = new Date(now.getTime() + lockSeconds * 1000);
+      }
+
+      const windowEnd = new Date(now.getTime() + policy.failureWindowMs);
+      const record = {
+        failures,
+        lastFailureAt: now,
+        lockedUntil,
+        // When the record can be pruned
+        expiresAt: lockedUntil && lockedUntil > windowEnd ? lockedUntil : windowEnd
+      };
+      transaction.set(attemptRef, record);
+      return record;
+    });
+
+    if (attempt.lockedUntil) {
+      logger.warn(`🔒 Login locked until ${attempt.lockedUntil.toISOString()} after ${attempt.failures} failed attempts`);
+    }
+    return attempt;
+  }
+
+  /**
+   * Clear failures after a successful login
+   */
+  async recordSuccess(identifier) {
+    await this.attemptRef(identifier).delete();
+  }
+
+  /**
+   * Delete attempt records that no longer lock or count
+   */
+  async pruneExpired(now = new Date()) {
+    const { loginAttempts } = getCollections();
+    const snapshot = await loginAttempts.where('expiresAt', '<=', now).get();
+    await Promise.all(snapshot.docs.map(doc => doc.ref.delete()));
+    return { loginAttempts: snapshot.size };
+  }
+}
+
+module.exports = new LoginLockoutService();
@@ -0,0 +1,41 @@
+const { getCollections } = require('../config/firestore');
+const { getPenaltyPolicy } = require('../config/loanPolicy');
+const Loan = require('../models/Loan');
+const logger = require('../utils/logger');
+
+/**
+ * Penalty service: daily accrual of penalty interest and late fees
+ */
+class PenaltyService {
+  /**
+   * Accrue penalties on every active loan
+   */
+  async accrueAllPenalties(now = new Date(), policy = getPenaltyPolicy()) {
+    try {
+      const { loans } = getCollections();
+      const snapshot = await loans.where('status', '==', 'active').get();
+      const summary = { scanned: snapshot.size, charged: 0, amount: 0, failed: 0 };
+
+      for (const doc of snapshot.docs) {
+        try {
+          const { entries } = await Loan.accruePenalties(doc.id, now, policy);
+          if (entries.length > 0) {
+            summary.charged += 1;
+            summary.amount += entries.reduce((sum, entry) => sum + entry.amount, 0);
+          }
+        } catch (error) {
+          summary.failed += 1;
+          logger.error(`Failed to accrue penalties for loan ${doc.id}:`, error);
+        }
+      }
+
+      logger.info(`💸 Penalty accrual: ${JSON.stringify(summary)}`);
+      return summary;
+    } catch (error) {
+      logger.error('Failed to accrue penalties:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PenaltyService();
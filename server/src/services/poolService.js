@@ -1,28 +1,55 @@
-const { deployContract, executeContractFunction, callContractFunction } = require('../config/hedera');
+const { ContractFunctionParameters } = require('@hashgraph/sdk');
+const hedera = require('../config/hedera');
+const { tinybarsToHbar, hbarToTinybars } = hedera;
 const { getCollections } = require('../config/firestore');
+const chainMappingService = require('./chainMappingService');
 const logger = require('../utils/logger');
 
 /**
- * Pool service for blockchain interactions
+ * Pool service for blockchain interactions. Transactions are signed and paid
+ * by the operator account, which holds liquidity on chain as custodian: the
+ * operator is the on-chain lender and contributor shares live in Firestore.
  */
 class PoolService {
   constructor() {
     this.lenderPoolContract = process.env.LENDER_POOL_CONTRACT;
+    this.hedera = hedera;
   }
 
   /**
-   * Deploy pool contract on Hedera
+   * Swap the Hedera client (anything exposing executeContractFunction and
+   * callContractFunction, e.g. a fake in tests)
    */
-  async deployPoolContract(pool) {
+  setHederaClient(client) {
+    this.hedera = client;
+  }
+
+  /**
+   * Create pool on blockchain and record its on-chain ID
+   */
+  async createPoolOnBlockchain(pool) {
     try {
-      // In a real implementation, you would deploy the actual contract
-      // For now, we'll simulate the deployment
-      const contractAddress = `0x${Math.random().toString(16).substr(2, 40)}`;
-      
-      logger.info(`Pool contract deployed: ${contractAddress} for pool ${pool.id}`);
-      return contractAddress;
+      const params = new ContractFunctionParameters()
+        .addString(pool.name)
+        .addString(pool.description)
+        .addUint256(hbarToTinybars(pool.targetAmount))
+        .addUint256(Math.round(pool.interestRate));
+
+      const { transactionId, result } = await this.hedera.executeContractFunction(
+        this.lenderPoolContract,
+        'createPool',
+        params,
+        300000,
+        { fetchRecord: true }
+      );
+
+      const onChainPoolId = result.getUint256(0).toNumber();
+      await chainMappingService.recordPoolMapping(pool, onChainPoolId, transactionId, this.lenderPoolContract);
+
+      logger.info(`Pool created on blockchain: ${pool.id} as ${onChainPoolId} in ${transactionId}`);
+      return { onChainPoolId, transactionId };
     } catch (error) {
-      logger.error('Failed to deploy pool contract:', error);
+      logger.error('Failed to create pool on blockchain:', error);
       throw error;
     }
   }
@@ -30,16 +57,20 @@ class PoolService {
   /**
    * Contribute to pool on blockchain
    */
-  async contributeToPoolOnBlockchain(poolId, contributorId, amount) {
+  async contributeToPoolOnBlockchain(poolOrId, contributorId, amount) {
     try {
-      // Call the addLiquidity function on the smart contract
-      const result = await executeContractFunction(
+      const onChainPoolId = await chainMappingService.getOnChainPoolId(poolOrId);
+
+      // addLiquidity(uint256 poolId) is payable, the amount travels as msg.value
+      const result = await this.hedera.executeContractFunction(
         this.lenderPoolContract,
         'addLiquidity',
-        [poolId, contributorId, amount]
+        new ContractFunctionParameters().addUint256(onChainPoolId),
+        150000,
+        { payableAmount: amount }
       );
 
-      logger.info(`Pool contribution on blockchain: ${poolId} by ${contributorId} with ${amount}`);
+      logger.info(`Pool contribution on blockchain: ${onChainPoolId} for contributor ${contributorId} with ${amount}`);
       return result;
     } catch (error) {
       logger.error('Failed to contribute to pool on blockchain:', error);
@@ -50,16 +81,20 @@ class PoolService {
   /**
    * Withdraw from pool on blockchain
    */
-  async withdrawFromPoolOnBlockchain(poolId, contributorId, amount) {
+  async withdrawFromPoolOnBlockchain(poolOrId, contributorId, amount) {
     try {
-      // Call the removeLiquidity function on the smart contract
-      const result = await executeContractFunction(
+      const onChainPoolId = await chainMappingService.getOnChainPoolId(poolOrId);
+
+      const result = await this.hedera.executeContractFunction(
         this.lenderPoolContract,
         'removeLiquidity',
-        [poolId, contributorId, amount]
+        new ContractFunctionParameters()
+          .addUint256(onChainPoolId)
+          .addUint256(hbarToTinybars(amount)),
+        150000
       );
 
-      logger.info(`Pool withdrawal on blockchain: ${poolId} by ${contributorId} with ${amount}`);
+      logger.info(`Pool withdrawal on blockchain: ${onChainPoolId} for contributor ${contributorId} with ${amount}`);
       return result;
     } catch (error) {
       logger.error('Failed to withdraw from pool on blockchain:', error);
@@ -70,16 +105,20 @@ class PoolService {
   /**
    * Distribute yield on blockchain
    */
-  async distributeYieldOnBlockchain(poolId, totalYield) {
+  async distributeYieldOnBlockchain(poolOrId, totalYield) {
     try {
-      // Call the distributeYield function on the smart contract
-      const result = await executeContractFunction(
+      const onChainPoolId = await chainMappingService.getOnChainPoolId(poolOrId);
+
+      const result = await this.hedera.executeContractFunction(
         this.lenderPoolContract,
         'distributeYield',
-        [poolId, totalYield]
+        new ContractFunctionParameters()
+          .addUint256(onChainPoolId)
+          .addUint256(hbarToTinybars(totalYield)),
+        300000
       );
 
-      logger.info(`Yield distributed on blockchain: ${poolId} total yield ${totalYield}`);
+      logger.info(`Yield distributed on blockchain: ${onChainPoolId} total yield ${totalYield}`);
       return result;
     } catch (error) {
       logger.error('Failed to distribute yield on blockchain:', error);
@@ -90,15 +129,26 @@ class PoolService {
   /**
    * Get pool details from blockchain
    */
-  async getPoolFromBlockchain(poolId) {
+  async getPoolFromBlockchain(poolOrId) {
     try {
-      const result = await callContractFunction(
+      const onChainPoolId = await chainMappingService.getOnChainPoolId(poolOrId);
+      const result = await this.hedera.callContractFunction(
         this.lenderPoolContract,
         'getPool',
-        [poolId]
+        new ContractFunctionParameters().addUint256(onChainPoolId)
       );
 
-      return result;
+      return {
+        id: result.getUint256(0).toNumber(),
+        creator: `0x${result.getAddress(1)}`,
+        name: result.getString(2),
+        description: result.getString(3),
+        targetAmount: tinybarsToHbar(result.getUint256(4).toNumber()),
+        currentAmount: tinybarsToHbar(result.getUint256(5).toNumber()),
+        interestRate: result.getUint256(6).toNumber(),
+        createdAt: new Date(result.getUint256(7).toNumber() * 1000),
+        isActive: result.getBool(8)
+      };
     } catch (error) {
       logger.error('Failed to get pool from blockchain:', error);
       throw error;
@@ -108,15 +158,17 @@ class PoolService {
   /**
    * Get pool contributors from blockchain
    */
-  async getPoolContributorsFromBlockchain(poolId) {
+  async getPoolContributorsFromBlockchain(poolOrId) {
     try {
-      const result = await callContractFunction(
+      const onChainPoolId = await chainMappingService.getOnChainPoolId(poolOrId);
+      const result = await this.hedera.callContractFunction(
         this.lenderPoolContract,
         'getPoolLenders',
-        [poolId]
+        new ContractFunctionParameters().addUint256(onChainPoolId)
       );
 
-      return result;
+      const [lenders] = result.getResult(['address[]']);
+      return lenders.map(address => address.toLowerCase());
     } catch (error) {
       logger.error('Failed to get pool contributors from blockchain:', error);
       throw error;
@@ -292,21 +344,36 @@ class PoolService {
     }
   }
 
+  /**
+   * Find the Firestore pool referenced by an on-chain event
+   */
+  async resolveEventPoolRef(event) {
+    const poolId = await chainMappingService.resolvePoolId(event.poolId);
+    if (!poolId) {
+      logger.warn(`No pool mapped to on-chain pool ${event.poolId}, skipping ${event.type} event`);
+      return null;
+    }
+
+    const { pools } = getCollections();
+    return pools.doc(poolId);
+  }
+
   /**
    * Handle pool created event
    */
   async handlePoolCreatedEvent(event) {
     try {
-      const { pools } = getCollections();
-      const poolRef = pools.doc(event.poolId);
+      const poolRef = await this.resolveEventPoolRef(event);
+      if (!poolRef) {
+        return;
+      }
       
       await poolRef.update({
-        contractAddress: event.contractAddress,
         transactionHash: event.transactionHash,
         updatedAt: new Date()
       });
 
-      logger.info(`Processed PoolCreated event for pool ${event.poolId}`);
+      logger.info(`Processed PoolCreated event for pool ${poolRef.id}`);
     } catch (error) {
       logger.error('Failed to handle pool created event:', error);
       throw error;
@@ -318,30 +385,41 @@ class PoolService {
    */
   async handleLiquidityAddedEvent(event) {
     try {
-      const { pools } = getCollections();
-      const poolRef = pools.doc(event.poolId);
+      const poolRef = await this.resolveEventPoolRef(event);
+      if (!poolRef) {
+        return;
+      }
+
+      // Contributions sent through the API are recorded by the controller,
+      // only wallets owned by platform users can be attributed here
+      const lenderId = await chainMappingService.resolveUserIdByWallet(event.lender);
+      if (!lenderId) {
+        logger.warn(`No user found for wallet ${event.lender}, skipping LiquidityAdded event`);
+        return;
+      }
       
       const poolDoc = await poolRef.get();
       if (poolDoc.exists) {
         const pool = poolDoc.data();
         const contributors = pool.contributors || [];
         const contributorAmounts = pool.contributorAmounts || {};
+        const amount = tinybarsToHbar(event.amount);
 
-        if (!contributors.includes(event.lender)) {
-          contributors.push(event.lender);
+        if (!contributors.includes(lenderId)) {
+          contributors.push(lenderId);
         }
 
-        contributorAmounts[event.lender] = (contributorAmounts[event.lender] || 0) + event.amount;
+        contributorAmounts[lenderId] = (contributorAmounts[lenderId] || 0) + amount;
 
         await poolRef.update({
           contributors,
           contributorAmounts,
-          currentAmount: pool.currentAmount + event.amount,
+          currentAmount: (pool.currentAmount || 0) + amount,
           updatedAt: new Date()
         });
       }
 
-      logger.info(`Processed LiquidityAdded event for pool ${event.poolId}`);
+      logger.info(`Processed LiquidityAdded event for pool ${poolRef.id}`);
     } catch (error) {
       logger.error('Failed to handle liquidity added event:', error);
       throw error;
@@ -353,24 +431,41 @@ class PoolService {
    */
   async handleLiquidityRemovedEvent(event) {
     try {
-      const { pools } = getCollections();
-      const poolRef = pools.doc(event.poolId);
+      const poolRef = await this.resolveEventPoolRef(event);
+      if (!poolRef) {
+        return;
+      }
+
+      const lenderId = await chainMappingService.resolveUserIdByWallet(event.lender);
+      if (!lenderId) {
+        logger.warn(`No user found for wallet ${event.lender}, skipping LiquidityRemoved event`);
+        return;
+      }
       
       const poolDoc = await poolRef.get();
       if (poolDoc.exists) {
         const pool = poolDoc.data();
         const contributorAmounts = pool.contributorAmounts || {};
-
-        contributorAmounts[event.lender] = Math.max(0, (contributorAmounts[event.lender] || 0) - event.amount);
+        let contributors = pool.contributors || [];
+        const amount = tinybarsToHbar(event.amount);
+
+        const remaining = (contributorAmounts[lenderId] || 0) - amount;
+        if (remaining > 0) {
+          contributorAmounts[lenderId] = remaining;
+        } else {
+          delete contributorAmounts[lenderId];
+          contributors = contributors.filter(contributorId => contributorId !== lenderId);
+        }
 
         await poolRef.update({
+          contributors,
           contributorAmounts,
-          currentAmount: Math.max(0, pool.currentAmount - event.amount),
+          currentAmount: Math.max(0, (pool.currentAmount || 0) - amount),
           updatedAt: new Date()
         });
       }
 
-      logger.info(`Processed LiquidityRemoved event for pool ${event.poolId}`);
+      logger.info(`Processed LiquidityRemoved event for pool ${poolRef.id}`);
     } catch (error) {
       logger.error('Failed to handle liquidity removed event:', error);
       throw error;
@@ -382,8 +477,10 @@ class PoolService {
    */
   async handleYieldDistributedEvent(event) {
     try {
-      const { pools } = getCollections();
-      const poolRef = pools.doc(event.poolId);
+      const poolRef = await this.resolveEventPoolRef(event);
+      if (!poolRef) {
+        return;
+      }
       
       const poolDoc = await poolRef.get();
       if (poolDoc.exists) {
@@ -391,7 +488,7 @@ class PoolService {
         const yieldHistory = pool.yieldHistory || [];
 
         yieldHistory.push({
-          totalYield: event.totalYield,
+          totalYield: tinybarsToHbar(event.totalYield),
           distributedAt: new Date(),
           transactionHash: event.transactionHash
         });
@@ -402,7 +499,7 @@ class PoolService {
         });
       }
 
-      logger.info(`Processed YieldDistributed event for pool ${event.poolId}`);
+      logger.info(`Processed YieldDistributed event for pool ${poolRef.id}`);
     } catch (error) {
       logger.error('Failed to handle yield distributed event:', error);
       throw error;
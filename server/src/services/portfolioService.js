@@ -0,0 +1,253 @@
+const { getCollections } = require('../config/firestore');
+const Loan = require('../models/Loan');
+const Pool = require('../models/Pool');
+const User = require('../models/User');
+const { calculateXirr } = require('../utils/finance');
+const { roundHbar } = require('../utils/repaymentSchedule');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Loans that still carry the lender's principal
+const OPEN_LOAN_STATUSES = ['pending', 'funded', 'active'];
+
+/**
+ * Cash flow direction and principal/earnings split per transaction type
+ */
+const CASH_FLOW_TYPES = {
+  loan_funding: tx => ({ amount: -tx.amount, invested: tx.amount, principalReturned: 0, earnings: 0 }),
+  loan_repayment_distribution: tx => ({
+    amount: tx.amount,
+    invested: 0,
+    principalReturned: tx.principal || 0,
+    earnings: (tx.interest || 0) + (tx.penalty || 0)
+  }),
+  pool_contribution: tx => ({ amount: -tx.amount, invested: tx.amount, principalReturned: 0, earnings: 0 }),
+  pool_withdrawal: tx => ({ amount: tx.amount, invested: 0, principalReturned: tx.amount, earnings: 0 })
+};
+
+/**
+ * Portfolio service: lender returns, exposure and performance
+ */
+class PortfolioService {
+  /**
+   * Full portfolio for a lender: direct loans and pool shares
+   */
+  async getLenderPortfolio(userId, options = {}) {
+    try {
+      const now = options.now || new Date();
+      const interval = options.interval || 'month';
+
+      const [loans, pools, transactions] = await Promise.all([
+        Loan.findByLender(userId),
+        Pool.findByUser(userId),
+        this.getLenderTransactions(userId)
+      ]);
+
+      const loanPositions = await this.getLoanPositions(userId, loans);
+      const poolPositions = pools
+        .filter(pool => pool.contributors.includes(userId))
+        .map(pool => this.getPoolPosition(userId, pool));
+      const positions = [...loanPositions, ...poolPositions];
+
+      const cashFlows = [
+        ...transactions.map(tx => ({ date: tx.createdAt, ...CASH_FLOW_TYPES[tx.type](tx) })),
+        ...poolPositions.flatMap(position => position.yieldCashFlows)
+      ];
+
+      return {
+        summary: this.summarize(positions, cashFlows, now),
+        exposure: {
+          byCategory: this.groupExposure(positions, 'category'),
+          byCountry: this.groupExposure(positions, 'country'),
+          byRiskLevel: this.groupExposure(positions, 'riskLevel')
+        },
+        loans: loanPositions,
+        pools: poolPositions.map(({ yieldCashFlows, ...position }) => position),
+        timeSeries: this.buildTimeSeries(cashFlows, interval, now)
+      };
+    } catch (error) {
+      logger.error('Failed to build lender portfolio:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lender-side transactions that move money in or out
+   */
+  async getLenderTransactions(userId) {
+    const { transactions } = getCollections();
+    const snapshot = await transactions.where('userId', '==', userId).get();
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(tx => CASH_FLOW_TYPES[tx.type]);
+  }
+
+  /**
+   * One position per funded loan, with the borrower's country for exposure
+   */
+  async getLoanPositions(userId, loans) {
+    const borrowerIds = [...new Set(loans.map(loan => loan.borrowerId))];
+    const borrowers = await Promise.all(borrowerIds.map(id => User.findById(id)));
+    const countries = Object.fromEntries(borrowerIds.map((id, i) => [id, borrowers[i] ? borrowers[i].country : null]));
+
+    return loans.map((loan) => {
+      const returns = loan.getLenderReturns(userId);
+      const isDefaulted = loan.status === 'defaulted';
+      const isOpen = OPEN_LOAN_STATUSES.includes(loan.status);
+
+      return {
+        type: 'loan',
+        loanId: loan.id,
+        purpose: loan.purpose,
+        status: loan.status,
+        category: loan.category,
+        country: countries[loan.borrowerId] || 'unknown',
+        riskLevel: loan.riskLevel,
+        interestRate: loan.interestRate,
+        contribution: returns.contribution,
+        outstandingPrincipal: isOpen ? returns.outstandingPrincipal : 0,
+        principalRepaid: returns.principalRepaid,
+        interestEarned: roundHbar(returns.interestEarned + returns.penaltiesEarned),
+        expectedReturn: roundHbar((returns.contribution * loan.interestRate * loan.duration) / (365 * 100)),
+        realizedReturn: returns.realizedReturn,
+        loss: isDefaulted ? returns.outstandingPrincipal : 0
+      };
+    });
+  }
+
+  /**
+   * Pool share, with yield attributed pro-rata to the current share
+   */
+  getPoolPosition(userId, pool) {
+    const contribution = pool.getUserContribution(userId);
+    const share = pool.currentAmount > 0 ? contribution / pool.currentAmount : 0;
+    const yieldCashFlows = pool.yieldHistory.map(entry => ({
+      date: entry.distributedAt,
+      amount: entry.totalYield * share,
+      invested: 0,
+      principalReturned: 0,
+      earnings: entry.totalYield * share
+    }));
+    const yieldEarned = roundHbar(yieldCashFlows.reduce((sum, flow) => sum + flow.amount, 0));
+
+    return {
+      type: 'pool',
+      poolId: pool.id,
+      name: pool.name,
+      status: pool.isActive ? 'active' : 'closed',
+      category: pool.category,
+      country: 'pooled',
+      riskLevel: pool.riskLevel,
+      interestRate: pool.interestRate,
+      contribution,
+      share: roundHbar(share),
+      outstandingPrincipal: contribution,
+      principalRepaid: 0,
+      interestEarned: yieldEarned,
+      expectedReturn: roundHbar((contribution * pool.interestRate * (pool.duration || 365)) / (365 * 100)),
+      realizedReturn: yieldEarned,
+      loss: 0,
+      yieldCashFlows
+    };
+  }
+
+  /**
+   * Totals, defaults and annualized IRR. Open positions count at their
+   * outstanding principal as of now.
+   */
+  summarize(positions, cashFlows, now) {
+    const sum = field => roundHbar(positions.reduce((total, position) => total + position[field], 0));
+    const outstandingPrincipal = sum('outstandingPrincipal');
+    const defaulted = positions.filter(position => position.status === 'defaulted');
+    const irrFlows = cashFlows.map(({ date, amount }) => ({ date, amount }));
+    if (outstandingPrincipal > 0) {
+      irrFlows.push({ date: now, amount: outstandingPrincipal });
+    }
+
+    return {
+      totalInvested: sum('contribution'),
+      outstandingPrincipal,
+      principalRepaid: sum('principalRepaid'),
+      interestEarned: sum('interestEarned'),
+      expectedReturn: sum('expectedReturn'),
+      realizedReturn: sum('realizedReturn'),
+      irr: calculateXirr(irrFlows),
+      defaults: {
+        count: defaulted.length,
+        loss: sum('loss')
+      },
+      positions: positions.length
+    };
+  }
+
+  /**
+   * Outstanding exposure grouped by a position field
+   */
+  groupExposure(positions, field) {
+    const total = positions.reduce((sum, position) => sum + position.outstandingPrincipal, 0);
+    const groups = {};
+    positions.forEach((position) => {
+      if (position.outstandingPrincipal <= 0) {
+        return;
+      }
+      const key = position[field] || 'unknown';
+      groups[key] = roundHbar((groups[key] || 0) + position.outstandingPrincipal);
+    });
+
+    return Object.fromEntries(Object.entries(groups).map(([key, amount]) => [key, {
+      amount,
+      percentage: total > 0 ? Math.round((amount / total) * 10000) / 100 : 0
+    }]));
+  }
+
+  /**
+   * Cumulative invested, returned and earned per week or month, for charting
+   */
+  buildTimeSeries(cashFlows, interval, now) {
+    if (cashFlows.length === 0) {
+      return [];
+    }
+
+    const bucketStart = (date) => {
+      const d = new Date(date);
+      if (interval === 'week') {
+        const day = d.getUTCDay() || 7;
+        return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day + 1));
+      }
+      return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1));
+    };
+    const nextBucket = (date) => {
+      if (interval === 'week') {
+        return new Date(date.getTime() + 7 * DAY_MS);
+      }
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+    };
+
+    const flows = [...cashFlows].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const totals = { invested: 0, principalReturned: 0, earnings: 0 };
+    const series = [];
+    let index = 0;
+
+    for (let period = bucketStart(flows[0].date); period <= now; period = nextBucket(period)) {
+      const end = nextBucket(period);
+      while (index < flows.length && new Date(flows[index].date) < end) {
+        totals.invested += flows[index].invested;
+        totals.principalReturned += flows[index].principalReturned;
+        totals.earnings += flows[index].earnings;
+        index += 1;
+      }
+      series.push({
+        period: period.toISOString(),
+        invested: roundHbar(totals.invested),
+        principalReturned: roundHbar(totals.principalReturned),
+        earnings: roundHbar(totals.earnings),
+        outstanding: roundHbar(totals.invested - totals.principalReturned)
+      });
+    }
+
+    return series;
+  }
+}
+
+module.exports = new PortfolioService();
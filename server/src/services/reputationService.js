@@ -0,0 +1,97 @@
+const { getCollections } = require('../config/firestore');
+const { REPUTATION_RULES } = require('../config/reputation');
+const { replayReputation } = require('../utils/reputationLedger');
+const logger = require('../utils/logger');
+
+/**
+ * Reputation service: append-only event ledger, scores are derived by replay
+ */
+class ReputationService {
+  /**
+   * Append a reputation event and refresh the user's snapshot
+   */
+  async recordEvent(userId, type, metadata = {}) {
+    try {
+      if (!REPUTATION_RULES[type]) {
+        throw new Error(`Unknown reputation event type: ${type}`);
+      }
+
+      const { amount, category, points, reason, occurredAt, ...details } = metadata;
+      const event = {
+        userId,
+        type,
+        amount,
+        category,
+        points,
+        reason,
+        metadata: details,
+        syncStatus: 'pending',
+        createdAt: occurredAt || new Date()
+      };
+      const { reputationEvents } = getCollections();
+      const eventRef = await reputationEvents.add(event);
+
+      const reputation = await this.refreshSnapshot(userId);
+      logger.info(`⭐ Reputation event ${type} for user ${userId}, score now ${reputation.score}`);
+      return { event: { id: eventRef.id, ...event }, ...reputation };
+    } catch (error) {
+      logger.error('Failed to record reputation event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ledger events for a user, oldest first
+   */
+  async getEvents(userId) {
+    const { reputationEvents } = getCollections();
+    const snapshot = await reputationEvents.where('userId', '==', userId).orderBy('createdAt').get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  /**
+   * Current reputation with full history, decayed up to now. On-chain fields
+   * written by the event listener are kept alongside.
+   */
+  async getReputation(userId, now = new Date()) {
+    try {
+      const { reputation } = getCollections();
+      const [events, snapshotDoc] = await Promise.all([
+        this.getEvents(userId),
+        reputation.doc(userId).get()
+      ]);
+      const snapshot = snapshotDoc.exists ? snapshotDoc.data() : {};
+
+      return {
+        ...this.getOnChainFields(snapshot),
+        ...replayReputation(events, { now })
+      };
+    } catch (error) {
+      logger.error('Failed to get reputation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rewrite the stored snapshot from the ledger. The snapshot is a cache for
+   * queries and the contract sync, the ledger stays the source of truth.
+   */
+  async refreshSnapshot(userId, now = new Date()) {
+    const { history, ...reputation } = replayReputation(await this.getEvents(userId), { now });
+    const { reputation: reputationCollection } = getCollections();
+    await reputationCollection.doc(userId).set({
+      ...reputation,
+      eventCount: history.filter(entry => entry.id).length
+    }, { merge: true });
+    return reputation;
+  }
+
+  /**
+   * Fields mirrored from the Reputation contract
+   */
+  getOnChainFields(snapshot) {
+    return Object.fromEntries(Object.entries(snapshot).filter(([key]) => key.startsWith('onChain')));
+  }
+}
+
+module.exports = new ReputationService();
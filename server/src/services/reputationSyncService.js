@@ -0,0 +1,349 @@
+const { ContractFunctionParameters } = require('@hashgraph/sdk');
+const hedera = require('../config/hedera');
+const { tinybarsToHbar, hbarToTinybars } = hedera;
+const { getCollections } = require('../config/firestore');
+const { getReputationPolicy, TRUST_LEVELS } = require('../config/reputation');
+const reputationService = require('./reputationService');
+const { HederaEventListener, MemoryCursorStore } = require('../utils/eventListener');
+const { replayReputation } = require('../utils/reputationLedger');
+const logger = require('../utils/logger');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Reputation.sol call for each ledger event type. on_time_repayment and
+ * early_repayment have no call of their own: the contract takes them as
+ * flags on the successful_loan repayment.
+ */
+const CONTRACT_CALLS = {
+  successful_loan: (address, event) => ['updateReputationOnRepayment', new ContractFunctionParameters()
+    .addAddress(address)
+    .addUint256(hbarToTinybars(event.amount || 0))
+    .addBool(Boolean(event.metadata && event.metadata.wasOnTime))
+    .addBool(Boolean(event.metadata && event.metadata.wasEarly))],
+  loan_default: (address, event) => ['updateReputationOnDefault', new ContractFunctionParameters()
+    .addAddress(address)
+    .addUint256(hbarToTinybars(event.amount || 0))],
+  lending: (address, event) => ['updateReputationOnLending', new ContractFunctionParameters()
+    .addAddress(address)
+    .addUint256(hbarToTinybars(event.amount || 0))],
+  referral: (address, event) => ['updateReputationOnReferral', new ContractFunctionParameters()
+    .addAddress(address)
+    .addAddress((event.metadata && event.metadata.referredWallet) || ZERO_ADDRESS)],
+  category_update: (address, event) => ['updateCategoryScore', new ContractFunctionParameters()
+    .addAddress(address)
+    .addString(event.category)
+    .addInt256(Number(event.points) || 0)]
+};
+
+// Counters compared between the ledger and getUserReputation
+const COUNTERS = ['totalLoans', 'successfulLoans', 'defaultedLoans', 'totalLent', 'totalBorrowed'];
+
+/**
+ * Reputation sync service: pushes ledger events to the Reputation contract
+ * for users with a connected wallet and reconciles the two stores
+ */
+class ReputationSyncService {
+  constructor() {
+    this.reputationContract = process.env.REPUTATION_CONTRACT;
+    this.hedera = hedera;
+  }
+
+  /**
+   * Swap the Hedera client (anything exposing executeContractFunction and
+   * callContractFunction, e.g. a fake in tests)
+   */
+  setHederaClient(client) {
+    this.hedera = client;
+  }
+
+  /**
+   * Push one ledger event on-chain and record the outcome on the event.
+   * Failures are recorded rather than thrown; reconciliation retries them.
+   */
+  async pushEvent(userId, event) {
+    const { reputationEvents, users } = getCollections();
+    const eventRef = reputationEvents.doc(event.id);
+
+    if (!CONTRACT_CALLS[event.type]) {
+      await eventRef.update({ syncStatus: 'not_applicable' });
+      return { status: 'not_applicable' };
+    }
+
+    const userDoc = await users.doc(userId).get();
+    const walletAddress = userDoc.exists ? userDoc.data().walletAddress : null;
+    if (!walletAddress) {
+      await eventRef.update({ syncStatus: 'skipped' });
+      return { status: 'skipped' };
+    }
+
+    try {
+      await this.ensureRegistered(walletAddress);
+      const [functionName, params] = CONTRACT_CALLS[event.type](walletAddress, event);
+      const { transactionId } = await this.hedera.executeContractFunction(this.reputationContract, functionName, params, 150000);
+
+      await eventRef.update({ syncStatus: 'synced', syncTransactionId: transactionId, syncedAt: new Date() });
+      logger.info(`🔗 Reputation event ${event.type} for user ${userId} pushed in ${transactionId}`);
+      return { status: 'synced', transactionId };
+    } catch (error) {
+      logger.error(`Failed to push reputation event ${event.id} on-chain:`, error);
+      await eventRef.update({ syncStatus: 'failed', syncError: error.message });
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Register a wallet with the contract the first time it is used
+   */
+  async ensureRegistered(walletAddress) {
+    const result = await this.hedera.callContractFunction(
+      this.reputationContract,
+      'isUserRegistered',
+      new ContractFunctionParameters().addAddress(walletAddress)
+    );
+    if (result.getBool(0)) {
+      return false;
+    }
+
+    await this.hedera.executeContractFunction(
+      this.reputationContract,
+      'registerUser',
+      new ContractFunctionParameters().addAddress(walletAddress),
+      150000
+    );
+    logger.info(`🔗 Registered ${walletAddress} with the Reputation contract`);
+    return true;
+  }
+
+  /**
+   * getUserReputation for a wallet, or null when it is not registered
+   */
+  async getOnChainReputation(walletAddress) {
+    const registered = await this.hedera.callContractFunction(
+      this.reputationContract,
+      'isUserRegistered',
+      new ContractFunctionParameters().addAddress(walletAddress)
+    );
+    if (!registered.getBool(0)) {
+      return null;
+    }
+
+    const result = await this.hedera.callContractFunction(
+      this.reputationContract,
+      'getUserReputation',
+      new ContractFunctionParameters().addAddress(walletAddress)
+    );
+    return {
+      score: result.getUint256(0).toNumber(),
+      trustLevel: TRUST_LEVELS[result.getUint8(1)] || 'New',
+      totalLoans: result.getUint256(2).toNumber(),
+      successfulLoans: result.getUint256(3).toNumber(),
+      defaultedLoans: result.getUint256(4).toNumber(),
+      totalLent: tinybarsToHbar(result.getUint256(5).toNumber()),
+      totalBorrowed: tinybarsToHbar(result.getUint256(6).toNumber())
+    };
+  }
+
+  /**
+   * Latest ReputationUpdated and TrustLevelChanged event per wallet, read from
+   * the start of the contract's log to its end
+   */
+  async getLatestContractEvents() {
+    const reader = this.createEventReader();
+    const latest = {};
+
+    for (const event of await reader.getContractEvents()) {
+      const entry = latest[event.user] || (latest[event.user] = {});
+      if (event.type === 'ReputationUpdated') {
+        entry.score = event.newScore;
+      } else if (event.type === 'TrustLevelChanged') {
+        entry.trustLevel = TRUST_LEVELS[event.newLevel] || 'New';
+      }
+    }
+
+    return latest;
+  }
+
+  /**
+   * Log reader for the Reputation contract, from the simulator when
+   * HEDERA_NETWORK=local and the mirror node otherwise. Unlike the live
+   * listener it has no page cap, so one read reaches the newest events.
+   */
+  createEventReader() {
+    const options = {
+      name: 'reputation-reconciliation',
+      cursorStore: new MemoryCursorStore(),
+      maxPagesPerPoll: Infinity
+    };
+
+    if (hedera.isLocalNetwork()) {
+      const simulator = hedera.getChainAdapter();
+      const simulated = simulator.getContract('Reputation');
+      return new HederaEventListener(null, this.reputationContract || simulated.contractId, {
+        ...options,
+        abi: simulated.abi,
+        logSource: simulator
+      });
+    }
+
+    return new HederaEventListener(null, this.reputationContract, { ...options, contractName: 'Reputation' });
+  }
+
+  /**
+   * Compare the ledger, the contract state and the contract events for every
+   * user with a wallet. With `repair`, push missing events, correct leftover
+   * score drift and refresh the on-chain fields of the reputation snapshot.
+   */
+  async reconcileReputation(options = {}) {
+    try {
+      const repair = options.repair !== undefined ? options.repair : process.env.REPUTATION_RECONCILE_REPAIR === 'true';
+      const { users } = getCollections();
+      const snapshot = await users.where('walletAddress', '!=', null).get();
+      const latestEvents = await this.getLatestContractEvents();
+      const summary = { checked: 0, inSync: 0, drifted: 0, repaired: 0, failed: 0, users: [] };
+
+      for (const doc of snapshot.docs) {
+        summary.checked += 1;
+        try {
+          const result = await this.reconcileUser(doc.id, doc.data().walletAddress, latestEvents, repair);
+          if (result.issues.length === 0) {
+            summary.inSync += 1;
+            continue;
+          }
+          summary.drifted += 1;
+          if (result.repaired) {
+            summary.repaired += 1;
+          }
+          summary.users.push(result);
+        } catch (error) {
+          // One bad wallet should not stop the rest of the run
+          summary.failed += 1;
+          logger.error(`Failed to reconcile reputation for user ${doc.id}:`, error);
+        }
+      }
+
+      logger.info(`🔁 Reputation reconciliation: ${JSON.stringify({ ...summary, users: summary.users.length })}`);
+      return summary;
+    } catch (error) {
+      logger.error('Failed to reconcile reputation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drift report (and optional repair) for one user. `remaining` lists what
+   * is still out of sync afterwards.
+   */
+  async reconcileUser(userId, walletAddress, latestEvents, repair) {
+    const events = await reputationService.getEvents(userId);
+    const ledger = this.replayWithoutDecay(events);
+    let chain = await this.getOnChainReputation(walletAddress);
+    const issues = this.findDrift(ledger, chain, latestEvents[walletAddress.toLowerCase()], await this.getSnapshot(userId));
+
+    if (issues.length === 0 || !repair) {
+      return { userId, walletAddress, issues, remaining: issues, repaired: false };
+    }
+
+    // Replay what never reached the chain, oldest first
+    for (const event of events.filter(entry => entry.syncStatus !== 'synced' && CONTRACT_CALLS[entry.type])) {
+      const pushed = await this.pushEvent(userId, event);
+      if (pushed.status === 'failed') {
+        throw new Error(`Could not push reputation event ${event.id}: ${pushed.error}`);
+      }
+    }
+    await this.ensureRegistered(walletAddress);
+
+    chain = await this.getOnChainReputation(walletAddress);
+    if (ledger.score !== chain.score) {
+      await this.correctScore(userId, walletAddress, ledger.score - chain.score);
+      chain = await this.getOnChainReputation(walletAddress);
+    }
+
+    const { reputation } = getCollections();
+    const onChainFields = {
+      onChainScore: chain.score,
+      onChainTrustLevel: chain.trustLevel,
+      onChainUpdatedAt: new Date()
+    };
+    await reputation.doc(userId).set(onChainFields, { merge: true });
+
+    const remaining = this.findDrift(ledger, chain, null, onChainFields);
+    return { userId, walletAddress, issues, remaining, repaired: remaining.length === 0 };
+  }
+
+  /**
+   * Move the on-chain score through the "reconciliation" category. The
+   * contract reverts when a category score would go below zero, so a score
+   * can only be lowered by what earlier corrections added.
+   */
+  async correctScore(userId, walletAddress, delta) {
+    let points = delta;
+    if (delta < 0) {
+      const result = await this.hedera.callContractFunction(
+        this.reputationContract,
+        'getCategoryScore',
+        new ContractFunctionParameters().addAddress(walletAddress).addString('reconciliation')
+      );
+      points = -Math.min(-delta, result.getUint256(0).toNumber());
+    }
+    if (points === 0) {
+      logger.warn(`Cannot lower on-chain score for user ${userId} by ${-delta}, leaving it for review`);
+      return;
+    }
+
+    const { transactionId } = await this.hedera.executeContractFunction(
+      this.reputationContract,
+      'updateCategoryScore',
+      new ContractFunctionParameters().addAddress(walletAddress).addString('reconciliation').addInt256(points),
+      150000
+    );
+    logger.info(`🔁 Corrected on-chain score for user ${userId} by ${points} in ${transactionId}`);
+  }
+
+  /**
+   * Differences between the ledger, getUserReputation, the latest contract
+   * events and the on-chain fields the event listener stored. A snapshot
+   * without on-chain fields has not been synced yet, which is not drift.
+   */
+  findDrift(ledger, chain, latestEvent, snapshot) {
+    if (!chain) {
+      return [{ type: 'unregistered', ledger: ledger.score, chain: null }];
+    }
+
+    const issues = [];
+    if (ledger.score !== chain.score) {
+      issues.push({ type: 'score', ledger: ledger.score, chain: chain.score });
+    }
+    COUNTERS.forEach((counter) => {
+      if (Math.abs(ledger[counter] - chain[counter]) > 1e-8) {
+        issues.push({ type: 'counter', field: counter, ledger: ledger[counter], chain: chain[counter] });
+      }
+    });
+    if (latestEvent && latestEvent.score !== undefined && latestEvent.score !== chain.score) {
+      issues.push({ type: 'events', events: latestEvent.score, chain: chain.score });
+    }
+    const synced = snapshot.onChainScore !== undefined && snapshot.onChainScore !== null;
+    if (synced && snapshot.onChainScore !== chain.score) {
+      issues.push({ type: 'listener', snapshot: snapshot.onChainScore, chain: chain.score });
+    }
+    return issues;
+  }
+
+  /**
+   * Ledger replay as the contract sees it: the contract has no decay
+   */
+  replayWithoutDecay(events) {
+    return replayReputation(events, { policy: { ...getReputationPolicy(), inactiveDays: Infinity } });
+  }
+
+  /**
+   * Stored reputation snapshot for a user
+   */
+  async getSnapshot(userId) {
+    const { reputation } = getCollections();
+    const doc = await reputation.doc(userId).get();
+    return doc.exists ? doc.data() : {};
+  }
+}
+
+module.exports = new ReputationSyncService();
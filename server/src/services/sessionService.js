@@ -0,0 +1,267 @@
+const { getCollections, runTransaction } = require('../config/firestore');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  hashToken,
+  getTokenId,
+  getTokenExpiry
+} = require('../utils/tokens');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+/**
+ * Session service: one session per sign-in, holding the hash of its current
+ * refresh token. Refresh tokens rotate on every use; presenting a rotated-out
+ * token revokes the session (the token family) and denylists its access tokens.
+ */
+class SessionService {
+  /**
+   * Sign a new access token for a session. Returns the token and the denylist
+   * entry needed to revoke it.
+   */
+  issueAccessToken(user, sessionId) {
+    const token = generateToken({ id: user.id, email: user.email, role: user.role, sid: sessionId });
+    return { token, accessToken: { jti: getTokenId(token), expiresAt: getTokenExpiry(token) } };
+  }
+
+  /**
+   * Start a session for a user and issue its first token pair. `details`
+   * carries the device (userAgent, ipAddress) and, when the sign-in passed a
+   * second factor, mfaVerifiedAt.
+   */
+  async createSession(user, details = {}, now = new Date()) {
+    try {
+      const { sessions } = getCollections();
+      const sessionRef = sessions.doc();
+
+      const { token, accessToken } = this.issueAccessToken(user, sessionRef.id);
+      const refreshToken = generateRefreshToken({ id: user.id, sid: sessionRef.id });
+
+      await sessionRef.set({
+        userId: user.id,
+        refreshTokenHash: hashToken(refreshToken),
+        accessTokens: [accessToken],
+        userAgent: details.userAgent || null,
+        ipAddress: details.ipAddress || null,
+        mfaVerifiedAt: details.mfaVerifiedAt || null,
+        rotationCount: 0,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: getTokenExpiry(refreshToken),
+        revokedAt: null,
+        revokedReason: null
+      });
+
+      logger.info(`🔑 Session ${sessionRef.id} started for user ${user.id}`);
+      return { token, refreshToken, sessionId: sessionRef.id };
+    } catch (error) {
+      logger.error('Failed to create session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. Each refresh token works once;
+   * reusing one revokes the whole session.
+   */
+  async rotateRefreshToken(refreshToken, client = {}, now = new Date()) {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw new AppError('Refresh token is invalid or expired', 401);
+    }
+    if (!decoded.sid) {
+      throw new AppError('Refresh token is not bound to a session', 401);
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user || !user.isActive) {
+      throw new AppError('Refresh token is invalid or expired', 401);
+    }
+
+    const { sessions } = getCollections();
+    const sessionRef = sessions.doc(decoded.sid);
+
+    const result = await runTransaction(async (transaction) => {
+      const sessionDoc = await transaction.get(sessionRef);
+      if (!sessionDoc.exists || sessionDoc.data().userId !== user.id) {
+        throw new AppError('Refresh token is invalid or expired', 401);
+      }
+      const session = sessionDoc.data();
+      if (session.revokedAt) {
+        throw new AppError('Session has been revoked', 401);
+      }
+
+      if (session.refreshTokenHash !== hashToken(refreshToken)) {
+        transaction.update(sessionRef, { revokedAt: now, revokedReason: 'refresh_token_reuse' });
+        return { reused: true, session };
+      }
+
+      const { token, accessToken } = this.issueAccessToken(user, sessionRef.id);
+      const nextRefreshToken = generateRefreshToken({ id: user.id, sid: sessionRef.id });
+      transaction.update(sessionRef, {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        accessTokens: [...session.accessTokens.filter(entry => new Date(entry.expiresAt) > now), accessToken],
+        userAgent: client.userAgent || session.userAgent,
+        ipAddress: client.ipAddress || session.ipAddress,
+        rotationCount: session.rotationCount + 1,
+        lastUsedAt: now,
+        expiresAt: getTokenExpiry(nextRefreshToken)
+      });
+      return { token, refreshToken: nextRefreshToken, sessionId: sessionRef.id };
+    });
+
+    if (result.reused) {
+      await this.denyAccessTokens(result.session.accessTokens, { userId: user.id, sessionId: sessionRef.id, reason: 'refresh_token_reuse' }, now);
+      logger.warn(`🚨 Refresh token reuse on session ${sessionRef.id}, session revoked for user ${user.id}`);
+      throw new AppError('Refresh token has already been used', 401);
+    }
+
+    return result;
+  }
+
+  /**
+   * Session by ID, or null
+   */
+  async getSession(sessionId) {
+    const { sessions } = getCollections();
+    const sessionDoc = await sessions.doc(sessionId).get();
+    return sessionDoc.exists ? { id: sessionDoc.id, ...sessionDoc.data() } : null;
+  }
+
+  /**
+   * Note that a session just passed a second factor
+   */
+  async recordSecondFactor(sessionId, now = new Date()) {
+    const { sessions } = getCollections();
+    await sessions.doc(sessionId).update({ mfaVerifiedAt: now });
+  }
+
+  /**
+   * Revoke a session and denylist its live access tokens
+   */
+  async revokeSession(sessionId, reason = 'logout', now = new Date()) {
+    try {
+      const { sessions } = getCollections();
+      const sessionRef = sessions.doc(sessionId);
+
+      const session = await runTransaction(async (transaction) => {
+        const sessionDoc = await transaction.get(sessionRef);
+        if (!sessionDoc.exists || sessionDoc.data().revokedAt) {
+          return null;
+        }
+        transaction.update(sessionRef, { revokedAt: now, revokedReason: reason });
+        return sessionDoc.data();
+      });
+
+      if (session) {
+        await this.denyAccessTokens(session.accessTokens, { userId: session.userId, sessionId, reason }, now);
+        logger.info(`🔒 Session ${sessionId} revoked (${reason})`);
+      }
+      return Boolean(session);
+    } catch (error) {
+      logger.error('Failed to revoke session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   */
+  async revokeUserSession(userId, sessionId, reason = 'revoked_by_user') {
+    const { sessions } = getCollections();
+    const sessionDoc = await sessions.doc(sessionId).get();
+    if (!sessionDoc.exists || sessionDoc.data().userId !== userId) {
+      throw new AppError('Session not found', 404);
+    }
+    await this.revokeSession(sessionId, reason);
+  }
+
+  /**
+   * Revoke every open session of a user, optionally keeping one (the caller's
+   * own). Returns how many were revoked.
+   */
+  async revokeAllSessions(userId, reason, { exceptSessionId = null, now = new Date() } = {}) {
+    const { sessions } = getCollections();
+    const snapshot = await sessions.where('userId', '==', userId).get();
+
+    let revoked = 0;
+    for (const doc of snapshot.docs) {
+      if (doc.id !== exceptSessionId && await this.revokeSession(doc.id, reason, now)) {
+        revoked += 1;
+      }
+    }
+    return revoked;
+  }
+
+  /**
+   * A user's active sessions, most recently used first
+   */
+  async listSessions(userId, currentSessionId = null, now = new Date()) {
+    const { sessions } = getCollections();
+    const snapshot = await sessions.where('userId', '==', userId).get();
+
+    return snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(session => !session.revokedAt && new Date(session.expiresAt) > now)
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+      .map(session => ({
+        id: session.id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.id === currentSessionId
+      }));
+  }
+
+  /**
+   * Add access tokens to the denylist until they expire
+   */
+  async denyAccessTokens(accessTokens, details, now = new Date()) {
+    const { revokedTokens } = getCollections();
+    const live = accessTokens.filter(entry => new Date(entry.expiresAt) > now);
+    await Promise.all(live.map(entry => revokedTokens.doc(entry.jti).set({
+      ...details,
+      expiresAt: entry.expiresAt,
+      revokedAt: now
+    })));
+  }
+
+  /**
+   * Whether an access token's jti is on the denylist
+   */
+  async isAccessTokenRevoked(jti) {
+    const { revokedTokens } = getCollections();
+    const tokenDoc = await revokedTokens.doc(jti).get();
+    return tokenDoc.exists;
+  }
+
+  /**
+   * Delete expired denylist entries and sessions
+   */
+  async pruneExpired(now = new Date()) {
+    try {
+      const { sessions, revokedTokens } = getCollections();
+      const [expiredTokens, expiredSessions] = await Promise.all([
+        revokedTokens.where('expiresAt', '<=', now).get(),
+        sessions.where('expiresAt', '<=', now).get()
+      ]);
+
+      await Promise.all([...expiredTokens.docs, ...expiredSessions.docs].map(doc => doc.ref.delete()));
+
+      const summary = { revokedTokens: expiredTokens.size, sessions: expiredSessions.size };
+      logger.info(`🧹 Pruned ${summary.revokedTokens} denylisted tokens and ${summary.sessions} sessions`);
+      return summary;
+    } catch (error) {
+      logger.error('Failed to prune sessions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const { getCollections, runTransaction } = require('../config/firestore');
+const { getTwoFactorPolicy } = require('../config/twoFactor');
+const { AppError } = require('../middleware/errorHandler');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { hashToken } = require('../utils/tokens');
+const sessionService = require('./sessionService');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+/**
+ * Recovery codes are compared without case, spaces or dashes
+ */
+const normalizeRecoveryCode = code => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Two-factor service: optional TOTP with recovery codes, the second step of
+ * password and wallet sign-in, and step-up checks for sensitive operations
+ */
+class TwoFactorService {
+  /**
+   * Stored TOTP settings for a user, or null
+   */
+  async getSettings(userId) {
+    const { twoFactor } = getCollections();
+    const settingsDoc = await twoFactor.doc(userId).get();
+    return settingsDoc.exists ? settingsDoc.data() : null;
+  }
+
+  /**
+   * Fresh recovery codes: the plain codes to show once and their hashes to store
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: getTwoFactorPolicy().recoveryCodeCount }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+  }
+
+  /**
+   * Start enrolment: a pending secret and the otpauth URI to scan
+   */
+  async beginEnrolment(user) {
+    try {
+      if (user.twoFactorEnabled) {
+        throw new AppError('Two-factor authentication is already enabled', 400);
+      }
+
+      const policy = getTwoFactorPolicy();
+      const secret = generateSecret();
+      const otpauthUri = buildOtpauthUri({
+        secret,
+        accountName: user.email || user.walletAddress || user.id,
+        issuer: policy.issuer
+      });
+
+      const { twoFactor } = getCollections();
+      await twoFactor.doc(user.id).set({
+        enabled: false,
+        pendingSecret: secret,
+        createdAt: new Date()
+      });
+
+      return { secret, otpauthUri, qrPayload: otpauthUri };
+    } catch (error) {
+      logger.error('Failed to start two-factor enrolment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish enrolment with a code from the app. Returns the recovery codes,
+   * which are only ever shown here.
+   */
+  async confirmEnrolment(user, code, now = new Date()) {
+    try {
+      const settings = await this.getSettings(user.id);
+      if (!settings || !settings.pendingSecret) {
+        throw new AppError('Start two-factor setup first', 400);
+      }
+
+      const counter = verifyTotp(settings.pendingSecret, code, { time: now });
+      if (counter === null) {
+        throw new AppError('Invalid two-factor code', 401);
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+      const { twoFactor } = getCollections();
+      await twoFactor.doc(user.id).set({
+        enabled: true,
+        secret: settings.pendingSecret,
+        pendingSecret: null,
+        lastUsedCounter: counter,
+        recoveryCodeHashes: recoveryCodes.hashes,
+        createdAt: settings.createdAt,
+        enabledAt: now
+      });
+      await user.update({ twoFactorEnabled: true });
+
+      logger.info(`🔐 Two-factor authentication enabled for user ${user.id}`);
+      return { recoveryCodes: recoveryCodes.codes };
+    } catch (error) {
+      logger.error('Failed to confirm two-factor enrolment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a TOTP or recovery code. TOTP codes cannot be replayed and
+   * recovery codes are spent on use. Throws 401 when the code is wrong, and
+   * 429 once too many wrong codes in a row have locked the second factor.
+   */
+  async verifyCode(userId, code, now = new Date()) {
+    const policy = getTwoFactorPolicy();
+    const { twoFactor } = getCollections();
+    const settingsRef = twoFactor.doc(userId);
+
+    const outcome = await runTransaction(async (transaction) => {
+      const settingsDoc = await transaction.get(settingsRef);
+      if (!settingsDoc.exists || !settingsDoc.data().enabled) {
+        throw new AppError('Two-factor authentication is not enabled', 400);
+      }
+      const settings = settingsDoc.data();
+
+      if (settings.lockedUntil && new Date(settings.lockedUntil) > now) {
+        return { method: null, lockedUntil: new Date(settings.lockedUntil) };
+      }
+
+      const counter = verifyTotp(settings.secret, code, { time: now });
+      if (counter !== null && counter > settings.lastUsedCounter) {
+        transaction.update(settingsRef, { lastUsedCounter: counter, failedAttempts: 0 });
+        return { method: 'totp' };
+      }
+
+      const codeHash = hashToken(normalizeRecoveryCode(code));
+      if (settings.recoveryCodeHashes.includes(codeHash)) {
+        transaction.update(settingsRef, {
+          recoveryCodeHashes: settings.recoveryCodeHashes.filter(hash => hash !== codeHash),
+          failedAttempts: 0
+        });
+        return { method: 'recovery_code' };
+      }
+
+      // Count the miss, the same limit covers sign-in, step-up and disabling
+      const failedAttempts = (settings.failedAttempts || 0) + 1;
+      const lockedUntil = failedAttempts >= policy.maxFailedAttempts
+        ? new Date(now.getTime() + policy.lockoutSeconds * 1000)
+        : null;
+      transaction.update(settingsRef, { failedAttempts: lockedUntil ? 0 : failedAttempts, lockedUntil });
+      return { method: null, lockedUntil, failedAttempts };
+    });
+
+    if (outcome.lockedUntil) {
+      if (outcome.failedAttempts) {
+        logger.warn(`🔒 Two-factor locked for user ${userId} until ${outcome.lockedUntil.toISOString()}`);
+      }
+      throw new AppError('Too many invalid two-factor codes, please try again later', 429);
+    }
+    if (!outcome.method) {
+      throw new AppError('Invalid two-factor code', 401);
+    }
+    if (outcome.method === 'recovery_code') {
+      logger.warn(`🔐 Recovery code used by user ${userId}`);
+    }
+    return { method: outcome.method };
+  }
+
+  /**
+   * Turn two-factor off; needs a valid code
+   */
+  async disable(user, code) {
+    await this.verifyCode(user.id, code);
+
+    const { twoFactor } = getCollections();
+    await twoFactor.doc(user.id).delete();
+    await user.update({ twoFactorEnabled: false });
+
+    logger.info(`🔓 Two-factor authentication disabled for user ${user.id}`);
+  }
+
+  /**
+   * Replace all recovery codes
+   */
+  async regenerateRecoveryCodes(userId) {
+    const settings = await this.getSettings(userId);
+    if (!settings || !settings.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    const { twoFactor } = getCollections();
+    await twoFactor.doc(userId).update({ recoveryCodeHashes: recoveryCodes.hashes });
+    return { recoveryCodes: recoveryCodes.codes };
+  }
+
+  /**
+   * Hold a sign-in that passed its first factor until the code arrives.
+   * Returns the token the client sends back with the code.
+   */
+  async createLoginChallenge(userId, now = new Date()) {
+    const policy = getTwoFactorPolicy();
+    const mfaToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now.getTime() + policy.loginChallengeTtlSeconds * 1000);
+
+    const { twoFactorChallenges } = getCollections();
+    await twoFactorChallenges.doc(hashToken(mfaToken)).set({
+      userId,
+      attempts: 0,
+      createdAt: now,
+      expiresAt,
+      usedAt: null
+    });
+
+    return { twoFactorRequired: true, mfaToken, expiresAt };
+  }
+
+  /**
+   * Finish a held sign-in with a code. Returns the user ID.
+   */
+  async completeLoginChallenge(mfaToken, code, now = new Date()) {
+    const policy = getTwoFactorPolicy();
+    const { twoFactorChallenges } = getCollections();
+    const challengeRef = twoFactorChallenges.doc(hashToken(String(mfaToken)));
+
+    const challenge = await runTransaction(async (transaction) => {
+      const challengeDoc = await transaction.get(challengeRef);
+      if (!challengeDoc.exists) {
+        throw new AppError('Sign-in has expired, please login again', 401);
+      }
+      const data = challengeDoc.data();
+      if (data.usedAt || new Date(data.expiresAt) <= now || data.attempts >= policy.maxLoginAttempts) {
+        throw new AppError('Sign-in has expired, please login again', 401);
+      }
+      transaction.update(challengeRef, { attempts: data.attempts + 1 });
+      return data;
+    });
+
+    await this.verifyCode(challenge.userId, code, now);
+    await challengeRef.update({ usedAt: now });
+    return challenge.userId;
+  }
+
+  /**
+   * Whether the caller may run a sensitive operation: always without
+   * two-factor, otherwise after a second factor on this session within the
+   * recent window, or with a valid code sent along now.
+   */
+  async authorizeSensitiveOperation(claims, code, now = new Date()) {
+    const user = await User.findById(claims.id);
+    if (!user || !user.twoFactorEnabled) {
+      return { allowed: true };
+    }
+
+    if (code) {
+      try {
+        await this.verifyCode(user.id, code, now);
+      } catch (error) {
+        if (error.statusCode) {
+          return { allowed: false, message: error.message };
+        }
+        throw error;
+      }
+      if (claims.sid) {
+        await sessionService.recordSecondFactor(claims.sid, now);
+      }
+      return { allowed: true };
+    }
+
+    const session = claims.sid ? await sessionService.getSession(claims.sid) : null;
+    const windowMs = getTwoFactorPolicy().recentWindowSeconds * 1000;
+    if (session && session.mfaVerifiedAt && now - new Date(session.mfaVerifiedAt) <= windowMs) {
+      return { allowed: true };
+    }
+    return { allowed: false, message: 'Confirm this action with your authenticator code' };
+  }
+}
+
+module.exports = new TwoFactorService();
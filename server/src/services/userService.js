@@ -1,5 +1,10 @@
 const nodemailer = require('nodemailer');
 const { getCollections } = require('../config/firestore');
+const accountTokenService = require('./accountTokenService');
+const chainMappingService = require('./chainMappingService');
+const reputationService = require('./reputationService');
+const reputationSyncService = require('./reputationSyncService');
+const { TRUST_LEVELS } = require('../config/reputation');
 const logger = require('../utils/logger');
 
 /**
@@ -14,8 +19,13 @@ class UserService {
    * Initialize email transporter
    */
   initializeEmailTransporter() {
+    if (!process.env.EMAIL_USER) {
+      logger.warn('EMAIL_USER is not set, emails will not be sent');
+      return null;
+    }
+
     try {
-      return nodemailer.createTransporter({
+      return nodemailer.createTransport({
         service: process.env.EMAIL_SERVICE || 'gmail',
         auth: {
           user: process.env.EMAIL_USER,
@@ -29,7 +39,15 @@ class UserService {
   }
 
   /**
-   * Send verification email
+   * Swap the email transporter (anything exposing sendMail, e.g. a capturing
+   * fake in tests)
+   */
+  setEmailTransporter(transporter) {
+    this.emailTransporter = transporter;
+  }
+
+  /**
+   * Send verification email with a fresh single-use token
    */
   async sendVerificationEmail(user) {
     try {
@@ -38,7 +56,7 @@ class UserService {
         return;
       }
 
-      const verificationToken = this.generateVerificationToken(user.id);
+      const { token: verificationToken } = await accountTokenService.issue(user.id, 'email_verification');
       const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
 
       const mailOptions = {
@@ -142,14 +160,6 @@ class UserService {
     }
   }
 
-  /**
-   * Generate verification token
-   */
-  generateVerificationToken(userId) {
-    const jwt = require('jsonwebtoken');
-    return jwt.sign({ id: userId }, process.env.JWT_SECRET, { expiresIn: '24h' });
-  }
-
   /**
    * Get user transactions
    */
@@ -453,68 +463,84 @@ class UserService {
    */
   async updateUserReputation(userId, action, metadata = {}) {
     try {
-      const { reputation } = getCollections();
-      const reputationRef = reputation.doc(userId);
-      
-      const reputationDoc = await reputationRef.get();
-      let reputationData = reputationDoc.exists ? reputationDoc.data() : {
-        score: 100,
-        trustLevel: 'New',
-        totalLoans: 0,
-        successfulLoans: 0,
-        defaultedLoans: 0,
-        totalLent: 0,
-        totalBorrowed: 0,
-        lastUpdated: new Date()
-      };
+      const reputation = await reputationService.recordEvent(userId, action, metadata);
+      await reputationSyncService.pushEvent(userId, reputation.event);
+      return reputation;
+    } catch (error) {
+      logger.error('Failed to update user reputation:', error);
+      throw error;
+    }
+  }
 
-      // Update reputation based on action
-      switch (action) {
-        case 'successful_loan':
-          reputationData.successfulLoans += 1;
-          reputationData.totalLoans += 1;
-          reputationData.totalBorrowed += metadata.amount || 0;
-          reputationData.score += 50;
-          break;
-        case 'loan_default':
-          reputationData.defaultedLoans += 1;
-          reputationData.totalLoans += 1;
-          reputationData.totalBorrowed += metadata.amount || 0;
-          reputationData.score = Math.max(0, reputationData.score - 100);
-          break;
-        case 'lending':
-          reputationData.totalLent += metadata.amount || 0;
-          reputationData.score += 30;
-          break;
-        case 'on_time_repayment':
-          reputationData.score += 25;
-          break;
-        case 'early_repayment':
-          reputationData.score += 10;
-          break;
-        default:
-          break;
+  /**
+   * Process reputation events from blockchain
+   */
+  async processReputationEvents(events) {
+    try {
+      for (const event of events) {
+        switch (event.type) {
+          case 'ReputationUpdated':
+            await this.handleReputationUpdatedEvent(event);
+            break;
+          case 'TrustLevelChanged':
+            await this.handleTrustLevelChangedEvent(event);
+            break;
+          default:
+            logger.warn(`Unknown reputation event type: ${event.type}`);
+        }
       }
+    } catch (error) {
+      logger.error('Failed to process reputation events:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle reputation updated event
+   */
+  async handleReputationUpdatedEvent(event) {
+    try {
+      const userId = await chainMappingService.resolveUserIdByWallet(event.user);
+      if (!userId) {
+        logger.warn(`No user found for wallet ${event.user}, skipping ReputationUpdated event`);
+        return;
+      }
+
+      const { reputation } = getCollections();
+      await reputation.doc(userId).set({
+        onChainScore: event.newScore,
+        onChainReason: event.reason,
+        onChainUpdatedAt: new Date(),
+        transactionHash: event.transactionHash
+      }, { merge: true });
+
+      logger.info(`Processed ReputationUpdated event for user ${userId}`);
+    } catch (error) {
+      logger.error('Failed to handle reputation updated event:', error);
+      throw error;
+    }
+  }
 
-      // Update trust level based on score
-      if (reputationData.score >= 1000) {
-        reputationData.trustLevel = 'Premium';
-      } else if (reputationData.score >= 601) {
-        reputationData.trustLevel = 'Excellent';
-      } else if (reputationData.score >= 301) {
-        reputationData.trustLevel = 'Good';
-      } else if (reputationData.score >= 101) {
-        reputationData.trustLevel = 'Basic';
-      } else {
-        reputationData.trustLevel = 'New';
+  /**
+   * Handle trust level changed event
+   */
+  async handleTrustLevelChangedEvent(event) {
+    try {
+      const userId = await chainMappingService.resolveUserIdByWallet(event.user);
+      if (!userId) {
+        logger.warn(`No user found for wallet ${event.user}, skipping TrustLevelChanged event`);
+        return;
       }
 
-      reputationData.lastUpdated = new Date();
+      const { reputation } = getCollections();
+      await reputation.doc(userId).set({
+        onChainTrustLevel: TRUST_LEVELS[event.newLevel] || 'New',
+        onChainUpdatedAt: new Date()
+      }, { merge: true });
 
-      await reputationRef.set(reputationData);
-      logger.info(`Reputation updated for user ${userId}: ${action}`);
+      logger.info(`Processed TrustLevelChanged event for user ${userId}`);
     } catch (error) {
-      logger.error('Failed to update user reputation:', error);
+      logger.error('Failed to handle trust level changed event:', error);
       throw error;
     }
   }
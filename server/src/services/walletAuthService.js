@@ -0,0 +1,142 @@
+const hedera = require('../config/hedera');
+const { getCollections, runTransaction } = require('../config/firestore');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  generateNonce,
+  buildChallengeMessage,
+  verifyEvmSignature,
+  verifyHederaSignature,
+  isSameKey,
+  toEvmAddress,
+  getWalletType
+} = require('../utils/walletSignature');
+const logger = require('../utils/logger');
+
+/**
+ * Wallet auth service: single-use, expiring nonce challenges that prove
+ * ownership of an EVM address or a Hedera account
+ */
+class WalletAuthService {
+  constructor() {
+    this.hedera = hedera;
+  }
+
+  /**
+   * Swap the Hedera client (anything exposing getAccountPublicKey, e.g. a
+   * fake in tests)
+   */
+  setHederaClient(client) {
+    this.hedera = client;
+  }
+
+  /**
+   * How long a challenge can be signed for
+   */
+  getChallengeTtlMs() {
+    return (parseInt(process.env.WALLET_CHALLENGE_TTL_SECONDS) || 300) * 1000;
+  }
+
+  /**
+   * Issue a challenge for a wallet, optionally bound to a user
+   */
+  async createChallenge(walletAddress, options = {}) {
+    try {
+      const walletType = getWalletType(walletAddress);
+      if (!walletType) {
+        throw new AppError('Wallet address must be an EVM address or a Hedera account ID', 400);
+      }
+
+      const issuedAt = options.now || new Date();
+      const expiresAt = new Date(issuedAt.getTime() + this.getChallengeTtlMs());
+      const nonce = generateNonce();
+      const purpose = options.purpose || 'connect_wallet';
+      const message = buildChallengeMessage({ walletAddress, nonce, purpose, issuedAt, expiresAt });
+
+      const { walletChallenges } = getCollections();
+      await walletChallenges.doc(nonce).set({
+        walletAddress,
+        walletType,
+        userId: options.userId || null,
+        purpose,
+        message,
+        createdAt: issuedAt,
+        expiresAt,
+        usedAt: null
+      });
+
+      return { nonce, message, expiresAt };
+    } catch (error) {
+      logger.error('Failed to create wallet challenge:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Consume a challenge and check its signature. The nonce is spent even
+   * when verification fails, so every attempt needs a fresh challenge.
+   */
+  async verifyChallenge({ nonce, walletAddress, signature, publicKey, userId = null, purpose = 'connect_wallet', now = new Date() }) {
+    const { walletChallenges } = getCollections();
+    const challengeRef = walletChallenges.doc(nonce);
+
+    const challenge = await runTransaction(async (transaction) => {
+      const challengeDoc = await transaction.get(challengeRef);
+      if (!challengeDoc.exists) {
+        throw new AppError('Unknown wallet challenge', 401);
+      }
+      const data = challengeDoc.data();
+      if (data.usedAt) {
+        throw new AppError('Wallet challenge has already been used', 401);
+      }
+      transaction.update(challengeRef, { usedAt: now });
+      return data;
+    });
+
+    if (new Date(challenge.expiresAt) <= now) {
+      throw new AppError('Wallet challenge has expired', 401);
+    }
+    if (challenge.walletAddress.toLowerCase() !== String(walletAddress).toLowerCase()
+      || challenge.purpose !== purpose
+      || (challenge.userId && challenge.userId !== userId)) {
+      throw new AppError('Wallet challenge does not match this request', 401);
+    }
+
+    const isValid = await this.verifySignature(challenge.message, signature, challenge.walletAddress, publicKey);
+    if (!isValid) {
+      throw new AppError('Wallet signature verification failed', 401);
+    }
+
+    logger.info(`🔐 Wallet ${challenge.walletAddress} verified for ${purpose}`);
+    return {
+      walletAddress: challenge.walletAddress,
+      walletType: challenge.walletType,
+      evmAddress: toEvmAddress(challenge.walletAddress)
+    };
+  }
+
+  /**
+   * Check a signature over a message: EVM addresses by recovering the
+   * signer, Hedera accounts against the key the account holds on the network
+   */
+  async verifySignature(message, signature, walletAddress, publicKey) {
+    try {
+      if (typeof signature !== 'string') {
+        return false;
+      }
+      if (getWalletType(walletAddress) === 'evm') {
+        return verifyEvmSignature(message, signature, walletAddress);
+      }
+      if (!publicKey) {
+        return false;
+      }
+
+      const accountKey = await this.hedera.getAccountPublicKey(walletAddress);
+      return isSameKey(publicKey, accountKey) && verifyHederaSignature(message, signature, publicKey);
+    } catch (error) {
+      logger.error('Error verifying wallet signature:', error);
+      return false;
+    }
+  }
+}
+
+module.exports = new WalletAuthService();
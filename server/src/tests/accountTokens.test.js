@@ -0,0 +1,116 @@
+const request = require('supertest');
+const app = require('../index');
+const { getFirestore, getCollections } = require('../config/firestore');
+const User = require('../models/User');
+const userService = require('../services/userService');
+const accountTokenService = require('../services/accountTokenService');
+const { hashToken } = require('../utils/tokens');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Email verification and password reset tokens', () => {
+  const originalTransporter = userService.emailTransporter;
+  let outbox;
+
+  const tokenFrom = mail => mail.html.match(/token=([a-f0-9]{64})/)[1];
+  const lastTokenTo = email => tokenFrom(outbox.filter(mail => mail.to === email).pop());
+
+  const register = async (email) => {
+    const response = await request(app).post('/api/users/register').send({
+      email,
+      password: 'password123',
+      firstName: 'Ama',
+      lastName: 'Mensah',
+      phoneNumber: '+233201234567',
+      country: 'Ghana',
+      dateOfBirth: '1992-04-01',
+      occupation: 'Trader'
+    }).expect(201);
+    return response.body.data;
+  };
+  const login = password => request(app).post('/api/users/login').send({ email: 'ama@example.com', password });
+
+  beforeAll(() => {
+    userService.setEmailTransporter({ sendMail: async mail => outbox.push(mail) });
+  });
+
+  afterAll(() => {
+    userService.setEmailTransporter(originalTransporter);
+  });
+
+  beforeEach(() => {
+    getFirestore().clear();
+    outbox = [];
+  });
+
+  it('should verify an email once, with only the latest link', async () => {
+    const { user, token } = await register('ama@example.com');
+    const firstLink = lastTokenTo('ama@example.com');
+    const verify = (emailToken, authToken = token) => request(app)
+      .post('/api/users/verify-email')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ token: emailToken });
+
+    await request(app).post('/api/users/resend-verification').set('Authorization', `Bearer ${token}`).expect(200);
+    const secondLink = lastTokenTo('ama@example.com');
+    expect(secondLink).not.toBe(firstLink);
+    expect((await verify(firstLink).expect(400)).body.message).toBe('Token is invalid or expired');
+
+    // Another account cannot spend it
+    const other = await register('kofi@example.com');
+    await verify(secondLink, other.token).expect(400);
+
+    await verify(secondLink).expect(200);
+    expect((await User.findById(user.id)).isVerified).toBe(true);
+    await request(app).post('/api/users/resend-verification').set('Authorization', `Bearer ${token}`).expect(400);
+  });
+
+  it('should reset a password once and sign out existing sessions', async () => {
+    const { token: sessionToken } = await register('ama@example.com');
+
+    await request(app).post('/api/users/forgot-password').send({ email: 'nobody@example.com' }).expect(200);
+    await request(app).post('/api/users/forgot-password').send({ email: 'ama@example.com' }).expect(200);
+    const resets = outbox.filter(mail => mail.subject === 'Reset Your AfriLend Password');
+    expect(resets.map(mail => mail.to)).toEqual(['ama@example.com']);
+    const resetToken = tokenFrom(resets[0]);
+
+    await request(app).post('/api/users/reset-password').send({ token: resetToken, newPassword: 'short' }).expect(400);
+    await request(app).post('/api/users/reset-password').send({ token: resetToken, newPassword: 'new-password-1' }).expect(200);
+
+    const reused = await request(app).post('/api/users/reset-password').send({ token: resetToken, newPassword: 'new-password-2' }).expect(400);
+    expect(reused.body.message).toBe('Token has already been used');
+
+    await request(app).get('/api/users/profile').set('Authorization', `Bearer ${sessionToken}`).expect(401);
+    await login('password123').expect(401);
+    await login('new-password-1').expect(200);
+  });
+
+  it('should invalidate outstanding reset links when the password changes', async () => {
+    const { token } = await register('ama@example.com');
+    await request(app).post('/api/users/forgot-password').send({ email: 'ama@example.com' }).expect(200);
+    const resetToken = lastTokenTo('ama@example.com');
+
+    await request(app)
+      .post('/api/users/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'password123', newPassword: 'changed-password' })
+      .expect(200);
+
+    await request(app).post('/api/users/reset-password').send({ token: resetToken, newPassword: 'new-password-1' }).expect(400);
+    await login('changed-password').expect(200);
+
+    const stored = await getCollections().accountTokens.doc(hashToken(resetToken)).get();
+    expect(stored.data()).toMatchObject({ purpose: 'password_reset', usedAt: null, invalidatedReason: 'password_changed' });
+    expect(JSON.stringify(stored.data())).not.toContain(resetToken);
+  });
+
+  it('should reject expired tokens without spending them', async () => {
+    const issuedAt = new Date(Date.now() - 2 * HOUR_MS);
+    const { token, expiresAt } = await accountTokenService.issue('user-1', 'password_reset', issuedAt);
+    expect(expiresAt.getTime() - issuedAt.getTime()).toBe(HOUR_MS);
+
+    await expect(accountTokenService.consume(token, 'password_reset')).rejects.toThrow('Token is invalid or expired');
+    await expect(accountTokenService.consume(token, 'email_verification', { now: issuedAt })).rejects.toThrow('Token is invalid or expired');
+    expect(await accountTokenService.consume(token, 'password_reset', { now: issuedAt })).toBe('user-1');
+  });
+});
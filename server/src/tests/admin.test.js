@@ -0,0 +1,167 @@
+const request = require('supertest');
+const app = require('../index');
+const { getFirestore, getCollections } = require('../config/firestore');
+const User = require('../models/User');
+const Loan = require('../models/Loan');
+const Pool = require('../models/Pool');
+const sessionService = require('../services/sessionService');
+const auditLogService = require('../services/auditLogService');
+const { hashPassword } = require('../middleware/authMiddleware');
+const { getOutstanding } = require('../utils/repaymentSchedule');
+
+describe('Admin API', () => {
+  let admin;
+  let moderator;
+  let member;
+  const tokens = {};
+
+  const signIn = async user => (await sessionService.createSession(user)).token;
+  const as = (role, method, path) => request(app)[method](`/api/admin${path}`).set('Authorization', `Bearer ${tokens[role]}`);
+
+  const createActiveLoan = async () => {
+    const loan = await Loan.create({
+      borrowerId: member.id,
+      amount: 60,
+      interestRate: 10,
+      duration: 90,
+      purpose: 'Poultry feed',
+      category: 'agriculture',
+      description: 'Feed for the next three months'
+    });
+    await loan.fundLoan('lender-1', 60);
+    return loan;
+  };
+
+  beforeEach(async () => {
+    getFirestore().clear();
+    const password = await hashPassword('password123');
+    admin = await User.create({ email: 'admin@example.com', password, firstName: 'Ada', role: 'admin' });
+    moderator = await User.create({ email: 'mod@example.com', password, firstName: 'Kofi', role: 'moderator' });
+    member = await User.create({ email: 'ama@example.com', password, firstName: 'Ama' });
+    tokens.admin = await signIn(admin);
+    tokens.moderator = await signIn(moderator);
+    tokens.user = await signIn(member);
+  });
+
+  it('should only let operators in, and keep admin actions from moderators', async () => {
+    await as('user', 'get', '/users').expect(403);
+
+    const listed = await as('moderator', 'get', '/users?role=admin').expect(200);
+    expect(listed.body.data.users.map(user => user.email)).toEqual(['admin@example.com']);
+    expect(listed.body.data.users[0]).not.toHaveProperty('password');
+
+    await as('moderator', 'post', `/users/${member.id}/suspend`).send({ reason: 'Spam' }).expect(403);
+    await as('moderator', 'get', '/metrics').expect(403);
+    await as('moderator', 'get', '/audit-logs').expect(403);
+  });
+
+  it('should suspend a user, sign them out and log the action', async () => {
+    await as('admin', 'post', `/users/${admin.id}/suspend`).send({ reason: 'Testing' }).expect(400);
+
+    await as('admin', 'post', `/users/${member.id}/suspend`).send({ reason: 'Fraudulent documents' }).expect(200);
+
+    const profile = await request(app).get('/api/users/profile').set('Authorization', `Bearer ${tokens.user}`).expect(401);
+    expect(profile.body.error).toBe('Token revoked');
+    const login = await request(app).post('/api/users/login').send({ email: 'ama@example.com', password: 'password123' }).expect(401);
+    expect(login.body.error).toBe('Account disabled');
+
+    await as('admin', 'post', `/users/${member.id}/reactivate`).send({ reason: 'Documents cleared' }).expect(200);
+    await request(app).post('/api/users/login').send({ email: 'ama@example.com', password: 'password123' }).expect(200);
+
+    const [reactivated, suspended] = await auditLogService.list({ targetId: member.id });
+    expect(suspended).toMatchObject({
+      action: 'user.suspend',
+      actorId: admin.id,
+      actorRole: 'admin',
+      reason: 'Fraudulent documents',
+      before: { isActive: true },
+      after: { isActive: false },
+      metadata: { sessionsRevoked: 1 }
+    });
+    expect(reactivated.action).toBe('user.reactivate');
+  });
+
+  it('should force-default and restructure loans', async () => {
+    const defaulting = await createActiveLoan();
+    await as('admin', 'post', `/loans/${defaulting.id}/default`).send({ reason: 'Borrower absconded' }).expect(200);
+    const defaulted = await Loan.findById(defaulting.id);
+    expect(defaulted).toMatchObject({ status: 'defaulted', delinquencyStatus: 'defaulted' });
+    expect((await getCollections().reputation.doc(member.id).get()).data().defaultedLoans).toBe(1);
+    await as('admin', 'post', `/loans/${defaulting.id}/default`).send({ reason: 'Again' }).expect(400);
+
+    const loan = await createActiveLoan();
+    await Loan.applyRepayment(loan.id, 10, { payerId: member.id });
+    const before = getOutstanding((await Loan.findById(loan.id)).repaymentSchedule);
+
+    const response = await as('admin', 'post', `/loans/${loan.id}/restructure`)
+      .send({ duration: 56, repaymentFrequency: 'weekly', interestRate: 5, reason: 'Harvest failed' })
+      .expect(200);
+
+    const restructured = await Loan.findById(loan.id);
+    const [settled, ...reissued] = restructured.repaymentSchedule;
+    expect(settled).toMatchObject({ number: 1, paidAmount: 10, amount: 10 });
+    expect(reissued).toHaveLength(8);
+    expect(reissued[0].number).toBe(2);
+    expect(restructured.outstandingPrincipal).toBeCloseTo(before.principal, 8);
+    expect(restructured).toMatchObject({ interestRate: 5, repaymentFrequency: 'weekly', delinquencyStatus: 'current' });
+    expect(response.body.data.restructuring.previous.outstanding).toEqual(before);
+
+    const [entry] = await auditLogService.list({ action: 'loan.restructure' });
+    expect(entry).toMatchObject({ targetId: loan.id, reason: 'Harvest failed', after: { repaymentFrequency: 'weekly' } });
+  });
+
+  it('should queue reported loans and pools for moderation', async () => {
+    const loan = await createActiveLoan();
+    const pool = await Pool.create({ creatorId: member.id, name: 'Harvest pool', targetAmount: 100, duration: 90 });
+
+    await request(app).post(`/api/loans/${loan.id}/report`).set('Authorization', `Bearer ${tokens.admin}`)
+      .send({ reason: 'scam', description: 'Fake purpose' });
+    await request(app).post(`/api/loans/${loan.id}/report`).set('Authorization', `Bearer ${tokens.moderator}`)
+      .send({ reason: 'scam', description: 'Same photos as another loan' });
+    await request(app).post(`/api/pools/${pool.id}/report`).set('Authorization', `Bearer ${tokens.admin}`)
+      .send({ reason: 'spam' });
+
+    const queue = (await as('moderator', 'get', '/reports').expect(200)).body.data.reports;
+    expect(queue.map(item => [item.targetType, item.reports.length])).toEqual([['loan', 2], ['pool', 1]]);
+
+    await as('moderator', 'post', `/reports/loan/${loan.id}/resolve`).send({ action: 'hide', reason: 'Confirmed scam' }).expect(200);
+    await as('moderator', 'post', `/reports/pool/${pool.id}/resolve`).send({ action: 'dismiss', reason: 'Not spam' }).expect(200);
+    await as('moderator', 'post', `/reports/pool/${pool.id}/resolve`).send({ action: 'dismiss', reason: 'Again' }).expect(400);
+
+    const hidden = await Loan.findById(loan.id);
+    expect(hidden).toMatchObject({ moderationStatus: 'hidden', isActive: false });
+    expect(hidden.reports.every(report => report.status === 'actioned')).toBe(true);
+    expect((await Pool.findById(pool.id)).moderationStatus).toBe('clear');
+    expect((await as('moderator', 'get', '/reports').expect(200)).body.data.reports).toEqual([]);
+  });
+
+  it('should report platform metrics', async () => {
+    await createActiveLoan();
+    await as('admin', 'post', `/users/${member.id}/suspend`).send({ reason: 'Chargebacks' });
+
+    const { data } = (await as('admin', 'get', '/metrics').expect(200)).body;
+    expect(data.users).toMatchObject({ total: 3, active: 2, suspended: 1, byRole: { admin: 1, moderator: 1, user: 1 } });
+    expect(data.loans).toMatchObject({ total: 1, byStatus: { active: 1 }, fundedVolume: 60, outstandingPrincipal: 60 });
+    expect(data.moderation.openReports).toBe(0);
+  });
+
+  it('should keep a hash-chained audit log that detects tampering', async () => {
+    await as('admin', 'patch', `/users/${member.id}/role`).send({ role: 'moderator', reason: 'New hire' }).expect(200);
+    await as('admin', 'post', `/users/${member.id}/suspend`).send({ reason: 'Left the team' }).expect(200);
+    expect((await User.findById(member.id)).role).toBe('moderator');
+
+    const entries = (await as('admin', 'get', '/audit-logs').expect(200)).body.data.entries;
+    expect(entries.map(entry => [entry.sequence, entry.action])).toEqual([[2, 'user.suspend'], [1, 'user.role_change']]);
+    expect(entries[0].previousHash).toBe(entries[1].hash);
+    expect((await as('admin', 'get', '/audit-logs/verify').expect(200)).body.data).toEqual({ valid: true, checked: 2, brokenAt: null });
+
+    // Rewriting history breaks the chain at the edited entry
+    const { auditLogs } = getCollections();
+    await auditLogs.doc(entries[1].id).update({ reason: 'Promotion' });
+    expect(await auditLogService.verifyChain()).toMatchObject({ valid: false, brokenAt: 1 });
+
+    await auditLogs.doc(entries[1].id).update({ reason: 'New hire' });
+    await auditLogs.doc(entries[0].id).delete();
+    expect(await auditLogService.verifyChain()).toMatchObject({ valid: false, brokenAt: 2 });
+  });
+});
@@ -0,0 +1,100 @@
+const request = require('supertest');
+const app = require('../index');
+const { getFirestore } = require('../config/firestore');
+const User = require('../models/User');
+const Loan = require('../models/Loan');
+const Pool = require('../models/Pool');
+const sessionService = require('../services/sessionService');
+const { requireCapability } = require('../middleware/authMiddleware');
+
+const loanApplication = {
+  amount: 50,
+  interestRate: 10,
+  duration: 90,
+  purpose: 'Seedlings for the rains',
+  category: 'agriculture',
+  description: 'Maize seedlings and fertiliser for two acres'
+};
+
+describe('Capability checks', () => {
+  let user;
+  let token;
+
+  const as = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    getFirestore().clear();
+    user = await User.create({ email: 'ama@example.com', firstName: 'Ama' });
+    token = (await sessionService.createSession(user)).token;
+  });
+
+  it('should gate borrowing on the stored account, not the token', async () => {
+    const denied = await as('post', '/api/loans').send(loanApplication).expect(403);
+    expect(denied.body).toMatchObject({ error: 'Account verification required', requirement: 'account_verified' });
+
+    await user.update({ isVerified: true });
+    const noKyc = await as('post', '/api/loans').send(loanApplication).expect(403);
+    expect(noKyc.body.requirement).toBe('kyc_verified');
+
+    // Same token, the review landed after it was issued
+    await user.update({ kycStatus: 'verified' });
+    const created = await as('post', '/api/loans').send(loanApplication).expect(201);
+    expect((await Loan.findById(created.body.data.id)).borrowerId).toBe(user.id);
+
+    await user.update({ profileCompleted: false });
+    expect((await as('post', '/api/loans').send(loanApplication).expect(403)).body.error).toBe('Profile incomplete');
+  });
+
+  it('should require a connected wallet to fund loans and contribute to pools', async () => {
+    const loan = await Loan.create({ borrowerId: 'borrower-1', ...loanApplication });
+    const pool = await Pool.create({ creatorId: 'creator-1', name: 'Harvest pool', targetAmount: 100, duration: 90 });
+    await user.update({ isVerified: true, kycStatus: 'verified' });
+
+    const fund = await as('post', `/api/loans/${loan.id}/fund`).send({ loanId: loan.id, amount: 10 }).expect(403);
+    expect(fund.body.requirement).toBe('wallet_connected');
+    const contribute = await as('post', `/api/pools/${pool.id}/contribute`).send({ amount: 10 }).expect(403);
+    expect(contribute.body.requirement).toBe('wallet_connected');
+
+    const pools = await as('post', '/api/pools').send({
+      name: 'Market women',
+      description: 'Working capital for traders at the central market',
+      targetAmount: 500,
+      interestRate: 8,
+      category: 'small_business',
+      riskLevel: 'low',
+      duration: 180
+    }).expect(201);
+    expect(pools.body.data.creatorId).toBe(user.id);
+  });
+
+  it('should check the live role and account state for moderation', async () => {
+    // The token was issued with the user role, the stored role is what counts
+    await user.update({ role: 'moderator' });
+    await as('get', '/api/admin/kyc').expect(200);
+
+    await user.update({ role: 'user' });
+    expect((await as('get', '/api/admin/kyc').expect(403)).body.requirement).toBe('operator_role');
+
+    await user.update({ role: 'moderator', isActive: false });
+    expect((await as('get', '/api/admin/kyc').expect(401)).body.error).toBe('Account disabled');
+  });
+
+  it('should load the user once per request', async () => {
+    await user.update({ isVerified: true, kycStatus: 'verified', walletAddress: '0.0.1234' });
+    const findById = jest.spyOn(User, 'findById');
+    const req = { user: { id: user.id } };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    try {
+      await requireCapability('borrow')(req, res, next);
+      await requireCapability('lend')(req, res, next);
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(next).toHaveBeenCalledWith();
+      expect(findById).toHaveBeenCalledTimes(1);
+      expect(req.currentUser.id).toBe(user.id);
+    } finally {
+      findById.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,45 @@
+const chainMappingService = require('../services/chainMappingService');
+
+describe('Chain mapping service', () => {
+  const buildLoan = (data = {}) => ({
+    id: 'loan-abc',
+    ...data,
+    update: jest.fn(async function (updates) {
+      Object.assign(this, updates);
+    })
+  });
+
+  it('should record the on-chain loan ID and transaction against the loan', async () => {
+    const loan = buildLoan();
+
+    await chainMappingService.recordLoanMapping(loan, '7', '0.0.1001@1700000000.000000001', '0.0.5005');
+
+    expect(loan.update).toHaveBeenCalledWith({
+      onChainLoanId: 7,
+      transactionHash: '0.0.1001@1700000000.000000001',
+      contractAddress: '0.0.5005'
+    });
+    expect(await chainMappingService.getOnChainLoanId(loan)).toBe(7);
+  });
+
+  it('should treat on-chain loan ID 0 as mapped', async () => {
+    const loan = buildLoan({ onChainLoanId: 0 });
+
+    expect(await chainMappingService.getOnChainLoanId(loan)).toBe(0);
+  });
+
+  it('should reject loans that were never registered on-chain', async () => {
+    const loan = buildLoan();
+
+    await expect(chainMappingService.getOnChainLoanId(loan))
+      .rejects.toThrow('Loan loan-abc is not registered on-chain');
+  });
+
+  it('should record the on-chain pool ID against the pool', async () => {
+    const pool = buildLoan({ id: 'pool-xyz' });
+
+    await chainMappingService.recordPoolMapping(pool, 3, '0.0.1001@1700000000.000000002', '0.0.5006');
+
+    expect(await chainMappingService.getOnChainPoolId(pool)).toBe(3);
+  });
+});
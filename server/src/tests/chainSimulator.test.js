@@ -0,0 +1,209 @@
+const { ContractFunctionParameters } = require('@hashgraph/sdk');
+const { ChainSimulator } = require('../utils/chainSimulator');
+const { HederaEventListener, MemoryCursorStore, EVENT_TYPES } = require('../utils/eventListener');
+const loanService = require('../services/loanService');
+const { hbarToTinybars } = require('../config/hedera');
+
+const LENDER = '0x1234567890123456789012345678901234567890';
+const uint = value => new ContractFunctionParameters().addUint256(value);
+
+describe('Chain simulator', () => {
+  let simulator;
+  let loanManager;
+
+  beforeEach(() => {
+    simulator = new ChainSimulator();
+    loanManager = simulator.getContract('AfriLendLoanManager').contractId;
+  });
+
+  const createLoan = async (amount = 200000000) => {
+    const { result } = await simulator.executeContractFunction(
+      loanManager,
+      'createLoan',
+      new ContractFunctionParameters()
+        .addUint256(amount)
+        .addUint256(10)
+        .addUint256(90 * 86400)
+        .addString('Solar panels for the shop'),
+      300000,
+      { fetchRecord: true }
+    );
+    return result.getUint256(0).toNumber();
+  };
+
+  it('should run the loan lifecycle with contract semantics', async () => {
+    const loanId = await createLoan();
+    expect(loanId).toBe(0);
+
+    await simulator.executeContractFunction(loanManager, 'fundLoan', uint(loanId), 150000, { payableAmount: 0.5 });
+    expect((await simulator.callContractFunction(loanManager, 'isLoanFullyFunded', uint(loanId))).getBool(0)).toBe(false);
+
+    await simulator.executeContractFunction(loanManager, 'fundLoan', uint(loanId), 150000, { payableAmount: 1.5 });
+    const loan = await simulator.callContractFunction(loanManager, 'getLoan', uint(loanId));
+    expect(loan.getUint256(3).toNumber()).toBe(200000000);
+    expect(loan.getUint8(9)).toBe(2); // Active
+
+    const repayment = await simulator.callContractFunction(loanManager, 'calculateRepaymentAmount', uint(loanId));
+    // principal + principal * rate * duration / (365 days * 10000)
+    expect(repayment.getUint256(0).toNumber()).toBe(200000000 + Math.floor((200000000 * 10 * 90) / (365 * 10000)));
+
+    await simulator.executeContractFunction(loanManager, 'repayLoan', uint(loanId), 300000, { payableAmount: 3 });
+    const repaid = await simulator.callContractFunction(loanManager, 'getLoan', uint(loanId));
+    expect(repaid.getUint8(9)).toBe(3); // Repaid
+  });
+
+  it('should revert atomically and leave state untouched', async () => {
+    const loanId = await createLoan();
+    const balanceBefore = (await simulator.getAccountBalance('0.0.2')).hbars.toTinybars().toString();
+
+    await expect(simulator.executeContractFunction(loanManager, 'fundLoan', uint(loanId), 150000, { payableAmount: 5 }))
+      .rejects.toThrow('CONTRACT_REVERT_EXECUTED: Funding amount exceeds remaining loan amount');
+    await expect(simulator.executeContractFunction(loanManager, 'repayLoan', uint(loanId), 150000, { payableAmount: 1 }))
+      .rejects.toThrow('Loan is not active');
+    await expect(simulator.callContractFunction(loanManager, 'getLoan', uint(7)))
+      .rejects.toThrow('Loan does not exist');
+
+    const loan = await simulator.callContractFunction(loanManager, 'getLoan', uint(loanId));
+    expect(loan.getUint256(3).toNumber()).toBe(0);
+    expect((await simulator.getAccountBalance('0.0.2')).hbars.toTinybars().toString()).toBe(balanceBefore);
+  });
+
+  it('should reject loans outside the contract limits', async () => {
+    await expect(createLoan(500 * 100000000)).rejects.toThrow('Invalid loan amount');
+  });
+
+  it('should accept the smallest loan the API allows, in tinybars', async () => {
+    // MIN_LOAN_AMOUNT is 0.01 HBAR, the minimum loanCreation validates
+    expect(await createLoan(hbarToTinybars(0.01))).toBe(0);
+    await expect(createLoan(hbarToTinybars(0.01) - 1)).rejects.toThrow('Invalid loan amount');
+    expect(await createLoan(hbarToTinybars(100))).toBe(1);
+  });
+
+  it('should convert decimal HBAR amounts to exact tinybars', async () => {
+    // 0.29 * 1e8 is 28999999.999999996 in floating point
+    expect(hbarToTinybars(0.29)).toBe(29000000);
+    const loanId = await createLoan(hbarToTinybars(0.29));
+
+    await simulator.executeContractFunction(loanManager, 'fundLoan', uint(loanId), 150000, { payableAmount: 0.29 });
+    expect((await simulator.callContractFunction(loanManager, 'isLoanFullyFunded', uint(loanId))).getBool(0)).toBe(true);
+  });
+
+  it('should emit reputation and trust level events', async () => {
+    const reputation = simulator.getContract('Reputation').contractId;
+    const user = new ContractFunctionParameters().addAddress(LENDER);
+
+    await simulator.executeContractFunction(reputation, 'registerUser', user);
+    await simulator.executeContractFunction(
+      reputation,
+      'updateCategoryScore',
+      new ContractFunctionParameters().addAddress(LENDER).addString('business').addInt256(250)
+    );
+    // Solidity 0.8 reverts on underflow, so does the simulator
+    await expect(simulator.executeContractFunction(
+      reputation,
+      'updateCategoryScore',
+      new ContractFunctionParameters().addAddress(LENDER).addString('health').addInt256(-5)
+    )).rejects.toThrow('arithmetic underflow');
+
+    const listener = new HederaEventListener(null, reputation, {
+      abi: simulator.getContract('Reputation').abi,
+      logSource: simulator,
+      cursorStore: new MemoryCursorStore()
+    });
+    const events = await listener.getContractEvents();
+
+    expect(events.map(event => event.type)).toEqual([
+      EVENT_TYPES.REPUTATION_UPDATED,
+      EVENT_TYPES.TRUST_LEVEL_CHANGED,
+      EVENT_TYPES.REPUTATION_UPDATED
+    ]);
+    expect(events[1]).toMatchObject({ user: LENDER, newLevel: 2, previousLevel: 0 });
+    expect(events[2]).toMatchObject({ newScore: 350, previousScore: 100, reason: 'Category update: business' });
+  });
+
+  it('should feed the event listener the same events a mirror node would', async () => {
+    const loanId = await createLoan();
+    await simulator.executeContractFunction(loanManager, 'fundLoan', uint(loanId), 150000, { payableAmount: 2 });
+
+    const cursorStore = new MemoryCursorStore();
+    const listener = new HederaEventListener(null, loanManager, {
+      abi: simulator.getContract('AfriLendLoanManager').abi,
+      logSource: simulator,
+      cursorStore
+    });
+    const seen = [];
+    Object.values(EVENT_TYPES).forEach(type => listener.addEventListener(type, async event => seen.push(event)));
+
+    await listener.pollForEvents();
+    await simulator.executeContractFunction(loanManager, 'repayLoan', uint(loanId), 300000, { payableAmount: 3 });
+    await listener.pollForEvents();
+
+    expect(seen.map(event => event.type)).toEqual([
+      EVENT_TYPES.LOAN_CREATED,
+      EVENT_TYPES.LOAN_FUNDED,
+      EVENT_TYPES.LOAN_REPAID
+    ]);
+    expect(seen[1]).toMatchObject({ loanId: 0, amount: 200000000, contractId: loanManager });
+  });
+
+  it('should serve the service layer as a drop-in Hedera client', async () => {
+    const originalClient = loanService.hedera;
+    loanService.setHederaClient(simulator);
+    const loan = {
+      id: 'loan-1',
+      amount: 1.5,
+      interestRate: 15,
+      duration: 60,
+      purpose: 'Irrigation pump',
+      update: jest.fn(async function (updates) {
+        Object.assign(this, updates);
+      })
+    };
+
+    try {
+      await loanService.createLoanOnBlockchain(loan);
+      await loanService.createLoanOnBlockchain({ ...loan, id: 'loan-2' });
+
+      expect(loan.onChainLoanId).toBe(0);
+      expect(await loanService.isLoanFullyFundedOnBlockchain(loan)).toBe(false);
+      expect(await loanService.getLoanFromBlockchain(loan)).toMatchObject({
+        id: 0,
+        amount: 1.5,
+        interestRate: 15,
+        duration: 60 * 86400,
+        purpose: 'Irrigation pump',
+        status: 'pending'
+      });
+    } finally {
+      loanService.setHederaClient(originalClient);
+    }
+  });
+});
+
+describe('HEDERA_NETWORK=local', () => {
+  const originalNetwork = process.env.HEDERA_NETWORK;
+
+  afterEach(() => {
+    process.env.HEDERA_NETWORK = originalNetwork;
+    jest.resetModules();
+  });
+
+  it('should select the simulator without operator credentials', async () => {
+    process.env.HEDERA_NETWORK = 'local';
+    const hedera = require('../config/hedera');
+
+    const client = hedera.initializeHedera();
+
+    expect(client).toBeInstanceOf(require('../utils/chainSimulator').ChainSimulator);
+    expect(hedera.getChainAdapter()).toBe(client);
+    expect(hedera.getNetworkInfo()).toMatchObject({ network: 'local', operatorAccount: '0.0.2' });
+
+    const contractId = await hedera.deployContract('LenderPool');
+    const { transactionId } = await hedera.executeContractFunction(
+      contractId,
+      'createPool',
+      new ContractFunctionParameters().addString('Harvest').addString('Seasonal').addUint256(500000000).addUint256(8)
+    );
+    expect(transactionId).toMatch(/^0\.0\.2@\d+\.\d{9}$/);
+  });
+});
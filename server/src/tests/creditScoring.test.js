@@ -0,0 +1,90 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../index');
+const { getFirestore } = require('../config/firestore');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const userService = require('../services/userService');
+const { scoreBorrower } = require('../utils/creditScoring');
+
+describe('Credit scoring', () => {
+  const application = {
+    amount: 50,
+    interestRate: 12,
+    duration: 90,
+    category: 'education'
+  };
+
+  it('should grade strong and weak profiles apart and explain each factor', () => {
+    const strong = scoreBorrower({
+      ...application,
+      reputation: { score: 500, trustLevel: 'Good' },
+      history: { repaid: 3 },
+      monthlyIncome: 200,
+      collateral: { type: 'vehicle', value: 60 }
+    });
+    const weak = scoreBorrower({
+      ...application,
+      category: 'other',
+      reputation: { score: 0, trustLevel: 'New' },
+      history: { defaulted: 1, delinquent: 1 },
+      monthlyIncome: 20
+    });
+
+    expect(strong).toMatchObject({ modelVersion: 'v1', score: 100, grade: 'A', riskLevel: 'low', suggestedRate: { min: 5, max: 10 } });
+    expect(weak).toMatchObject({ score: 0, grade: 'E', riskLevel: 'high', suggestedRate: { min: 25, max: 50 } });
+    expect(strong.factors.map(factor => factor.name)).toEqual(['reputation', 'repayment_history', 'affordability', 'category', 'collateral']);
+    expect(strong.factors.find(factor => factor.name === 'collateral')).toMatchObject({ points: 15, value: 1.2 });
+    expect(weak.factors.find(factor => factor.name === 'affordability').description).toMatch(/% of monthly income/);
+  });
+
+  it('should mark down applications without a declared income', () => {
+    const result = scoreBorrower({ ...application, category: 'business' });
+
+    expect(result.factors.find(factor => factor.name === 'affordability')).toMatchObject({ points: -10, value: null });
+    expect(result).toMatchObject({ score: 43, grade: 'D', riskLevel: 'high' });
+    expect(scoreBorrower({ ...application, monthlyIncome: 500 })).toMatchObject({ grade: 'B', riskLevel: 'low' });
+  });
+
+  it('should reject unknown model versions', () => {
+    expect(() => scoreBorrower(application, 'v0')).toThrow('Unknown credit model version: v0');
+  });
+
+  describe('POST /api/loans', () => {
+    beforeEach(() => getFirestore().clear());
+
+    it('should store the grade on the loan and return it in the public data', async () => {
+      const borrower = await User.create({
+        email: 'amina@example.com',
+        firstName: 'Amina',
+        country: 'Nigeria',
+        monthlyIncome: 100,
+        isVerified: true,
+        kycStatus: 'verified'
+      });
+      await userService.updateUserReputation(borrower.id, 'successful_loan', { amount: 20 });
+      const repaid = await Loan.create({ borrowerId: borrower.id, amount: 20, interestRate: 10, duration: 30, category: 'business' });
+      await repaid.update({ status: 'repaid' });
+
+      const response = await request(app)
+        .post('/api/loans')
+        .set('Authorization', `Bearer ${jwt.sign({ id: borrower.id, role: 'user' }, process.env.JWT_SECRET)}`)
+        .send({
+          ...application,
+          purpose: 'School fees for the new term',
+          description: 'Fees and uniforms for two children',
+          collateral: { type: 'equipment', value: 30 }
+        })
+        .expect(201);
+
+      const { creditScore } = response.body.data;
+      expect(creditScore).toMatchObject({ modelVersion: 'v1', grade: 'A', riskLevel: 'low' });
+      expect(creditScore.factors.find(factor => factor.name === 'repayment_history').value).toEqual({ repaid: 1, defaulted: 0, delinquent: 0 });
+      expect(response.body.data.riskLevel).toBe('low');
+
+      const stored = await Loan.findById(response.body.data.id);
+      expect(stored.riskLevel).toBe('low');
+      expect(stored.creditScore.score).toBe(creditScore.score);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { getFirestore, getCollections } = require('../config/firestore');
+const Loan = require('../models/Loan');
+const delinquencyService = require('../services/delinquencyService');
+const userService = require('../services/userService');
+const { JobScheduler } = require('../utils/scheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const policy = { gracePeriodDays: 3, defaultAfterDays: 30 };
+
+describe('Delinquency workflow', () => {
+  let loan;
+  let firstDueDate;
+
+  const daysAfterDue = days => new Date(firstDueDate.getTime() + days * DAY_MS);
+  const notificationTypes = async (userId) => {
+    const notifications = await userService.getUserNotifications(userId);
+    return notifications.map(notification => notification.type).sort();
+  };
+
+  beforeEach(async () => {
+    getFirestore().clear();
+    loan = await Loan.create({
+      borrowerId: 'borrower-1',
+      amount: 60,
+      interestRate: 10,
+      duration: 90,
+      purpose: 'Poultry feed',
+      category: 'agriculture',
+      description: 'Feed for the next three months'
+    });
+    await loan.fundLoan('lender-1', 40);
+    await loan.fundLoan('lender-2', 20);
+    firstDueDate = loan.repaymentSchedule[0].dueDate;
+  });
+
+  it('should leave loans that are not past due alone', async () => {
+    const summary = await delinquencyService.scanOverdueLoans(daysAfterDue(0), policy);
+
+    expect(summary).toMatchObject({ scanned: 1, grace_period: 0, late: 0, defaulted: 0 });
+    expect((await Loan.findById(loan.id)).delinquencyStatus).toBe('current');
+  });
+
+  it('should move a missed instalment through grace period, late and default', async () => {
+    await delinquencyService.scanOverdueLoans(daysAfterDue(2), policy);
+    expect((await Loan.findById(loan.id)).delinquencyStatus).toBe('grace_period');
+    expect(await notificationTypes('borrower-1')).toEqual(['loan_payment_overdue']);
+    expect(await notificationTypes('lender-1')).toEqual([]);
+
+    await delinquencyService.scanOverdueLoans(daysAfterDue(10), policy);
+    expect((await Loan.findById(loan.id)).delinquencyStatus).toBe('late');
+    expect(await notificationTypes('lender-2')).toEqual(['loan_late']);
+
+    const summary = await delinquencyService.scanOverdueLoans(daysAfterDue(30), policy);
+    const defaulted = await Loan.findById(loan.id);
+    expect(summary.defaulted).toBe(1);
+    expect(defaulted.status).toBe('defaulted');
+    expect(defaulted.defaultedAt).toEqual(daysAfterDue(30));
+    expect(await notificationTypes('borrower-1')).toEqual(['loan_defaulted', 'loan_late', 'loan_payment_overdue']);
+    expect(await notificationTypes('lender-1')).toEqual(['loan_defaulted', 'loan_late']);
+
+    const reputation = (await getCollections().reputation.doc('borrower-1').get()).data();
+    expect(reputation).toMatchObject({ defaultedLoans: 1, score: 0 });
+  });
+
+  it('should not repeat a transition on later scans', async () => {
+    await delinquencyService.scanOverdueLoans(daysAfterDue(5), policy);
+    await delinquencyService.scanOverdueLoans(daysAfterDue(6), policy);
+
+    expect(await notificationTypes('borrower-1')).toEqual(['loan_late']);
+    expect(await notificationTypes('lender-1')).toEqual(['loan_late']);
+  });
+
+  it('should return to current once the borrower catches up', async () => {
+    await delinquencyService.scanOverdueLoans(daysAfterDue(5), policy);
+    await loan.repayLoan(loan.repaymentSchedule[0].amount);
+
+    await delinquencyService.scanOverdueLoans(daysAfterDue(6), policy);
+    expect((await Loan.findById(loan.id)).delinquencyStatus).toBe('current');
+  });
+
+  it('should not let a job overlap with itself', async () => {
+    const scheduler = new JobScheduler();
+    let release;
+    const run = jest.fn(() => new Promise((resolve) => { release = resolve; }));
+    scheduler.registerJob('slow', run);
+
+    const first = scheduler.runJob('slow');
+    expect(await scheduler.runJob('slow')).toBeNull();
+    release({ done: true });
+
+    expect(await first).toEqual({ done: true });
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(scheduler.getStatus()[0]).toMatchObject({ name: 'slow', state: 'stopped', lastResult: { done: true } });
+  });
+
+  it('should run as a one-shot CLI command', () => {
+    const cli = path.join(__dirname, '../cli/runJob.js');
+    const env = { ...process.env, FIRESTORE_BACKEND: 'memory' };
+
+    expect(spawnSync(process.execPath, [cli, 'loan-delinquency'], { env, timeout: 30000 }).status).toBe(0);
+    expect(spawnSync(process.execPath, [cli, 'no-such-job'], { env, timeout: 30000 }).status).toBe(1);
+  });
+});
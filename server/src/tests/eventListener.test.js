@@ -0,0 +1,291 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Interface } = require('@ethersproject/abi');
+const {
+  HederaEventListener,
+  MemoryCursorStore,
+  MemoryDeadLetterStore,
+  EVENT_TYPES,
+  loadContractAbi
+} = require('../utils/eventListener');
+const { AppError } = require('../middleware/errorHandler');
+
+const CONTRACT_ID = '0.0.1001';
+const LENDER = '0x1234567890123456789012345678901234567890';
+
+const abi = [
+  'event LoanCreated(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 interestRate, uint256 duration, string purpose)',
+  'event LoanFunded(uint256 indexed loanId, address indexed lender, uint256 amount)',
+  'event LiquidityAdded(uint256 indexed poolId, address indexed lender, uint256 amount)',
+  'event ReputationUpdated(address indexed user, uint256 newScore, uint256 previousScore, string reason)'
+];
+const contractInterface = new Interface(abi);
+
+const buildLog = (timestamp, index, eventName, values) => {
+  const { topics, data } = contractInterface.encodeEventLog(contractInterface.getEvent(eventName), values);
+  return {
+    address: '0x00000000000000000000000000000000000003e9',
+    contract_id: CONTRACT_ID,
+    data,
+    index,
+    topics,
+    block_number: 100 + index,
+    timestamp,
+    transaction_hash: `0x${String(index).padStart(64, '0')}`
+  };
+};
+
+/**
+ * Minimal stand-in for the mirror node /contracts/{id}/results/logs endpoint
+ */
+const startMirrorNode = (logs) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+
+    if (url.pathname !== `/api/v1/contracts/${CONTRACT_ID}/results/logs`) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ _status: { messages: [{ message: 'Not found' }] } }));
+      return;
+    }
+
+    const limit = parseInt(url.searchParams.get('limit')) || 25;
+    const offset = parseInt(url.searchParams.get('offset')) || 0;
+    const timestampFilter = url.searchParams.get('timestamp');
+    const minTimestamp = timestampFilter ? parseFloat(timestampFilter.replace('gte:', '')) : 0;
+
+    const matching = logs.filter(log => parseFloat(log.timestamp) >= minTimestamp);
+    const page = matching.slice(offset, offset + limit);
+    const hasMore = offset + limit < matching.length;
+
+    const nextParams = new URLSearchParams(url.searchParams);
+    nextParams.set('offset', String(offset + limit));
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      logs: page,
+      links: { next: hasMore ? `${url.pathname}?${nextParams.toString()}` : null }
+    }));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+};
+
+describe('HederaEventListener mirror node ingestion', () => {
+  let mirrorNode;
+  let logs;
+
+  beforeEach(async () => {
+    logs = [
+      buildLog('1700000000.000000001', 0, 'LoanCreated', [0, LENDER, 1000, 10, 7776000, 'Shop stock']),
+      buildLog('1700000005.000000002', 0, 'LoanFunded', [0, LENDER, 400]),
+      buildLog('1700000005.000000002', 1, 'LiquidityAdded', [3, LENDER, 250]),
+      buildLog('1700000009.000000003', 0, 'ReputationUpdated', [LENDER, 130, 100, 'Lending activity'])
+    ];
+    mirrorNode = await startMirrorNode(logs);
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => mirrorNode.server.close(resolve));
+  });
+
+  const createListener = (cursorStore, options = {}) => new HederaEventListener(null, CONTRACT_ID, {
+    abi,
+    cursorStore,
+    mirrorNodeUrl: mirrorNode.url,
+    ...options
+  });
+
+  it('should decode contract logs into typed events', async () => {
+    const listener = createListener(new MemoryCursorStore());
+
+    const events = await listener.getContractEvents();
+
+    expect(events.map(event => event.type)).toEqual([
+      EVENT_TYPES.LOAN_CREATED,
+      EVENT_TYPES.LOAN_FUNDED,
+      EVENT_TYPES.LIQUIDITY_ADDED,
+      EVENT_TYPES.REPUTATION_UPDATED
+    ]);
+    expect(events[1]).toMatchObject({
+      loanId: 0,
+      lender: LENDER,
+      amount: 400,
+      contractId: CONTRACT_ID,
+      timestamp: '1700000005.000000002',
+      logIndex: 0
+    });
+    expect(events[0].purpose).toBe('Shop stock');
+    expect(events[3].reason).toBe('Lending activity');
+  });
+
+  it('should follow mirror node pagination links', async () => {
+    const listener = createListener(new MemoryCursorStore(), { pageLimit: 2 });
+
+    const events = await listener.getContractEvents();
+
+    expect(events).toHaveLength(4);
+    expect(mirrorNode.requests).toHaveLength(2);
+  });
+
+  it('should stop at the page cap unless it is lifted', async () => {
+    const capped = createListener(new MemoryCursorStore(), { pageLimit: 1, maxPagesPerPoll: 2 });
+    expect(await capped.getContractEvents()).toHaveLength(2);
+
+    const uncapped = createListener(new MemoryCursorStore(), { pageLimit: 1, maxPagesPerPoll: Infinity });
+    expect(await uncapped.getContractEvents()).toHaveLength(4);
+  });
+
+  it('should dispatch events and persist the cursor after each one', async () => {
+    const cursorStore = new MemoryCursorStore();
+    const listener = createListener(cursorStore);
+    const funded = [];
+    listener.addEventListener(EVENT_TYPES.LOAN_FUNDED, async (event) => funded.push(event));
+
+    await listener.pollForEvents();
+
+    expect(funded).toHaveLength(1);
+    expect(await cursorStore.get(CONTRACT_ID)).toEqual({
+      timestamp: '1700000009.000000003',
+      index: 0
+    });
+  });
+
+  it('should neither skip nor replay events across restarts', async () => {
+    const cursorStore = new MemoryCursorStore();
+    // Simulate a crash after the first of two logs sharing a consensus timestamp
+    await cursorStore.set(CONTRACT_ID, { timestamp: '1700000005.000000002', index: 0 });
+
+    const restarted = createListener(cursorStore);
+    const seen = [];
+    Object.values(EVENT_TYPES).forEach(type => restarted.addEventListener(type, async (event) => seen.push(event)));
+
+    await restarted.pollForEvents();
+    expect(seen.map(event => event.type)).toEqual([
+      EVENT_TYPES.LIQUIDITY_ADDED,
+      EVENT_TYPES.REPUTATION_UPDATED
+    ]);
+    expect(mirrorNode.requests[0].searchParams.get('timestamp')).toBe('gte:1700000005.000000002');
+
+    logs.push(buildLog('1700000012.000000004', 0, 'LoanFunded', [0, LENDER, 600]));
+    await restarted.pollForEvents();
+
+    expect(seen.map(event => event.type)).toEqual([
+      EVENT_TYPES.LIQUIDITY_ADDED,
+      EVENT_TYPES.REPUTATION_UPDATED,
+      EVENT_TYPES.LOAN_FUNDED
+    ]);
+    expect(seen[2].amount).toBe(600);
+  });
+
+  it('should stop at a failing handler and retry that event on the next poll', async () => {
+    const cursorStore = new MemoryCursorStore();
+    const listener = createListener(cursorStore);
+    const seen = [];
+    let failures = 1;
+    Object.values(EVENT_TYPES).forEach(type => listener.addEventListener(type, async (event) => {
+      if (event.type === EVENT_TYPES.LIQUIDITY_ADDED && failures-- > 0) {
+        throw new Error('Firestore unavailable');
+      }
+      seen.push(event.type);
+    }));
+
+    await listener.pollForEvents();
+    expect(seen).toEqual([EVENT_TYPES.LOAN_CREATED, EVENT_TYPES.LOAN_FUNDED]);
+    expect(await cursorStore.get(CONTRACT_ID)).toEqual({ timestamp: '1700000005.000000002', index: 0 });
+    expect(listener.getStatus().lastError).toMatchObject({
+      message: 'Firestore unavailable',
+      event: { type: EVENT_TYPES.LIQUIDITY_ADDED, logIndex: 1 }
+    });
+
+    await listener.pollForEvents();
+    expect(seen).toEqual([
+      EVENT_TYPES.LOAN_CREATED,
+      EVENT_TYPES.LOAN_FUNDED,
+      EVENT_TYPES.LIQUIDITY_ADDED,
+      EVENT_TYPES.REPUTATION_UPDATED
+    ]);
+    expect(listener.getStatus().lastError).toBeNull();
+  });
+
+  it('should dead-letter an event that can never be processed and move on', async () => {
+    const cursorStore = new MemoryCursorStore();
+    const deadLetterStore = new MemoryDeadLetterStore();
+    const listener = createListener(cursorStore, { deadLetterStore, maxAttempts: 2 });
+    const seen = [];
+    Object.values(EVENT_TYPES).forEach(type => listener.addEventListener(type, async (event) => {
+      if (event.type === EVENT_TYPES.LOAN_FUNDED) {
+        throw new AppError('Loan is not available for funding', 400);
+      }
+      if (event.type === EVENT_TYPES.REPUTATION_UPDATED) {
+        throw new Error('Reputation contract unreachable');
+      }
+      seen.push(event.type);
+    }));
+
+    // A client error is parked at once, other errors after maxAttempts polls
+    await listener.pollForEvents();
+    expect(seen).toEqual([EVENT_TYPES.LOAN_CREATED, EVENT_TYPES.LIQUIDITY_ADDED]);
+    expect(deadLetterStore.entries).toHaveLength(1);
+    expect(listener.getStatus().lastError).toMatchObject({ attempts: 1, event: { type: EVENT_TYPES.REPUTATION_UPDATED } });
+
+    await listener.pollForEvents();
+    expect(deadLetterStore.entries.map(entry => [entry.type, entry.attempts])).toEqual([
+      [EVENT_TYPES.LOAN_FUNDED, 1],
+      [EVENT_TYPES.REPUTATION_UPDATED, 2]
+    ]);
+    expect(deadLetterStore.entries[0]).toMatchObject({
+      key: CONTRACT_ID,
+      error: 'Loan is not available for funding',
+      args: { loanId: 0, lender: LENDER, amount: 400 }
+    });
+    expect(await cursorStore.get(CONTRACT_ID)).toEqual({ timestamp: '1700000009.000000003', index: 0 });
+    expect(listener.getStatus().lastError).toBeNull();
+  });
+
+  it('should report listener state and the last processed event', async () => {
+    const listener = createListener(new MemoryCursorStore(), { name: 'loanManager' });
+
+    expect(listener.getStatus()).toMatchObject({ name: 'loanManager', state: 'stopped', lastEvent: null });
+
+    await listener.pollForEvents();
+
+    expect(listener.getStatus().lastEvent).toMatchObject({
+      type: EVENT_TYPES.REPUTATION_UPDATED,
+      timestamp: '1700000009.000000003',
+      logIndex: 0
+    });
+  });
+
+  it('should skip logs that do not match the contract ABI', async () => {
+    logs.push({ ...logs[0], timestamp: '1700000020.000000000', topics: [`0x${'ab'.repeat(32)}`] });
+    const listener = createListener(new MemoryCursorStore());
+
+    const events = await listener.getContractEvents();
+
+    expect(events).toHaveLength(4);
+  });
+
+  it('should load ABIs from compiled contract artifacts', () => {
+    const buildDir = fs.mkdtempSync(path.join(os.tmpdir(), 'afrilend-build-'));
+    const artifactAbi = contractInterface.format('json');
+    fs.writeFileSync(
+      path.join(buildDir, 'AfriLendLoanManager.json'),
+      JSON.stringify({ contractName: 'AfriLendLoanManager', abi: JSON.parse(artifactAbi) })
+    );
+
+    const loadedAbi = loadContractAbi('AfriLendLoanManager', buildDir);
+
+    expect(loadedAbi).toHaveLength(abi.length);
+    expect(() => loadContractAbi('Missing', buildDir)).toThrow('Contract artifact not found');
+
+    fs.rmSync(buildDir, { recursive: true, force: true });
+  });
+});
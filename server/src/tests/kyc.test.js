@@ -0,0 +1,144 @@
+process.env.KYC_MAX_FILE_SIZE_MB = '1';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../index');
+const { getFirestore } = require('../config/firestore');
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const auditLogService = require('../services/auditLogService');
+const userService = require('../services/userService');
+const { requireKYC } = require('../middleware/authMiddleware');
+const { LocalDiskBlobStore } = require('../utils/blobStore');
+
+const PDF = Buffer.from('%PDF-1.4\npassport scan');
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('selfie')]);
+
+describe('KYC workflow', () => {
+  let member;
+  let moderator;
+  const tokens = {};
+
+  const submit = (attachments = [['identity_document', PDF, 'passport.pdf', 'application/pdf']]) => {
+    const upload = request(app).post('/api/users/kyc/upload').set('Authorization', `Bearer ${tokens.member}`);
+    attachments.forEach(([field, buffer, filename, contentType]) => upload.attach(field, buffer, { filename, contentType }));
+    return upload;
+  };
+  const review = (submissionId, decision, reason = 'Checked by hand') => request(app)
+    .post(`/api/admin/kyc/${submissionId}/review`)
+    .set('Authorization', `Bearer ${tokens.moderator}`)
+    .send({ decision, reason });
+  const getStatus = async () => (await request(app)
+    .get('/api/users/kyc/status')
+    .set('Authorization', `Bearer ${tokens.member}`)
+    .expect(200)).body.data;
+
+  beforeEach(async () => {
+    getFirestore().clear();
+    member = await User.create({ email: 'ama@example.com', firstName: 'Ama' });
+    moderator = await User.create({ email: 'mod@example.com', firstName: 'Kofi', role: 'moderator' });
+    tokens.member = (await sessionService.createSession(member)).token;
+    tokens.moderator = (await sessionService.createSession(moderator)).token;
+  });
+
+  it('should reject uploads that are missing, mistyped or too large', async () => {
+    expect((await submit([]).expect(400)).body.error).toBe('Missing required document: identity_document');
+
+    const wrongType = await submit([['identity_document', Buffer.from('hello'), 'id.txt', 'text/plain']]).expect(400);
+    expect(wrongType.body).toMatchObject({ error: 'Invalid upload', field: 'identity_document' });
+
+    // Declared as a PNG, but the bytes say otherwise
+    await submit([['identity_document', PDF, 'id.png', 'image/png']]).expect(400);
+
+    const tooLarge = Buffer.concat([PDF, Buffer.alloc(1024 * 1024)]);
+    await submit([['identity_document', tooLarge, 'id.pdf', 'application/pdf']]).expect(413);
+
+    expect((await getStatus()).kycStatus).toBe('unverified');
+  });
+
+  it('should store documents and move through request-info, resubmission and approval', async () => {
+    const first = (await submit([
+      ['identity_document', PDF, 'passport.pdf', 'application/pdf'],
+      ['selfie', PNG, 'me.png', 'image/png']
+    ]).expect(201)).body.data.submission;
+    expect(first.documents.map(document => [document.type, document.contentType])).toEqual([
+      ['identity_document', 'application/pdf'],
+      ['selfie', 'image/png']
+    ]);
+    expect(first.documents[0]).not.toHaveProperty('blobKey');
+    await submit().expect(409);
+
+    const queue = await request(app).get('/api/admin/kyc').set('Authorization', `Bearer ${tokens.moderator}`).expect(200);
+    expect(queue.body.data.submissions.map(submission => submission.id)).toEqual([first.id]);
+    const download = await request(app)
+      .get(`/api/admin/kyc/${first.id}/documents/doc-2`)
+      .set('Authorization', `Bearer ${tokens.moderator}`)
+      .expect(200);
+    expect(download.headers['content-type']).toBe('image/png');
+    expect(Buffer.compare(download.body, PNG)).toBe(0);
+
+    await review(first.id, 'request_info', 'Selfie is blurry').expect(200);
+    expect(await getStatus()).toMatchObject({ kycStatus: 'more_info_required', reason: 'Selfie is blurry', canSubmit: true });
+
+    const second = (await submit().expect(201)).body.data.submission;
+    expect(second.previousSubmissionId).toBe(first.id);
+    await review(first.id, 'approve').expect(400);
+    await review(second.id, 'approve').expect(200);
+
+    const status = await getStatus();
+    expect(status).toMatchObject({ kycStatus: 'verified', canSubmit: false });
+    expect(status.kycDocuments).toHaveLength(1);
+    await submit().expect(409);
+
+    const notifications = await userService.getUserNotifications(member.id);
+    expect(notifications.map(notification => notification.type).sort()).toEqual(['kyc_more_info_required', 'kyc_verified']);
+    const entries = await auditLogService.list({ action: 'kyc.review' });
+    expect(entries.map(entry => entry.after.kycStatus)).toEqual(['verified', 'more_info_required']);
+  });
+
+  it('should let rejected users resubmit and stop reviewers approving themselves', async () => {
+    const submission = (await submit().expect(201)).body.data.submission;
+    await review(submission.id, 'reject', 'Document expired').expect(200);
+    expect((await getStatus()).kycStatus).toBe('rejected');
+
+    const own = (await submit().expect(201)).body.data.submission;
+    await member.update({ role: 'moderator' });
+    const { token } = await sessionService.createSession(member);
+    const selfReview = await request(app)
+      .post(`/api/admin/kyc/${own.id}/review`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ decision: 'approve', reason: 'Looks fine to me' })
+      .expect(403);
+    expect(selfReview.body.error).toBe('You cannot review your own KYC submission');
+  });
+
+  it('should check the stored KYC status rather than the token', async () => {
+    const gate = async () => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await requireKYC({ user: { id: member.id, kycStatus: 'verified' } }, res, next);
+      return next.mock.calls.length ? 'allowed' : res.status.mock.calls[0][0];
+    };
+
+    expect(await gate()).toBe(403);
+    const submission = (await submit().expect(201)).body.data.submission;
+    await review(submission.id, 'approve').expect(200);
+    expect(await gate()).toBe('allowed');
+  });
+
+  it('should keep local blobs inside the storage root', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'kyc-blobs-'));
+    try {
+      const store = new LocalDiskBlobStore(root);
+      expect(await store.put('kyc/user-1/doc-1', PDF)).toEqual({ key: 'kyc/user-1/doc-1', size: PDF.length });
+      expect(Buffer.compare(await store.get('kyc/user-1/doc-1'), PDF)).toBe(0);
+      await store.delete('kyc/user-1/doc-1');
+      expect(await store.get('kyc/user-1/doc-1')).toBeNull();
+      await expect(store.put('../outside', PDF)).rejects.toThrow('escapes the storage root');
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
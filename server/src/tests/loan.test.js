@@ -21,7 +21,9 @@ describe('Loan API Endpoints', () => {
       occupation: 'Developer',
       monthlyIncome: 5000,
       isVerified: true,
-      kycStatus: 'verified'
+      kycStatus: 'verified',
+      // A wallet lets the borrower pass the lend check and reach the own-loan rule
+      walletAddress: '0x1234567890123456789012345678901234567899'
     });
 
     // Generate auth token
@@ -45,7 +47,7 @@ describe('Loan API Endpoints', () => {
   describe('POST /api/loans', () => {
     it('should create a new loan', async () => {
       const loanData = {
-        amount: 1000,
+        amount: 100,
         interestRate: 10,
         duration: 90,
         purpose: 'Business expansion',
@@ -89,7 +91,7 @@ describe('Loan API Endpoints', () => {
       );
 
       const loanData = {
-        amount: 1000,
+        amount: 100,
         interestRate: 10,
         duration: 90,
         purpose: 'Business expansion',
@@ -177,7 +179,7 @@ describe('Loan API Endpoints', () => {
     });
 
     it('should increment view count', async () => {
-      const initialViews = testLoan.views;
+      const initialViews = (await Loan.findById(testLoan.id)).views;
       
       await request(app)
         .get(`/api/loans/${testLoan.id}`)
@@ -224,7 +226,7 @@ describe('Loan API Endpoints', () => {
 
     it('should fund a loan', async () => {
       const fundingData = {
-        amount: 500
+        amount: 50
       };
 
       const response = await request(app)
@@ -239,7 +241,7 @@ describe('Loan API Endpoints', () => {
 
     it('should not allow borrower to fund own loan', async () => {
       const fundingData = {
-        amount: 500
+        amount: 50
       };
 
       await request(app)
@@ -251,7 +253,7 @@ describe('Loan API Endpoints', () => {
 
     it('should not fund non-existent loan', async () => {
       const fundingData = {
-        amount: 500
+        amount: 50
       };
 
       await request(app)
@@ -290,12 +292,12 @@ describe('Loan API Endpoints', () => {
       await request(app)
         .post(`/api/loans/${testLoan.id}/fund`)
         .set('Authorization', `Bearer ${lenderToken}`)
-        .send({ amount: 500 })
+        .send({ amount: 50 })
         .expect(200);
 
       // Now repay the loan
       const repaymentData = {
-        amount: 1100, // Principal + interest
+        amount: 110, // Principal + interest
         paymentMethod: 'wallet'
       };
 
@@ -313,7 +315,7 @@ describe('Loan API Endpoints', () => {
 
     it('should not allow non-borrower to repay loan', async () => {
       const repaymentData = {
-        amount: 1100,
+        amount: 110,
         paymentMethod: 'wallet'
       };
 
@@ -333,18 +335,31 @@ describe('Loan API Endpoints', () => {
 
   describe('PUT /api/loans/:id', () => {
     it('should update loan', async () => {
+      // testLoan is repaid by now, only pending loans can be updated
+      const pendingLoan = await Loan.create({
+        borrowerId: testUser.id,
+        amount: 50,
+        interestRate: 8,
+        duration: 60,
+        purpose: 'Test loan for updating',
+        category: 'business',
+        description: 'This loan will be updated',
+        status: 'pending'
+      });
       const updateData = {
         description: 'Updated description for business expansion'
       };
 
       const response = await request(app)
-        .put(`/api/loans/${testLoan.id}`)
+        .put(`/api/loans/${pendingLoan.id}`)
         .set('Authorization', `Bearer ${authToken}`)
         .send(updateData)
         .expect(200);
 
       expect(response.body.success).toBe(true);
       expect(response.body.data.description).toBe(updateData.description);
+
+      await pendingLoan.delete();
     });
 
     it('should not allow non-borrower to update loan', async () => {
@@ -371,7 +386,7 @@ describe('Loan API Endpoints', () => {
       // Create a new pending loan for cancellation
       const newLoan = await Loan.create({
         borrowerId: testUser.id,
-        amount: 500,
+        amount: 50,
         interestRate: 8,
         duration: 60,
         purpose: 'Test loan for cancellation',
@@ -410,13 +425,13 @@ describe('Loan API Endpoints', () => {
 
     it('should filter by amount range', async () => {
       const response = await request(app)
-        .get('/api/loans/search?minAmount=500&maxAmount=1500')
+        .get('/api/loans/search?minAmount=50&maxAmount=150')
         .expect(200);
 
       expect(response.body.success).toBe(true);
       response.body.data.loans.forEach(loan => {
-        expect(loan.amount).toBeGreaterThanOrEqual(500);
-        expect(loan.amount).toBeLessThanOrEqual(1500);
+        expect(loan.amount).toBeGreaterThanOrEqual(50);
+        expect(loan.amount).toBeLessThanOrEqual(150);
       });
     });
   });
@@ -0,0 +1,125 @@
+const { getFirestore } = require('../config/firestore');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const userService = require('../services/userService');
+const loanService = require('../services/loanService');
+const fundingReservationService = require('../services/fundingReservationService');
+
+describe('Transactional loan funding', () => {
+  let loan;
+
+  beforeEach(async () => {
+    getFirestore().clear();
+    loan = await Loan.create({
+      borrowerId: 'borrower-1',
+      amount: 100,
+      interestRate: 10,
+      duration: 90,
+      purpose: 'Working capital',
+      category: 'business',
+      description: 'Stock for the dry season'
+    });
+  });
+
+  it('should keep every contribution when lenders fund concurrently', async () => {
+    const copies = await Promise.all([Loan.findById(loan.id), Loan.findById(loan.id), Loan.findById(loan.id)]);
+
+    await Promise.all([
+      copies[0].fundLoan('lender-1', 20),
+      copies[1].fundLoan('lender-2', 30),
+      copies[2].fundLoan('lender-1', 10)
+    ]);
+
+    const stored = await Loan.findById(loan.id);
+    expect(stored.fundedAmount).toBe(60);
+    expect(stored.lenderContributions).toEqual({ 'lender-1': 30, 'lender-2': 30 });
+    expect(stored.lenders.sort()).toEqual(['lender-1', 'lender-2']);
+    expect(stored.status).toBe('pending');
+  });
+
+  it('should cap funding at the remaining balance and return the excess', async () => {
+    await loan.fundLoan('lender-1', 70);
+    const result = await loan.fundLoan('lender-2', 50, { transactionHash: '0.0.2@1700000000.000000001' });
+
+    expect(result).toMatchObject({ acceptedAmount: 30, refundedAmount: 20 });
+    expect(loan.fundedAmount).toBe(100);
+    expect(loan.status).toBe('active');
+    expect(loan.fundedAt).toBeInstanceOf(Date);
+
+    await expect(loan.fundLoan('lender-3', 5)).rejects.toMatchObject({
+      message: 'Loan is not available for funding',
+      statusCode: 400
+    });
+    expect((await Loan.findById(loan.id)).lenderContributions).toEqual({ 'lender-1': 70, 'lender-2': 30 });
+  });
+
+  it('should reserve funding before it is sent and record exactly the reserved amount', async () => {
+    const copies = await Promise.all([Loan.findById(loan.id), Loan.findById(loan.id)]);
+    const [capped, full] = (await Promise.all([
+      copies[0].reserveFunding('lender-1', 70),
+      copies[1].reserveFunding('lender-2', 70)
+    ])).sort((a, b) => a.reservedAmount - b.reservedAmount);
+    expect(capped).toMatchObject({ reservedAmount: 30, refundedAmount: 40 });
+    expect(full).toMatchObject({ reservedAmount: 70, refundedAmount: 0 });
+    await expect(loan.reserveFunding('lender-3', 5)).rejects.toMatchObject({ statusCode: 400 });
+
+    // A failed transfer frees its share, a sent one is recorded as reserved
+    await loan.releaseFunding(capped.reservationId);
+    const result = await loan.confirmFunding(full.reservationId, { transactionHash: '0.0.2@1700000000.000000003' });
+    expect(result).toMatchObject({ acceptedAmount: 70, refundedAmount: 0 });
+
+    const stored = await Loan.findById(loan.id);
+    expect(stored.fundedAmount).toBe(70);
+    expect(stored.fundingReservations).toEqual({});
+    expect((await loan.reserveFunding('lender-3', 50)).reservedAmount).toBe(30);
+  });
+
+  it('should stop counting reservations once they expire and sweep them', async () => {
+    const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000 - 1000);
+    await loan.reserveFunding('lender-1', 100, tenMinutesAgo);
+
+    // Live reservations also cap funding that arrives through chain events
+    const live = await loan.reserveFunding('lender-2', 100);
+    expect(live.reservedAmount).toBe(100);
+    await expect(loan.fundLoan('lender-3', 10)).rejects.toMatchObject({ statusCode: 400 });
+    await loan.releaseFunding(live.reservationId);
+    await loan.reserveFunding('lender-2', 60);
+    expect((await loan.fundLoan('lender-3', 70)).acceptedAmount).toBe(40);
+
+    const stuck = await Loan.create({ borrowerId: 'borrower-2', amount: 10, interestRate: 10, duration: 30, purpose: 'Seeds' });
+    await stuck.reserveFunding('lender-1', 10, tenMinutesAgo);
+    expect(await fundingReservationService.releaseExpiredReservations()).toMatchObject({ released: 1, failed: 0 });
+    expect((await Loan.findById(stuck.id)).fundingReservations).toEqual({});
+  });
+
+  it('should credit a LoanFunded event once however often it is delivered', async () => {
+    const wallet = '0x1234567890123456789012345678901234567890';
+    const lender = await User.create({ email: 'kojo@example.com', firstName: 'Kojo', walletAddress: wallet });
+    await loan.update({ onChainLoanId: 4 });
+    const event = { type: 'LoanFunded', loanId: 4, lender: wallet, amount: 3000000000, transactionHash: '0.0.2@1700000000.000000009' };
+
+    // e.g. a crash after the funding was written but before the cursor moved
+    await loanService.handleLoanFundedEvent(event);
+    await loanService.handleLoanFundedEvent(event);
+
+    const stored = await Loan.findById(loan.id);
+    expect(stored.fundedAmount).toBe(30);
+    expect(stored.lenderContributions).toEqual({ [lender.id]: 30 });
+    expect(await userService.getUserTransactions(lender.id)).toHaveLength(1);
+  });
+
+  it('should record a loan_funding transaction for the lender', async () => {
+    await loan.fundLoan('lender-1', 120, { transactionHash: '0.0.2@1700000000.000000002' });
+
+    const transactions = await userService.getUserTransactions('lender-1');
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0]).toMatchObject({
+      type: 'loan_funding',
+      loanId: loan.id,
+      amount: 100,
+      requestedAmount: 120,
+      refundedAmount: 20,
+      transactionHash: '0.0.2@1700000000.000000002'
+    });
+  });
+});
@@ -0,0 +1,247 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../index');
+const { getFirestore } = require('../config/firestore');
+const Loan = require('../models/Loan');
+const userService = require('../services/userService');
+const loanService = require('../services/loanService');
+const chainSettlementService = require('../services/chainSettlementService');
+const penaltyService = require('../services/penaltyService');
+const { ChainSimulator } = require('../utils/chainSimulator');
+const { buildRepaymentSchedule, getOutstanding } = require('../utils/repaymentSchedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_SECONDS = 24 * 60 * 60;
+const token = userId => jwt.sign({ id: userId, role: 'user' }, process.env.JWT_SECRET);
+
+describe('Instalment repayments', () => {
+  let loan;
+
+  const createActiveLoan = async (data = {}) => {
+    const created = await Loan.create({
+      borrowerId: 'borrower-1',
+      amount: 100,
+      interestRate: 12,
+      duration: 90,
+      purpose: 'Sewing machines',
+      category: 'business',
+      description: 'Two machines for the tailoring shop',
+      ...data
+    });
+    await created.fundLoan('lender-1', created.amount);
+    return created;
+  };
+
+  beforeEach(async () => {
+    getFirestore().clear();
+    loan = await createActiveLoan();
+  });
+
+  it('should build a flat-rate schedule that adds up to the repayment amount', () => {
+    const startDate = new Date('2024-01-01T00:00:00Z');
+    const weekly = buildRepaymentSchedule({
+      principal: 100, interestRate: 12, duration: 90, frequency: 'weekly', startDate
+    });
+
+    expect(weekly).toHaveLength(13);
+    expect(weekly[0].dueDate).toEqual(new Date(startDate.getTime() + 7 * DAY_MS));
+    expect(weekly[12].dueDate).toEqual(new Date(startDate.getTime() + 90 * DAY_MS));
+    expect(getOutstanding(weekly)).toEqual({ principal: 100, interest: 2.95890411, total: 102.95890411 });
+  });
+
+  it('should generate the schedule when the loan becomes active', async () => {
+    const stored = await Loan.findById(loan.id);
+
+    expect(stored.status).toBe('active');
+    expect(stored.repaymentSchedule).toHaveLength(3);
+    expect(stored.outstandingPrincipal).toBe(100);
+    expect(stored.outstandingInterest).toBeCloseTo(loan.calculateRepaymentAmount() - 100, 8);
+    expect(stored.dueDate).toEqual(stored.repaymentSchedule[2].dueDate);
+  });
+
+  it('should allocate partial payments interest first across instalments', async () => {
+    const [first] = loan.repaymentSchedule;
+
+    const { repayment } = await loan.repayLoan(10, { paymentMethod: 'mobile_money' });
+    expect(repayment).toMatchObject({ amount: 10, interest: first.interest, paymentMethod: 'mobile_money' });
+
+    await loan.repayLoan(first.amount);
+    const stored = await Loan.findById(loan.id);
+    const schedule = stored.getRepaymentSchedule();
+
+    expect(stored.repayments).toHaveLength(2);
+    expect(schedule[0].status).toBe('paid');
+    expect(schedule[1].status).toBe('due');
+    expect(schedule[1].paidAmount).toBe(10);
+    expect(stored.totalRepaid).toBe(first.amount + 10);
+    expect(stored.outstandingPrincipal + stored.outstandingInterest)
+      .toBeCloseTo(loan.calculateRepaymentAmount() - first.amount - 10, 8);
+    expect(stored.status).toBe('active');
+  });
+
+  it('should report missed instalments as overdue', async () => {
+    const later = new Date(loan.repaymentSchedule[0].dueDate.getTime() + DAY_MS);
+
+    expect(loan.getRepaymentSchedule(later).map(instalment => instalment.status))
+      .toEqual(['overdue', 'due', 'due']);
+  });
+
+  it('should mark the loan repaid once the schedule is cleared and refund the excess', async () => {
+    const outstanding = loan.getOutstandingBalance();
+
+    const { refundedAmount } = await loan.repayLoan(outstanding + 5);
+
+    expect(refundedAmount).toBe(5);
+    expect(loan.status).toBe('repaid');
+    expect(loan.repaidAt).toBeInstanceOf(Date);
+    await expect(loan.repayLoan(1)).rejects.toMatchObject({ statusCode: 400 });
+
+    const [transaction] = await userService.getUserTransactions('borrower-1');
+    expect(transaction).toMatchObject({ type: 'loan_repayment', amount: outstanding, refundedAmount: 5 });
+  });
+
+  it('should serve the schedule from GET /api/loans/:id/repayments', async () => {
+    const weeklyLoan = await createActiveLoan({ repaymentFrequency: 'weekly', duration: 30 });
+    await weeklyLoan.repayLoan(weeklyLoan.repaymentSchedule[0].amount);
+
+    const response = await request(app)
+      .get(`/api/loans/${weeklyLoan.id}/repayments`)
+      .set('Authorization', `Bearer ${token('lender-1')}`)
+      .expect(200);
+
+    expect(response.body.data.repaymentFrequency).toBe('weekly');
+    expect(response.body.data.schedule.map(instalment => instalment.status))
+      .toEqual(['paid', 'due', 'due', 'due', 'due']);
+    expect(response.body.data.repayments).toHaveLength(1);
+
+    await request(app)
+      .get(`/api/loans/${weeklyLoan.id}/repayments`)
+      .set('Authorization', `Bearer ${token('someone-else')}`)
+      .expect(403);
+  });
+
+  describe('settled on chain', () => {
+    const originalClient = loanService.hedera;
+    const { loanManagerContract } = loanService;
+    let simulator;
+    let onChainLoan;
+
+    const fundOnChain = async () => {
+      await loanService.fundLoanOnBlockchain(onChainLoan, 'lender-1', onChainLoan.amount);
+      await onChainLoan.fundLoan('lender-1', onChainLoan.amount);
+    };
+
+    const repayInFull = () => request(app)
+      .post(`/api/loans/${onChainLoan.id}/repay`)
+      .set('Authorization', `Bearer ${token('borrower-1')}`)
+      .send({ amount: onChainLoan.getOutstandingBalance(), paymentMethod: 'wallet' });
+
+    beforeEach(async () => {
+      simulator = new ChainSimulator();
+      loanService.setHederaClient(simulator);
+      loanService.loanManagerContract = simulator.getContract('AfriLendLoanManager').contractId;
+
+      onChainLoan = await Loan.create({
+        borrowerId: 'borrower-1',
+        amount: 10,
+        interestRate: 12,
+        duration: 90,
+        purpose: 'Irrigation pump',
+        category: 'agriculture',
+        description: 'Pump for the dry season'
+      });
+      await loanService.createLoanOnBlockchain(onChainLoan);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      loanService.setHederaClient(originalClient);
+      loanService.loanManagerContract = loanManagerContract;
+    });
+
+    it('should settle a loan past the due date counted from its listing', async () => {
+      // Listed for 100 days before it was funded, then paid off in its last week
+      simulator.advanceTime(100 * DAY_SECONDS);
+      await fundOnChain();
+      simulator.advanceTime(85 * DAY_SECONDS);
+
+      const response = await repayInFull().expect(200);
+      expect(response.body.data.status).toBe('repaid');
+
+      const stored = await Loan.findById(onChainLoan.id);
+      expect(stored.chainSettlement).toMatchObject({ status: 'settled', attempts: 1, transactionHash: expect.any(String) });
+      expect((await loanService.getLoanFromBlockchain(onChainLoan)).status).toBe('repaid');
+    });
+
+    it('should pay off a loan carrying penalties after its final due date', async () => {
+      await fundOnChain();
+      await penaltyService.accrueAllPenalties(new Date(onChainLoan.dueDate.getTime() + 30 * DAY_MS));
+      simulator.advanceTime(120 * DAY_SECONDS);
+
+      onChainLoan = await Loan.findById(onChainLoan.id);
+      const { penaltyBalance } = onChainLoan;
+      expect(penaltyBalance).toBeGreaterThan(0);
+
+      const response = await repayInFull().expect(200);
+      expect(response.body.data.status).toBe('repaid');
+      expect(response.body.data.repayment.penalty).toBe(penaltyBalance);
+
+      const stored = await Loan.findById(onChainLoan.id);
+      expect(stored.chainSettlement).toMatchObject({ status: 'settled', attempts: 1 });
+      expect((await loanService.getLoanFromBlockchain(onChainLoan)).status).toBe('repaid');
+    });
+
+    it('should record a LoanRepaid event once and skip settlements the API recorded', async () => {
+      await fundOnChain();
+      const outstanding = onChainLoan.getOutstandingBalance();
+      const event = {
+        type: 'LoanRepaid',
+        loanId: onChainLoan.onChainLoanId,
+        amount: Math.round(outstanding * 1e8),
+        transactionHash: '0.0.2@1700000000.000000007'
+      };
+
+      await loanService.handleLoanRepaidEvent(event);
+      await loanService.handleLoanRepaidEvent(event);
+
+      const stored = await Loan.findById(onChainLoan.id);
+      expect(stored.status).toBe('repaid');
+      expect(stored.repayments).toHaveLength(1);
+      expect(stored.repayments[0]).toMatchObject({ amount: outstanding, transactionHash: event.transactionHash });
+      expect(stored.chainSettlement).toMatchObject({ status: 'settled', transactionHash: event.transactionHash });
+      const [distribution] = await userService.getUserTransactions('lender-1');
+      expect(distribution).toMatchObject({ type: 'loan_repayment_distribution', principal: 10 });
+    });
+
+    it('should ignore the LoanRepaid event of a repayment made through the API', async () => {
+      await fundOnChain();
+      await repayInFull().expect(200);
+      const { chainSettlement } = await Loan.findById(onChainLoan.id);
+
+      await loanService.handleLoanRepaidEvent({
+        type: 'LoanRepaid',
+        loanId: onChainLoan.onChainLoanId,
+        amount: Math.round(chainSettlement.amount * 1e8),
+        transactionHash: chainSettlement.transactionHash
+      });
+
+      expect((await Loan.findById(onChainLoan.id)).repayments).toHaveLength(1);
+    });
+
+    it('should record the payment when the contract call fails and settle it on retry', async () => {
+      await fundOnChain();
+      jest.spyOn(loanService, 'repayLoanOnBlockchain').mockRejectedValueOnce(new Error('Loan has expired'));
+
+      const response = await repayInFull().expect(200);
+      expect(response.body.data.status).toBe('repaid');
+
+      const pending = await Loan.findById(onChainLoan.id);
+      expect(pending.repayments).toHaveLength(1);
+      expect(pending.chainSettlement).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Loan has expired' });
+
+      expect(await chainSettlementService.retryPendingSettlements()).toMatchObject({ scanned: 1, settled: 1, failed: 0 });
+      expect((await Loan.findById(onChainLoan.id)).chainSettlement).toMatchObject({ status: 'settled', attempts: 2 });
+      expect((await loanService.getLoanFromBlockchain(onChainLoan)).status).toBe('repaid');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { MemoryFirestore } = require('../utils/memoryFirestore');
+
+describe('In-memory Firestore', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = new MemoryFirestore();
+    const loans = db.collection('loans');
+    await loans.doc('a').set({ amount: 50, status: 'pending', tags: ['farm'], createdAt: new Date('2024-01-03') });
+    await loans.doc('b').set({ amount: 20, status: 'funded', tags: ['shop', 'retail'], createdAt: new Date('2024-01-01') });
+    await loans.doc('c').set({ amount: 80, status: 'pending', tags: [], createdAt: new Date('2024-01-02') });
+  });
+
+  it('should store copies and drop undefined properties', async () => {
+    const data = { name: 'Ada', profile: { city: 'Lagos', phone: undefined } };
+    const ref = db.collection('users').doc();
+    await ref.set(data);
+    data.profile.city = 'Accra';
+
+    const snapshot = await ref.get();
+    expect(ref.id).toHaveLength(20);
+    expect(snapshot.exists).toBe(true);
+    expect(snapshot.data()).toEqual({ name: 'Ada', profile: { city: 'Lagos' } });
+    expect((await db.collection('users').doc('missing').get()).exists).toBe(false);
+  });
+
+  it('should filter, order, offset and limit queries', async () => {
+    const loans = db.collection('loans');
+
+    const pending = await loans.where('status', '==', 'pending').orderBy('amount', 'desc').get();
+    expect(pending.docs.map(doc => doc.id)).toEqual(['c', 'a']);
+
+    const byDate = await loans.orderBy('createdAt').offset(1).limit(1).get();
+    expect(byDate.docs.map(doc => doc.id)).toEqual(['c']);
+    expect(byDate.docs[0].data().createdAt).toBeInstanceOf(Date);
+
+    expect((await loans.where('tags', 'array-contains', 'shop').get()).size).toBe(1);
+    expect((await loans.where('status', 'in', ['funded', 'repaid']).get()).docs[0].id).toBe('b');
+    expect((await loans.where('amount', '>=', 50).where('amount', '<', 80).get()).docs[0].id).toBe('a');
+    expect((await loans.where('createdAt', '>', new Date('2024-01-01')).get()).size).toBe(2);
+    expect((await loans.where('status', '==', 'defaulted').get()).empty).toBe(true);
+  });
+
+  it('should merge sets, apply dotted updates and reject updates to missing documents', async () => {
+    const ref = db.collection('users').doc('u1');
+    await ref.set({ settings: { email: true, sms: false }, role: 'user' });
+    await ref.set({ settings: { sms: true } }, { merge: true });
+    await ref.update({ 'settings.push': true, role: 'admin' });
+
+    expect((await ref.get()).data()).toEqual({ settings: { email: true, sms: true, push: true }, role: 'admin' });
+    await expect(db.collection('users').doc('nobody').update({ role: 'admin' }))
+      .rejects.toMatchObject({ code: 5 });
+  });
+
+  it('should apply batches atomically', async () => {
+    const batch = db.batch();
+    batch.update(db.collection('loans').doc('a'), { status: 'cancelled' });
+    batch.update(db.collection('loans').doc('missing'), { status: 'cancelled' });
+
+    await expect(batch.commit()).rejects.toThrow('NOT_FOUND');
+    expect((await db.collection('loans').doc('a').get()).data().status).toBe('pending');
+  });
+
+  it('should retry transactions whose reads were changed concurrently', async () => {
+    const ref = db.collection('loans').doc('a');
+    let attempts = 0;
+
+    await Promise.all([
+      db.runTransaction(async (transaction) => {
+        attempts++;
+        const snapshot = await transaction.get(ref);
+        await new Promise(resolve => setImmediate(resolve));
+        transaction.update(ref, { amount: snapshot.data().amount + 10 });
+      }),
+      db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        transaction.update(ref, { amount: snapshot.data().amount + 5 });
+      })
+    ]);
+
+    expect(attempts).toBe(2);
+    expect((await ref.get()).data().amount).toBe(65);
+  });
+
+  it('should reject reads after writes inside a transaction', async () => {
+    await expect(db.runTransaction(async (transaction) => {
+      transaction.update(db.collection('loans').doc('a'), { status: 'funded' });
+      await transaction.get(db.collection('loans').doc('b'));
+    })).rejects.toThrow('all reads to be executed before all writes');
+    expect((await db.collection('loans').doc('a').get()).data().status).toBe('pending');
+  });
+});
@@ -0,0 +1,120 @@
+const { Interface } = require('@ethersproject/abi');
+const loanService = require('../services/loanService');
+const poolService = require('../services/poolService');
+
+const contractInterface = new Interface([
+  'function createLoan(uint256 amount, uint256 interestRate, uint256 duration, string purpose) returns (uint256)',
+  'function createPool(string name, string description, uint256 targetAmount, uint256 interestRate) returns (uint256)'
+]);
+
+/**
+ * Fake Hedera client exposing the config/hedera.js contract surface
+ */
+const createFakeHederaClient = (returnedId) => {
+  const calls = [];
+  return {
+    calls,
+    executeContractFunction: jest.fn(async (contractId, functionName, parameters, gas, options = {}) => {
+      calls.push({
+        contractId,
+        functionName,
+        options,
+        args: contractInterface.decodeFunctionData(functionName, parameters._build(functionName))
+      });
+      return {
+        transactionId: `0.0.2@1700000000.00000000${calls.length}`,
+        result: options.fetchRecord ? { getUint256: () => ({ toNumber: () => returnedId }) } : null
+      };
+    }),
+    callContractFunction: jest.fn()
+  };
+};
+
+const withUpdate = (data) => ({
+  ...data,
+  update: jest.fn(async function (updates) {
+    Object.assign(this, updates);
+  })
+});
+
+describe('On-chain loan and pool creation', () => {
+  const originalLoanClient = loanService.hedera;
+  const originalPoolClient = poolService.hedera;
+  const { loanManagerContract } = loanService;
+  const { lenderPoolContract } = poolService;
+
+  afterEach(() => {
+    loanService.setHederaClient(originalLoanClient);
+    poolService.setHederaClient(originalPoolClient);
+    loanService.loanManagerContract = loanManagerContract;
+    poolService.lenderPoolContract = lenderPoolContract;
+  });
+
+  it('should call createLoan and store the transaction and on-chain loan ID', async () => {
+    const client = createFakeHederaClient(4);
+    loanService.setHederaClient(client);
+    loanService.loanManagerContract = '0.0.5005';
+    const loan = withUpdate({
+      id: 'loan-1',
+      amount: 2.5,
+      interestRate: 12,
+      duration: 90,
+      purpose: 'Restock the shop before the holidays'
+    });
+
+    const created = await loanService.createLoanOnBlockchain(loan);
+
+    const [call] = client.calls;
+    expect(call.contractId).toBe('0.0.5005');
+    expect(call.functionName).toBe('createLoan');
+    expect(call.options.fetchRecord).toBe(true);
+    expect(call.args.amount.toString()).toBe('250000000');
+    expect(call.args.interestRate.toNumber()).toBe(12);
+    expect(call.args.duration.toNumber()).toBe(90 * 24 * 60 * 60);
+    expect(call.args.purpose).toBe('Restock the shop before the holidays');
+
+    expect(created).toEqual({ onChainLoanId: 4, transactionId: '0.0.2@1700000000.000000001' });
+    expect(loan.update).toHaveBeenCalledWith({
+      onChainLoanId: 4,
+      transactionHash: '0.0.2@1700000000.000000001',
+      contractAddress: '0.0.5005'
+    });
+  });
+
+  it('should call createPool and store the transaction and on-chain pool ID', async () => {
+    const client = createFakeHederaClient(0);
+    poolService.setHederaClient(client);
+    poolService.lenderPoolContract = '0.0.5006';
+    const pool = withUpdate({
+      id: 'pool-1',
+      name: 'Harvest Fund',
+      description: 'Short term working capital for farmers',
+      targetAmount: 500,
+      interestRate: 8
+    });
+
+    const created = await poolService.createPoolOnBlockchain(pool);
+
+    const [call] = client.calls;
+    expect(call.functionName).toBe('createPool');
+    expect(call.args.name).toBe('Harvest Fund');
+    expect(call.args.description).toBe('Short term working capital for farmers');
+    expect(call.args.targetAmount.toString()).toBe('50000000000');
+    expect(call.args.interestRate.toNumber()).toBe(8);
+
+    expect(created.onChainPoolId).toBe(0);
+    expect(pool.onChainPoolId).toBe(0);
+    expect(pool.transactionHash).toBe('0.0.2@1700000000.000000001');
+    expect(pool.contractAddress).toBe('0.0.5006');
+  });
+
+  it('should leave the document untouched when the transaction fails', async () => {
+    const client = createFakeHederaClient(1);
+    client.executeContractFunction.mockRejectedValueOnce(new Error('CONTRACT_REVERT_EXECUTED'));
+    loanService.setHederaClient(client);
+    const loan = withUpdate({ id: 'loan-2', amount: 1, interestRate: 10, duration: 30, purpose: 'Buy seeds' });
+
+    await expect(loanService.createLoanOnBlockchain(loan)).rejects.toThrow('CONTRACT_REVERT_EXECUTED');
+    expect(loan.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../index');
+const { getFirestore } = require('../config/firestore');
+const Loan = require('../models/Loan');
+const penaltyService = require('../services/penaltyService');
+const { calculateAccruals } = require('../utils/penaltyAccrual');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const policy = { dailyPenaltyRate: 1, lateFee: 2, penaltyCapPercent: 25, gracePeriodDays: 3 };
+
+describe('Penalty accrual', () => {
+  const start = new Date('2024-01-01T00:00:00Z');
+  const schedule = [
+    { number: 1, dueDate: new Date(start.getTime() + 10 * DAY_MS), principal: 50, interest: 0, amount: 50, paidAmount: 0 },
+    { number: 2, dueDate: new Date(start.getTime() + 20 * DAY_MS), principal: 50, interest: 0, amount: 50, paidAmount: 0 }
+  ];
+
+  it('should charge daily penalty interest and one late fee per overdue instalment', () => {
+    const { entries, accruedThrough } = calculateAccruals({
+      schedule,
+      principal: 100,
+      accruedThrough: start,
+      now: new Date(start.getTime() + 15.5 * DAY_MS),
+      policy
+    });
+
+    expect(accruedThrough).toEqual(new Date(start.getTime() + 15 * DAY_MS));
+    expect(entries).toEqual([
+      expect.objectContaining({ type: 'penalty_interest', instalment: 1, days: 5, amount: 2.5 }),
+      expect.objectContaining({ type: 'late_fee', instalment: 1, amount: 2 })
+    ]);
+  });
+
+  it('should not charge a late fee twice and should stop at the cap', () => {
+    const { entries } = calculateAccruals({
+      schedule,
+      principal: 100,
+      ledger: [{ type: 'late_fee', instalment: 1, amount: 2 }, { type: 'penalty_interest', instalment: 1, amount: 20 }],
+      accruedThrough: new Date(start.getTime() + 15 * DAY_MS),
+      now: new Date(start.getTime() + 30 * DAY_MS),
+      policy
+    });
+
+    // 15 days on instalment 1 alone would be 7.5, only 3 is left under the 25% cap
+    expect(entries).toEqual([
+      expect.objectContaining({ type: 'penalty_interest', instalment: 1, amount: 3, capped: true })
+    ]);
+  });
+
+  describe('on loans', () => {
+    let loan;
+    let firstDueDate;
+
+    beforeEach(async () => {
+      getFirestore().clear();
+      loan = await Loan.create({
+        borrowerId: 'borrower-1',
+        amount: 90,
+        interestRate: 10,
+        duration: 90,
+        purpose: 'Market stall',
+        category: 'business',
+        description: 'Stall rent and first stock'
+      });
+      await loan.fundLoan('lender-1', 90);
+      firstDueDate = loan.repaymentSchedule[0].dueDate;
+    });
+
+    it('should keep an auditable ledger and accrue each day only once', async () => {
+      const now = new Date(firstDueDate.getTime() + 5 * DAY_MS);
+
+      await penaltyService.accrueAllPenalties(now, policy);
+      await penaltyService.accrueAllPenalties(now, policy);
+      const stored = await Loan.findById(loan.id);
+
+      const instalment = loan.repaymentSchedule[0].amount;
+      expect(stored.accrualLedger.map(entry => entry.type)).toEqual(['penalty_interest', 'late_fee']);
+      expect(stored.accrualLedger[0]).toMatchObject({ instalment: 1, days: 5, from: firstDueDate });
+      expect(stored.penaltyBalance).toBeCloseTo(instalment * 0.05 + 2, 8);
+      expect(stored.calculateRepaymentAmount()).toBeCloseTo(loan.calculateRepaymentAmount() + stored.penaltyBalance, 8);
+      expect(stored.getPublicData().penaltyBalance).toBe(stored.penaltyBalance);
+    });
+
+    it('should settle penalties before instalments', async () => {
+      await Loan.accruePenalties(loan.id, new Date(firstDueDate.getTime() + 5 * DAY_MS), policy);
+      const stored = await Loan.findById(loan.id);
+      const { penaltyBalance } = stored;
+
+      const { repayment } = await stored.repayLoan(penaltyBalance + 1, { penaltyPolicy: { ...policy, dailyPenaltyRate: 0 } });
+
+      expect(repayment.penalty).toBe(penaltyBalance);
+      expect(stored.penaltyBalance).toBe(0);
+      expect(stored.repaymentSchedule[0].paidAmount).toBe(1);
+      expect(stored.accrualLedger[stored.accrualLedger.length - 1]).toMatchObject({ type: 'penalty_payment', amount: -penaltyBalance });
+    });
+
+    it('should let admins waive penalties through the API', async () => {
+      await Loan.accruePenalties(loan.id, new Date(firstDueDate.getTime() + 5 * DAY_MS), policy);
+      const token = role => jwt.sign({ id: `${role}-1`, role }, process.env.JWT_SECRET);
+      const waiver = { amount: 2, reason: 'Mobile money outage' };
+
+      await request(app)
+        .post(`/api/loans/${loan.id}/penalties/waive`)
+        .set('Authorization', `Bearer ${token('user')}`)
+        .send(waiver)
+        .expect(403);
+
+      const response = await request(app)
+        .post(`/api/loans/${loan.id}/penalties/waive`)
+        .set('Authorization', `Bearer ${token('admin')}`)
+        .send(waiver)
+        .expect(200);
+
+      expect(response.body.data.penaltiesWaived).toBe(2);
+      expect(response.body.data.ledger.pop()).toMatchObject({ type: 'waiver', amount: -2, waivedBy: 'admin-1' });
+
+      await request(app)
+        .post(`/api/loans/${loan.id}/penalties/waive`)
+        .set('Authorization', `Bearer ${token('admin')}`)
+        .send({ ...waiver, amount: 500 })
+        .expect(400);
+    });
+  });
+});
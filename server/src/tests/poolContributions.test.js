@@ -0,0 +1,49 @@
+const { getFirestore } = require('../config/firestore');
+const Pool = require('../models/Pool');
+
+describe('Transactional pool contributions', () => {
+  let pool;
+
+  beforeEach(async () => {
+    getFirestore().clear();
+    pool = await Pool.create({ creatorId: 'creator-1', name: 'Harvest pool', targetAmount: 100, duration: 90 });
+  });
+
+  it('should keep every contribution when lenders contribute concurrently', async () => {
+    const copies = await Promise.all([Pool.findById(pool.id), Pool.findById(pool.id), Pool.findById(pool.id)]);
+
+    await Promise.all([
+      copies[0].addContribution('lender-1', 20),
+      copies[1].addContribution('lender-2', 30),
+      copies[2].addContribution('lender-1', 10)
+    ]);
+
+    const stored = await Pool.findById(pool.id);
+    expect(stored.currentAmount).toBe(60);
+    expect(stored.contributorAmounts).toEqual({ 'lender-1': 30, 'lender-2': 30 });
+    expect(stored.contributors.sort()).toEqual(['lender-1', 'lender-2']);
+    expect(stored.contributionHistory).toHaveLength(3);
+  });
+
+  it('should withdraw against the stored balance and drop emptied contributors', async () => {
+    await pool.addContribution('lender-1', 20);
+    await pool.addContribution('lender-2', 30);
+
+    // Both copies see 20 for lender-1, only one withdrawal of 15 fits
+    const copies = await Promise.all([Pool.findById(pool.id), Pool.findById(pool.id)]);
+    const results = await Promise.allSettled([
+      copies[0].removeContribution('lender-1', 15),
+      copies[1].removeContribution('lender-1', 15)
+    ]);
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(400);
+
+    await pool.removeContribution('lender-1', 5);
+    expect(pool.contributors).toEqual(['lender-2']);
+
+    const stored = await Pool.findById(pool.id);
+    expect(stored.contributors).toEqual(['lender-2']);
+    expect(stored.contributorAmounts).toEqual({ 'lender-2': 30 });
+    expect(stored.currentAmount).toBe(30);
+  });
+});
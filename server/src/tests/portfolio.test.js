@@ -0,0 +1,112 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../index');
+const { getFirestore } = require('../config/firestore');
+const Loan = require('../models/Loan');
+const Pool = require('../models/Pool');
+const User = require('../models/User');
+const portfolioService = require('../services/portfolioService');
+const { calculateXirr } = require('../utils/finance');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Lender portfolio', () => {
+  it('should annualize irregular cash flows', () => {
+    const start = new Date('2024-01-01T00:00:00Z');
+
+    expect(calculateXirr([
+      { date: start, amount: -100 },
+      { date: new Date(start.getTime() + 365 * DAY_MS), amount: 110 }
+    ])).toBeCloseTo(0.1, 6);
+    expect(calculateXirr([
+      { date: start, amount: -100 },
+      { date: new Date(start.getTime() + 365 * DAY_MS), amount: 50 }
+    ])).toBeCloseTo(-0.5, 6);
+    expect(calculateXirr([{ date: start, amount: -100 }])).toBeNull();
+  });
+
+  describe('GET /api/users/portfolio', () => {
+    const LENDER = 'lender-1';
+    let kenyaBorrower;
+    let ghanaBorrower;
+
+    const createLoan = async (borrower, data) => Loan.create({
+      borrowerId: borrower.id,
+      interestRate: 10,
+      duration: 60,
+      purpose: 'Working capital',
+      description: 'Stock for the season',
+      ...data
+    });
+
+    beforeEach(async () => {
+      getFirestore().clear();
+      [kenyaBorrower, ghanaBorrower] = await Promise.all([
+        User.create({ email: 'k@example.com', firstName: 'Wanjiru', country: 'Kenya' }),
+        User.create({ email: 'g@example.com', firstName: 'Kofi', country: 'Ghana' })
+      ]);
+    });
+
+    it('should combine loans and pools into returns, exposure and a time series', async () => {
+      const active = await createLoan(kenyaBorrower, { amount: 40, category: 'agriculture', riskLevel: 'low' });
+      await active.fundLoan(LENDER, 40);
+      await active.repayLoan(active.repaymentSchedule[0].amount);
+
+      const defaulted = await createLoan(ghanaBorrower, { amount: 20, category: 'business', riskLevel: 'high' });
+      await defaulted.fundLoan(LENDER, 10);
+      await defaulted.fundLoan('lender-2', 10);
+      await defaulted.update({ status: 'defaulted' });
+
+      const pool = await Pool.create({ name: 'Harvest', interestRate: 8, duration: 365, category: 'agriculture', riskLevel: 'medium' });
+      await pool.addContribution(LENDER, 30);
+      await pool.addContribution('lender-2', 30);
+      await pool.distributeYield(6);
+
+      const response = await request(app)
+        .get('/api/users/portfolio')
+        .set('Authorization', `Bearer ${jwt.sign({ id: LENDER, role: 'user' }, process.env.JWT_SECRET)}`)
+        .expect(200);
+
+      const { summary, exposure, loans, pools, timeSeries } = response.body.data;
+      const [firstInstalment] = active.repaymentSchedule;
+
+      expect(summary).toMatchObject({
+        totalInvested: 80,
+        outstandingPrincipal: 40 - firstInstalment.principal + 30,
+        principalRepaid: firstInstalment.principal,
+        defaults: { count: 1, loss: 10 },
+        positions: 3
+      });
+      expect(summary.realizedReturn).toBeCloseTo(firstInstalment.interest + 3, 8);
+      expect(summary.expectedReturn).toBeCloseTo((40 * 10 * 60 + 10 * 10 * 60) / 36500 + 30 * 0.08, 8);
+      // Every cash flow happened just now, so there is no period to annualize over
+      expect(summary.irr).toBeNull();
+
+      expect(Object.keys(exposure.byCountry).sort()).toEqual(['Kenya', 'pooled']);
+      expect(exposure.byCategory.agriculture.percentage).toBe(100);
+      expect(Object.keys(exposure.byRiskLevel).sort()).toEqual(['low', 'medium']);
+
+      expect(loans.find(position => position.loanId === defaulted.id)).toMatchObject({ country: 'Ghana', loss: 10, outstandingPrincipal: 0 });
+      expect(pools[0]).toMatchObject({ poolId: pool.id, share: 0.5, realizedReturn: 3 });
+      expect(pools[0]).not.toHaveProperty('yieldCashFlows');
+
+      expect(timeSeries).toHaveLength(1);
+      expect(timeSeries[0]).toMatchObject({ invested: 80, principalReturned: firstInstalment.principal });
+
+      // A year on, the defaulted principal outweighs everything earned
+      const later = await portfolioService.getLenderPortfolio(LENDER, { now: new Date(Date.now() + 365 * DAY_MS) });
+      expect(later.summary.irr).toBeLessThan(0);
+      expect(later.timeSeries.length).toBeGreaterThanOrEqual(12);
+    });
+
+    it('should return an empty portfolio for a new lender', async () => {
+      const response = await request(app)
+        .get('/api/users/portfolio?interval=week')
+        .set('Authorization', `Bearer ${jwt.sign({ id: 'nobody', role: 'user' }, process.env.JWT_SECRET)}`)
+        .expect(200);
+
+      expect(response.body.data.summary).toMatchObject({ totalInvested: 0, irr: null, positions: 0 });
+      expect(response.body.data.timeSeries).toEqual([]);
+    });
+  });
+});
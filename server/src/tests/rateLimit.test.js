@@ -0,0 +1,97 @@
+process.env.RATE_LIMIT_MONEY_MOVEMENT_LIMIT = '2';
+
+const request = require('supertest');
+const app = require('../index');
+const { getFirestore } = require('../config/firestore');
+const User = require('../models/User');
+const loginLockoutService = require('../services/loginLockoutService');
+const { hashPassword, generateToken } = require('../middleware/authMiddleware');
+const { MemoryRateLimitStore, FirestoreRateLimitStore } = require('../utils/rateLimitStore');
+
+describe('Rate limiting and login lockout', () => {
+  const login = (email, password = 'wrong-password') => request(app)
+    .post('/api/users/login')
+    .send({ email, password });
+
+  beforeAll(() => {
+    process.env.RATE_LIMIT_ENABLED = 'true';
+  });
+
+  afterAll(() => {
+    process.env.RATE_LIMIT_ENABLED = 'false';
+  });
+
+  beforeEach(() => getFirestore().clear());
+
+  it.each([
+    ['memory', MemoryRateLimitStore],
+    ['firestore', FirestoreRateLimitStore]
+  ])('should count hits in fixed windows in the %s store', async (name, Store) => {
+    const store = new Store('test:');
+    store.init({ windowMs: 60 * 1000 });
+    const start = new Date('2026-01-01T00:00:00Z');
+
+    await store.increment('ip:1', start);
+    const second = await store.increment('ip:1', new Date(start.getTime() + 30 * 1000));
+    expect(second).toEqual({ totalHits: 2, resetTime: new Date(start.getTime() + 60 * 1000) });
+    expect((await store.increment('ip:2', start)).totalHits).toBe(1);
+
+    const nextWindow = await store.increment('ip:1', new Date(start.getTime() + 61 * 1000));
+    expect(nextWindow.totalHits).toBe(1);
+
+    await store.resetKey('ip:1');
+    expect(await store.get('ip:1', new Date(start.getTime() + 62 * 1000))).toBeUndefined();
+  });
+
+  it('should apply the strict login policy per client', async () => {
+    // Different emails, so the account lockout never kicks in
+    for (let attempt = 0; attempt < 10; attempt += 1) {
+      await login(`user${attempt}@example.com`).expect(401);
+    }
+
+    const limited = await login('user10@example.com').expect(429);
+    expect(limited.body.error).toBe('Too many requests');
+    expect(limited.headers).toHaveProperty('ratelimit');
+
+    // Reads have their own, looser budget
+    await request(app).get('/health').expect(200);
+  });
+
+  it('should limit money movement per user', async () => {
+    const tokenFor = id => generateToken({ id, email: `${id}@example.com`, role: 'user' });
+    const withdraw = id => request(app)
+      .post('/api/pools/missing-pool/withdraw')
+      .set('Authorization', `Bearer ${tokenFor(id)}`)
+      .send({ amount: 1 });
+
+    expect((await withdraw('lender-1')).status).not.toBe(429);
+    expect((await withdraw('lender-1')).status).not.toBe(429);
+    expect((await withdraw('lender-1')).status).toBe(429);
+    expect((await withdraw('lender-2')).status).not.toBe(429);
+  });
+
+  it('should lock an account after repeated failures with growing backoff', async () => {
+    await User.create({ email: 'ama@example.com', password: await hashPassword('password123'), firstName: 'Ama' });
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await login('ama@example.com').expect(401);
+    }
+
+    const locked = await login('ama@example.com', 'password123').expect(429);
+    expect(locked.body.error).toBe('Account temporarily locked');
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(55);
+
+    // One more failure after the first lock doubles the next one
+    const later = new Date(Date.now() + 61 * 1000);
+    expect((await loginLockoutService.getLockout('ama@example.com', later)).locked).toBe(false);
+    const escalated = await loginLockoutService.recordFailure('AMA@example.com', later);
+    expect(escalated.failures).toBe(6);
+    expect(escalated.lockedUntil - later).toBe(120 * 1000);
+
+    // A quiet window forgives the failures, and success clears them
+    const muchLater = new Date(later.getTime() + 60 * 60 * 1000);
+    expect((await loginLockoutService.recordFailure('ama@example.com', muchLater)).failures).toBe(1);
+    await loginLockoutService.recordSuccess('ama@example.com');
+    expect(await loginLockoutService.getLockout('ama@example.com')).toEqual({ locked: false });
+  });
+});
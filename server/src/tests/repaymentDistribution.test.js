@@ -0,0 +1,80 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../index');
+const { getFirestore } = require('../config/firestore');
+const Loan = require('../models/Loan');
+const userService = require('../services/userService');
+const { allocateProRata } = require('../utils/distribution');
+
+const token = userId => jwt.sign({ id: userId, role: 'user' }, process.env.JWT_SECRET);
+
+describe('Repayment distribution', () => {
+  it('should split pro-rata exactly to the tinybar', () => {
+    const shares = allocateProRata(1, { alice: 1, bob: 1, carol: 1 });
+
+    expect(shares).toEqual({ alice: 0.33333334, bob: 0.33333333, carol: 0.33333333 });
+    expect(allocateProRata(1, { carol: 1, bob: 1, alice: 1 })).toEqual(shares);
+    expect(allocateProRata(0.00000005, { big: 90, small: 10 })).toEqual({ big: 0.00000005, small: 0 });
+    expect(allocateProRata(7, {})).toEqual({});
+  });
+
+  describe('on repayment', () => {
+    let loan;
+
+    beforeEach(async () => {
+      getFirestore().clear();
+      loan = await Loan.create({
+        borrowerId: 'borrower-1',
+        amount: 90,
+        interestRate: 12,
+        duration: 60,
+        purpose: 'Cold storage',
+        category: 'agriculture',
+        description: 'Cold room for the cooperative'
+      });
+      await loan.fundLoan('lender-a', 60);
+      await loan.fundLoan('lender-b', 30);
+    });
+
+    it('should credit each lender principal and interest pro-rata', async () => {
+      const [instalment] = loan.repaymentSchedule;
+
+      const response = await request(app)
+        .post(`/api/loans/${loan.id}/repay`)
+        .set('Authorization', `Bearer ${token('borrower-1')}`)
+        .send({ loanId: loan.id, amount: instalment.amount, paymentMethod: 'mobile_money' })
+        .expect(200);
+
+      const { distributions } = response.body.data.repayment;
+      expect(distributions.map(share => share.lenderId)).toEqual(['lender-a', 'lender-b']);
+      expect(distributions[0]).toMatchObject({ principal: 30, interest: expect.closeTo(instalment.interest * 2 / 3, 7) });
+      expect(distributions[1]).toMatchObject({ principal: 15, interest: expect.closeTo(instalment.interest / 3, 7) });
+      expect(distributions[0].interest + distributions[1].interest).toBeCloseTo(instalment.interest, 8);
+
+      const [transaction] = await userService.getUserTransactions('lender-b');
+      expect(transaction).toMatchObject({ type: 'loan_repayment_distribution', loanId: loan.id, principal: 15 });
+      const [notification] = await userService.getUserNotifications('lender-a');
+      expect(notification).toMatchObject({ type: 'loan_repayment_received' });
+    });
+
+    it('should report realized returns in the lending history', async () => {
+      await loan.repayLoan(loan.getOutstandingBalance());
+
+      const response = await request(app)
+        .get('/api/users/lending')
+        .set('Authorization', `Bearer ${token('lender-b')}`)
+        .expect(200);
+
+      const [history] = response.body.data.lendingHistory;
+      const totalInterest = loan.calculateRepaymentAmount() - 90;
+      expect(history.id).toBe(loan.id);
+      expect(history.returns).toMatchObject({
+        contribution: 30,
+        principalRepaid: 30,
+        outstandingPrincipal: 0,
+        interestEarned: expect.closeTo(totalInterest / 3, 7)
+      });
+      expect(history.returns.realizedReturn).toBe(history.returns.interestEarned);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../index');
+const { getFirestore, getCollections } = require('../config/firestore');
+const { getReputationPolicy } = require('../config/reputation');
+const Loan = require('../models/Loan');
+const User = require('../models/User');
+const loanService = require('../services/loanService');
+const userService = require('../services/userService');
+const { replayReputation } = require('../utils/reputationLedger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Reputation ledger', () => {
+  const start = new Date('2024-01-01T00:00:00Z');
+  const at = days => new Date(start.getTime() + days * DAY_MS);
+
+  it('should derive the score, counters and category scores by replaying rules', () => {
+    const reputation = replayReputation([
+      { id: 'e3', type: 'category_update', category: 'agriculture', points: -40, createdAt: at(3) },
+      { id: 'e1', type: 'successful_loan', amount: 50, createdAt: at(1) },
+      { id: 'e2', type: 'category_update', category: 'agriculture', points: 30, createdAt: at(2) },
+      { id: 'e4', type: 'loan_default', amount: 20, createdAt: at(4) },
+      { id: 'e5', type: 'loan_default', amount: 20, createdAt: at(5) },
+      { id: 'e6', type: 'unknown_rule', createdAt: at(6) }
+    ], { now: at(7) });
+
+    expect(reputation).toMatchObject({
+      score: 0,
+      trustLevel: 'New',
+      totalLoans: 3,
+      successfulLoans: 1,
+      defaultedLoans: 2,
+      totalBorrowed: 90,
+      categoryScores: { agriculture: 0 },
+      lastUpdated: at(5)
+    });
+    expect(reputation.history.map(entry => [entry.id, entry.points, entry.scoreAfter])).toEqual([
+      ['e1', 50, 150], ['e2', 30, 180], ['e3', -40, 140], ['e4', -100, 40], ['e5', -40, 0]
+    ]);
+  });
+
+  it('should cap the score at the contract maximum and map trust levels to its thresholds', () => {
+    const lending = count => Array.from({ length: count }, (_, i) => ({ type: 'lending', amount: 1, createdAt: at(i) }));
+
+    expect(replayReputation(lending(7), { now: at(10) })).toMatchObject({ score: 310, trustLevel: 'Good', totalLent: 7 });
+    expect(replayReputation(lending(70), { now: at(70) })).toMatchObject({ score: 2000, trustLevel: 'Premium' });
+  });
+
+  it('should decay inactive reputations down to the starting score', () => {
+    const policy = getReputationPolicy();
+    const events = [{ type: 'successful_loan', amount: 10, createdAt: start }];
+
+    expect(replayReputation(events, { now: at(policy.inactiveDays - 1) }).score).toBe(150);
+
+    const decayed = replayReputation(events, { now: at(policy.inactiveDays + policy.decayPeriodDays) });
+    expect(decayed.score).toBe(150 - 2 * policy.decayPoints);
+    expect(decayed.history[1]).toMatchObject({
+      type: 'inactivity_decay',
+      points: -2 * policy.decayPoints,
+      createdAt: at(policy.inactiveDays + policy.decayPeriodDays)
+    });
+    expect(replayReputation(events, { now: at(5000) }).score).toBe(policy.decayFloor);
+  });
+
+  describe('recording and reading events', () => {
+    beforeEach(() => getFirestore().clear());
+
+    it('should append events, keep on-chain fields and return the history', async () => {
+      const user = await User.create({ email: 'musa@example.com', firstName: 'Musa' });
+      const { reputation, reputationEvents } = getCollections();
+      await reputation.doc(user.id).set({ onChainScore: 175 });
+
+      await userService.updateUserReputation(user.id, 'lending', { amount: 25, loanId: 'loan-1' });
+      await userService.updateUserReputation(user.id, 'referral');
+      await expect(userService.updateUserReputation(user.id, 'bribery')).rejects.toThrow('Unknown reputation event type: bribery');
+
+      const stored = (await reputation.doc(user.id).get()).data();
+      expect(stored).toMatchObject({ score: 150, totalLent: 25, onChainScore: 175, eventCount: 2 });
+      expect(stored).not.toHaveProperty('history');
+      expect((await reputationEvents.where('userId', '==', user.id).get()).size).toBe(2);
+
+      const response = await request(app)
+        .get('/api/users/reputation')
+        .set('Authorization', `Bearer ${jwt.sign({ id: user.id, role: 'user' }, process.env.JWT_SECRET)}`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ score: 150, trustLevel: 'Basic', onChainScore: 175 });
+      expect(response.body.data.history.map(entry => entry.type)).toEqual(['lending', 'referral']);
+      expect(response.body.data.history[0]).toMatchObject({ points: 30, amount: 25, metadata: { loanId: 'loan-1' } });
+      expect(await user.getReputationScore()).not.toHaveProperty('history');
+    });
+
+    it('should reward a loan repaid early and on time', async () => {
+      const loan = await Loan.create({
+        borrowerId: 'borrower-1',
+        amount: 30,
+        interestRate: 12,
+        duration: 60,
+        purpose: 'Seeds',
+        category: 'agriculture',
+        description: 'Maize seed for the long rains'
+      });
+      await loan.fundLoan('lender-1', 30);
+      await loan.repayLoan(loan.calculateRepaymentAmount());
+      await loanService.recordRepaymentReputation(loan);
+
+      const stored = (await getCollections().reputation.doc('borrower-1').get()).data();
+      expect(stored).toMatchObject({ score: 185, successfulLoans: 1, totalBorrowed: 30, trustLevel: 'Basic' });
+    });
+  });
+});
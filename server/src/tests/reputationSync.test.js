@@ -0,0 +1,88 @@
+const { ContractFunctionParameters } = require('@hashgraph/sdk');
+const { getFirestore, getCollections } = require('../config/firestore');
+const { getChainAdapter, hbarToTinybars } = require('../config/hedera');
+const User = require('../models/User');
+const userService = require('../services/userService');
+const reputationSyncService = require('../services/reputationSyncService');
+
+describe('Reputation sync with the Reputation contract', () => {
+  const wallet = n => `0x${String(n).padStart(40, '0')}`;
+
+  const getChainReputation = address => reputationSyncService.getOnChainReputation(address);
+
+  const getEventDocs = async (userId) => {
+    const snapshot = await getCollections().reputationEvents.where('userId', '==', userId).get();
+    return snapshot.docs.map(doc => doc.data());
+  };
+
+  beforeEach(() => getFirestore().clear());
+
+  it('should register the wallet and push events for users with a wallet', async () => {
+    const lender = await User.create({ email: 'ama@example.com', firstName: 'Ama', walletAddress: wallet(1) });
+    const offline = await User.create({ email: 'yaw@example.com', firstName: 'Yaw' });
+
+    await userService.updateUserReputation(lender.id, 'lending', { amount: 25, loanId: 'loan-1' });
+    await userService.updateUserReputation(offline.id, 'lending', { amount: 25, loanId: 'loan-1' });
+
+    expect(await getChainReputation(wallet(1))).toMatchObject({ score: 130, trustLevel: 'Basic', totalLent: 25 });
+    expect((await getEventDocs(lender.id))[0]).toMatchObject({ syncStatus: 'synced', syncTransactionId: expect.any(String) });
+    expect((await getEventDocs(offline.id))[0].syncStatus).toBe('skipped');
+  });
+
+  it('should fold repayment bonuses into a single contract call', async () => {
+    const borrower = await User.create({ email: 'kwame@example.com', firstName: 'Kwame', walletAddress: wallet(2) });
+
+    await userService.updateUserReputation(borrower.id, 'successful_loan', { amount: 40, wasOnTime: true, wasEarly: true });
+    await userService.updateUserReputation(borrower.id, 'on_time_repayment');
+    await userService.updateUserReputation(borrower.id, 'early_repayment');
+
+    const stored = (await getCollections().reputation.doc(borrower.id).get()).data();
+    expect(stored.score).toBe(185);
+    expect(await getChainReputation(wallet(2))).toMatchObject({ score: 185, successfulLoans: 1, totalBorrowed: 40 });
+    expect((await getEventDocs(borrower.id)).map(event => event.syncStatus).sort()).toEqual(['not_applicable', 'not_applicable', 'synced']);
+  });
+
+  it('should report drift and repair what the contract allows', async () => {
+    const inSync = await User.create({ email: 'a@example.com', firstName: 'Abena', walletAddress: wallet(3) });
+    const lateWallet = await User.create({ email: 'b@example.com', firstName: 'Bola' });
+    const tampered = await User.create({ email: 'c@example.com', firstName: 'Chidi', walletAddress: wallet(5) });
+
+    await userService.updateUserReputation(inSync.id, 'referral');
+    await userService.updateUserReputation(lateWallet.id, 'loan_default', { amount: 10 });
+    await userService.updateUserReputation(tampered.id, 'lending', { amount: 5 });
+    await lateWallet.update({ walletAddress: wallet(4) });
+
+    // A default that never went through the ledger
+    await getChainAdapter().executeContractFunction(
+      null,
+      'updateReputationOnDefault',
+      new ContractFunctionParameters().addAddress(wallet(5)).addUint256(hbarToTinybars(7))
+    );
+
+    const report = await reputationSyncService.reconcileReputation({ repair: false });
+    // The listener has not stored on-chain fields for anyone yet, which is not drift
+    expect(report).toMatchObject({ checked: 3, inSync: 1, drifted: 2, repaired: 0, failed: 0 });
+    const issuesFor = (summary, userId) => summary.users.find(entry => entry.userId === userId).issues;
+    expect(report.users.map(entry => entry.userId)).not.toContain(inSync.id);
+    expect(issuesFor(report, lateWallet.id)).toEqual([{ type: 'unregistered', ledger: 0, chain: null }]);
+    expect(issuesFor(report, tampered.id)).toEqual(expect.arrayContaining([
+      { type: 'score', ledger: 130, chain: 30 },
+      { type: 'counter', field: 'defaultedLoans', ledger: 0, chain: 1 }
+    ]));
+
+    const repaired = await reputationSyncService.reconcileReputation({ repair: true });
+    expect(repaired).toMatchObject({ drifted: 2, repaired: 1, failed: 0 });
+    expect(await getChainReputation(wallet(4))).toMatchObject({ score: 0, defaultedLoans: 1, totalBorrowed: 10 });
+    expect(await getChainReputation(wallet(5))).toMatchObject({ score: 130 });
+
+    // Counters cannot be rewound on-chain, so only that drift remains
+    const after = await reputationSyncService.reconcileReputation({ repair: false });
+    expect(after).toMatchObject({ checked: 3, inSync: 2, drifted: 1 });
+    expect(issuesFor(after, tampered.id).map(issue => issue.field)).toEqual(['totalLoans', 'defaultedLoans', 'totalBorrowed']);
+
+    // A stored snapshot that disagrees with the contract is drift
+    await getCollections().reputation.doc(inSync.id).set({ onChainScore: 100 }, { merge: true });
+    const stale = await reputationSyncService.reconcileReputation({ repair: false });
+    expect(issuesFor(stale, inSync.id)).toEqual([{ type: 'listener', snapshot: 100, chain: 120 }]);
+  });
+});
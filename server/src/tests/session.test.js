@@ -0,0 +1,112 @@
+const request = require('supertest');
+const app = require('../index');
+const { getFirestore, getCollections } = require('../config/firestore');
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const { hashPassword } = require('../middleware/authMiddleware');
+const { hashToken } = require('../utils/tokens');
+
+describe('Sessions and refresh-token rotation', () => {
+  let user;
+
+  const login = async (userAgent = 'jest') => {
+    const response = await request(app)
+      .post('/api/users/login')
+      .set('User-Agent', userAgent)
+      .send({ email: 'ama@example.com', password: 'password123' })
+      .expect(200);
+    return response.body.data;
+  };
+
+  const refresh = refreshToken => request(app).post('/api/users/refresh-token').send({ refreshToken });
+
+  const getProfile = token => request(app).get('/api/users/profile').set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    getFirestore().clear();
+    user = await User.create({ email: 'ama@example.com', password: await hashPassword('password123'), firstName: 'Ama' });
+  });
+
+  it('should rotate refresh tokens and revoke the family when an old one is reused', async () => {
+    const first = await login();
+
+    const sessionsSnapshot = await getCollections().sessions.where('userId', '==', user.id).get();
+    expect(sessionsSnapshot.docs[0].data().refreshTokenHash).toBe(hashToken(first.refreshToken));
+
+    const rotated = (await refresh(first.refreshToken).expect(200)).body.data;
+    expect(rotated.refreshToken).not.toBe(first.refreshToken);
+    await getProfile(rotated.token).expect(200);
+
+    const reuse = await refresh(first.refreshToken).expect(401);
+    expect(reuse.body.message).toBe('Refresh token has already been used');
+
+    // The whole family is gone: the current refresh token and every access token
+    await refresh(rotated.refreshToken).expect(401);
+    expect((await getProfile(rotated.token).expect(401)).body.error).toBe('Token revoked');
+    await getProfile(first.token).expect(401);
+  });
+
+  it('should revoke the session on logout', async () => {
+    const { token, refreshToken } = await login();
+
+    await request(app)
+      .post('/api/users/logout')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await getProfile(token).expect(401);
+    expect((await refresh(refreshToken).expect(401)).body.message).toBe('Session has been revoked');
+  });
+
+  it('should list active sessions and revoke one of them', async () => {
+    const phone = await login('phone');
+    const laptop = await login('laptop');
+
+    const listed = await request(app)
+      .get('/api/users/sessions')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(200);
+    expect(listed.body.data).toHaveLength(2);
+    const phoneSession = listed.body.data.find(session => session.userAgent === 'phone');
+    expect(phoneSession.current).toBe(false);
+    expect(listed.body.data.find(session => session.userAgent === 'laptop').current).toBe(true);
+
+    await request(app)
+      .delete(`/api/users/sessions/${phoneSession.id}`)
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(200);
+    await request(app)
+      .delete('/api/users/sessions/unknown')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(404);
+
+    await getProfile(phone.token).expect(401);
+    await getProfile(laptop.token).expect(200);
+    expect(await sessionService.listSessions(user.id)).toHaveLength(1);
+  });
+
+  it('should sign out every other session when the password changes', async () => {
+    const phone = await login('phone');
+    const laptop = await login('laptop');
+
+    await request(app)
+      .post('/api/users/change-password')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .send({ currentPassword: 'password123', newPassword: 'new-password-1' })
+      .expect(200);
+
+    expect((await getProfile(phone.token).expect(401)).body.error).toBe('Token revoked');
+    expect((await refresh(phone.refreshToken).expect(401)).body.message).toBe('Session has been revoked');
+    await getProfile(laptop.token).expect(200);
+    await refresh(laptop.refreshToken).expect(200);
+  });
+
+  it('should prune expired sessions and denylist entries', async () => {
+    const { token } = await login();
+    await request(app).post('/api/users/logout').set('Authorization', `Bearer ${token}`).expect(200);
+
+    expect(await sessionService.pruneExpired()).toEqual({ revokedTokens: 0, sessions: 0 });
+    const later = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    expect(await sessionService.pruneExpired(later)).toEqual({ revokedTokens: 1, sessions: 1 });
+  });
+});
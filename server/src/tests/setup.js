@@ -0,0 +1,11 @@
+/**
+ * Run the suites against the in-memory datastore and chain simulator
+ */
+process.env.NODE_ENV = 'test';
+process.env.FIRESTORE_BACKEND = process.env.FIRESTORE_BACKEND || 'memory';
+process.env.HEDERA_NETWORK = process.env.HEDERA_NETWORK || 'local';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+// Suites share one client IP; rate-limit tests turn enforcement back on
+process.env.RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED || 'false';
+process.env.BLOB_STORAGE_DRIVER = process.env.BLOB_STORAGE_DRIVER || 'memory';
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../index');
+const { getFirestore } = require('../config/firestore');
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const { hashPassword } = require('../middleware/authMiddleware');
+const { base32Encode, generateTotp, verifyTotp } = require('../utils/totp');
+
+describe('TOTP two-factor authentication', () => {
+  const STEP_MS = 30 * 1000;
+
+  const login = () => request(app)
+    .post('/api/users/login')
+    .send({ email: 'ama@example.com', password: 'password123' })
+    .expect(200);
+
+  const enrol = async (token) => {
+    const setup = await request(app)
+      .post('/api/users/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    const { secret } = setup.body.data;
+    const code = generateTotp(secret);
+
+    const enabled = await request(app)
+      .post('/api/users/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code })
+      .expect(200);
+    return { secret, code, setup: setup.body.data, recoveryCodes: enabled.body.data.recoveryCodes };
+  };
+
+  const loginWithCode = async (code) => {
+    const first = await login();
+    return request(app)
+      .post('/api/users/login/2fa')
+      .send({ mfaToken: first.body.data.mfaToken, code });
+  };
+
+  beforeEach(async () => {
+    getFirestore().clear();
+    await User.create({ email: 'ama@example.com', password: await hashPassword('password123'), firstName: 'Ama' });
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+    expect(generateTotp(secret, 59 * 1000, { digits: 8 })).toBe('94287082');
+    expect(generateTotp(secret, 1111111109 * 1000, { digits: 8 })).toBe('07081804');
+    expect(verifyTotp(secret, generateTotp(secret, 0), { time: STEP_MS })).toBe(0);
+    expect(verifyTotp(secret, generateTotp(secret, 0), { time: 3 * STEP_MS })).toBeNull();
+  });
+
+  it('should enrol and then require the code at login', async () => {
+    const { token } = (await login()).body.data;
+    const { secret, code, setup, recoveryCodes } = await enrol(token);
+
+    expect(setup.otpauthUri).toBe(`otpauth://totp/AfriLend:ama%40example.com?secret=${secret}&issuer=AfriLend&algorithm=SHA1&digits=6&period=30`);
+    expect(setup.qrPayload).toBe(setup.otpauthUri);
+    expect(recoveryCodes).toHaveLength(10);
+
+    const pending = await login();
+    expect(pending.body.data).toEqual({ twoFactorRequired: true, mfaToken: expect.any(String), expiresAt: expect.any(String) });
+    expect(pending.body.data).not.toHaveProperty('token');
+
+    // The code that confirmed enrolment cannot be replayed
+    expect((await loginWithCode(code)).status).toBe(401);
+
+    const response = await loginWithCode(generateTotp(secret, Date.now() + STEP_MS));
+    expect(response.status).toBe(200);
+    expect(response.body.data).toHaveProperty('refreshToken');
+
+    const withRecoveryCode = await loginWithCode(recoveryCodes[0].toUpperCase());
+    expect(withRecoveryCode.status).toBe(200);
+    expect((await loginWithCode(recoveryCodes[0])).status).toBe(401);
+  });
+
+  it('should require a recent second factor for sensitive operations', async () => {
+    const { token: enrolToken } = (await login()).body.data;
+    const { secret, recoveryCodes } = await enrol(enrolToken);
+
+    const { token } = (await loginWithCode(generateTotp(secret, Date.now() + STEP_MS))).body.data;
+    const { sid } = jwt.decode(token);
+    const changePassword = () => request(app)
+      .post('/api/users/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'password123', newPassword: 'password456' });
+
+    // The sign-in's second factor is no longer recent
+    await sessionService.recordSecondFactor(sid, new Date(Date.now() - 60 * 60 * 1000));
+    const blocked = await changePassword().expect(403);
+    expect(blocked.body).toMatchObject({ error: 'Two-factor authentication required', twoFactorRequired: true });
+
+    await changePassword().set('X-2FA-Code', '000000').expect(403);
+    await changePassword().set('X-2FA-Code', recoveryCodes[1]).expect(200);
+
+    // The step-up is remembered for the session
+    await request(app)
+      .post('/api/users/2fa/recovery-codes')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+  });
+
+  it('should lock the second factor after repeated wrong codes', async () => {
+    const { token } = (await login()).body.data;
+    const { secret, recoveryCodes } = await enrol(token);
+    const verify = code => request(app)
+      .post('/api/users/2fa/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code });
+
+    // A right code clears earlier misses
+    await verify('000000').expect(401);
+    await verify(generateTotp(secret, Date.now() + STEP_MS)).expect(200);
+
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      await verify('000000').expect(401);
+    }
+    await request(app)
+      .post('/api/users/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: '111111' })
+      .expect(429);
+
+    // Locked: even a valid code is refused, on every route that checks one
+    await verify(recoveryCodes[0]).expect(429);
+    await request(app)
+      .post('/api/users/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: recoveryCodes[0] })
+      .expect(429);
+    expect((await User.findByEmail('ama@example.com')).twoFactorEnabled).toBe(true);
+  });
+
+  it('should leave users without two-factor unaffected and allow disabling it', async () => {
+    const { token } = (await login()).body.data;
+
+    await request(app)
+      .post('/api/users/2fa/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: '123456' })
+      .expect(400);
+
+    const { secret } = await enrol(token);
+    await request(app)
+      .post('/api/users/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateTotp(secret, Date.now() + STEP_MS) })
+      .expect(200);
+
+    const relogin = await login();
+    expect(relogin.body.data).toHaveProperty('token');
+    expect((await User.findByEmail('ama@example.com')).twoFactorEnabled).toBe(false);
+  });
+});
@@ -2,6 +2,10 @@ const request = require('supertest');
 const app = require('../index');
 const User = require('../models/User');
 const { hashPassword } = require('../middleware/authMiddleware');
+const { SigningKey } = require('@ethersproject/signing-key');
+const { joinSignature } = require('@ethersproject/bytes');
+const { hashMessage } = require('@ethersproject/hash');
+const { computeAddress } = require('@ethersproject/transactions');
 
 describe('User API Endpoints', () => {
   let testUser;
@@ -272,26 +276,15 @@ describe('User API Endpoints', () => {
 
   describe('POST /api/users/kyc/upload', () => {
     it('should upload KYC documents', async () => {
-      const kycData = {
-        documents: [
-          {
-            type: 'passport',
-            url: 'https://example.com/passport.pdf'
-          },
-          {
-            type: 'utility_bill',
-            url: 'https://example.com/bill.pdf'
-          }
-        ]
-      };
-
       const response = await request(app)
         .post('/api/users/kyc/upload')
         .set('Authorization', `Bearer ${authToken}`)
-        .send(kycData)
-        .expect(200);
+        .attach('identity_document', Buffer.from('%PDF-1.4 passport'), { filename: 'passport.pdf', contentType: 'application/pdf' })
+        .attach('proof_of_address', Buffer.from('%PDF-1.4 bill'), { filename: 'bill.pdf', contentType: 'application/pdf' })
+        .expect(201);
 
       expect(response.body.success).toBe(true);
+      expect(response.body.data.kycStatus).toBe('pending');
     });
   });
 
@@ -310,8 +303,20 @@ describe('User API Endpoints', () => {
 
   describe('POST /api/users/wallet/connect', () => {
     it('should connect wallet address', async () => {
+      const signingKey = new SigningKey(`0x${'11'.repeat(32)}`);
+      const walletAddress = computeAddress(signingKey.privateKey);
+
+      const challenge = await request(app)
+        .post('/api/users/wallet/challenge')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ walletAddress })
+        .expect(200);
+
+      const { nonce, message } = challenge.body.data;
       const walletData = {
-        walletAddress: '0x1234567890123456789012345678901234567890'
+        walletAddress,
+        nonce,
+        signature: joinSignature(signingKey.signDigest(hashMessage(message)))
       };
 
       const response = await request(app)
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const { SigningKey } = require('@ethersproject/signing-key');
+const { joinSignature } = require('@ethersproject/bytes');
+const { hashMessage } = require('@ethersproject/hash');
+const { computeAddress } = require('@ethersproject/transactions');
+const app = require('../index');
+const { getFirestore } = require('../config/firestore');
+const User = require('../models/User');
+const { generateToken, hashPassword } = require('../middleware/authMiddleware');
+
+describe('Sign-in with wallet', () => {
+  const signingKey = new SigningKey(`0x${'55'.repeat(32)}`);
+  const walletAddress = computeAddress(signingKey.privateKey);
+
+  const signedChallenge = async (path, token) => {
+    const challengeRequest = request(app).post(path);
+    if (token) {
+      challengeRequest.set('Authorization', `Bearer ${token}`);
+    }
+    const response = await challengeRequest.send({ walletAddress }).expect(200);
+    const { nonce, message } = response.body.data;
+    return { walletAddress, nonce, signature: joinSignature(signingKey.signDigest(hashMessage(message))) };
+  };
+
+  const walletLogin = async () => request(app)
+    .post('/api/users/wallet/login')
+    .send(await signedChallenge('/api/users/wallet/login/challenge'));
+
+  beforeEach(() => getFirestore().clear());
+
+  it('should create a minimal account on first sign-in that must finish its profile before borrowing', async () => {
+    const first = await walletLogin();
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({
+      isNewUser: true,
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+      user: { walletAddress: walletAddress.toLowerCase(), authProvider: 'wallet', profileCompleted: false }
+    });
+
+    const second = await walletLogin();
+    expect(second.status).toBe(200);
+    expect(second.body.data.isNewUser).toBe(false);
+    expect(second.body.data.user.id).toBe(first.body.data.user.id);
+
+    const { token } = second.body.data;
+    const loan = await request(app)
+      .post('/api/loans')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        amount: 10,
+        interestRate: 10,
+        duration: 90,
+        purpose: 'Stock for the shop',
+        category: 'business',
+        description: 'Restocking before the holiday season'
+      })
+      .expect(403);
+    expect(loan.body.error).toBe('Profile incomplete');
+
+    const completed = await request(app)
+      .post('/api/users/profile/complete')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        email: 'ama@example.com',
+        firstName: 'Ama',
+        lastName: 'Mensah',
+        phoneNumber: '+233201234567',
+        country: 'Ghana',
+        dateOfBirth: '1992-04-01',
+        occupation: 'Trader'
+      })
+      .expect(200);
+    expect(completed.body.data).toMatchObject({ email: 'ama@example.com', profileCompleted: true });
+
+    // No password was ever set, so email login stays closed
+    await request(app)
+      .post('/api/users/login')
+      .send({ email: 'ama@example.com', password: 'password123' })
+      .expect(401);
+  });
+
+  it('should point wallet-only accounts to reset-password instead of changing a password', async () => {
+    const { token } = (await walletLogin()).body.data;
+
+    const response = await request(app)
+      .post('/api/users/change-password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'anything123', newPassword: 'new-password-1' })
+      .expect(400);
+    expect(response.body.error).toBe('No password set');
+  });
+
+  it('should sign in an email account that linked the wallet', async () => {
+    const user = await User.create({
+      email: 'kofi@example.com',
+      password: await hashPassword('password123'),
+      firstName: 'Kofi'
+    });
+    const token = generateToken({ id: user.id, email: user.email, role: user.role });
+
+    await request(app)
+      .post('/api/users/wallet/connect')
+      .set('Authorization', `Bearer ${token}`)
+      .send(await signedChallenge('/api/users/wallet/challenge', token))
+      .expect(200);
+
+    const response = await walletLogin();
+    expect(response.status).toBe(200);
+    expect(response.body.data.user).toMatchObject({ id: user.id, email: 'kofi@example.com', authProvider: 'email' });
+    expect(response.body.data.user).not.toHaveProperty('password');
+  });
+
+  it('should not accept a wallet-connect challenge for sign-in', async () => {
+    const user = await User.create({ email: 'esi@example.com', firstName: 'Esi' });
+    const token = generateToken({ id: user.id, email: user.email, role: user.role });
+
+    const response = await request(app)
+      .post('/api/users/wallet/login')
+      .send(await signedChallenge('/api/users/wallet/challenge', token))
+      .expect(401);
+
+    expect(response.body.message).toBe('Wallet challenge does not match this request');
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const { PrivateKey } = require('@hashgraph/sdk');
+const { SigningKey } = require('@ethersproject/signing-key');
+const { joinSignature } = require('@ethersproject/bytes');
+const { hashMessage } = require('@ethersproject/hash');
+const { computeAddress } = require('@ethersproject/transactions');
+const app = require('../index');
+const { getFirestore } = require('../config/firestore');
+const { getChainAdapter } = require('../config/hedera');
+const User = require('../models/User');
+const walletAuthService = require('../services/walletAuthService');
+const { HEDERA_MESSAGE_PREFIX } = require('../utils/walletSignature');
+const { generateToken } = require('../middleware/authMiddleware');
+
+describe('Wallet signature verification', () => {
+  const evmKey = new SigningKey(`0x${'22'.repeat(32)}`);
+  const evmAddress = computeAddress(evmKey.privateKey);
+
+  const signEvm = (key, message) => joinSignature(key.signDigest(hashMessage(message)));
+
+  const signHedera = (key, message) => Buffer.from(
+    key.sign(Buffer.from(`${HEDERA_MESSAGE_PREFIX}${Buffer.byteLength(message)}${message}`))
+  ).toString('hex');
+
+  beforeEach(() => getFirestore().clear());
+
+  it('should accept an EVM signature once and reject replays', async () => {
+    const { nonce, message } = await walletAuthService.createChallenge(evmAddress, { userId: 'user-1' });
+    const signature = signEvm(evmKey, message);
+
+    const verified = await walletAuthService.verifyChallenge({ nonce, walletAddress: evmAddress, signature, userId: 'user-1' });
+    expect(verified).toEqual({ walletAddress: evmAddress, walletType: 'evm', evmAddress: evmAddress.toLowerCase() });
+
+    await expect(walletAuthService.verifyChallenge({ nonce, walletAddress: evmAddress, signature, userId: 'user-1' }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Wallet challenge has already been used' });
+  });
+
+  it('should reject wrong signers, other users and expired challenges', async () => {
+    const otherKey = new SigningKey(`0x${'33'.repeat(32)}`);
+
+    const wrongSigner = await walletAuthService.createChallenge(evmAddress, { userId: 'user-1' });
+    await expect(walletAuthService.verifyChallenge({
+      nonce: wrongSigner.nonce,
+      walletAddress: evmAddress,
+      signature: signEvm(otherKey, wrongSigner.message),
+      userId: 'user-1'
+    })).rejects.toMatchObject({ statusCode: 401, message: 'Wallet signature verification failed' });
+
+    const otherUser = await walletAuthService.createChallenge(evmAddress, { userId: 'user-1' });
+    await expect(walletAuthService.verifyChallenge({
+      nonce: otherUser.nonce,
+      walletAddress: evmAddress,
+      signature: signEvm(evmKey, otherUser.message),
+      userId: 'user-2'
+    })).rejects.toMatchObject({ statusCode: 401, message: 'Wallet challenge does not match this request' });
+
+    const expired = await walletAuthService.createChallenge(evmAddress, { userId: 'user-1' });
+    await expect(walletAuthService.verifyChallenge({
+      nonce: expired.nonce,
+      walletAddress: evmAddress,
+      signature: signEvm(evmKey, expired.message),
+      userId: 'user-1',
+      now: new Date(expired.expiresAt.getTime() + 1000)
+    })).rejects.toMatchObject({ statusCode: 401, message: 'Wallet challenge has expired' });
+  });
+
+  it('should verify ED25519 and ECDSA Hedera accounts against the key on the network', async () => {
+    const ed25519 = PrivateKey.generateED25519();
+    const ecdsa = PrivateKey.generateECDSA();
+    getChainAdapter().setAccountKey('0.0.5001', ed25519.publicKey.toString());
+    getChainAdapter().setAccountKey('0.0.5002', ecdsa.publicKey.toString());
+
+    const first = await walletAuthService.createChallenge('0.0.5001');
+    await expect(walletAuthService.verifyChallenge({
+      nonce: first.nonce,
+      walletAddress: '0.0.5001',
+      signature: signHedera(ed25519, first.message),
+      publicKey: ed25519.publicKey.toString()
+    })).resolves.toMatchObject({ walletType: 'hedera', evmAddress: '0x0000000000000000000000000000000000001389' });
+
+    const second = await walletAuthService.createChallenge('0.0.5002');
+    await expect(walletAuthService.verifyChallenge({
+      nonce: second.nonce,
+      walletAddress: '0.0.5002',
+      signature: signHedera(ecdsa, second.message),
+      publicKey: ecdsa.publicKey.toString()
+    })).resolves.toMatchObject({ walletType: 'hedera' });
+
+    // A valid signature by a key the account does not hold
+    const impostor = PrivateKey.generateED25519();
+    const third = await walletAuthService.createChallenge('0.0.5001');
+    await expect(walletAuthService.verifyChallenge({
+      nonce: third.nonce,
+      walletAddress: '0.0.5001',
+      signature: signHedera(impostor, third.message),
+      publicKey: impostor.publicKey.toString()
+    })).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('should connect a wallet through the challenge endpoints', async () => {
+    const user = await User.create({ email: 'ama@example.com', firstName: 'Ama' });
+    const token = generateToken({ id: user.id, email: user.email, role: 'user' });
+
+    const challenge = await request(app)
+      .post('/api/users/wallet/challenge')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ walletAddress: evmAddress })
+      .expect(200);
+    const { nonce, message } = challenge.body.data;
+
+    await request(app)
+      .post('/api/users/wallet/connect')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ walletAddress: evmAddress, nonce, signature: signEvm(new SigningKey(`0x${'44'.repeat(32)}`), message) })
+      .expect(401);
+
+    const retry = await request(app)
+      .post('/api/users/wallet/challenge')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ walletAddress: evmAddress })
+      .expect(200);
+
+    const response = await request(app)
+      .post('/api/users/wallet/connect')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ walletAddress: evmAddress, nonce: retry.body.data.nonce, signature: signEvm(evmKey, retry.body.data.message) })
+      .expect(200);
+
+    expect(response.body.data.walletAddress).toBe(evmAddress.toLowerCase());
+    const updated = await User.findById(user.id);
+    expect(updated.walletAddress).toBe(evmAddress.toLowerCase());
+    expect(updated.walletVerifiedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { getBlobStorageConfig } = require('../config/kyc');
+
+/**
+ * Blob stores for uploaded files. Every store implements
+ *   put(key, buffer) -> { key, size }
+ *   get(key)         -> Buffer, or null when missing
+ *   delete(key)
+ * Keys are slash-separated paths chosen by the server, never by clients.
+ */
+
+/**
+ * Files under a directory on local disk, for development
+ */
+class LocalDiskBlobStore {
+  constructor(root) {
+    this.root = root;
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(`${this.root}${path.sep}`)) {
+      throw new Error(`Blob key escapes the storage root: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, size: buffer.length };
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
+
+/**
+ * Blobs in process memory, for tests
+ */
+class MemoryBlobStore {
+  constructor() {
+    this.blobs = new Map();
+  }
+
+  async put(key, buffer) {
+    this.blobs.set(key, Buffer.from(buffer));
+    return { key, size: buffer.length };
+  }
+
+  async get(key) {
+    return this.blobs.has(key) ? Buffer.from(this.blobs.get(key)) : null;
+  }
+
+  async delete(key) {
+    this.blobs.delete(key);
+  }
+}
+
+let blobStore = null;
+
+/**
+ * The configured blob store (see BLOB_STORAGE_DRIVER)
+ */
+const getBlobStore = () => {
+  if (!blobStore) {
+    const config = getBlobStorageConfig();
+    if (config.driver === 'memory') {
+      blobStore = new MemoryBlobStore();
+    } else if (config.driver === 'local') {
+      blobStore = new LocalDiskBlobStore(config.localRoot);
+    } else {
+      throw new Error(`Unsupported blob storage driver: ${config.driver}`);
+    }
+  }
+  return blobStore;
+};
+
+module.exports = {
+  LocalDiskBlobStore,
+  MemoryBlobStore,
+  getBlobStore
+};
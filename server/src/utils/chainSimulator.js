@@ -0,0 +1,915 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { Interface } = require('@ethersproject/abi');
+const { AccountId, ContractId, ContractFunctionResult, Hbar } = require('@hashgraph/sdk');
+const logger = require('./logger');
+
+/**
+ * Amount limits of the Solidity sources. On Hedera msg.value is in tinybars,
+ * so the contracts count every amount in tinybars and so does the simulator
+ */
+const TINYBARS_PER_HBAR = 100000000n;
+const MIN_LOAN_AMOUNT = TINYBARS_PER_HBAR / 100n;
+const MAX_LOAN_AMOUNT = 100n * TINYBARS_PER_HBAR;
+const MIN_POOL_AMOUNT = TINYBARS_PER_HBAR;
+const MAX_POOL_AMOUNT = 1000n * TINYBARS_PER_HBAR;
+const DAY = 86400n;
+const YEAR = 365n * DAY;
+
+/**
+ * HBAR to tinybars through the decimal string, like hbarToTinybars
+ */
+const toTinybars = (hbar) => {
+  const [whole, fraction] = Number(hbar).toFixed(8).split('.');
+  return BigInt(`${whole}${fraction}`);
+};
+
+/**
+ * Contracts the simulator can run, with the ABI of the Solidity source
+ */
+const SIMULATED_CONTRACTS = {
+  AfriLendLoanManager: {
+    defaultId: '0.0.1001',
+    abi: [
+      'event LoanCreated(uint256 indexed loanId, address indexed borrower, uint256 amount, uint256 interestRate, uint256 duration, string purpose)',
+      'event LoanFunded(uint256 indexed loanId, address indexed lender, uint256 amount)',
+      'event LoanRepaid(uint256 indexed loanId, address indexed borrower, uint256 amount)',
+      'event LoanDefaulted(uint256 indexed loanId, address indexed borrower)',
+      'function createLoan(uint256 amount, uint256 interestRate, uint256 duration, string purpose) returns (uint256)',
+      'function fundLoan(uint256 loanId) payable',
+      'function repayLoan(uint256 loanId) payable',
+      'function getLoan(uint256 loanId) view returns (uint256 id, address borrower, uint256 amount, uint256 fundedAmount, uint256 interestRate, uint256 duration, uint256 createdAt, uint256 dueDate, string purpose, uint8 status)',
+      'function getLoanLenders(uint256 loanId) view returns (address[])',
+      'function getLenderContribution(uint256 loanId, address lender) view returns (uint256)',
+      'function isLoanFullyFunded(uint256 loanId) view returns (bool)',
+      'function calculateRepaymentAmount(uint256 loanId) view returns (uint256)',
+      'function getBorrowerLoans(address borrower) view returns (uint256[])',
+      'function getLenderLoans(address lender) view returns (uint256[])',
+      'function getTotalLoans() view returns (uint256)'
+    ]
+  },
+  LenderPool: {
+    defaultId: '0.0.1002',
+    abi: [
+      'event PoolCreated(uint256 indexed poolId, address indexed creator, string name, uint256 targetAmount, uint256 interestRate)',
+      'event LiquidityAdded(uint256 indexed poolId, address indexed lender, uint256 amount)',
+      'event LiquidityRemoved(uint256 indexed poolId, address indexed lender, uint256 amount)',
+      'event YieldDistributed(uint256 indexed poolId, uint256 totalYield, uint256 timestamp)',
+      'function createPool(string name, string description, uint256 targetAmount, uint256 interestRate) returns (uint256)',
+      'function addLiquidity(uint256 poolId) payable',
+      'function removeLiquidity(uint256 poolId, uint256 amount)',
+      'function distributeYield(uint256 poolId, uint256 totalYield)',
+      'function getPool(uint256 poolId) view returns (uint256 id, address creator, string name, string description, uint256 targetAmount, uint256 currentAmount, uint256 interestRate, uint256 createdAt, bool active)',
+      'function getPoolLenders(uint256 poolId) view returns (address[])',
+      'function getLenderShare(uint256 poolId, address lender) view returns (uint256)',
+      'function getLenderYield(uint256 poolId, address lender) view returns (uint256)',
+      'function getUserPools(address user) view returns (uint256[])',
+      'function getTotalPools() view returns (uint256)',
+      'function deactivatePool(uint256 poolId)'
+    ]
+  },
+  Reputation: {
+    defaultId: '0.0.1003',
+    abi: [
+      'event ReputationUpdated(address indexed user, uint256 newScore, uint256 previousScore, string reason)',
+      'event TrustLevelChanged(address indexed user, uint8 newLevel, uint8 previousLevel)',
+      'function registerUser(address user)',
+      'function updateReputationOnRepayment(address borrower, uint256 loanAmount, bool wasOnTime, bool wasEarly)',
+      'function updateReputationOnDefault(address borrower, uint256 loanAmount)',
+      'function updateReputationOnLending(address lender, uint256 loanAmount)',
+      'function updateReputationOnReferral(address referrer, address referredUser)',
+      'function updateCategoryScore(address user, string category, int256 points)',
+      'function getUserReputation(address user) view returns (uint256 score, uint8 trustLevel, uint256 totalLoans, uint256 successfulLoans, uint256 defaultedLoans, uint256 totalLent, uint256 totalBorrowed, uint256 lastUpdated)',
+      'function getCategoryScore(address user, string category) view returns (uint256)',
+      'function isUserRegistered(address user) view returns (bool)',
+      'function getTotalUsers() view returns (uint256)',
+      'function getAllUsers() view returns (address[])'
+    ]
+  }
+};
+
+/**
+ * Raised when a simulated call reverts (same status the Hedera SDK reports)
+ */
+class ContractRevertError extends Error {
+  constructor(reason) {
+    super(`CONTRACT_REVERT_EXECUTED: ${reason}`);
+    this.name = 'HederaError';
+    this.status = 'CONTRACT_REVERT_EXECUTED';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Solidity require()
+ */
+const ensure = (condition, reason) => {
+  if (!condition) {
+    throw new ContractRevertError(reason);
+  }
+};
+
+/**
+ * Checked uint256 subtraction (Solidity 0.8 panics on underflow)
+ */
+const sub = (a, b) => {
+  ensure(a >= b, 'panic: arithmetic underflow or overflow (0x11)');
+  return a - b;
+};
+
+const min = (a, b) => (a < b ? a : b);
+const max = (a, b) => (a > b ? a : b);
+
+/**
+ * Convert a "seconds.nanoseconds" timestamp into BigInt nanoseconds
+ */
+const toNanos = (timestamp) => {
+  const [seconds, nanos = '0'] = String(timestamp).split('.');
+  return BigInt(seconds) * 1000000000n + BigInt(nanos.padEnd(9, '0').slice(0, 9));
+};
+
+/**
+ * Convert decoded ABI arguments into BigInt / lowercase address values
+ */
+const toNative = (value) => {
+  if (value && value._isBigNumber) {
+    return BigInt(value.toString());
+  }
+  if (typeof value === 'string' && /^0x[a-fA-F0-9]{40}$/.test(value)) {
+    return value.toLowerCase();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toNative);
+  }
+  return value;
+};
+
+/**
+ * Base class for simulated contracts. Storage lives in `state`, which is
+ * snapshotted before every transaction and restored when it reverts.
+ */
+class SimulatedContract {
+  constructor(contractName, contractId) {
+    this.contractName = contractName;
+    this.contractId = contractId;
+    this.address = `0x${ContractId.fromString(contractId).toSolidityAddress()}`.toLowerCase();
+    this.abi = SIMULATED_CONTRACTS[contractName].abi;
+    this.interface = new Interface(this.abi);
+    this.state = this.initialState();
+  }
+
+  initialState() {
+    return {};
+  }
+
+  hasFunction(functionName) {
+    return Object.values(this.interface.functions).some(fragment => fragment.name === functionName);
+  }
+}
+
+/**
+ * AfriLendLoanManager.sol
+ */
+class SimulatedLoanManager extends SimulatedContract {
+  initialState() {
+    return { loanCounter: 0n, loans: {}, borrowerLoans: {}, lenderLoans: {} };
+  }
+
+  getValidLoan(loanId) {
+    ensure(loanId < this.state.loanCounter, 'Loan does not exist');
+    return this.state.loans[loanId.toString()];
+  }
+
+  createLoan(ctx, amount, interestRate, duration, purpose) {
+    ensure(amount >= MIN_LOAN_AMOUNT && amount <= MAX_LOAN_AMOUNT, 'Invalid loan amount');
+    ensure(interestRate >= 5n && interestRate <= 50n, 'Invalid interest rate');
+    ensure(duration >= 30n * DAY && duration <= 365n * DAY, 'Invalid duration');
+    ensure(purpose.length > 0, 'Purpose cannot be empty');
+
+    const loanId = this.state.loanCounter++;
+    this.state.loans[loanId.toString()] = {
+      id: loanId,
+      borrower: ctx.sender,
+      amount,
+      fundedAmount: 0n,
+      interestRate,
+      duration,
+      createdAt: ctx.timestamp,
+      dueDate: ctx.timestamp + duration,
+      purpose,
+      status: 0,
+      lenders: [],
+      lenderContributions: {}
+    };
+    (this.state.borrowerLoans[ctx.sender] = this.state.borrowerLoans[ctx.sender] || []).push(loanId);
+
+    ctx.emit('LoanCreated', [loanId, ctx.sender, amount, interestRate, duration, purpose]);
+    return [loanId];
+  }
+
+  fundLoan(ctx, loanId) {
+    const loan = this.getValidLoan(loanId);
+    ensure(loan.status === 0, 'Loan is not available for funding');
+    ensure(ctx.value > 0n, 'Funding amount must be greater than 0');
+    ensure(ctx.value <= loan.amount - loan.fundedAmount, 'Funding amount exceeds remaining loan amount');
+
+    loan.fundedAmount += ctx.value;
+    loan.lenderContributions[ctx.sender] = (loan.lenderContributions[ctx.sender] || 0n) + ctx.value;
+
+    if (!loan.lenders.includes(ctx.sender)) {
+      loan.lenders.push(ctx.sender);
+      (this.state.lenderLoans[ctx.sender] = this.state.lenderLoans[ctx.sender] || []).push(loanId);
+    }
+
+    if (loan.fundedAmount >= loan.amount) {
+      loan.status = 2;
+      loan.dueDate = ctx.timestamp + loan.duration;
+    }
+
+    ctx.emit('LoanFunded', [loanId, ctx.sender, ctx.value]);
+    return [];
+  }
+
+  repayLoan(ctx, loanId) {
+    const loan = this.getValidLoan(loanId);
+    ensure(loan.borrower === ctx.sender, 'Only borrower can perform this action');
+    ensure(loan.status === 2, 'Loan is not active');
+
+    const [repaymentAmount] = this.calculateRepaymentAmount(ctx, loanId);
+    ensure(ctx.value >= repaymentAmount, 'Insufficient repayment amount');
+
+    loan.lenders.forEach((lender) => {
+      const contribution = loan.lenderContributions[lender];
+      ctx.transfer(lender, (contribution * repaymentAmount) / loan.fundedAmount);
+    });
+
+    if (ctx.value > repaymentAmount) {
+      ctx.transfer(ctx.sender, ctx.value - repaymentAmount);
+    }
+
+    loan.status = 3;
+
+    ctx.emit('LoanRepaid', [loanId, ctx.sender, repaymentAmount]);
+    return [];
+  }
+
+  getLoan(ctx, loanId) {
+    const loan = this.getValidLoan(loanId);
+    return [
+      loan.id, loan.borrower, loan.amount, loan.fundedAmount, loan.interestRate,
+      loan.duration, loan.createdAt, loan.dueDate, loan.purpose, loan.status
+    ];
+  }
+
+  getLoanLenders(ctx, loanId) {
+    return [this.getValidLoan(loanId).lenders];
+  }
+
+  getLenderContribution(ctx, loanId, lender) {
+    return [this.getValidLoan(loanId).lenderContributions[lender] || 0n];
+  }
+
+  isLoanFullyFunded(ctx, loanId) {
+    const loan = this.getValidLoan(loanId);
+    return [loan.fundedAmount >= loan.amount];
+  }
+
+  calculateRepaymentAmount(ctx, loanId) {
+    const loan = this.getValidLoan(loanId);
+    const principal = loan.fundedAmount;
+    const interest = (principal * loan.interestRate * loan.duration) / (YEAR * 10000n);
+    return [principal + interest];
+  }
+
+  getBorrowerLoans(ctx, borrower) {
+    return [this.state.borrowerLoans[borrower] || []];
+  }
+
+  getLenderLoans(ctx, lender) {
+    return [this.state.lenderLoans[lender] || []];
+  }
+
+  getTotalLoans() {
+    return [this.state.loanCounter];
+  }
+}
+
+/**
+ * LenderPool.sol
+ */
+class SimulatedLenderPool extends SimulatedContract {
+  initialState() {
+    return { poolCounter: 0n, pools: {}, userPools: {} };
+  }
+
+  getValidPool(poolId) {
+    ensure(poolId < this.state.poolCounter, 'Pool does not exist');
+    return this.state.pools[poolId.toString()];
+  }
+
+  createPool(ctx, name, description, targetAmount, interestRate) {
+    ensure(name.length > 0, 'Pool name cannot be empty');
+    ensure(targetAmount >= MIN_POOL_AMOUNT && targetAmount <= MAX_POOL_AMOUNT, 'Invalid target amount');
+    ensure(interestRate >= 3n && interestRate <= 25n, 'Invalid interest rate');
+
+    const poolId = this.state.poolCounter++;
+    this.state.pools[poolId.toString()] = {
+      id: poolId,
+      creator: ctx.sender,
+      name,
+      description,
+      targetAmount,
+      currentAmount: 0n,
+      interestRate,
+      createdAt: ctx.timestamp,
+      active: true,
+      lenders: [],
+      lenderShares: {},
+      lenderYield: {}
+    };
+    (this.state.userPools[ctx.sender] = this.state.userPools[ctx.sender] || []).push(poolId);
+
+    ctx.emit('PoolCreated', [poolId, ctx.sender, name, targetAmount, interestRate]);
+    return [poolId];
+  }
+
+  addLiquidity(ctx, poolId) {
+    const pool = this.getValidPool(poolId);
+    ensure(pool.active, 'Pool is not active');
+    ensure(ctx.value > 0n, 'Amount must be greater than 0');
+    ensure(pool.currentAmount + ctx.value <= pool.targetAmount, 'Exceeds pool target amount');
+
+    pool.currentAmount += ctx.value;
+    pool.lenderShares[ctx.sender] = (pool.lenderShares[ctx.sender] || 0n) + ctx.value;
+
+    if (!pool.lenders.includes(ctx.sender)) {
+      pool.lenders.push(ctx.sender);
+      (this.state.userPools[ctx.sender] = this.state.userPools[ctx.sender] || []).push(poolId);
+    }
+
+    ctx.emit('LiquidityAdded', [poolId, ctx.sender, ctx.value]);
+    return [];
+  }
+
+  removeLiquidity(ctx, poolId, amount) {
+    const pool = this.getValidPool(poolId);
+    ensure((pool.lenderShares[ctx.sender] || 0n) >= amount, 'Insufficient shares');
+
+    pool.currentAmount = sub(pool.currentAmount, amount);
+    pool.lenderShares[ctx.sender] = sub(pool.lenderShares[ctx.sender], amount);
+
+    ctx.transfer(ctx.sender, amount);
+
+    ctx.emit('LiquidityRemoved', [poolId, ctx.sender, amount]);
+    return [];
+  }
+
+  distributeYield(ctx, poolId, totalYield) {
+    const pool = this.getValidPool(poolId);
+    ensure(pool.creator === ctx.sender, 'Only pool creator can perform this action');
+    ensure(totalYield > 0n, 'Yield must be greater than 0');
+    ensure(pool.currentAmount > 0n, 'Pool has no liquidity');
+
+    pool.lenders.forEach((lender) => {
+      const lenderYield = (totalYield * (pool.lenderShares[lender] || 0n)) / pool.currentAmount;
+      pool.lenderYield[lender] = (pool.lenderYield[lender] || 0n) + lenderYield;
+      ctx.transfer(lender, lenderYield);
+    });
+
+    ctx.emit('YieldDistributed', [poolId, totalYield, ctx.timestamp]);
+    return [];
+  }
+
+  getPool(ctx, poolId) {
+    const pool = this.getValidPool(poolId);
+    return [
+      pool.id, pool.creator, pool.name, pool.description, pool.targetAmount,
+      pool.currentAmount, pool.interestRate, pool.createdAt, pool.active
+    ];
+  }
+
+  getPoolLenders(ctx, poolId) {
+    return [this.getValidPool(poolId).lenders];
+  }
+
+  getLenderShare(ctx, poolId, lender) {
+    return [this.getValidPool(poolId).lenderShares[lender] || 0n];
+  }
+
+  getLenderYield(ctx, poolId, lender) {
+    return [this.getValidPool(poolId).lenderYield[lender] || 0n];
+  }
+
+  getUserPools(ctx, user) {
+    return [this.state.userPools[user] || []];
+  }
+
+  getTotalPools() {
+    return [this.state.poolCounter];
+  }
+
+  deactivatePool(ctx, poolId) {
+    const pool = this.getValidPool(poolId);
+    ensure(pool.creator === ctx.sender, 'Only pool creator can perform this action');
+    pool.active = false;
+    return [];
+  }
+}
+
+/**
+ * Reputation.sol
+ */
+class SimulatedReputation extends SimulatedContract {
+  initialState() {
+    return { reputations: {}, users: [] };
+  }
+
+  getRegistered(user) {
+    const reputation = this.state.reputations[user];
+    ensure(reputation, 'User not registered');
+    return reputation;
+  }
+
+  registerUser(ctx, user) {
+    ensure(!this.state.reputations[user], 'User already registered');
+
+    this.state.users.push(user);
+    this.state.reputations[user] = {
+      score: 100n,
+      totalLoans: 0n,
+      successfulLoans: 0n,
+      defaultedLoans: 0n,
+      totalLent: 0n,
+      totalBorrowed: 0n,
+      lastUpdated: ctx.timestamp,
+      trustLevel: 0,
+      categoryScores: {}
+    };
+
+    ctx.emit('ReputationUpdated', [user, 100n, 0n, 'User registered']);
+    return [];
+  }
+
+  updateReputationOnRepayment(ctx, borrower, loanAmount, wasOnTime, wasEarly) {
+    const reputation = this.getRegistered(borrower);
+    const previousScore = reputation.score;
+
+    reputation.successfulLoans++;
+    reputation.totalLoans++;
+    reputation.totalBorrowed += loanAmount;
+
+    let pointsToAdd = 50n;
+    if (wasOnTime) {
+      pointsToAdd += 25n;
+    }
+    if (wasEarly) {
+      pointsToAdd += 10n;
+    }
+
+    return this.applyScore(ctx, borrower, previousScore, min(reputation.score + pointsToAdd, 2000n), 'Successful loan repayment');
+  }
+
+  updateReputationOnDefault(ctx, borrower, loanAmount) {
+    const reputation = this.getRegistered(borrower);
+    const previousScore = reputation.score;
+
+    reputation.defaultedLoans++;
+    reputation.totalLoans++;
+    reputation.totalBorrowed += loanAmount;
+
+    return this.applyScore(ctx, borrower, previousScore, max(sub(reputation.score, 100n), 0n), 'Loan default');
+  }
+
+  updateReputationOnLending(ctx, lender, loanAmount) {
+    const reputation = this.getRegistered(lender);
+    const previousScore = reputation.score;
+
+    reputation.totalLent += loanAmount;
+
+    return this.applyScore(ctx, lender, previousScore, min(reputation.score + 30n, 2000n), 'Lending activity');
+  }
+
+  updateReputationOnReferral(ctx, referrer) {
+    const reputation = this.getRegistered(referrer);
+    const previousScore = reputation.score;
+
+    return this.applyScore(ctx, referrer, previousScore, min(reputation.score + 20n, 2000n), 'Referral bonus');
+  }
+
+  updateCategoryScore(ctx, user, category, points) {
+    const reputation = this.getRegistered(user);
+    const previousScore = reputation.score;
+    const categoryScore = reputation.categoryScores[category] || 0n;
+    let newScore;
+
+    if (points > 0n) {
+      reputation.categoryScores[category] = categoryScore + points;
+      newScore = min(reputation.score + points, 2000n);
+    } else {
+      const absPoints = -points;
+      reputation.categoryScores[category] = max(sub(categoryScore, absPoints), 0n);
+      newScore = max(sub(reputation.score, absPoints), 0n);
+    }
+
+    return this.applyScore(ctx, user, previousScore, newScore, `Category update: ${category}`);
+  }
+
+  applyScore(ctx, user, previousScore, newScore, reason) {
+    const reputation = this.state.reputations[user];
+    reputation.score = newScore;
+    reputation.lastUpdated = ctx.timestamp;
+
+    this.updateTrustLevel(ctx, user, newScore);
+
+    ctx.emit('ReputationUpdated', [user, newScore, previousScore, reason]);
+    return [];
+  }
+
+  updateTrustLevel(ctx, user, newScore) {
+    const reputation = this.state.reputations[user];
+    const previousLevel = reputation.trustLevel;
+    let newLevel = 0;
+
+    if (newScore >= 1000n) {
+      newLevel = 4;
+    } else if (newScore >= 601n) {
+      newLevel = 3;
+    } else if (newScore >= 301n) {
+      newLevel = 2;
+    } else if (newScore >= 101n) {
+      newLevel = 1;
+    }
+
+    if (newLevel !== previousLevel) {
+      reputation.trustLevel = newLevel;
+      ctx.emit('TrustLevelChanged', [user, newLevel, previousLevel]);
+    }
+  }
+
+  getUserReputation(ctx, user) {
+    const reputation = this.getRegistered(user);
+    return [
+      reputation.score, reputation.trustLevel, reputation.totalLoans, reputation.successfulLoans,
+      reputation.defaultedLoans, reputation.totalLent, reputation.totalBorrowed, reputation.lastUpdated
+    ];
+  }
+
+  getCategoryScore(ctx, user, category) {
+    return [this.getRegistered(user).categoryScores[category] || 0n];
+  }
+
+  isUserRegistered(ctx, user) {
+    return [Boolean(this.state.reputations[user])];
+  }
+
+  getTotalUsers() {
+    return [BigInt(this.state.users.length)];
+  }
+
+  getAllUsers() {
+    return [this.state.users];
+  }
+}
+
+const CONTRACT_CLASSES = {
+  AfriLendLoanManager: SimulatedLoanManager,
+  LenderPool: SimulatedLenderPool,
+  Reputation: SimulatedReputation
+};
+
+/**
+ * In-memory Hedera network for offline development and tests
+ *
+ * Implements the chain adapter interface of config/hedera.js
+ * (callContractFunction, executeContractFunction, deployContract,
+ * getAccountBalance, getAccountPublicKey) on top of JavaScript ports of the
+ * AfriLend contracts. Transactions are atomic, revert with
+ * CONTRACT_REVERT_EXECUTED, and emit mirror-node shaped logs that
+ * HederaEventListener reads through getContractLogs. Calls to a contract ID
+ * the simulator has not seen are routed by function name, so a local .env
+ * can point at any IDs.
+ */
+class ChainSimulator extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.operatorId = options.operatorId || '0.0.2';
+    this.operatorAddress = `0x${AccountId.fromString(this.operatorId).toSolidityAddress()}`.toLowerCase();
+    this.contracts = new Map();
+    this.contractsByName = {};
+    this.logs = [];
+    this.balances = new Map([[this.operatorAddress, BigInt(options.operatorBalance || 1000000) * TINYBARS_PER_HBAR]]);
+    this.accountKeys = new Map();
+    this.nextContractNum = 2000;
+    this.blockNumber = 1;
+    this.lastTimestamp = 0n;
+    this.timeOffsetSeconds = 0;
+
+    Object.entries(SIMULATED_CONTRACTS).forEach(([contractName, { defaultId }]) => {
+      this.contractsByName[contractName] = this.createContract(contractName, defaultId);
+    });
+  }
+
+  /**
+   * Instantiate a simulated contract under a contract ID
+   */
+  createContract(contractName, contractId) {
+    const ContractClass = CONTRACT_CLASSES[contractName];
+    if (!ContractClass) {
+      throw new Error(`Unknown simulated contract: ${contractName}`);
+    }
+
+    const contract = new ContractClass(contractName, contractId);
+    this.contracts.set(contractId, contract);
+    this.balances.set(contract.address, 0n);
+    return contract;
+  }
+
+  /**
+   * Make a configured contract ID point at the simulated contract
+   */
+  registerContract(contractId, contractName) {
+    const id = contractId.toString();
+    const contract = this.getContract(contractName);
+
+    if (contract.contractId !== id) {
+      const balance = this.balances.get(contract.address) || 0n;
+      this.balances.delete(contract.address);
+      contract.contractId = id;
+      contract.address = `0x${ContractId.fromString(id).toSolidityAddress()}`.toLowerCase();
+      this.balances.set(contract.address, balance);
+    }
+
+    this.contracts.set(id, contract);
+    return contract;
+  }
+
+  /**
+   * Get the default instance of a simulated contract by name
+   */
+  getContract(contractName) {
+    const contract = this.contractsByName[contractName];
+    if (!contract) {
+      throw new Error(`Unknown simulated contract: ${contractName}`);
+    }
+    return contract;
+  }
+
+  /**
+   * Find the contract behind an ID, falling back to the function name
+   */
+  resolveContract(contractId, functionName) {
+    const id = contractId ? contractId.toString() : null;
+    if (id && this.contracts.has(id)) {
+      return this.contracts.get(id);
+    }
+
+    const contract = Object.values(this.contractsByName).find(candidate => candidate.hasFunction(functionName));
+    if (!contract) {
+      throw new ContractRevertError(`no contract implements ${functionName}`);
+    }
+    if (id) {
+      this.contracts.set(id, contract);
+    }
+    return contract;
+  }
+
+  /**
+   * Move the simulated clock forward (loan due dates, overdue checks)
+   */
+  advanceTime(seconds) {
+    this.timeOffsetSeconds += seconds;
+  }
+
+  /**
+   * Current block timestamp in seconds
+   */
+  now() {
+    return BigInt(Math.floor(Date.now() / 1000) + this.timeOffsetSeconds);
+  }
+
+  /**
+   * Next consensus timestamp ("seconds.nanoseconds"), strictly increasing
+   */
+  nextConsensusTimestamp() {
+    const nanos = BigInt(Date.now() + this.timeOffsetSeconds * 1000) * 1000000n;
+    this.lastTimestamp = nanos > this.lastTimestamp ? nanos : this.lastTimestamp + 1n;
+
+    const seconds = this.lastTimestamp / 1000000000n;
+    const remainder = (this.lastTimestamp % 1000000000n).toString().padStart(9, '0');
+    return `${seconds}.${remainder}`;
+  }
+
+  /**
+   * Credit HBAR to an account ID or EVM address
+   */
+  fundAccount(accountIdOrAddress, hbar) {
+    const address = this.toAddress(accountIdOrAddress);
+    this.balances.set(address, (this.balances.get(address) || 0n) + BigInt(Math.round(hbar * 100000000)));
+  }
+
+  /**
+   * Set the public key a simulated account signs with
+   */
+  setAccountKey(accountId, publicKey) {
+    this.accountKeys.set(accountId.toString(), publicKey);
+  }
+
+  /**
+   * Get the key a simulated account signs with
+   */
+  async getAccountPublicKey(accountId) {
+    const key = this.accountKeys.get(accountId.toString());
+    if (!key) {
+      throw new Error(`INVALID_ACCOUNT_ID: ${accountId}`);
+    }
+    return key;
+  }
+
+  toAddress(accountIdOrAddress) {
+    const value = accountIdOrAddress.toString();
+    if (value.startsWith('0x')) {
+      return value.toLowerCase();
+    }
+    return `0x${AccountId.fromString(value).toSolidityAddress()}`.toLowerCase();
+  }
+
+  /**
+   * Decode the ContractFunctionParameters of a call
+   */
+  decodeArguments(contract, functionName, parameters) {
+    let fragment;
+    try {
+      fragment = contract.interface.getFunction(functionName);
+    } catch (error) {
+      throw new ContractRevertError(`function ${functionName} not found on ${contract.contractName}`);
+    }
+
+    const data = parameters
+      ? `0x${Buffer.from(parameters._build(functionName)).toString('hex')}`
+      : contract.interface.getSighash(fragment);
+
+    return {
+      fragment,
+      args: toNative(Array.from(contract.interface.decodeFunctionData(fragment, data)))
+    };
+  }
+
+  /**
+   * Run a function against a contract, reverting all changes on failure
+   */
+  run(contract, functionName, parameters, value, persist) {
+    const { fragment, args } = this.decodeArguments(contract, functionName, parameters);
+    ensure(value === 0n || fragment.payable, `${functionName} is not payable`);
+
+    const snapshot = {
+      state: structuredClone(contract.state),
+      balances: new Map(this.balances)
+    };
+    const events = [];
+    const ctx = {
+      sender: this.operatorAddress,
+      value,
+      timestamp: this.now(),
+      emit: (eventName, values) => events.push({ eventName, values }),
+      transfer: (to, amount) => {
+        const contractBalance = this.balances.get(contract.address) || 0n;
+        ensure(contractBalance >= amount, 'Transfer amount exceeds contract balance');
+        this.balances.set(contract.address, contractBalance - amount);
+        this.balances.set(to, (this.balances.get(to) || 0n) + amount);
+      }
+    };
+
+    try {
+      if (value > 0n) {
+        const senderBalance = this.balances.get(ctx.sender) || 0n;
+        ensure(senderBalance >= value, 'INSUFFICIENT_PAYER_BALANCE');
+        this.balances.set(ctx.sender, senderBalance - value);
+        this.balances.set(contract.address, (this.balances.get(contract.address) || 0n) + value);
+      }
+
+      const returnValues = contract[functionName](ctx, ...args);
+      const bytes = contract.interface.encodeFunctionResult(fragment, returnValues);
+
+      if (!persist) {
+        contract.state = snapshot.state;
+        this.balances = snapshot.balances;
+      }
+
+      return {
+        events,
+        result: new ContractFunctionResult({
+          contractId: ContractId.fromString(contract.contractId),
+          bytes: Buffer.from(bytes.slice(2), 'hex'),
+          logs: [],
+          amount: Number(value)
+        })
+      };
+    } catch (error) {
+      contract.state = snapshot.state;
+      this.balances = snapshot.balances;
+      throw error;
+    }
+  }
+
+  /**
+   * Call smart contract function (read-only)
+   */
+  async callContractFunction(contractId, functionName, parameters = null) {
+    const contract = this.resolveContract(contractId, functionName);
+    const { result } = this.run(contract, functionName, parameters, 0n, false);
+    return result;
+  }
+
+  /**
+   * Execute smart contract function (state-changing)
+   */
+  async executeContractFunction(contractId, functionName, parameters = null, gas = 100000, options = {}) {
+    const contract = this.resolveContract(contractId, functionName);
+    const value = options.payableAmount ? toTinybars(options.payableAmount) : 0n;
+    const timestamp = this.nextConsensusTimestamp();
+    const transactionId = `${this.operatorId}@${timestamp}`;
+
+    try {
+      const { events, result } = this.run(contract, functionName, parameters, value, true);
+      this.recordLogs(contract, events, timestamp, transactionId);
+
+      logger.debug(`Simulated ${contract.contractName}.${functionName} in ${transactionId}`);
+      return {
+        response: { transactionId },
+        receipt: { status: 'SUCCESS', contractId: ContractId.fromString(contract.contractId) },
+        transactionId,
+        result: options.fetchRecord ? result : null
+      };
+    } catch (error) {
+      logger.debug(`Simulated ${contract.contractName}.${functionName} reverted: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Store emitted events as mirror node contract logs
+   */
+  recordLogs(contract, events, timestamp, transactionId) {
+    const transactionHash = `0x${crypto.createHash('sha384').update(transactionId).digest('hex')}`;
+    const blockNumber = this.blockNumber++;
+
+    events.forEach(({ eventName, values }, index) => {
+      const { topics, data } = contract.interface.encodeEventLog(contract.interface.getEvent(eventName), values);
+      const log = {
+        address: contract.address,
+        contract_id: contract.contractId,
+        data,
+        index,
+        topics,
+        block_number: blockNumber,
+        timestamp,
+        transaction_hash: transactionHash
+      };
+      this.logs.push(log);
+      this.emit('log', log);
+    });
+  }
+
+  /**
+   * Contract logs at or after the cursor timestamp, oldest first (mirror
+   * node /contracts/{id}/results/logs?timestamp=gte:...)
+   */
+  async getContractLogs(contractId, cursor = null) {
+    const contract = this.contracts.get(contractId.toString());
+    if (!contract) {
+      return [];
+    }
+
+    const from = cursor ? toNanos(cursor.timestamp) : 0n;
+    return this.logs.filter(log => log.contract_id === contract.contractId && toNanos(log.timestamp) >= from);
+  }
+
+  /**
+   * Deploy a simulated contract; `bytecode` is the contract name
+   */
+  async deployContract(bytecode) {
+    const contractId = `0.0.${this.nextContractNum++}`;
+    const contract = this.createContract(bytecode, contractId);
+
+    logger.info(`✅ Simulated contract ${contract.contractName} deployed: ${contractId}`);
+    return ContractId.fromString(contractId);
+  }
+
+  /**
+   * Get account balance
+   */
+  async getAccountBalance(accountId) {
+    const tinybars = this.balances.get(this.toAddress(accountId)) || 0n;
+    const hbars = Hbar.fromTinybars(tinybars.toString());
+    return {
+      hbars,
+      toString: () => hbars.toString()
+    };
+  }
+}
+
+module.exports = {
+  ChainSimulator,
+  ContractRevertError,
+  SIMULATED_CONTRACTS
+};
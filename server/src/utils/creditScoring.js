@@ -0,0 +1,190 @@
+/**
+ * Versioned borrower credit-scoring models. A model turns a borrower profile
+ * into a 0-100 score, a grade, a risk level and a suggested rate band, with
+ * the factors that produced it. Published models are never edited in place:
+ * changes ship as a new version so stored scores stay explainable.
+ */
+const CREDIT_MODELS = {
+  'v1': {
+    baseScore: 50,
+    reputation: {
+      // Points per reputation point above or below the starting score of 100
+      neutralScore: 100,
+      pointsPerScore: 0.05,
+      maxPoints: 20
+    },
+    history: {
+      repaidLoan: 5,
+      maxRepaidPoints: 15,
+      defaultedLoan: -25,
+      delinquentLoan: -10
+    },
+    // Estimated monthly repayment as a share of monthly income
+    affordability: [
+      { maxRatio: 0.2, points: 15 },
+      { maxRatio: 0.35, points: 5 },
+      { maxRatio: 0.5, points: -5 },
+      { maxRatio: Infinity, points: -20 }
+    ],
+    missingIncomePoints: -10,
+    categories: {
+      education: 5,
+      housing: 5,
+      business: 3,
+      health: 0,
+      agriculture: -3,
+      other: -5
+    },
+    // Collateral value as a share of the requested amount
+    collateral: [
+      { minCoverage: 1, points: 15 },
+      { minCoverage: 0.5, points: 8 },
+      { minCoverage: 0, points: 3 }
+    ],
+    grades: [
+      { grade: 'A', minScore: 80, riskLevel: 'low', rate: { min: 5, max: 10 } },
+      { grade: 'B', minScore: 65, riskLevel: 'low', rate: { min: 8, max: 14 } },
+      { grade: 'C', minScore: 50, riskLevel: 'medium', rate: { min: 12, max: 20 } },
+      { grade: 'D', minScore: 35, riskLevel: 'high', rate: { min: 18, max: 30 } },
+      { grade: 'E', minScore: 0, riskLevel: 'high', rate: { min: 25, max: 50 } }
+    ]
+  }
+};
+
+const DEFAULT_MODEL_VERSION = 'v1';
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Look up a model by version
+ */
+const getCreditModel = (version = DEFAULT_MODEL_VERSION) => {
+  const model = CREDIT_MODELS[version];
+  if (!model) {
+    throw new Error(`Unknown credit model version: ${version}`);
+  }
+  return model;
+};
+
+/**
+ * Estimated monthly repayment for a loan request, principal plus simple interest
+ */
+const estimateMonthlyRepayment = ({ amount, interestRate = 0, duration }) => {
+  const totalRepayment = amount + (amount * interestRate * duration) / (365 * 100);
+  return totalRepayment / Math.max(1, duration / 30);
+};
+
+const reputationFactor = (model, reputation) => {
+  const score = reputation.score !== undefined ? reputation.score : model.reputation.neutralScore;
+  const points = clamp(
+    (score - model.reputation.neutralScore) * model.reputation.pointsPerScore,
+    -model.reputation.maxPoints,
+    model.reputation.maxPoints
+  );
+  return {
+    name: 'reputation',
+    points: round2(points),
+    value: score,
+    description: `Reputation score ${score} (${reputation.trustLevel || 'New'})`
+  };
+};
+
+const historyFactor = (model, history) => {
+  const repaidPoints = Math.min(history.repaid * model.history.repaidLoan, model.history.maxRepaidPoints);
+  const points = repaidPoints
+    + history.defaulted * model.history.defaultedLoan
+    + history.delinquent * model.history.delinquentLoan;
+  return {
+    name: 'repayment_history',
+    points,
+    value: { ...history },
+    description: `${history.repaid} repaid, ${history.defaulted} defaulted, ${history.delinquent} currently overdue`
+  };
+};
+
+const affordabilityFactor = (model, monthlyIncome, loan) => {
+  if (!monthlyIncome || monthlyIncome <= 0) {
+    return {
+      name: 'affordability',
+      points: model.missingIncomePoints,
+      value: null,
+      description: 'Monthly income not provided'
+    };
+  }
+
+  const ratio = estimateMonthlyRepayment(loan) / monthlyIncome;
+  const band = model.affordability.find(entry => ratio <= entry.maxRatio);
+  return {
+    name: 'affordability',
+    points: band.points,
+    value: round2(ratio),
+    description: `Estimated repayments are ${Math.round(ratio * 100)}% of monthly income`
+  };
+};
+
+const categoryFactor = (model, category) => ({
+  name: 'category',
+  points: model.categories[category] !== undefined ? model.categories[category] : model.categories.other,
+  value: category,
+  description: `Loan category ${category}`
+});
+
+const collateralFactor = (model, collateral, amount) => {
+  const value = collateral && collateral.value > 0 ? collateral.value : 0;
+  if (!value) {
+    return { name: 'collateral', points: 0, value: 0, description: 'No collateral pledged' };
+  }
+
+  const coverage = value / amount;
+  const band = model.collateral.find(entry => coverage >= entry.minCoverage);
+  return {
+    name: 'collateral',
+    points: band.points,
+    value: round2(coverage),
+    description: `Collateral covers ${Math.round(coverage * 100)}% of the amount`
+  };
+};
+
+/**
+ * Score a loan application.
+ *
+ * profile: { reputation, history: { repaid, defaulted, delinquent },
+ *   monthlyIncome, amount, interestRate, duration, category, collateral }
+ */
+const scoreBorrower = (profile, version = DEFAULT_MODEL_VERSION) => {
+  const model = getCreditModel(version);
+  const history = { repaid: 0, defaulted: 0, delinquent: 0, ...profile.history };
+
+  const factors = [
+    reputationFactor(model, profile.reputation || {}),
+    historyFactor(model, history),
+    affordabilityFactor(model, profile.monthlyIncome, profile),
+    categoryFactor(model, profile.category),
+    collateralFactor(model, profile.collateral, profile.amount)
+  ];
+
+  const score = Math.round(clamp(
+    factors.reduce((total, factor) => total + factor.points, model.baseScore),
+    0,
+    100
+  ));
+  const grade = model.grades.find(entry => score >= entry.minScore);
+
+  return {
+    modelVersion: version,
+    score,
+    grade: grade.grade,
+    riskLevel: grade.riskLevel,
+    suggestedRate: { ...grade.rate },
+    factors
+  };
+};
+
+module.exports = {
+  CREDIT_MODELS,
+  DEFAULT_MODEL_VERSION,
+  getCreditModel,
+  estimateMonthlyRepayment,
+  scoreBorrower
+};
@@ -0,0 +1,48 @@
+const TINYBARS_PER_HBAR = 100000000n;
+
+const toTinybars = hbar => BigInt(Math.round(hbar * 1e8));
+const toHbar = tinybars => Number(tinybars) / Number(TINYBARS_PER_HBAR);
+
+/**
+ * Split an HBAR amount pro-rata to weights, exact to the tinybar. Shares are
+ * floored and the leftover tinybars go one each to the largest remainders,
+ * ties broken by key, so the same inputs always give the same split.
+ */
+const allocateProRata = (amount, weights) => {
+  const entries = Object.entries(weights)
+    .map(([key, weight]) => [key, toTinybars(weight)])
+    .filter(([, weight]) => weight > 0n);
+  const total = toTinybars(amount);
+  const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0n);
+
+  if (totalWeight === 0n) {
+    return {};
+  }
+
+  const shares = entries.map(([key, weight]) => ({
+    key,
+    tinybars: (total * weight) / totalWeight,
+    remainder: (total * weight) % totalWeight
+  }));
+
+  let leftover = total - shares.reduce((sum, share) => sum + share.tinybars, 0n);
+  [...shares]
+    .sort((a, b) => {
+      if (a.remainder !== b.remainder) {
+        return a.remainder > b.remainder ? -1 : 1;
+      }
+      return a.key < b.key ? -1 : 1;
+    })
+    .forEach((share) => {
+      if (leftover > 0n) {
+        share.tinybars += 1n;
+        leftover -= 1n;
+      }
+    });
+
+  return Object.fromEntries(shares.map(share => [share.key, toHbar(share.tinybars)]));
+};
+
+module.exports = {
+  allocateProRata
+};
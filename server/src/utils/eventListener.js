@@ -1,15 +1,190 @@
-const { ContractCallQuery, ContractExecuteTransaction } = require('@hashgraph/sdk');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { Interface } = require('@ethersproject/abi');
+const { getCollections } = require('../config/firestore');
 const logger = require('./logger');
 
+const DEFAULT_BUILD_DIR = path.join(__dirname, '../../../contracts/build');
+
+const MIRROR_NODE_URLS = {
+  mainnet: 'https://mainnet-public.mirrornode.hedera.com',
+  testnet: 'https://testnet.mirrornode.hedera.com',
+  previewnet: 'https://previewnet.mirrornode.hedera.com'
+};
+
+/**
+ * Load a contract ABI from the compiled artifacts in contracts/build
+ */
+const loadContractAbi = (contractName, buildDir = process.env.CONTRACTS_BUILD_DIR || DEFAULT_BUILD_DIR) => {
+  const artifactPath = path.join(buildDir, `${contractName}.json`);
+
+  if (!fs.existsSync(artifactPath)) {
+    throw new Error(`Contract artifact not found: ${artifactPath}. Run 'npm run compile' in contracts/ first.`);
+  }
+
+  const artifact = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+  return artifact.abi;
+};
+
+/**
+ * Resolve the mirror node base URL for the configured network
+ */
+const getMirrorNodeUrl = () => {
+  if (process.env.HEDERA_MIRROR_NODE_URL) {
+    return process.env.HEDERA_MIRROR_NODE_URL;
+  }
+  return MIRROR_NODE_URLS[process.env.HEDERA_NETWORK] || MIRROR_NODE_URLS.testnet;
+};
+
+/**
+ * Compare two mirror node consensus timestamps ("seconds.nanoseconds")
+ */
+const compareTimestamps = (a, b) => {
+  const toNanos = (timestamp) => {
+    const [seconds, nanos = '0'] = String(timestamp).split('.');
+    return BigInt(seconds) * 1000000000n + BigInt(nanos.padEnd(9, '0').slice(0, 9));
+  };
+
+  const diff = toNanos(a) - toNanos(b);
+  if (diff === 0n) {
+    return 0;
+  }
+  return diff > 0n ? 1 : -1;
+};
+
+/**
+ * Check whether a log position comes after the stored cursor
+ */
+const isAfterCursor = (log, cursor) => {
+  if (!cursor) {
+    return true;
+  }
+
+  const comparison = compareTimestamps(log.timestamp, cursor.timestamp);
+  return comparison > 0 || (comparison === 0 && log.index > cursor.index);
+};
+
+/**
+ * Convert decoded ABI values into plain JSON-friendly values
+ */
+const normalizeEventValue = (value) => {
+  if (value && value._isBigNumber) {
+    const bigValue = BigInt(value.toString());
+    return bigValue <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(bigValue) : bigValue.toString();
+  }
+
+  if (typeof value === 'string' && /^0x[a-fA-F0-9]{40}$/.test(value)) {
+    return value.toLowerCase();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(normalizeEventValue);
+  }
+
+  return value;
+};
+
+/**
+ * Cursor store backed by the Firestore eventCursors collection
+ */
+class FirestoreCursorStore {
+  async get(key) {
+    const { eventCursors } = getCollections();
+    const cursorDoc = await eventCursors.doc(key).get();
+    return cursorDoc.exists ? cursorDoc.data() : null;
+  }
+
+  async set(key, cursor) {
+    const { eventCursors } = getCollections();
+    await eventCursors.doc(key).set({
+      ...cursor,
+      updatedAt: new Date()
+    });
+  }
+}
+
+/**
+ * In-memory cursor store (tests and one-off scripts)
+ */
+class MemoryCursorStore {
+  constructor() {
+    this.cursors = new Map();
+  }
+
+  async get(key) {
+    return this.cursors.get(key) || null;
+  }
+
+  async set(key, cursor) {
+    this.cursors.set(key, { ...cursor });
+  }
+}
+
+/**
+ * Dead-letter store backed by the Firestore deadLetterEvents collection
+ */
+class FirestoreDeadLetterStore {
+  async add(key, entry) {
+    const { deadLetterEvents } = getCollections();
+    // Keyed by log position so a replayed event is stored once
+    await deadLetterEvents.doc(`${key}_${entry.timestamp}_${entry.logIndex}`).set(entry);
+  }
+}
+
+/**
+ * In-memory dead-letter store (tests and one-off scripts)
+ */
+class MemoryDeadLetterStore {
+  constructor() {
+    this.entries = [];
+  }
+
+  async add(key, entry) {
+    this.entries.push({ key, ...entry });
+  }
+}
+
 /**
  * Event listener for Hedera smart contract events
+ *
+ * Contract logs are read from the mirror node REST API and decoded with the
+ * contract ABI. The consensus timestamp and log index of the last processed
+ * log are persisted after every event, so a restart resumes exactly where
+ * the previous process stopped. A handler that throws stops the batch before
+ * the cursor moves past its event, and the next poll retries from there, so
+ * handlers must be safe to run twice for the same event. An event that can
+ * never go through (a 4xx AppError, or maxAttempts failures in a row) is
+ * moved to the dead-letter store and skipped.
  */
 class HederaEventListener {
-  constructor(hederaClient, contractId) {
+  constructor(hederaClient, contractId, options = {}) {
     this.client = hederaClient;
     this.contractId = contractId;
+    this.name = options.name || contractId;
     this.listeners = new Map();
     this.isListening = false;
+    this.isPolling = false;
+    this.lastEvent = null;
+    this.lastPolledAt = null;
+    this.lastError = null;
+    this.lastDeadLetter = null;
+    this.failedEvent = null;
+
+    this.mirrorNodeUrl = (options.mirrorNodeUrl || getMirrorNodeUrl()).replace(/\/$/, '');
+    this.cursorStore = options.cursorStore || new FirestoreCursorStore();
+    this.cursorKey = options.cursorKey || contractId;
+    this.deadLetterStore = options.deadLetterStore || new FirestoreDeadLetterStore();
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.EVENT_MAX_ATTEMPTS) || 5;
+    this.pollIntervalMs = options.pollIntervalMs || parseInt(process.env.EVENT_POLL_INTERVAL_MS) || 5000;
+    this.pageLimit = options.pageLimit || 100;
+    this.maxPagesPerPoll = options.maxPagesPerPoll || 10;
+    this.httpClient = options.httpClient || axios.create({ timeout: 10000 });
+    // Anything with getContractLogs(contractId, cursor), e.g. the chain simulator
+    this.logSource = options.logSource || null;
+
+    const abi = options.abi || loadContractAbi(options.contractName);
+    this.contractInterface = new Interface(abi);
   }
 
   /**
@@ -45,16 +220,15 @@ class HederaEventListener {
     }
 
     this.isListening = true;
-    logger.info('🎧 Started listening for Hedera contract events');
+    logger.info(`🎧 Started listening for Hedera contract events on ${this.contractId}`);
 
-    // Poll for events every 5 seconds
     this.pollInterval = setInterval(async () => {
       try {
         await this.pollForEvents();
       } catch (error) {
         logger.error('Error polling for events:', error);
       }
-    }, 5000);
+    }, this.pollIntervalMs);
   }
 
   /**
@@ -66,59 +240,204 @@ class HederaEventListener {
       this.pollInterval = null;
     }
     this.isListening = false;
-    logger.info('🛑 Stopped listening for Hedera contract events');
+    logger.info(`🛑 Stopped listening for Hedera contract events on ${this.contractId}`);
+  }
+
+  /**
+   * Get listener state and the last processed event
+   */
+  getStatus() {
+    return {
+      name: this.name,
+      contractId: this.contractId,
+      state: this.isListening ? 'listening' : 'stopped',
+      lastEvent: this.lastEvent,
+      lastPolledAt: this.lastPolledAt,
+      lastError: this.lastError,
+      lastDeadLetter: this.lastDeadLetter
+    };
   }
 
   /**
    * Poll for new events
    */
   async pollForEvents() {
+    // Skip overlapping polls so events are never processed twice
+    if (this.isPolling) {
+      return;
+    }
+
+    this.isPolling = true;
     try {
-      // Get latest events from contract
       const events = await this.getContractEvents();
-      
+
       for (const event of events) {
-        await this.processEvent(event);
+        try {
+          await this.processEvent(event);
+          this.failedEvent = null;
+        } catch (error) {
+          const attempts = this.countFailure(event);
+          if (!this.isPermanentFailure(error, attempts)) {
+            // Keep the cursor on the last event that went through
+            this.lastError = {
+              message: error.message,
+              event: { type: event.type, timestamp: event.timestamp, logIndex: event.logIndex },
+              attempts,
+              occurredAt: new Date()
+            };
+            logger.error(`Stopped at ${event.type} ${event.timestamp}#${event.logIndex} on ${this.contractId}, will retry:`, error);
+            this.lastPolledAt = new Date();
+            return;
+          }
+          await this.deadLetter(event, error, attempts);
+        }
+        await this.cursorStore.set(this.cursorKey, {
+          timestamp: event.timestamp,
+          index: event.logIndex
+        });
+        this.lastEvent = {
+          type: event.type,
+          transactionHash: event.transactionHash,
+          timestamp: event.timestamp,
+          logIndex: event.logIndex,
+          processedAt: new Date()
+        };
       }
+
+      this.lastPolledAt = new Date();
+      this.lastError = null;
     } catch (error) {
+      this.lastError = { message: error.message, occurredAt: new Date() };
       logger.error('Error polling for events:', error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Count consecutive failures of the same event
+   */
+  countFailure(event) {
+    const position = `${event.timestamp}#${event.logIndex}`;
+    if (!this.failedEvent || this.failedEvent.position !== position) {
+      this.failedEvent = { position, attempts: 0 };
     }
+    this.failedEvent.attempts += 1;
+    return this.failedEvent.attempts;
+  }
+
+  /**
+   * Retrying cannot help once a handler rejected the event as a client
+   * error or kept failing on it
+   */
+  isPermanentFailure(error, attempts) {
+    const isClientError = error.statusCode >= 400 && error.statusCode < 500;
+    return isClientError || attempts >= this.maxAttempts;
   }
 
   /**
-   * Get contract events
+   * Park an event that cannot be processed so later events go through
+   */
+  async deadLetter(event, error, attempts) {
+    this.lastDeadLetter = {
+      contractId: this.contractId,
+      listener: this.name,
+      type: event.type,
+      transactionHash: event.transactionHash || null,
+      timestamp: event.timestamp,
+      logIndex: event.logIndex,
+      args: event.args,
+      error: error.message,
+      attempts,
+      createdAt: new Date()
+    };
+    await this.deadLetterStore.add(this.cursorKey, this.lastDeadLetter);
+    this.failedEvent = null;
+    logger.error(`💀 Dead-lettered ${event.type} ${event.timestamp}#${event.logIndex} on ${this.contractId} after ${attempts} attempt(s):`, error);
+  }
+
+  /**
+   * Get contract events newer than the persisted cursor
    */
   async getContractEvents() {
+    const cursor = await this.cursorStore.get(this.cursorKey);
+    const logs = await this.fetchLogs(cursor);
+
+    return logs
+      .filter(log => isAfterCursor(log, cursor))
+      .sort((a, b) => compareTimestamps(a.timestamp, b.timestamp) || a.index - b.index)
+      .map(log => this.decodeLog(log))
+      .filter(event => event !== null);
+  }
+
+  /**
+   * Fetch raw contract logs from the mirror node
+   */
+  async fetchLogs(cursor) {
+    if (this.logSource) {
+      return this.logSource.getContractLogs(this.contractId, cursor);
+    }
+
+    const params = new URLSearchParams({ order: 'asc', limit: String(this.pageLimit) });
+    // gte rather than gt: a transaction can emit several logs with the same timestamp
+    if (cursor) {
+      params.set('timestamp', `gte:${cursor.timestamp}`);
+    }
+
+    let url = `${this.mirrorNodeUrl}/api/v1/contracts/${this.contractId}/results/logs?${params.toString()}`;
+    const logs = [];
+
+    for (let page = 0; url && page < this.maxPagesPerPoll; page++) {
+      const response = await this.httpClient.get(url);
+      logs.push(...(response.data.logs || []));
+
+      const next = response.data.links && response.data.links.next;
+      url = next ? `${this.mirrorNodeUrl}${next}` : null;
+    }
+
+    return logs;
+  }
+
+  /**
+   * Decode a mirror node log into an AfriLend event
+   */
+  decodeLog(log) {
+    let parsed;
     try {
-      // This is a simplified implementation
-      // In a real scenario, you would query the Hedera network for events
-      // For now, we'll return an empty array
-      return [];
+      parsed = this.contractInterface.parseLog({
+        topics: log.topics,
+        data: log.data && log.data !== '0x' ? log.data : '0x'
+      });
     } catch (error) {
-      logger.error('Error getting contract events:', error);
-      return [];
+      logger.debug(`Skipping undecodable log ${log.timestamp}#${log.index} on ${this.contractId}`);
+      return null;
     }
+
+    const args = {};
+    parsed.eventFragment.inputs.forEach((input, index) => {
+      args[input.name] = normalizeEventValue(parsed.args[index]);
+    });
+
+    return {
+      ...args,
+      type: parsed.name,
+      args,
+      contractId: log.contract_id || this.contractId,
+      transactionHash: log.transaction_hash,
+      blockNumber: log.block_number,
+      timestamp: log.timestamp,
+      logIndex: log.index
+    };
   }
 
   /**
-   * Process individual event
+   * Process individual event. Errors from callbacks propagate so the event
+   * is not marked as processed.
    */
   async processEvent(event) {
-    try {
-      const eventType = event.type;
-      
-      if (this.listeners.has(eventType)) {
-        const callbacks = this.listeners.get(eventType);
-        for (const callback of callbacks) {
-          try {
-            await callback(event);
-          } catch (error) {
-            logger.error(`Error in event callback for ${eventType}:`, error);
-          }
-        }
-      }
-    } catch (error) {
-      logger.error('Error processing event:', error);
+    const callbacks = this.listeners.get(event.type) || [];
+    for (const callback of callbacks) {
+      await callback(event);
     }
   }
 }
@@ -140,35 +459,59 @@ const EVENT_TYPES = {
 };
 
 /**
- * Event listener instance for AfriLend contracts
+ * Names of the per-contract listeners started at boot
+ */
+const CONTRACT_LISTENERS = {
+  LOAN_MANAGER: 'loanManager',
+  LENDER_POOL: 'lenderPool',
+  REPUTATION: 'reputation'
+};
+
+/**
+ * Event listener instances for AfriLend contracts, keyed by name
  */
-let eventListener = null;
+const eventListeners = new Map();
 
 /**
  * Initialize event listener
  */
-const initializeEventListener = (hederaClient, contractId) => {
-  eventListener = new HederaEventListener(hederaClient, contractId);
-  return eventListener;
+const initializeEventListener = (hederaClient, contractId, options = {}) => {
+  const name = options.name || contractId;
+  const listener = new HederaEventListener(hederaClient, contractId, { ...options, name });
+  eventListeners.set(name, listener);
+  return listener;
 };
 
 /**
  * Get event listener instance
  */
-const getEventListener = () => {
-  if (!eventListener) {
-    throw new Error('Event listener not initialized');
+const getEventListener = (name) => {
+  const listener = name ? eventListeners.get(name) : eventListeners.values().next().value;
+  if (!listener) {
+    throw new Error(`Event listener not initialized${name ? `: ${name}` : ''}`);
   }
-  return eventListener;
+  return listener;
 };
 
 /**
- * Start listening for AfriLend events
+ * Get all initialized event listeners
  */
-const startEventListening = async () => {
+const getEventListeners = () => Array.from(eventListeners.values());
+
+/**
+ * Get the state of every event listener (used by /health)
+ */
+const getEventListenerStatus = () => getEventListeners().map(listener => listener.getStatus());
+
+/**
+ * Start listening for AfriLend events (all listeners when no name is given)
+ */
+const startEventListening = async (name) => {
   try {
-    const listener = getEventListener();
-    await listener.startListening();
+    const listeners = name ? [getEventListener(name)] : getEventListeners();
+    for (const listener of listeners) {
+      await listener.startListening();
+    }
     logger.info('✅ AfriLend event listening started');
   } catch (error) {
     logger.error('❌ Failed to start event listening:', error);
@@ -177,12 +520,12 @@ const startEventListening = async () => {
 };
 
 /**
- * Stop listening for AfriLend events
+ * Stop listening for AfriLend events (all listeners when no name is given)
  */
-const stopEventListening = () => {
+const stopEventListening = (name) => {
   try {
-    const listener = getEventListener();
-    listener.stopListening();
+    const listeners = name ? [getEventListener(name)] : getEventListeners();
+    listeners.forEach(listener => listener.stopListening());
     logger.info('✅ AfriLend event listening stopped');
   } catch (error) {
     logger.error('❌ Failed to stop event listening:', error);
@@ -193,8 +536,8 @@ const stopEventListening = () => {
 /**
  * Add event handler for loan events
  */
-const addLoanEventHandler = (callback) => {
-  const listener = getEventListener();
+const addLoanEventHandler = (callback, name = CONTRACT_LISTENERS.LOAN_MANAGER) => {
+  const listener = getEventListener(name);
   listener.addEventListener(EVENT_TYPES.LOAN_CREATED, callback);
   listener.addEventListener(EVENT_TYPES.LOAN_FUNDED, callback);
   listener.addEventListener(EVENT_TYPES.LOAN_REPAID, callback);
@@ -204,8 +547,8 @@ const addLoanEventHandler = (callback) => {
 /**
  * Add event handler for pool events
  */
-const addPoolEventHandler = (callback) => {
-  const listener = getEventListener();
+const addPoolEventHandler = (callback, name = CONTRACT_LISTENERS.LENDER_POOL) => {
+  const listener = getEventListener(name);
   listener.addEventListener(EVENT_TYPES.POOL_CREATED, callback);
   listener.addEventListener(EVENT_TYPES.LIQUIDITY_ADDED, callback);
   listener.addEventListener(EVENT_TYPES.LIQUIDITY_REMOVED, callback);
@@ -215,8 +558,8 @@ const addPoolEventHandler = (callback) => {
 /**
  * Add event handler for reputation events
  */
-const addReputationEventHandler = (callback) => {
-  const listener = getEventListener();
+const addReputationEventHandler = (callback, name = CONTRACT_LISTENERS.REPUTATION) => {
+  const listener = getEventListener(name);
   listener.addEventListener(EVENT_TYPES.REPUTATION_UPDATED, callback);
   listener.addEventListener(EVENT_TYPES.TRUST_LEVEL_CHANGED, callback);
 };
@@ -284,9 +627,18 @@ const handleLoanDefaulted = async (event) => {
 
 module.exports = {
   HederaEventListener,
+  FirestoreCursorStore,
+  MemoryCursorStore,
+  FirestoreDeadLetterStore,
+  MemoryDeadLetterStore,
+  loadContractAbi,
+  compareTimestamps,
   EVENT_TYPES,
+  CONTRACT_LISTENERS,
   initializeEventListener,
   getEventListener,
+  getEventListeners,
+  getEventListenerStatus,
   startEventListening,
   stopEventListening,
   addLoanEventHandler,
@@ -0,0 +1,22 @@
+/**
+ * Leading bytes of the document formats we accept
+ */
+const SIGNATURES = [
+  { contentType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { contentType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { contentType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] }
+];
+
+/**
+ * Content type of a file from its first bytes, or null when unrecognised.
+ * The type a client declares is not trusted on its own.
+ */
+const detectContentType = (buffer) => {
+  const match = SIGNATURES.find(({ bytes }) => buffer.length >= bytes.length
+    && bytes.every((byte, index) => buffer[index] === byte));
+  return match ? match.contentType : null;
+};
+
+module.exports = {
+  detectContentType
+};
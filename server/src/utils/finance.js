@@ -0,0 +1,54 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Net present value of dated cash flows at an annual rate
+ */
+const xnpv = (rate, cashFlows) => {
+  const start = new Date(cashFlows[0].date).getTime();
+  return cashFlows.reduce((sum, { amount, date }) => {
+    const years = (new Date(date).getTime() - start) / (365 * DAY_MS);
+    return sum + amount / Math.pow(1 + rate, years);
+  }, 0);
+};
+
+/**
+ * Annualized internal rate of return for irregular cash flows (Excel XIRR).
+ * Outflows are negative. Returns null when there is no sign change or no
+ * root in range.
+ */
+const calculateXirr = (cashFlows) => {
+  const flows = cashFlows
+    .filter(flow => flow.amount !== 0)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  if (!flows.some(flow => flow.amount < 0) || !flows.some(flow => flow.amount > 0)) {
+    return null;
+  }
+
+  // Bisection on (-99.99%, 10000%) is slow but never diverges
+  let low = -0.9999;
+  let high = 100;
+  let npvLow = xnpv(low, flows);
+  if (npvLow * xnpv(high, flows) > 0) {
+    return null;
+  }
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = xnpv(mid, flows);
+    if (Math.abs(npvMid) < 1e-9 || high - low < 1e-10) {
+      return mid;
+    }
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return (low + high) / 2;
+};
+
+module.exports = {
+  xnpv,
+  calculateXirr
+};
@@ -0,0 +1,587 @@
+const crypto = require('crypto');
+
+/**
+ * Firestore error with the gRPC status code the Admin SDK reports
+ */
+class FirestoreError extends Error {
+  constructor(code, status, message) {
+    super(`${code} ${status}: ${message}`);
+    this.code = code;
+    this.details = message;
+  }
+}
+
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+/**
+ * Random 20 character document ID, like the Admin SDK's auto IDs
+ */
+const autoId = () => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  return Array.from(crypto.randomBytes(20), byte => chars[byte % chars.length]).join('');
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+/**
+ * Deep copy a value the way Firestore stores it (undefined properties are
+ * dropped, matching ignoreUndefinedProperties)
+ */
+const clone = (value) => {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    const copy = {};
+    Object.entries(value).forEach(([key, entry]) => {
+      if (entry !== undefined && typeof entry !== 'function') {
+        copy[key] = clone(entry);
+      }
+    });
+    return copy;
+  }
+  return value;
+};
+
+/**
+ * Read a dotted field path ("a.b.c")
+ */
+const getField = (data, fieldPath) => fieldPath.split('.').reduce(
+  (value, key) => (isPlainObject(value) ? value[key] : undefined),
+  data
+);
+
+/**
+ * Write a dotted field path, creating intermediate maps
+ */
+const setField = (data, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  let target = data;
+  keys.slice(0, -1).forEach((key) => {
+    if (!isPlainObject(target[key])) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+
+  if (value === undefined) {
+    delete target[keys[keys.length - 1]];
+  } else {
+    target[keys[keys.length - 1]] = clone(value);
+  }
+};
+
+/**
+ * Deep merge for set(..., { merge: true })
+ */
+const merge = (target, source) => {
+  Object.entries(source).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      merge(target[key], value);
+    } else if (value !== undefined) {
+      target[key] = clone(value);
+    }
+  });
+  return target;
+};
+
+/**
+ * Firestore value ordering: null < booleans < numbers < dates < strings < arrays < maps
+ */
+const TYPE_ORDER = ['null', 'boolean', 'number', 'date', 'string', 'array', 'map'];
+
+const typeOf = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return 'date';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'object') return 'map';
+  return typeof value;
+};
+
+const compareValues = (a, b) => {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+  if (typeA !== typeB) {
+    return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+  }
+
+  switch (typeA) {
+    case 'null':
+      return 0;
+    case 'date':
+      return a.getTime() - b.getTime();
+    case 'array':
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        const comparison = compareValues(a[i], b[i]);
+        if (comparison !== 0) {
+          return comparison;
+        }
+      }
+      return a.length - b.length;
+    case 'map':
+      return compareValues(JSON.stringify(a), JSON.stringify(b));
+    default:
+      if (a === b) return 0;
+      return a < b ? -1 : 1;
+  }
+};
+
+const valuesEqual = (a, b) => typeOf(a) === typeOf(b) && compareValues(a, b) === 0;
+
+/**
+ * Evaluate a where() filter against a document
+ */
+const matchesFilter = (data, { fieldPath, opStr, value }) => {
+  const fieldValue = getField(data, fieldPath);
+  const comparable = fieldValue !== undefined && typeOf(fieldValue) === typeOf(value);
+
+  switch (opStr) {
+    case '==':
+      return fieldValue !== undefined && valuesEqual(fieldValue, value);
+    case '!=':
+      return fieldValue !== undefined && fieldValue !== null && !valuesEqual(fieldValue, value);
+    case '<':
+      return comparable && compareValues(fieldValue, value) < 0;
+    case '<=':
+      return comparable && compareValues(fieldValue, value) <= 0;
+    case '>':
+      return comparable && compareValues(fieldValue, value) > 0;
+    case '>=':
+      return comparable && compareValues(fieldValue, value) >= 0;
+    case 'array-contains':
+      return Array.isArray(fieldValue) && fieldValue.some(item => valuesEqual(item, value));
+    case 'array-contains-any':
+      return Array.isArray(fieldValue) && fieldValue.some(item => value.some(candidate => valuesEqual(item, candidate)));
+    case 'in':
+      return fieldValue !== undefined && value.some(candidate => valuesEqual(fieldValue, candidate));
+    case 'not-in':
+      return fieldValue !== undefined && fieldValue !== null && !value.some(candidate => valuesEqual(fieldValue, candidate));
+    default:
+      throw new FirestoreError(3, 'INVALID_ARGUMENT', `Invalid query operator: ${opStr}`);
+  }
+};
+
+/**
+ * Snapshot of a single document
+ */
+class DocumentSnapshot {
+  constructor(ref, stored) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = Boolean(stored);
+    this.stored = stored;
+    this.createTime = stored ? stored.createTime : undefined;
+    this.updateTime = stored ? stored.updateTime : undefined;
+  }
+
+  data() {
+    return this.exists ? clone(this.stored.data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? clone(getField(this.stored.data, fieldPath)) : undefined;
+  }
+}
+
+/**
+ * Result of a query
+ */
+class QuerySnapshot {
+  constructor(query, docs) {
+    this.query = query;
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+/**
+ * Reference to a document path
+ */
+class DocumentReference {
+  constructor(firestore, collectionPath, id) {
+    this.firestore = firestore;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+    this.parent = new CollectionReference(firestore, collectionPath);
+  }
+
+  collection(collectionId) {
+    return new CollectionReference(this.firestore, `${this.path}/${collectionId}`);
+  }
+
+  async get() {
+    return this.firestore.readDocument(this);
+  }
+
+  async set(data, options = {}) {
+    this.firestore.commitWrites([{ type: 'set', ref: this, data, options }]);
+    return { writeTime: new Date() };
+  }
+
+  async create(data) {
+    this.firestore.commitWrites([{ type: 'create', ref: this, data }]);
+    return { writeTime: new Date() };
+  }
+
+  async update(data) {
+    this.firestore.commitWrites([{ type: 'update', ref: this, data }]);
+    return { writeTime: new Date() };
+  }
+
+  async delete() {
+    this.firestore.commitWrites([{ type: 'delete', ref: this }]);
+    return { writeTime: new Date() };
+  }
+}
+
+/**
+ * Immutable query over a collection
+ */
+class Query {
+  constructor(firestore, collectionPath, options = {}) {
+    this.firestore = firestore;
+    this.collectionPath = collectionPath;
+    this.filters = options.filters || [];
+    this.orders = options.orders || [];
+    this.limitCount = options.limitCount;
+    this.offsetCount = options.offsetCount || 0;
+    this.cursor = options.cursor || null;
+  }
+
+  with(options) {
+    return new Query(this.firestore, this.collectionPath, {
+      filters: this.filters,
+      orders: this.orders,
+      limitCount: this.limitCount,
+      offsetCount: this.offsetCount,
+      cursor: this.cursor,
+      ...options
+    });
+  }
+
+  where(fieldPath, opStr, value) {
+    if (['in', 'not-in', 'array-contains-any'].includes(opStr) && !Array.isArray(value)) {
+      throw new FirestoreError(3, 'INVALID_ARGUMENT', `'${opStr}' filters require an array value`);
+    }
+    return this.with({ filters: [...this.filters, { fieldPath, opStr, value }] });
+  }
+
+  orderBy(fieldPath, directionStr = 'asc') {
+    return this.with({ orders: [...this.orders, { fieldPath, direction: directionStr }] });
+  }
+
+  limit(limitCount) {
+    return this.with({ limitCount });
+  }
+
+  offset(offsetCount) {
+    return this.with({ offsetCount });
+  }
+
+  startAfter(...values) {
+    return this.with({ cursor: { values, inclusive: false } });
+  }
+
+  startAt(...values) {
+    return this.with({ cursor: { values, inclusive: true } });
+  }
+
+  /**
+   * Resolve the matching documents without taking a snapshot
+   */
+  run() {
+    let entries = this.firestore.listDocuments(this.collectionPath)
+      .filter(({ stored }) => this.filters.every(filter => matchesFilter(stored.data, filter)))
+      // Documents missing an orderBy field are excluded, as in Firestore
+      .filter(({ stored }) => this.orders.every(({ fieldPath }) => getField(stored.data, fieldPath) !== undefined));
+
+    entries.sort((a, b) => {
+      for (const { fieldPath, direction } of this.orders) {
+        const comparison = compareValues(getField(a.stored.data, fieldPath), getField(b.stored.data, fieldPath));
+        if (comparison !== 0) {
+          return direction === 'desc' ? -comparison : comparison;
+        }
+      }
+      return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+    });
+
+    if (this.cursor) {
+      entries = entries.filter(({ stored }) => {
+        const values = this.cursor.values[0] instanceof DocumentSnapshot
+          ? this.orders.map(({ fieldPath }) => this.cursor.values[0].get(fieldPath))
+          : this.cursor.values;
+        for (let i = 0; i < values.length && i < this.orders.length; i++) {
+          const { fieldPath, direction } = this.orders[i];
+          let comparison = compareValues(getField(stored.data, fieldPath), values[i]);
+          if (direction === 'desc') {
+            comparison = -comparison;
+          }
+          if (comparison !== 0) {
+            return comparison > 0;
+          }
+        }
+        return this.cursor.inclusive;
+      });
+    }
+
+    entries = entries.slice(this.offsetCount);
+    if (this.limitCount !== undefined) {
+      entries = entries.slice(0, this.limitCount);
+    }
+    return entries;
+  }
+
+  async get() {
+    return this.firestore.runQuery(this);
+  }
+}
+
+/**
+ * Reference to a collection path
+ */
+class CollectionReference extends Query {
+  constructor(firestore, collectionPath) {
+    super(firestore, collectionPath);
+    this.id = collectionPath.split('/').pop();
+    this.path = collectionPath;
+  }
+
+  doc(documentId = autoId()) {
+    return new DocumentReference(this.firestore, this.path, documentId);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+/**
+ * Batched writes, applied atomically on commit
+ */
+class WriteBatch {
+  constructor(firestore) {
+    this.firestore = firestore;
+    this.writes = [];
+  }
+
+  set(ref, data, options = {}) {
+    this.writes.push({ type: 'set', ref, data, options });
+    return this;
+  }
+
+  create(ref, data) {
+    this.writes.push({ type: 'create', ref, data });
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push({ type: 'delete', ref });
+    return this;
+  }
+
+  async commit() {
+    this.firestore.commitWrites(this.writes);
+    return this.writes.map(() => ({ writeTime: new Date() }));
+  }
+}
+
+/**
+ * Transaction handed to runTransaction callbacks. Reads record the version
+ * they saw; commit fails with ABORTED if any of them changed meanwhile.
+ */
+class Transaction extends WriteBatch {
+  constructor(firestore) {
+    super(firestore);
+    this.readVersions = new Map();
+  }
+
+  async get(refOrQuery) {
+    if (this.writes.length > 0) {
+      throw new FirestoreError(3, 'INVALID_ARGUMENT', 'Firestore transactions require all reads to be executed before all writes.');
+    }
+
+    if (refOrQuery instanceof DocumentReference) {
+      const snapshot = this.firestore.readDocument(refOrQuery);
+      this.readVersions.set(refOrQuery.path, snapshot.exists ? snapshot.stored.version : 0);
+      return snapshot;
+    }
+
+    const snapshot = this.firestore.runQuery(refOrQuery);
+    snapshot.docs.forEach((doc) => {
+      this.readVersions.set(doc.ref.path, doc.stored.version);
+    });
+    return snapshot;
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => this.get(ref)));
+  }
+
+  async commit() {
+    for (const [path, version] of this.readVersions) {
+      const stored = this.firestore.getStored(path);
+      if ((stored ? stored.version : 0) !== version) {
+        throw new FirestoreError(10, 'ABORTED', `Transaction lock timeout on ${path}`);
+      }
+    }
+    return super.commit();
+  }
+}
+
+/**
+ * In-memory implementation of the firebase-admin Firestore surface the
+ * models and services use, selected with FIRESTORE_BACKEND=memory
+ *
+ * Snapshots return Date objects where the real SDK returns Timestamps.
+ */
+class MemoryFirestore {
+  constructor() {
+    this.collections = new Map();
+    this.nextVersion = 1;
+  }
+
+  settings() {}
+
+  collection(collectionPath) {
+    return new CollectionReference(this, collectionPath);
+  }
+
+  doc(documentPath) {
+    const parts = documentPath.split('/');
+    return new DocumentReference(this, parts.slice(0, -1).join('/'), parts[parts.length - 1]);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  /**
+   * Run a transaction, retrying when a document it read was changed by a
+   * concurrent write (same contention behaviour as the server)
+   */
+  async runTransaction(updateFunction, options = {}) {
+    const maxAttempts = options.maxAttempts || MAX_TRANSACTION_ATTEMPTS;
+    let lastError;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      try {
+        await transaction.commit();
+        return result;
+      } catch (error) {
+        if (error.code !== 10) {
+          throw error;
+        }
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Drop every document (tests)
+   */
+  clear() {
+    this.collections.clear();
+  }
+
+  splitPath(path) {
+    const index = path.lastIndexOf('/');
+    return [path.slice(0, index), path.slice(index + 1)];
+  }
+
+  getStored(path) {
+    const [collectionPath, id] = this.splitPath(path);
+    const collection = this.collections.get(collectionPath);
+    return collection ? collection.get(id) : undefined;
+  }
+
+  listDocuments(collectionPath) {
+    const collection = this.collections.get(collectionPath);
+    return collection ? Array.from(collection, ([id, stored]) => ({ id, stored })) : [];
+  }
+
+  readDocument(ref) {
+    return new DocumentSnapshot(ref, this.getStored(ref.path));
+  }
+
+  runQuery(query) {
+    const docs = query.run().map(({ id, stored }) => new DocumentSnapshot(
+      new DocumentReference(this, query.collectionPath, id),
+      stored
+    ));
+    return new QuerySnapshot(query, docs);
+  }
+
+  /**
+   * Validate then apply a group of writes, all or nothing
+   */
+  commitWrites(writes) {
+    writes.forEach(({ type, ref, data }) => {
+      const exists = Boolean(this.getStored(ref.path));
+      if (type === 'update' && !exists) {
+        throw new FirestoreError(5, 'NOT_FOUND', `No document to update: ${ref.path}`);
+      }
+      if (type === 'create' && exists) {
+        throw new FirestoreError(6, 'ALREADY_EXISTS', `Document already exists: ${ref.path}`);
+      }
+      if (type !== 'delete' && !isPlainObject(data)) {
+        throw new FirestoreError(3, 'INVALID_ARGUMENT', 'Value for argument "data" is not a valid Firestore document.');
+      }
+    });
+
+    writes.forEach(({ type, ref, data, options = {} }) => {
+      const [collectionPath, id] = this.splitPath(ref.path);
+      if (!this.collections.has(collectionPath)) {
+        this.collections.set(collectionPath, new Map());
+      }
+      const collection = this.collections.get(collectionPath);
+      const existing = collection.get(id);
+      const now = new Date();
+
+      if (type === 'delete') {
+        collection.delete(id);
+        return;
+      }
+
+      let next;
+      if (type === 'update') {
+        next = clone(existing.data);
+        Object.entries(data).forEach(([fieldPath, value]) => setField(next, fieldPath, value));
+      } else if (type === 'set' && options.merge && existing) {
+        next = merge(clone(existing.data), data);
+      } else {
+        next = clone(data);
+      }
+
+      collection.set(id, {
+        data: next,
+        version: this.nextVersion++,
+        createTime: existing ? existing.createTime : now,
+        updateTime: now
+      });
+    });
+  }
+}
+
+module.exports = {
+  MemoryFirestore,
+  FirestoreError
+};
@@ -0,0 +1,86 @@
+const { roundHbar, getInstalmentBalance } = require('./repaymentSchedule');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Penalties charged so far, before waivers
+ */
+const getTotalCharged = ledger => roundHbar(ledger
+  .filter(entry => entry.type === 'penalty_interest' || entry.type === 'late_fee')
+  .reduce((sum, entry) => sum + entry.amount, 0));
+
+/**
+ * Work out the ledger entries owed between accruedThrough and now. Penalty
+ * interest accrues in whole days on each overdue instalment's unpaid balance;
+ * a late fee is charged once per instalment when its grace period ends.
+ * Everything is clipped to the cap on total penalties.
+ */
+const calculateAccruals = ({
+  schedule,
+  principal,
+  ledger = [],
+  accruedThrough,
+  now = new Date(),
+  policy
+}) => {
+  const anchor = new Date(accruedThrough).getTime();
+  const days = Math.floor((now.getTime() - anchor) / DAY_MS);
+  const through = new Date(anchor + Math.max(0, days) * DAY_MS);
+  const charges = [];
+
+  schedule.forEach((instalment) => {
+    const balance = getInstalmentBalance(instalment);
+    if (balance <= 0) {
+      return;
+    }
+
+    const dueTime = new Date(instalment.dueDate).getTime();
+    let overdueDays = 0;
+    for (let day = 1; day <= days; day++) {
+      if (dueTime < anchor + day * DAY_MS) {
+        overdueDays += 1;
+      }
+    }
+    if (overdueDays > 0 && policy.dailyPenaltyRate > 0) {
+      charges.push({
+        type: 'penalty_interest',
+        instalment: instalment.number,
+        amount: roundHbar((balance * policy.dailyPenaltyRate * overdueDays) / 100),
+        days: overdueDays,
+        balance,
+        from: new Date(Math.max(anchor, dueTime)),
+        to: through
+      });
+    }
+
+    const feeDate = new Date(dueTime + policy.gracePeriodDays * DAY_MS);
+    const alreadyCharged = ledger.some(entry => entry.type === 'late_fee' && entry.instalment === instalment.number);
+    if (!alreadyCharged && policy.lateFee > 0 && feeDate < now) {
+      charges.push({
+        type: 'late_fee',
+        instalment: instalment.number,
+        amount: roundHbar(policy.lateFee),
+        from: feeDate,
+        to: feeDate
+      });
+    }
+  });
+
+  let headroom = roundHbar((principal * policy.penaltyCapPercent) / 100 - getTotalCharged(ledger));
+  const entries = [];
+  charges.forEach((charge) => {
+    const amount = roundHbar(Math.min(charge.amount, Math.max(0, headroom)));
+    if (amount <= 0) {
+      return;
+    }
+    headroom = roundHbar(headroom - amount);
+    entries.push({ ...charge, amount, ...(amount < charge.amount && { capped: true }) });
+  });
+
+  return { entries, accruedThrough: through };
+};
+
+module.exports = {
+  getTotalCharged,
+  calculateAccruals
+};
@@ -0,0 +1,124 @@
+const { getCollections, runTransaction } = require('../config/firestore');
+
+/**
+ * Rate-limit counter stores for express-rate-limit. Both count hits per key
+ * in fixed windows: the first hit opens a window of `windowMs`, and the
+ * count starts again once it has passed.
+ */
+
+/**
+ * Counters in process memory, for single-instance deployments
+ */
+class MemoryRateLimitStore {
+  constructor(prefix = '') {
+    this.prefix = prefix;
+    this.localKeys = true;
+    this.counters = new Map();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key, now = new Date()) {
+    const counter = this.counters.get(key);
+    if (!counter || counter.resetTime <= now) {
+      return undefined;
+    }
+    return { totalHits: counter.hits, resetTime: counter.resetTime };
+  }
+
+  async increment(key, now = new Date()) {
+    const current = await this.get(key, now);
+    const counter = current
+      ? { hits: current.totalHits + 1, resetTime: current.resetTime }
+      : { hits: 1, resetTime: new Date(now.getTime() + this.windowMs) };
+    this.counters.set(key, counter);
+    return { totalHits: counter.hits, resetTime: counter.resetTime };
+  }
+
+  async decrement(key) {
+    const counter = this.counters.get(key);
+    if (counter && counter.hits > 0) {
+      counter.hits -= 1;
+    }
+  }
+
+  async resetKey(key) {
+    this.counters.delete(key);
+  }
+
+  async resetAll() {
+    this.counters.clear();
+  }
+}
+
+/**
+ * Counters in the `rateLimits` collection, shared by every server instance
+ */
+class FirestoreRateLimitStore {
+  constructor(prefix = '') {
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  counterRef(key) {
+    return getCollections().rateLimits.doc(encodeURIComponent(`${this.prefix}${key}`));
+  }
+
+  async get(key, now = new Date()) {
+    const counterDoc = await this.counterRef(key).get();
+    if (!counterDoc.exists || new Date(counterDoc.data().resetTime) <= now) {
+      return undefined;
+    }
+    const { hits, resetTime } = counterDoc.data();
+    return { totalHits: hits, resetTime: new Date(resetTime) };
+  }
+
+  async increment(key, now = new Date()) {
+    const counterRef = this.counterRef(key);
+    return runTransaction(async (transaction) => {
+      const counterDoc = await transaction.get(counterRef);
+      const current = counterDoc.exists ? counterDoc.data() : null;
+
+      const counter = current && new Date(current.resetTime) > now
+        ? { hits: current.hits + 1, resetTime: new Date(current.resetTime) }
+        : { hits: 1, resetTime: new Date(now.getTime() + this.windowMs) };
+      transaction.set(counterRef, counter);
+      return { totalHits: counter.hits, resetTime: counter.resetTime };
+    });
+  }
+
+  async decrement(key) {
+    const counterRef = this.counterRef(key);
+    await runTransaction(async (transaction) => {
+      const counterDoc = await transaction.get(counterRef);
+      if (counterDoc.exists && counterDoc.data().hits > 0) {
+        transaction.update(counterRef, { hits: counterDoc.data().hits - 1 });
+      }
+    });
+  }
+
+  async resetKey(key) {
+    await this.counterRef(key).delete();
+  }
+}
+
+/**
+ * Delete windows that have closed from the shared store
+ */
+const pruneRateLimitCounters = async (now = new Date()) => {
+  const snapshot = await getCollections().rateLimits.where('resetTime', '<=', now).get();
+  await Promise.all(snapshot.docs.map(doc => doc.ref.delete()));
+  return { counters: snapshot.size };
+};
+
+module.exports = {
+  MemoryRateLimitStore,
+  FirestoreRateLimitStore,
+  pruneRateLimitCounters
+};
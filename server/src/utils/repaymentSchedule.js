@@ -0,0 +1,149 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days between instalments for each supported repayment frequency
+ */
+const REPAYMENT_FREQUENCIES = {
+  weekly: 7,
+  monthly: 30
+};
+
+/**
+ * Round to tinybar precision so instalments add up exactly
+ */
+const roundHbar = value => Math.round(value * 1e8) / 1e8;
+
+/**
+ * Simple interest for the full term, same formula as Loan.calculateRepaymentAmount
+ */
+const calculateTotalInterest = (principal, interestRate, duration) => roundHbar(
+  (principal * interestRate * duration) / (365 * 100)
+);
+
+/**
+ * Build a flat-rate instalment plan: principal and interest are spread evenly
+ * over the term, the last instalment absorbs rounding
+ */
+const buildRepaymentSchedule = ({
+  principal,
+  interestRate,
+  duration,
+  frequency = 'monthly',
+  startDate = new Date()
+}) => {
+  const periodDays = REPAYMENT_FREQUENCIES[frequency];
+  if (!periodDays) {
+    throw new Error(`Unsupported repayment frequency: ${frequency}`);
+  }
+
+  const count = Math.max(1, Math.ceil(duration / periodDays));
+  const totalInterest = calculateTotalInterest(principal, interestRate, duration);
+  const principalPerInstalment = roundHbar(principal / count);
+  const interestPerInstalment = roundHbar(totalInterest / count);
+  const start = new Date(startDate).getTime();
+
+  return Array.from({ length: count }, (_, index) => {
+    const isLast = index === count - 1;
+    const instalmentPrincipal = isLast
+      ? roundHbar(principal - principalPerInstalment * (count - 1))
+      : principalPerInstalment;
+    const instalmentInterest = isLast
+      ? roundHbar(totalInterest - interestPerInstalment * (count - 1))
+      : interestPerInstalment;
+
+    return {
+      number: index + 1,
+      // The final instalment always falls on the end of the term
+      dueDate: new Date(start + Math.min((index + 1) * periodDays, duration) * DAY_MS),
+      principal: instalmentPrincipal,
+      interest: instalmentInterest,
+      amount: roundHbar(instalmentPrincipal + instalmentInterest),
+      paidPrincipal: 0,
+      paidInterest: 0,
+      paidAmount: 0,
+      paidAt: null
+    };
+  });
+};
+
+/**
+ * Amount still owed on an instalment
+ */
+const getInstalmentBalance = instalment => roundHbar(instalment.amount - instalment.paidAmount);
+
+/**
+ * paid, overdue or due for an instalment at a given time
+ */
+const getInstalmentStatus = (instalment, now = new Date()) => {
+  if (getInstalmentBalance(instalment) <= 0) {
+    return 'paid';
+  }
+  return new Date(instalment.dueDate) < now ? 'overdue' : 'due';
+};
+
+/**
+ * Outstanding principal and interest across a schedule
+ */
+const getOutstanding = (schedule) => {
+  const outstanding = schedule.reduce((totals, instalment) => ({
+    principal: totals.principal + instalment.principal - instalment.paidPrincipal,
+    interest: totals.interest + instalment.interest - instalment.paidInterest
+  }), { principal: 0, interest: 0 });
+
+  return {
+    principal: roundHbar(outstanding.principal),
+    interest: roundHbar(outstanding.interest),
+    total: roundHbar(outstanding.principal + outstanding.interest)
+  };
+};
+
+/**
+ * Allocate a payment to the oldest open instalments, interest first. Returns
+ * the updated schedule, what was allocated and the unallocated excess.
+ */
+const applyPayment = (schedule, amount, paidAt = new Date()) => {
+  let remaining = roundHbar(amount);
+  const allocations = [];
+
+  const updated = schedule.map((instalment) => {
+    if (remaining <= 0 || getInstalmentBalance(instalment) <= 0) {
+      return instalment;
+    }
+
+    const interest = Math.min(remaining, roundHbar(instalment.interest - instalment.paidInterest));
+    remaining = roundHbar(remaining - interest);
+    const principal = Math.min(remaining, roundHbar(instalment.principal - instalment.paidPrincipal));
+    remaining = roundHbar(remaining - principal);
+
+    allocations.push({ number: instalment.number, principal, interest });
+
+    const next = {
+      ...instalment,
+      paidPrincipal: roundHbar(instalment.paidPrincipal + principal),
+      paidInterest: roundHbar(instalment.paidInterest + interest),
+      paidAmount: roundHbar(instalment.paidAmount + principal + interest)
+    };
+    if (getInstalmentBalance(next) <= 0) {
+      next.paidAt = paidAt;
+    }
+    return next;
+  });
+
+  return {
+    schedule: updated,
+    allocations,
+    principal: roundHbar(allocations.reduce((sum, allocation) => sum + allocation.principal, 0)),
+    interest: roundHbar(allocations.reduce((sum, allocation) => sum + allocation.interest, 0)),
+    excess: remaining
+  };
+};
+
+module.exports = {
+  REPAYMENT_FREQUENCIES,
+  roundHbar,
+  buildRepaymentSchedule,
+  getInstalmentBalance,
+  getInstalmentStatus,
+  getOutstanding,
+  applyPayment
+};
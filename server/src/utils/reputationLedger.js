@@ -0,0 +1,115 @@
+const { REPUTATION_RULES, getReputationPolicy, getTrustLevel } = require('../config/reputation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COUNTERS = ['totalLoans', 'successfulLoans', 'defaultedLoans', 'totalLent', 'totalBorrowed'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Points lost to inactivity between two dates. Returns the decay and the
+ * date of the last decay step.
+ */
+const calculateDecay = (score, lastActivityAt, until, policy) => {
+  const idleDays = Math.floor((new Date(until) - new Date(lastActivityAt)) / DAY_MS);
+  if (idleDays < policy.inactiveDays || score <= policy.decayFloor) {
+    return null;
+  }
+
+  const periods = Math.floor((idleDays - policy.inactiveDays) / policy.decayPeriodDays) + 1;
+  const points = Math.min(periods * policy.decayPoints, score - policy.decayFloor);
+  const decayedAt = new Date(
+    new Date(lastActivityAt).getTime() + (policy.inactiveDays + (periods - 1) * policy.decayPeriodDays) * DAY_MS
+  );
+  return { points, decayedAt };
+};
+
+/**
+ * Derive a reputation record by replaying ledger events in order. Returns the
+ * score, trust level, counters, category scores and a history of every change,
+ * including inactivity decay up to `now`.
+ */
+const replayReputation = (events, options = {}) => {
+  const policy = options.policy || getReputationPolicy();
+  const rules = options.rules || REPUTATION_RULES;
+  const now = options.now || new Date();
+
+  const state = {
+    score: policy.initialScore,
+    categoryScores: {},
+    lastActivityAt: null
+  };
+  COUNTERS.forEach((counter) => {
+    state[counter] = 0;
+  });
+  const history = [];
+
+  const applyDecay = (until) => {
+    if (!state.lastActivityAt) {
+      return;
+    }
+    const decay = calculateDecay(state.score, state.lastActivityAt, until, policy);
+    if (!decay) {
+      return;
+    }
+    state.score -= decay.points;
+    history.push({
+      type: 'inactivity_decay',
+      reason: 'Inactivity decay',
+      points: -decay.points,
+      scoreAfter: state.score,
+      createdAt: decay.decayedAt
+    });
+  };
+
+  const ordered = [...events].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  ordered.forEach((event) => {
+    const rule = rules[event.type];
+    if (!rule) {
+      return;
+    }
+
+    applyDecay(event.createdAt);
+
+    const requested = rule.variablePoints ? Number(event.points) || 0 : rule.points;
+    const previousScore = state.score;
+    state.score = clamp(state.score + requested, policy.minScore, policy.maxScore);
+
+    Object.entries(rule.counters || {}).forEach(([counter, increment]) => {
+      state[counter] += increment === 'amount' ? (event.amount || 0) : increment;
+    });
+    if (rule.category && event.category) {
+      state.categoryScores[event.category] = Math.max(0, (state.categoryScores[event.category] || 0) + requested);
+    }
+    state.lastActivityAt = new Date(event.createdAt);
+
+    history.push({
+      id: event.id,
+      type: event.type,
+      reason: event.reason || rule.reason,
+      points: state.score - previousScore,
+      scoreAfter: state.score,
+      category: event.category,
+      amount: event.amount,
+      metadata: event.metadata,
+      createdAt: new Date(event.createdAt)
+    });
+  });
+
+  applyDecay(now);
+
+  return {
+    score: state.score,
+    trustLevel: getTrustLevel(state.score),
+    ...COUNTERS.reduce((counters, counter) => ({ ...counters, [counter]: state[counter] }), {}),
+    categoryScores: state.categoryScores,
+    lastActivityAt: state.lastActivityAt,
+    lastUpdated: history.length > 0 ? history[history.length - 1].createdAt : null,
+    history
+  };
+};
+
+module.exports = {
+  calculateDecay,
+  replayReputation
+};
@@ -0,0 +1,105 @@
+const logger = require('./logger');
+
+/**
+ * Runs named background jobs on an interval. A job never overlaps with
+ * itself; a tick that fires while the previous run is in flight is skipped.
+ */
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Register a job; run receives the current time
+   */
+  registerJob(name, run, options = {}) {
+    this.jobs.set(name, {
+      name,
+      run,
+      intervalMs: options.intervalMs || 60 * 60 * 1000,
+      timer: null,
+      isRunning: false,
+      lastRunAt: null,
+      lastResult: null,
+      lastError: null
+    });
+  }
+
+  getJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+    return job;
+  }
+
+  /**
+   * Run a job once, now
+   */
+  async runJob(name, now = new Date()) {
+    const job = this.getJob(name);
+    if (job.isRunning) {
+      logger.warn(`⏭️ Job ${name} is still running, skipping`);
+      return null;
+    }
+
+    job.isRunning = true;
+    try {
+      job.lastResult = await job.run(now);
+      job.lastError = null;
+      return job.lastResult;
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error(`❌ Job ${name} failed:`, error);
+      throw error;
+    } finally {
+      job.isRunning = false;
+      job.lastRunAt = new Date();
+    }
+  }
+
+  /**
+   * Start every registered job on its interval
+   */
+  start() {
+    this.jobs.forEach((job) => {
+      if (job.timer) {
+        return;
+      }
+      job.timer = setInterval(() => {
+        this.runJob(job.name).catch(() => {});
+      }, job.intervalMs);
+      logger.info(`⏰ Scheduled job ${job.name} every ${job.intervalMs}ms`);
+    });
+  }
+
+  /**
+   * Stop every job timer
+   */
+  stop() {
+    this.jobs.forEach((job) => {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = null;
+      }
+    });
+  }
+
+  /**
+   * State of every job (used by /health)
+   */
+  getStatus() {
+    return Array.from(this.jobs.values(), job => ({
+      name: job.name,
+      state: job.isRunning ? 'running' : (job.timer ? 'scheduled' : 'stopped'),
+      intervalMs: job.intervalMs,
+      lastRunAt: job.lastRunAt,
+      lastResult: job.lastResult,
+      lastError: job.lastError
+    }));
+  }
+}
+
+module.exports = {
+  JobScheduler
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Generate JWT access token. Every token gets a unique `jti` so it can be
+ * denylisted before it expires.
+ */
+const generateToken = (payload) => {
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    jwtid: crypto.randomUUID()
+  });
+};
+
+/**
+ * Generate refresh token
+ */
+const generateRefreshToken = (payload) => {
+  return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    jwtid: crypto.randomUUID()
+  });
+};
+
+/**
+ * Verify refresh token
+ */
+const verifyRefreshToken = (token) => {
+  return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+};
+
+/**
+ * SHA-256 of a token, the only form refresh tokens are stored in
+ */
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * ID (`jti`) of a signed token
+ */
+const getTokenId = token => jwt.decode(token).jti;
+
+/**
+ * Expiry of a signed token as a Date
+ */
+const getTokenExpiry = token => new Date(jwt.decode(token).exp * 1000);
+
+module.exports = {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  hashToken,
+  getTokenId,
+  getTokenExpiry
+};
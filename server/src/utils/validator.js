@@ -1,6 +1,14 @@
 const Joi = require('joi');
 const { validationResult } = require('express-validator');
 
+/**
+ * EVM address or Hedera account ID
+ */
+const walletAddressSchema = Joi.alternatives().try(
+  Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/),
+  Joi.string().pattern(/^\d+\.\d+\.\d+$/)
+);
+
 /**
  * Validation schemas for different entities
  */
@@ -36,6 +44,54 @@ const schemas = {
     profileImage: Joi.string().uri().optional()
   }),
 
+  // TOTP code (6 digits) or a recovery code
+  twoFactorCode: Joi.object({
+    code: Joi.string().trim().min(6).max(20).required()
+  }),
+
+  twoFactorLogin: Joi.object({
+    mfaToken: Joi.string().hex().length(64).required(),
+    code: Joi.string().trim().min(6).max(20).required()
+  }),
+
+  // Emailed account tokens
+  passwordResetRequest: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  passwordReset: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    newPassword: Joi.string().min(8).required()
+  }),
+
+  emailVerification: Joi.object({
+    token: Joi.string().hex().length(64).required()
+  }),
+
+  // Profile details for accounts created by wallet sign-in
+  profileCompletion: Joi.object({
+    email: Joi.string().email().required(),
+    firstName: Joi.string().min(2).max(50).required(),
+    lastName: Joi.string().min(2).max(50).required(),
+    phoneNumber: Joi.string().pattern(/^\+[1-9]\d{1,14}$/).required(),
+    country: Joi.string().min(2).max(50).required(),
+    dateOfBirth: Joi.date().max('now').required(),
+    occupation: Joi.string().min(2).max(100).required(),
+    monthlyIncome: Joi.number().min(0).optional()
+  }),
+
+  // Wallet validation schemas
+  walletChallenge: Joi.object({
+    walletAddress: walletAddressSchema.required()
+  }),
+
+  walletConnection: Joi.object({
+    walletAddress: walletAddressSchema.required(),
+    nonce: Joi.string().hex().length(32).required(),
+    signature: Joi.string().pattern(/^(0x)?[a-fA-F0-9]+$/).required(),
+    publicKey: Joi.string().optional()
+  }),
+
   // Loan validation schemas
   loanCreation: Joi.object({
     amount: Joi.number().min(0.01).max(100).required(),
@@ -44,6 +100,7 @@ const schemas = {
     purpose: Joi.string().min(10).max(500).required(),
     category: Joi.string().valid('business', 'education', 'health', 'agriculture', 'housing', 'other').required(),
     description: Joi.string().min(20).max(1000).required(),
+    repaymentFrequency: Joi.string().valid('weekly', 'monthly').default('monthly'),
     collateral: Joi.object({
       type: Joi.string().valid('property', 'vehicle', 'equipment', 'other').optional(),
       value: Joi.number().min(0).optional(),
@@ -52,17 +109,22 @@ const schemas = {
   }),
 
   loanFunding: Joi.object({
-    loanId: Joi.string().required(),
+    loanId: Joi.string().optional(), // taken from the route parameter
     amount: Joi.number().min(0.01).required(),
     message: Joi.string().max(200).optional()
   }),
 
   loanRepayment: Joi.object({
-    loanId: Joi.string().required(),
+    loanId: Joi.string().optional(), // taken from the route parameter
     amount: Joi.number().min(0.01).required(),
     paymentMethod: Joi.string().valid('wallet', 'bank_transfer', 'mobile_money').required()
   }),
 
+  penaltyWaiver: Joi.object({
+    amount: Joi.number().min(0.00000001).required(),
+    reason: Joi.string().min(3).max(500).required()
+  }),
+
   // Pool validation schemas
   poolCreation: Joi.object({
     name: Joi.string().min(3).max(100).required(),
@@ -75,7 +137,7 @@ const schemas = {
   }),
 
   poolContribution: Joi.object({
-    poolId: Joi.string().required(),
+    poolId: Joi.string().optional(), // taken from the route parameter
     amount: Joi.number().min(0.01).required()
   }),
 
@@ -89,6 +151,67 @@ const schemas = {
     metadata: Joi.object().optional()
   }),
 
+  // Admin validation schemas
+  adminUserQuery: Joi.object({
+    role: Joi.string().valid('user', 'moderator', 'admin').optional(),
+    kycStatus: Joi.string().valid('unverified', 'pending', 'more_info_required', 'verified', 'rejected').optional(),
+    isActive: Joi.boolean().optional(),
+    limit: Joi.number().min(1).max(100).default(50)
+  }),
+
+  adminReason: Joi.object({
+    reason: Joi.string().min(3).max(500).required()
+  }),
+
+  roleChange: Joi.object({
+    role: Joi.string().valid('user', 'moderator', 'admin').required(),
+    reason: Joi.string().min(3).max(500).required()
+  }),
+
+  kycReview: Joi.object({
+    decision: Joi.string().valid('approve', 'reject', 'request_info').required(),
+    reason: Joi.string().min(3).max(500).required()
+  }),
+
+  kycSubmissionParams: Joi.object({
+    submissionId: Joi.string().min(1).max(128).required()
+  }),
+
+  kycDocumentParams: Joi.object({
+    submissionId: Joi.string().min(1).max(128).required(),
+    documentId: Joi.string().min(1).max(32).required()
+  }),
+
+  loanRestructure: Joi.object({
+    duration: Joi.number().integer().min(7).max(730).required(), // days from today
+    interestRate: Joi.number().min(0).max(50).optional(),
+    repaymentFrequency: Joi.string().valid('weekly', 'monthly').optional(),
+    reason: Joi.string().min(3).max(500).required()
+  }),
+
+  reportResolution: Joi.object({
+    action: Joi.string().valid('dismiss', 'hide').required(),
+    reason: Joi.string().min(3).max(500).required()
+  }),
+
+  reportQuery: Joi.object({
+    targetType: Joi.string().valid('loan', 'pool').optional()
+  }),
+
+  reportTargetParams: Joi.object({
+    targetType: Joi.string().valid('loan', 'pool').required(),
+    id: Joi.string().min(1).max(128).required()
+  }),
+
+  auditLogQuery: Joi.object({
+    actorId: Joi.string().max(128).optional(),
+    action: Joi.string().max(64).optional(),
+    targetType: Joi.string().max(32).optional(),
+    targetId: Joi.string().max(128).optional(),
+    limit: Joi.number().min(1).max(200).default(50),
+    offset: Joi.number().min(0).default(0)
+  }),
+
   // Pagination validation
   pagination: Joi.object({
     page: Joi.number().min(1).default(1),
@@ -97,9 +220,38 @@ const schemas = {
     sortOrder: Joi.string().valid('asc', 'desc').default('desc')
   }),
 
+  // Loan listing: pagination plus the filters findActive applies
+  loanQuery: Joi.object({
+    page: Joi.number().min(1).default(1),
+    limit: Joi.number().min(1).max(100).default(10),
+    sortBy: Joi.string().optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+    category: Joi.string().valid('business', 'education', 'health', 'agriculture', 'housing', 'other').optional(),
+    minAmount: Joi.number().min(0).optional(),
+    maxAmount: Joi.number().min(0).optional()
+  }),
+
+  // Lender portfolio: bucket size for the returns time series
+  portfolioQuery: Joi.object({
+    interval: Joi.string().valid('week', 'month').default('month')
+  }),
+
+  // Route parameter validation
+  idParam: Joi.object({
+    id: Joi.string().min(1).max(128).required()
+  }),
+
+  userIdParam: Joi.object({
+    userId: Joi.string().min(1).max(128).required()
+  }),
+
+  categoryParam: Joi.object({
+    category: Joi.string().min(1).max(50).required()
+  }),
+
   // Search validation
   search: Joi.object({
-    query: Joi.string().min(1).max(100).required(),
+    query: Joi.string().min(1).max(100).optional(),
     category: Joi.string().optional(),
     minAmount: Joi.number().min(0).optional(),
     maxAmount: Joi.number().min(0).optional(),
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { PublicKey, AccountId } = require('@hashgraph/sdk');
+const { hashMessage } = require('@ethersproject/hash');
+const { recoverAddress } = require('@ethersproject/transactions');
+const { isValidEthereumAddress, isValidHederaAccountId } = require('./validator');
+
+// Prefix Hedera wallets (HashPack, Blade, WalletConnect) add before signing
+const HEDERA_MESSAGE_PREFIX = '\x19Hedera Signed Message:\n';
+
+/**
+ * Random nonce for wallet challenges
+ */
+const generateNonce = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Challenge text the wallet signs. Binds the nonce, the address and the
+ * expiry so a signature cannot be replayed for another wallet or later.
+ */
+const buildChallengeMessage = ({ walletAddress, nonce, purpose, issuedAt, expiresAt }) => [
+  'AfriLend wants you to prove ownership of this wallet.',
+  '',
+  `Wallet: ${walletAddress}`,
+  `Purpose: ${purpose}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${new Date(issuedAt).toISOString()}`,
+  `Expires At: ${new Date(expiresAt).toISOString()}`
+].join('\n');
+
+/**
+ * Strip an optional 0x prefix and decode hex
+ */
+const fromHex = value => Buffer.from(value.replace(/^0x/, ''), 'hex');
+
+/**
+ * EIP-191 personal_sign signature (secp256k1) from an EVM address
+ */
+const verifyEvmSignature = (message, signature, address) => {
+  try {
+    return recoverAddress(hashMessage(message), signature).toLowerCase() === address.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * ED25519 or ECDSA (secp256k1) signature by a Hedera public key, over the
+ * raw message or the Hedera signed-message prefix
+ */
+const verifyHederaSignature = (message, signature, publicKey) => {
+  try {
+    const key = PublicKey.fromString(publicKey);
+    // Recoverable ECDSA signatures carry a trailing recovery byte
+    const signatureBytes = fromHex(signature).subarray(0, 64);
+    const candidates = [
+      Buffer.from(`${HEDERA_MESSAGE_PREFIX}${Buffer.byteLength(message)}${message}`),
+      Buffer.from(message)
+    ];
+    return candidates.some(bytes => key.verify(bytes, signatureBytes));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Whether a public key string is the same key as another key or PublicKey
+ */
+const isSameKey = (publicKey, accountKey) => {
+  try {
+    return PublicKey.fromString(publicKey).toStringRaw() === PublicKey.fromString(accountKey.toString()).toStringRaw();
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * EVM address the contracts see for a wallet: EVM addresses as-is (lower
+ * case), Hedera account IDs as their long-zero solidity address
+ */
+const toEvmAddress = (walletAddress) => {
+  if (isValidHederaAccountId(walletAddress)) {
+    return `0x${AccountId.fromString(walletAddress).toSolidityAddress()}`.toLowerCase();
+  }
+  return walletAddress.toLowerCase();
+};
+
+/**
+ * Wallet address kind: evm, hedera or null when neither
+ */
+const getWalletType = (walletAddress) => {
+  if (isValidEthereumAddress(walletAddress)) {
+    return 'evm';
+  }
+  if (isValidHederaAccountId(walletAddress)) {
+    return 'hedera';
+  }
+  return null;
+};
+
+module.exports = {
+  HEDERA_MESSAGE_PREFIX,
+  generateNonce,
+  buildChallengeMessage,
+  verifyEvmSignature,
+  verifyHederaSignature,
+  isSameKey,
+  toEvmAddress,
+  getWalletType
+};